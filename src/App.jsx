@@ -1,4 +1,5 @@
-import { Routes, Route, useLocation } from 'react-router-dom';
+import { useEffect } from 'react';
+import { Routes, Route, Navigate, useLocation } from 'react-router-dom';
 import { AnimatePresence } from 'framer-motion';
 import SplashScreen from './screens/SplashScreen';
 import LoginScreen from './screens/LoginScreen';
@@ -6,9 +7,36 @@ import OnboardingWizard from './screens/OnboardingWizard';
 import GradeToday from './screens/GradeToday';
 import ScanScreen from './screens/ScanScreen';
 import ResultsDashboard from './screens/ResultsDashboard';
+import AnswerKeyScreen from './screens/AnswerKeyScreen';
+import RosterScreen from './screens/RosterScreen';
+import AssignmentsScreen from './screens/AssignmentsScreen';
+import AssignmentEditor from './screens/AssignmentEditor';
+import AssignmentScreen from './screens/AssignmentScreen';
+import BatchSummary from './screens/BatchSummary';
+import ItemAnalysisScreen from './screens/ItemAnalysisScreen';
+import StudentProfileScreen from './screens/StudentProfileScreen';
+import { useAuth } from './context/AuthContext';
 
 export default function App() {
   const location = useLocation();
+  const { user, loading: authLoading } = useAuth();
+  const userId = user?.id ?? null;
+
+  // Replay this teacher's past corrections into the prompt engine and calibrator
+  useEffect(() => {
+    if (authLoading) return;
+    import('./lib/correctionService').then(({ ingestCorrections }) => ingestCorrections(userId));
+  }, [authLoading, userId]);
+
+  // Retry captures queued while offline once the connection is back
+  useEffect(() => {
+    import('./lib/captureQueue').then(({ startBackgroundSync }) => startBackgroundSync());
+  }, []);
+
+  // Drop captured pages kept on this device past their retention period
+  useEffect(() => {
+    import('./lib/pageImageStore').then(({ purgeExpiredPageImages }) => purgeExpiredPageImages());
+  }, []);
 
   return (
     <div className="app-shell">
@@ -24,8 +52,21 @@ export default function App() {
           <Route path="/login" element={<LoginScreen />} />
           <Route path="/onboarding" element={<OnboardingWizard />} />
           <Route path="/grade" element={<GradeToday />} />
-          <Route path="/scan" element={<ScanScreen />} />
-          <Route path="/results" element={<ResultsDashboard />} />
+          <Route path="/assignments" element={<AssignmentsScreen />} />
+          <Route path="/assignments/new" element={<AssignmentEditor />} />
+          <Route path="/assignments/:assignmentId" element={<AssignmentScreen />} />
+          <Route path="/assignments/:assignmentId/edit" element={<AssignmentEditor />} />
+          <Route path="/assignments/:assignmentId/scan" element={<ScanScreen />} />
+          <Route path="/assignments/:assignmentId/results" element={<ResultsDashboard />} />
+          <Route path="/assignments/:assignmentId/answer-key" element={<AnswerKeyScreen />} />
+          <Route path="/assignments/:assignmentId/items" element={<ItemAnalysisScreen />} />
+          <Route path="/batch/:sessionId" element={<BatchSummary />} />
+          {/* Scanning and results always happen inside an assignment */}
+          <Route path="/scan" element={<Navigate to="/assignments" replace />} />
+          <Route path="/results" element={<Navigate to="/assignments" replace />} />
+          <Route path="/answer-key" element={<Navigate to="/assignments" replace />} />
+          <Route path="/roster" element={<RosterScreen />} />
+          <Route path="/students/:studentId" element={<StudentProfileScreen />} />
         </Routes>
       </AnimatePresence>
     </div>
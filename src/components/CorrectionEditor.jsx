@@ -0,0 +1,208 @@
+/**
+ * CorrectionEditor — Inline override of one graded result
+ * @module CorrectionEditor
+ *
+ * Starts from what is on screen (an earlier override, else the AI result) and
+ * lets the teacher change the score, overall verdict, error type, divergence
+ * step, per-step and per-question correctness and the remediation. Saving
+ * stores the override as the displayed grade and its diff against the AI
+ * result as a structured correction.
+ */
+import { useState } from 'react';
+import { Check, X } from 'lucide-react';
+import { CORRECTABLE_ERROR_TYPES, validateTeacherOverride } from '../lib/schema';
+import { diffGrade } from '../lib/gradeOverride';
+
+const QUESTION_STATES = [
+    { value: true, label: 'Correct' },
+    { value: 'partial', label: 'Partial' },
+    { value: false, label: 'Incorrect' },
+];
+
+const toggleStyle = (on, color) => ({
+    padding: '3px 8px', borderRadius: '6px', cursor: 'pointer', fontSize: '0.7rem', flexShrink: 0,
+    background: on ? `${color}22` : 'transparent',
+    border: `1px solid ${on ? color : 'var(--surface-glass-border)'}`,
+    color: on ? color : 'var(--text-muted)',
+});
+
+const labelStyle = { color: 'var(--text-muted)', fontSize: '0.7rem', fontWeight: 600 };
+
+export default function CorrectionEditor({ student, onSaved, onCancel }) {
+    const original = student.aiGrade;
+    const [draft, setDraft] = useState(() => ({ ...(student.override || original) }));
+    const [notes, setNotes] = useState('');
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState(null);
+
+    const set = (patch) => setDraft(prev => ({ ...prev, ...patch }));
+    const setStep = (step, isValid) => set({ steps: draft.steps.map(s => (s.step === step ? { ...s, isValid } : s)) });
+    const setQuestion = (questionId, isCorrect) => set({
+        questions: draft.questions.map(q => (q.questionId === questionId ? { ...q, isCorrect } : q)),
+    });
+
+    const diff = diffGrade(original, draft);
+    const unchanged = student.override ? diffGrade(student.override, draft).length === 0 : diff.length === 0;
+
+    const handleSave = async () => {
+        const validation = validateTeacherOverride({ ...draft, correctedAt: new Date().toISOString() });
+        if (!validation.success) {
+            setError('Pick an error type and keep the score between 0 and 100.');
+            return;
+        }
+        setIsSaving(true);
+        setError(null);
+        try {
+            const { recordTeacherCorrection } = await import('../lib/correctionService');
+            await recordTeacherCorrection(student.traceId, {
+                originalErrorType: original.errorType,
+                actualErrorType: validation.data.errorType,
+                notes: notes.trim() || null,
+                documentType: student.documentType,
+                originalConfidence: typeof student.confidence === 'number' ? student.confidence : null,
+                override: validation.data,
+                diff,
+            });
+            onSaved?.(validation.data);
+        } catch (e) {
+            console.warn('[Lymbic] Save correction failed:', e);
+            setError('Could not save the correction. Try again.');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const errorTypes = CORRECTABLE_ERROR_TYPES.includes(original.errorType) || original.errorType === 'NONE'
+        ? CORRECTABLE_ERROR_TYPES
+        : [original.errorType, ...CORRECTABLE_ERROR_TYPES];
+
+    return (
+        <div onClick={e => e.stopPropagation()} style={{
+            display: 'flex', flexDirection: 'column', gap: '12px', padding: '12px',
+            borderRadius: '8px', border: '1px solid rgba(139, 92, 246, 0.3)', background: 'rgba(139, 92, 246, 0.04)',
+        }}>
+            <div style={{ display: 'flex', gap: '10px', alignItems: 'flex-end', flexWrap: 'wrap' }}>
+                <label style={{ display: 'flex', flexDirection: 'column', gap: '4px' }}>
+                    <span style={labelStyle}>Score %</span>
+                    <input
+                        className="input-field"
+                        type="number"
+                        min="0"
+                        max="100"
+                        value={draft.score}
+                        onChange={e => set({ score: e.target.value === '' ? 0 : Number(e.target.value) })}
+                        style={{ width: 72, fontSize: '0.8rem', padding: '6px 8px' }}
+                    />
+                </label>
+                <label style={{ display: 'flex', flexDirection: 'column', gap: '4px' }}>
+                    <span style={labelStyle}>Error type</span>
+                    <select
+                        className="input-field"
+                        value={draft.errorType}
+                        onChange={e => set({ errorType: e.target.value })}
+                        style={{ fontSize: '0.8rem', padding: '6px 8px' }}
+                    >
+                        <option value="NONE">None</option>
+                        {errorTypes.map(t => <option key={t} value={t}>{t.charAt(0) + t.slice(1).toLowerCase()}</option>)}
+                    </select>
+                </label>
+                {draft.steps.length > 0 && (
+                    <label style={{ display: 'flex', flexDirection: 'column', gap: '4px' }}>
+                        <span style={labelStyle}>Divergence</span>
+                        <select
+                            className="input-field"
+                            value={draft.divergenceStep ?? ''}
+                            onChange={e => set({ divergenceStep: e.target.value ? Number(e.target.value) : null })}
+                            style={{ fontSize: '0.8rem', padding: '6px 8px' }}
+                        >
+                            <option value="">None</option>
+                            {draft.steps.map(s => <option key={s.step} value={s.step}>Step {s.step}</option>)}
+                        </select>
+                    </label>
+                )}
+                <div style={{ display: 'flex', gap: '4px', paddingBottom: '4px' }}>
+                    <button onClick={() => set({ isCorrect: true })} style={toggleStyle(draft.isCorrect, 'var(--logic-green)')}>Correct</button>
+                    <button onClick={() => set({ isCorrect: false })} style={toggleStyle(!draft.isCorrect, 'var(--grade-f)')}>Incorrect</button>
+                </div>
+            </div>
+
+            {draft.steps.length > 0 && (
+                <div style={{ display: 'flex', flexDirection: 'column', gap: '4px' }}>
+                    <span style={labelStyle}>Steps</span>
+                    {draft.steps.map((s, si) => (
+                        <div key={s.step} style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '0.75rem' }}>
+                            <span style={{ flex: 1, color: 'var(--text-secondary)', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                                Step {s.step}: {student.logicTrace.steps[si]}
+                            </span>
+                            <button onClick={() => setStep(s.step, true)} style={toggleStyle(s.isValid, 'var(--logic-green)')}>Valid</button>
+                            <button onClick={() => setStep(s.step, false)} style={toggleStyle(!s.isValid, 'var(--grade-f)')}>Invalid</button>
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            {draft.questions.length > 0 && (
+                <div style={{ display: 'flex', flexDirection: 'column', gap: '4px' }}>
+                    <span style={labelStyle}>Questions</span>
+                    {draft.questions.map(q => (
+                        <div key={q.questionId} style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '0.75rem' }}>
+                            <span style={{ flex: 1, fontWeight: 600, color: 'var(--text-secondary)' }}>{q.questionId}</span>
+                            {QUESTION_STATES.map(state => (
+                                <button
+                                    key={state.label}
+                                    onClick={() => setQuestion(q.questionId, state.value)}
+                                    style={toggleStyle(q.isCorrect === state.value, state.value === false ? 'var(--grade-f)' : state.value === true ? 'var(--logic-green)' : '#fbbf24')}
+                                >
+                                    {state.label}
+                                </button>
+                            ))}
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            <label style={{ display: 'flex', flexDirection: 'column', gap: '4px' }}>
+                <span style={labelStyle}>Remediation</span>
+                <textarea
+                    className="input-field"
+                    value={draft.remediation}
+                    onChange={e => set({ remediation: e.target.value })}
+                    rows={3}
+                    style={{ fontSize: '0.8rem', padding: '6px 8px', resize: 'vertical', fontFamily: 'inherit' }}
+                />
+            </label>
+            <input
+                className="input-field"
+                value={notes}
+                onChange={e => setNotes(e.target.value)}
+                placeholder="Why? (optional — helps future grading)"
+                aria-label="Correction notes"
+                style={{ fontSize: '0.8rem', padding: '6px 8px' }}
+            />
+
+            {error && <p style={{ color: 'var(--grade-f)', fontSize: '0.75rem' }}>{error}</p>}
+
+            <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                <span style={{ flex: 1, color: 'var(--text-muted)', fontSize: '0.72rem' }}>
+                    {diff.length ? `${diff.length} change${diff.length !== 1 ? 's' : ''} from the AI result` : 'Matches the AI result'}
+                </span>
+                <button
+                    className="btn-secondary"
+                    onClick={onCancel}
+                    disabled={isSaving}
+                    style={{ display: 'flex', alignItems: 'center', gap: '4px', padding: '6px 12px', fontSize: '0.78rem' }}
+                >
+                    <X size={12} /> Cancel
+                </button>
+                <button
+                    className="btn-secondary"
+                    onClick={handleSave}
+                    disabled={isSaving || (unchanged && !notes.trim())}
+                    style={{ display: 'flex', alignItems: 'center', gap: '4px', padding: '6px 12px', fontSize: '0.78rem', color: 'var(--logic-green)' }}
+                >
+                    <Check size={12} /> {isSaving ? 'Saving…' : 'Save correction'}
+                </button>
+            </div>
+        </div>
+    );
+}
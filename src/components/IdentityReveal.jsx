@@ -0,0 +1,79 @@
+/**
+ * IdentityReveal — On-device de-anonymization for a pseudonymous scan
+ * @module IdentityReveal
+ *
+ * Shows the redacted header crop kept in the local identity vault and lets the
+ * teacher attach a name to the token. Nothing here is uploaded.
+ */
+import { useState, useEffect } from 'react';
+import { Eye, EyeOff, Lock } from 'lucide-react';
+import { resolvePseudonym, attachName, getHeaderCrop } from '../lib/identityVault';
+
+export default function IdentityReveal({ token, onNamed }) {
+    const [isOpen, setIsOpen] = useState(false);
+    const [name, setName] = useState(() => resolvePseudonym(token)?.name || '');
+    const [crop, setCrop] = useState({ token: null, image: null });
+
+    useEffect(() => {
+        if (!isOpen || !token || crop.token === token) return;
+        let cancelled = false;
+        getHeaderCrop(token).then(image => { if (!cancelled) setCrop({ token, image }); });
+        return () => { cancelled = true; };
+    }, [isOpen, token, crop.token]);
+
+    const headerCrop = crop.token === token ? crop.image : null;
+
+    if (!token) return null;
+
+    const handleSave = () => {
+        if (attachName(token, name)) onNamed?.(name.trim() || null);
+    };
+
+    return (
+        <div onClick={e => e.stopPropagation()} style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+            <button
+                onClick={() => setIsOpen(!isOpen)}
+                style={{
+                    display: 'flex', alignItems: 'center', gap: '6px', alignSelf: 'flex-start',
+                    background: 'none', border: 'none', cursor: 'pointer', padding: 0,
+                    color: 'var(--text-muted)', fontSize: '0.75rem',
+                }}
+            >
+                {isOpen ? <EyeOff size={12} /> : <Eye size={12} />}
+                {isOpen ? 'Hide identity' : `Identify ${token}`}
+            </button>
+
+            {isOpen && (
+                <div style={{
+                    display: 'flex', flexDirection: 'column', gap: '8px', padding: '10px 12px',
+                    borderRadius: '8px', background: 'rgba(139, 92, 246, 0.06)',
+                    border: '1px solid rgba(139, 92, 246, 0.15)',
+                }}>
+                    {headerCrop ? (
+                        <img src={headerCrop} alt="Redacted header region" style={{ width: '100%', borderRadius: 4 }} />
+                    ) : (
+                        <p style={{ color: 'var(--text-muted)', fontSize: '0.75rem' }}>
+                            The original header isn't on this device.
+                        </p>
+                    )}
+                    <div style={{ display: 'flex', gap: '8px' }}>
+                        <input
+                            className="input-field"
+                            value={name}
+                            onChange={e => setName(e.target.value)}
+                            placeholder="Student name"
+                            aria-label="Student name"
+                            style={{ fontSize: '0.8rem', padding: '6px 10px' }}
+                        />
+                        <button className="btn-secondary" onClick={handleSave} style={{ padding: '6px 14px', fontSize: '0.8rem' }}>
+                            Save
+                        </button>
+                    </div>
+                    <p style={{ color: 'var(--text-muted)', fontSize: '0.7rem', display: 'flex', alignItems: 'center', gap: '4px' }}>
+                        <Lock size={10} /> Stored on this device only — never uploaded.
+                    </p>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,28 @@
+/**
+ * MathText — Typeset LaTeX from a handwritten-math transcription
+ * @module MathText
+ *
+ * Renders with KaTeX (HTML for display, MathML for screen readers). LaTeX the
+ * model got wrong does not break the row: it falls back to the plain-text
+ * reading, or the raw LaTeX when there is none. Hovering shows the source.
+ */
+import { useMemo } from 'react';
+import katex from 'katex';
+import 'katex/dist/katex.min.css';
+
+export default function MathText({ latex, fallback = null, display = false, style }) {
+    const html = useMemo(() => {
+        if (!latex) return null;
+        try {
+            return katex.renderToString(latex, { displayMode: display, throwOnError: true, output: 'htmlAndMathml' });
+        } catch {
+            return null;
+        }
+    }, [latex, display]);
+
+    if (!html) {
+        return <span title={latex || undefined} style={style}>{fallback ?? latex}</span>;
+    }
+    // KaTeX escapes its input and leaves \href / \url inert (trust: false), so its markup is safe to inject
+    return <span title={latex} style={style} dangerouslySetInnerHTML={{ __html: html }} />;
+}
@@ -0,0 +1,65 @@
+/**
+ * PageRetentionSetting — How long captured pages are kept
+ * @module PageRetentionSetting
+ *
+ * The teacher picks a retention period for the page images behind their
+ * grades (lib/pageImageStore). A school limit, when set, caps the choice and
+ * is shown next to it. Grades themselves are never purged.
+ */
+import { useEffect, useState } from 'react';
+import { Archive } from 'lucide-react';
+import AdaptiveCard from './AdaptiveCard';
+import { RETENTION_CHOICES, getPageImageRetention, setPageImageRetention } from '../lib/pageImageStore';
+
+const dayLabel = (days) => (days % 365 === 0 ? `${days / 365} year${days === 365 ? '' : 's'}` : `${days} days`);
+
+export default function PageRetentionSetting() {
+    const [retention, setRetention] = useState(null);
+    const [status, setStatus] = useState('');
+
+    useEffect(() => {
+        getPageImageRetention()
+            .then(setRetention)
+            .catch(e => console.warn('[Lymbic] Load retention failed:', e));
+    }, []);
+
+    if (!retention) return null;
+
+    const choices = RETENTION_CHOICES.includes(retention.days) ? RETENTION_CHOICES : [...RETENTION_CHOICES, retention.days].sort((a, b) => a - b);
+
+    const handleChange = async (e) => {
+        const days = Number(e.target.value);
+        setStatus('Saving…');
+        const result = await setPageImageRetention(days);
+        if (!result.success) {
+            setStatus(result.error);
+            return;
+        }
+        setRetention(prev => ({ ...prev, days, effectiveDays: result.effectiveDays }));
+        setStatus('Saved');
+        setTimeout(() => setStatus(''), 1500);
+    };
+
+    return (
+        <AdaptiveCard style={{ padding: '12px 14px', display: 'flex', alignItems: 'center', gap: '10px' }}>
+            <Archive size={16} color="var(--text-muted)" style={{ flexShrink: 0 }} />
+            <div style={{ flex: 1 }}>
+                <p style={{ fontSize: '0.85rem', fontWeight: 600 }}>Keep captured pages for</p>
+                <p style={{ color: 'var(--text-muted)', fontSize: '0.72rem' }}>
+                    {status || (retention.schoolDays != null && retention.schoolDays < retention.days
+                        ? `Your school limits this to ${dayLabel(retention.schoolDays)}`
+                        : 'Older pages are deleted; grades are kept')}
+                </p>
+            </div>
+            <select
+                className="input-field"
+                value={retention.days}
+                onChange={handleChange}
+                aria-label="Page image retention"
+                style={{ fontSize: '0.85rem', padding: '8px 10px', width: 'auto' }}
+            >
+                {choices.map(days => <option key={days} value={days}>{dayLabel(days)}</option>)}
+            </select>
+        </AdaptiveCard>
+    );
+}
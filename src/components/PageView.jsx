@@ -0,0 +1,114 @@
+/**
+ * PageView — The captured page with the graded regions highlighted
+ * @module PageView
+ *
+ * Shows the page a trace was graded from (lib/pageImageStore) with a box over
+ * every question, answer and step the model located. Focusing a region — from
+ * the page itself or from a step or question row — zooms to that handwriting;
+ * tapping it again zooms back out. Renders nothing when this device has no
+ * page for the trace.
+ */
+import { useEffect, useRef, useState } from 'react';
+import { ZoomOut } from 'lucide-react';
+import { getPageImage } from '../lib/pageImageStore';
+
+const TONES = {
+    error: { border: 'var(--grade-f)', fill: 'rgba(239, 68, 68, 0.12)' },
+    ok: { border: 'var(--logic-green)', fill: 'rgba(52, 211, 153, 0.08)' },
+    neutral: { border: 'var(--lymbic-purple-light)', fill: 'rgba(167, 139, 250, 0.06)' },
+};
+const MAX_ZOOM = 4;
+
+const sameRegion = (a, b) => Boolean(a && b) && a.x === b.x && a.y === b.y && a.width === b.width && a.height === b.height;
+
+// Scale and offset (in % of the page) that centre a region, without showing past the page edge
+function zoomTo(region) {
+    if (!region) return { k: 1, tx: 0, ty: 0 };
+    const k = Math.max(1, Math.min(MAX_ZOOM, 0.6 / Math.max(region.width, region.height, 0.01)));
+    const offset = (center) => Math.max((1 - k) * 100, Math.min(0, (0.5 - center * k) * 100));
+    return { k, tx: offset(region.x + region.width / 2), ty: offset(region.y + region.height / 2) };
+}
+
+/**
+ * @param {{ traceId: string, highlights: Array<{ region: object, tone: 'error'|'ok'|'neutral', label?: string }>, focus: object|null, onFocus: (region: object|null) => void }} props
+ */
+export default function PageView({ traceId, highlights, focus, onFocus }) {
+    const [image, setImage] = useState(null);
+    const [aspect, setAspect] = useState(null);
+    const frameRef = useRef(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        getPageImage(traceId).then(img => { if (!cancelled) setImage(img); });
+        return () => { cancelled = true; };
+    }, [traceId]);
+
+    // Steps sit below the page: bring it into view when one of them asks for a zoom
+    useEffect(() => {
+        if (focus) frameRef.current?.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }, [focus]);
+
+    if (!image) return null;
+
+    const { k, tx, ty } = zoomTo(focus);
+    const regions = highlights.filter((h, i) => h.region && highlights.findIndex(o => sameRegion(o.region, h.region)) === i);
+
+    return (
+        <div onClick={e => e.stopPropagation()} style={{ display: 'flex', flexDirection: 'column', gap: '6px' }}>
+            <div
+                ref={frameRef}
+                style={{
+                    position: 'relative', overflow: 'hidden', borderRadius: '8px',
+                    border: '1px solid var(--surface-glass-border)', background: '#fff',
+                    aspectRatio: aspect || '3 / 4',
+                }}
+            >
+                <div style={{
+                    position: 'absolute', inset: 0, transformOrigin: '0 0',
+                    transform: `translate(${tx}%, ${ty}%) scale(${k})`, transition: 'transform 0.35s ease',
+                }}>
+                    <img
+                        src={image}
+                        alt="Captured page"
+                        onLoad={e => setAspect(`${e.currentTarget.naturalWidth} / ${e.currentTarget.naturalHeight}`)}
+                        style={{ width: '100%', height: '100%', display: 'block' }}
+                    />
+                    {regions.map(({ region, tone, label }, i) => {
+                        const focused = sameRegion(region, focus);
+                        const colors = TONES[tone] || TONES.neutral;
+                        return (
+                            <button
+                                key={i}
+                                type="button"
+                                title={label}
+                                aria-label={label ? `Zoom to ${label}` : 'Zoom to region'}
+                                onClick={() => onFocus(focused ? null : region)}
+                                style={{
+                                    position: 'absolute', padding: 0, cursor: 'zoom-in',
+                                    left: `${region.x * 100}%`, top: `${region.y * 100}%`,
+                                    width: `${region.width * 100}%`, height: `${region.height * 100}%`,
+                                    border: `${focused ? 2 : 1}px solid ${colors.border}`, borderRadius: '3px',
+                                    background: focused ? colors.fill : 'transparent',
+                                    opacity: focus && !focused ? 0.45 : 1,
+                                }}
+                            />
+                        );
+                    })}
+                </div>
+            </div>
+            {focus && (
+                <button
+                    type="button"
+                    onClick={() => onFocus(null)}
+                    style={{
+                        alignSelf: 'flex-start', display: 'flex', alignItems: 'center', gap: '4px',
+                        background: 'none', border: 'none', padding: 0, cursor: 'pointer',
+                        fontSize: '0.72rem', color: 'var(--text-muted)',
+                    }}
+                >
+                    <ZoomOut size={12} /> Whole page
+                </button>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,60 @@
+/**
+ * PipelineTimeline — Live progress of one capture through the pipeline
+ * @module PipelineTimeline
+ *
+ * One row per step, gate and model pass that has actually started (see
+ * lib/pipelineEvents), with its state, duration, warnings and — for a failed
+ * row — the reason. Model passes are indented under the analysis gate.
+ */
+import { Check, X, Loader2, Minus, AlertTriangle } from 'lucide-react';
+
+const STATUS_ICON = {
+    running: { Icon: Loader2, color: 'var(--lymbic-purple)' },
+    passed: { Icon: Check, color: 'var(--logic-green)' },
+    failed: { Icon: X, color: 'var(--grade-f)' },
+    skipped: { Icon: Minus, color: 'var(--text-muted)' },
+};
+
+const formatDuration = (ms) => (ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(1)}s`);
+
+export default function PipelineTimeline({ timeline }) {
+    if (!timeline.length) return null;
+
+    return (
+        <ol aria-label="Analysis progress" style={{
+            listStyle: 'none', margin: 0, padding: 0, width: 'min(320px, 80vw)',
+            display: 'flex', flexDirection: 'column', gap: '6px', textAlign: 'left',
+        }}>
+            {timeline.map(row => {
+                const { Icon, color } = STATUS_ICON[row.status] || STATUS_ICON.running;
+                return (
+                    <li key={row.key} style={{ paddingLeft: row.nested ? '18px' : 0, fontSize: '0.78rem' }}>
+                        <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                            <Icon
+                                size={13}
+                                color={color}
+                                style={{ flexShrink: 0, animation: row.status === 'running' ? 'spin 1s linear infinite' : 'none' }}
+                            />
+                            <span style={{ flex: 1, color: row.status === 'skipped' ? 'var(--text-muted)' : 'var(--text-secondary)' }}>
+                                {row.label}
+                            </span>
+                            {row.durationMs != null && (
+                                <span style={{ color: 'var(--text-muted)', fontVariantNumeric: 'tabular-nums' }}>{formatDuration(row.durationMs)}</span>
+                            )}
+                        </div>
+                        {row.detail && (
+                            <p style={{ margin: '2px 0 0 21px', color: row.status === 'failed' ? 'var(--grade-f)' : 'var(--text-muted)', fontSize: '0.72rem' }}>
+                                {row.detail}
+                            </p>
+                        )}
+                        {row.warnings.map(w => (
+                            <p key={w} style={{ margin: '2px 0 0 21px', color: '#fbbf24', fontSize: '0.72rem', display: 'flex', alignItems: 'center', gap: '4px' }}>
+                                <AlertTriangle size={10} /> {w}
+                            </p>
+                        ))}
+                    </li>
+                );
+            })}
+        </ol>
+    );
+}
@@ -0,0 +1,139 @@
+/**
+ * RubricBuilder — Author an assignment's rubric: criteria, performance levels, points, descriptors
+ * @module RubricBuilder
+ *
+ * Controlled: `rubric` is `{ criteria }`, a legacy free-text string, or null.
+ * Unfinished rows are kept while editing and dropped on save (see cleanRubric).
+ */
+import { Plus, Trash2, ListChecks } from 'lucide-react';
+import { createCriterion, isStructuredRubric, rubricMaxPoints } from '../lib/rubric';
+
+const inputStyle = { fontSize: '0.8rem', padding: '6px 8px' };
+const iconButton = {
+    display: 'flex', alignItems: 'center', justifyContent: 'center', flexShrink: 0,
+    width: 28, height: 28, borderRadius: '50%', background: 'none', border: 'none', cursor: 'pointer',
+};
+
+export default function RubricBuilder({ rubric, onChange }) {
+    // Legacy free-text rubric: keep it editable, offer to switch to criteria
+    if (!isStructuredRubric(rubric)) {
+        return (
+            <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+                {typeof rubric === 'string' && (
+                    <textarea
+                        className="input-field"
+                        value={rubric}
+                        onChange={e => onChange(e.target.value || null)}
+                        rows={3}
+                        aria-label="Rubric notes"
+                        style={{ ...inputStyle, resize: 'vertical', fontFamily: 'inherit' }}
+                    />
+                )}
+                <button
+                    className="btn-secondary"
+                    onClick={() => onChange({ criteria: [createCriterion()] })}
+                    style={{ display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '6px', padding: '8px 14px', fontSize: '0.8rem' }}
+                >
+                    <ListChecks size={14} /> {typeof rubric === 'string' ? 'Switch to a criteria rubric' : 'Build a rubric'}
+                </button>
+            </div>
+        );
+    }
+
+    const criteria = rubric.criteria;
+    const setCriteria = (next) => onChange(next.length ? { criteria: next } : null);
+    const updateCriterion = (ci, patch) => setCriteria(criteria.map((c, i) => (i === ci ? { ...c, ...patch } : c)));
+    const updateLevel = (ci, li, patch) => updateCriterion(ci, {
+        levels: criteria[ci].levels.map((l, i) => (i === li ? { ...l, ...patch } : l)),
+    });
+
+    return (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '10px' }}>
+            {criteria.map((criterion, ci) => (
+                <div key={criterion.id} style={{
+                    display: 'flex', flexDirection: 'column', gap: '6px', padding: '10px',
+                    borderRadius: '8px', border: '1px solid var(--surface-glass-border)',
+                }}>
+                    <div style={{ display: 'flex', gap: '6px', alignItems: 'center' }}>
+                        <span style={{ color: 'var(--text-muted)', fontSize: '0.7rem', fontWeight: 700, width: 24 }}>{criterion.id}</span>
+                        <input
+                            className="input-field"
+                            value={criterion.name}
+                            onChange={e => updateCriterion(ci, { name: e.target.value })}
+                            placeholder="Criterion, e.g. Thesis"
+                            aria-label="Criterion name"
+                            style={inputStyle}
+                        />
+                        <button onClick={() => setCriteria(criteria.filter((_, i) => i !== ci))} title="Remove criterion" style={{ ...iconButton, color: 'var(--grade-f)' }}>
+                            <Trash2 size={13} />
+                        </button>
+                    </div>
+                    <input
+                        className="input-field"
+                        value={criterion.description}
+                        onChange={e => updateCriterion(ci, { description: e.target.value })}
+                        placeholder="What this criterion looks for (optional)"
+                        aria-label="Criterion description"
+                        style={{ ...inputStyle, fontSize: '0.75rem' }}
+                    />
+                    {criterion.levels.map((level, li) => (
+                        <div key={li} style={{ display: 'flex', gap: '6px', alignItems: 'center', paddingLeft: 30 }}>
+                            <input
+                                className="input-field"
+                                value={level.label}
+                                onChange={e => updateLevel(ci, li, { label: e.target.value })}
+                                placeholder="Level"
+                                aria-label="Level label"
+                                style={{ ...inputStyle, width: 100, flexShrink: 0 }}
+                            />
+                            <input
+                                className="input-field"
+                                type="number"
+                                min="0"
+                                value={level.points}
+                                onChange={e => updateLevel(ci, li, { points: e.target.value === '' ? 0 : Number(e.target.value) })}
+                                aria-label="Level points"
+                                style={{ ...inputStyle, width: 56, flexShrink: 0 }}
+                            />
+                            <input
+                                className="input-field"
+                                value={level.descriptor}
+                                onChange={e => updateLevel(ci, li, { descriptor: e.target.value })}
+                                placeholder="Descriptor"
+                                aria-label="Level descriptor"
+                                style={inputStyle}
+                            />
+                            <button
+                                onClick={() => updateCriterion(ci, { levels: criterion.levels.filter((_, i) => i !== li) })}
+                                disabled={criterion.levels.length === 1}
+                                title="Remove level"
+                                style={{ ...iconButton, color: 'var(--text-muted)' }}
+                            >
+                                <Trash2 size={12} />
+                            </button>
+                        </div>
+                    ))}
+                    <button
+                        onClick={() => updateCriterion(ci, { levels: [...criterion.levels, { label: '', points: 0, descriptor: '' }] })}
+                        style={{ alignSelf: 'flex-start', marginLeft: 30, background: 'none', border: 'none', cursor: 'pointer', color: 'var(--text-muted)', fontSize: '0.72rem', display: 'flex', alignItems: 'center', gap: '4px' }}
+                    >
+                        <Plus size={11} /> Level
+                    </button>
+                </div>
+            ))}
+
+            <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+                <button
+                    className="btn-secondary"
+                    onClick={() => setCriteria([...criteria, createCriterion(criteria)])}
+                    style={{ display: 'flex', alignItems: 'center', gap: '6px', padding: '6px 12px', fontSize: '0.8rem' }}
+                >
+                    <Plus size={13} /> Criterion
+                </button>
+                <span style={{ color: 'var(--text-muted)', fontSize: '0.75rem' }}>
+                    {rubricMaxPoints(rubric)} pts max
+                </span>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,77 @@
+/**
+ * RubricGrid — Criterion × level grid for one scored response
+ * @module RubricGrid
+ *
+ * Highlights the level chosen for each criterion with the evidence quote the
+ * model cited. Tapping another level re-scores that criterion; the model's
+ * original choice stays outlined so the teacher can see what changed.
+ */
+import { useState } from 'react';
+import { Quote } from 'lucide-react';
+import { adjustCriterionScore } from '../lib/rubric';
+
+export default function RubricGrid({ rubric, scores, traceId, onChange }) {
+    const [isSaving, setIsSaving] = useState(false);
+
+    const total = scores.reduce((s, c) => s + c.points, 0);
+    const possible = scores.reduce((s, c) => s + c.possible, 0);
+
+    const handleSelect = async (criterionId, level) => {
+        const next = adjustCriterionScore(scores, criterionId, level);
+        onChange?.(next);
+        if (!traceId) return;
+        setIsSaving(true);
+        const { saveCriterionScores } = await import('../lib/storageLayer');
+        await saveCriterionScores(traceId, next);
+        setIsSaving(false);
+    };
+
+    return (
+        <div onClick={e => e.stopPropagation()} style={{ display: 'flex', flexDirection: 'column', gap: '10px' }}>
+            {rubric.criteria.map(criterion => {
+                const score = scores.find(s => s.criterionId === criterion.id);
+                return (
+                    <div key={criterion.id} style={{ display: 'flex', flexDirection: 'column', gap: '6px' }}>
+                        <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '0.78rem' }}>
+                            <span style={{ fontWeight: 600, color: 'var(--text-secondary)' }}>{criterion.name}</span>
+                            <span style={{ color: score?.adjusted ? 'var(--lymbic-purple-light)' : 'var(--text-muted)' }}>
+                                {score ? `${score.points}/${score.possible}` : '—'}{score?.adjusted ? ' · adjusted' : ''}
+                            </span>
+                        </div>
+                        <div style={{ display: 'grid', gridTemplateColumns: `repeat(${criterion.levels.length}, 1fr)`, gap: '4px' }}>
+                            {criterion.levels.map(level => {
+                                const isSelected = score?.level === level.label;
+                                const isOriginal = score?.adjusted && score.originalLevel === level.label;
+                                return (
+                                    <button
+                                        key={level.label}
+                                        onClick={() => handleSelect(criterion.id, level)}
+                                        disabled={isSaving}
+                                        title={level.descriptor || level.label}
+                                        style={{
+                                            padding: '6px 4px', borderRadius: '6px', cursor: 'pointer',
+                                            fontSize: '0.7rem', lineHeight: 1.3,
+                                            background: isSelected ? 'rgba(139, 92, 246, 0.18)' : 'rgba(255, 255, 255, 0.03)',
+                                            border: `1px ${isOriginal ? 'dashed' : 'solid'} ${isSelected || isOriginal ? 'rgba(139, 92, 246, 0.5)' : 'var(--surface-glass-border)'}`,
+                                            color: isSelected ? 'var(--text-primary)' : 'var(--text-muted)',
+                                        }}
+                                    >
+                                        {level.label}<br />{level.points} pts
+                                    </button>
+                                );
+                            })}
+                        </div>
+                        {score?.evidence && (
+                            <p style={{ display: 'flex', gap: '6px', color: 'var(--text-muted)', fontSize: '0.72rem', fontStyle: 'italic' }}>
+                                <Quote size={10} style={{ flexShrink: 0, marginTop: 2 }} /> “{score.evidence}”
+                            </p>
+                        )}
+                    </div>
+                );
+            })}
+            <p style={{ alignSelf: 'flex-end', fontSize: '0.78rem', fontWeight: 600, color: 'var(--text-secondary)' }}>
+                Rubric total: {total}/{possible}
+            </p>
+        </div>
+    );
+}
@@ -0,0 +1,85 @@
+/**
+ * StudentLinker — Attach a scan to a student on the class roster
+ * @module StudentLinker
+ *
+ * Suggests a roster match from the student number the model read or the name
+ * the teacher attached on-device, and lets the teacher pick anyone else.
+ */
+import { useState } from 'react';
+import { UserCheck, Link2 } from 'lucide-react';
+import { matchStudent } from '../lib/rosterStore';
+import { resolvePseudonym } from '../lib/identityVault';
+
+export default function StudentLinker({ traceId, roster, linkedStudentId, studentToken, studentNumber, onLinked }) {
+    const suggestion = linkedStudentId
+        ? null
+        : matchStudent(roster, { name: resolvePseudonym(studentToken)?.name, studentNumber });
+    const [selectedId, setSelectedId] = useState('');
+    const [isSaving, setIsSaving] = useState(false);
+
+    if (!traceId || !roster.length) return null;
+
+    const linked = roster.find(s => s.id === linkedStudentId);
+    const chosenId = selectedId || suggestion?.student.id || '';
+
+    const handleLink = async (studentId) => {
+        setIsSaving(true);
+        // The storage layer relinks the submission's other pages and rebuilds both students' mastery
+        const { linkTraceToStudent } = await import('../lib/storageLayer');
+        const { success, traceIds } = await linkTraceToStudent(traceId, studentId);
+        setIsSaving(false);
+        if (success) onLinked?.(studentId, traceIds);
+    };
+
+    if (linked) {
+        return (
+            <div onClick={e => e.stopPropagation()} style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '0.78rem' }}>
+                <UserCheck size={12} color="var(--logic-green)" />
+                <span style={{ color: 'var(--text-secondary)' }}>
+                    {linked.displayName}{linked.sectionName ? ` · ${linked.sectionName}` : ''}
+                </span>
+                <button
+                    onClick={() => handleLink(null)}
+                    disabled={isSaving}
+                    style={{ background: 'none', border: 'none', cursor: 'pointer', padding: 0, color: 'var(--text-muted)', fontSize: '0.72rem' }}
+                >
+                    Unlink
+                </button>
+            </div>
+        );
+    }
+
+    return (
+        <div onClick={e => e.stopPropagation()} style={{ display: 'flex', flexDirection: 'column', gap: '6px' }}>
+            {suggestion && !selectedId && (
+                <p style={{ color: 'var(--text-muted)', fontSize: '0.72rem' }}>
+                    Suggested by {suggestion.method === 'student_number' ? 'student number' : 'name'}: {suggestion.student.displayName}
+                </p>
+            )}
+            <div style={{ display: 'flex', gap: '8px' }}>
+                <select
+                    className="input-field"
+                    value={chosenId}
+                    onChange={e => setSelectedId(e.target.value)}
+                    aria-label="Roster student"
+                    style={{ fontSize: '0.8rem', padding: '6px 10px' }}
+                >
+                    <option value="">Link to student…</option>
+                    {roster.map(s => (
+                        <option key={s.id} value={s.id}>
+                            {s.displayName}{s.studentNumber ? ` (${s.studentNumber})` : ''}
+                        </option>
+                    ))}
+                </select>
+                <button
+                    className="btn-secondary"
+                    onClick={() => handleLink(chosenId)}
+                    disabled={!chosenId || isSaving}
+                    style={{ padding: '6px 14px', fontSize: '0.8rem', display: 'flex', alignItems: 'center', gap: '4px' }}
+                >
+                    <Link2 size={12} /> Link
+                </button>
+            </div>
+        </div>
+    );
+}
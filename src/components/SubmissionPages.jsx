@@ -0,0 +1,103 @@
+/**
+ * SubmissionPages — Put a student's scanned pages in reading order
+ * @module SubmissionPages
+ *
+ * Shown when the teacher finishes a multi-page submission. Pages are listed
+ * as captured; moving one re-merges questions continued across the page break
+ * and the combined score preview updates before anything is saved. Pages still
+ * waiting for analysis keep their capture position, so reordering waits for them.
+ */
+import { useState } from 'react';
+import { ChevronUp, ChevronDown, Layers, CloudOff } from 'lucide-react';
+import AdaptiveButton from './AdaptiveButton';
+import { combinePages } from '../lib/submissionStore';
+
+export default function SubmissionPages({ pages, pendingCount = 0, isSaving = false, onSave, onCancel }) {
+    const [order, setOrder] = useState(() => pages.map(p => p.traceId));
+    const byId = new Map(pages.map(p => [p.traceId, p]));
+    const canReorder = pendingCount === 0;
+
+    const combined = combinePages(order.map(id => ({ id, ...byId.get(id).result })));
+
+    const move = (index, delta) => setOrder(prev => {
+        const next = [...prev];
+        [next[index], next[index + delta]] = [next[index + delta], next[index]];
+        return next;
+    });
+
+    const arrowStyle = (enabled) => ({
+        width: 28, height: 28, padding: 0, borderRadius: 6, border: 'none',
+        background: 'rgba(255,255,255,0.08)', color: 'white',
+        display: 'flex', alignItems: 'center', justifyContent: 'center',
+        cursor: enabled ? 'pointer' : 'default', opacity: enabled ? 1 : 0.3,
+    });
+
+    return (
+        <div style={{
+            position: 'fixed', inset: 0, display: 'flex', alignItems: 'center', justifyContent: 'center',
+            background: 'rgba(0, 0, 0, 0.85)', zIndex: 60, padding: '24px',
+        }}>
+            <div className="glass-card-elevated" style={{
+                maxWidth: 380, width: '100%', maxHeight: '85vh', overflowY: 'auto',
+                display: 'flex', flexDirection: 'column', gap: '14px', padding: '20px',
+            }}>
+                <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                    <Layers size={18} color="var(--lymbic-purple-light)" />
+                    <p style={{ fontWeight: 600, flex: 1 }}>Page order</p>
+                    {combined.score != null && (
+                        <span style={{ color: 'var(--text-secondary)', fontSize: '0.85rem' }}>
+                            {combined.score}% · {combined.responses.length} question{combined.responses.length === 1 ? '' : 's'}
+                        </span>
+                    )}
+                </div>
+
+                {order.map((traceId, index) => {
+                    const page = byId.get(traceId);
+                    const questionIds = (page.result?.responses || []).map(r => r.questionId);
+                    return (
+                        <div key={traceId} style={{
+                            display: 'flex', alignItems: 'center', gap: '10px', padding: '8px',
+                            borderRadius: 8, background: 'rgba(255,255,255,0.04)', border: '1px solid rgba(255,255,255,0.08)',
+                        }}>
+                            {page.image && (
+                                <img src={page.image} alt={`Page ${index + 1}`} style={{ width: 44, height: 58, objectFit: 'cover', borderRadius: 4 }} />
+                            )}
+                            <div style={{ flex: 1, minWidth: 0 }}>
+                                <p style={{ fontSize: '0.85rem', fontWeight: 600 }}>Page {index + 1}</p>
+                                <p style={{ color: 'var(--text-muted)', fontSize: '0.72rem', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                                    {questionIds.length ? `Questions ${questionIds.join(', ')}` : 'No questions read'}
+                                </p>
+                            </div>
+                            {canReorder && (
+                                <div style={{ display: 'flex', flexDirection: 'column', gap: '4px' }}>
+                                    <button type="button" aria-label="Move page up" disabled={index === 0} onClick={() => move(index, -1)} style={arrowStyle(index > 0)}>
+                                        <ChevronUp size={16} />
+                                    </button>
+                                    <button type="button" aria-label="Move page down" disabled={index === order.length - 1} onClick={() => move(index, 1)} style={arrowStyle(index < order.length - 1)}>
+                                        <ChevronDown size={16} />
+                                    </button>
+                                </div>
+                            )}
+                        </div>
+                    );
+                })}
+
+                {pendingCount > 0 && (
+                    <p style={{ display: 'flex', alignItems: 'center', gap: '6px', color: '#fbbf24', fontSize: '0.75rem' }}>
+                        <CloudOff size={14} />
+                        {pendingCount} page{pendingCount === 1 ? '' : 's'} pending analysis — they join the submission when analyzed, in the order scanned.
+                    </p>
+                )}
+
+                <div style={{ display: 'flex', gap: '10px' }}>
+                    <AdaptiveButton variant="secondary" style={{ flex: 1 }} onClick={onCancel} disabled={isSaving}>
+                        Keep scanning
+                    </AdaptiveButton>
+                    <AdaptiveButton variant="primary" style={{ flex: 1 }} onClick={() => onSave(order)} disabled={isSaving}>
+                        {isSaving ? 'Saving…' : 'Save submission'}
+                    </AdaptiveButton>
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -17,6 +17,17 @@ export function OnboardingProvider({ children }) {
     // Holds multiple scan results from batch mode
     const [scanHistory, setScanHistory] = useState([]);
 
+    // Answer key for the open assignment (draft after scanning, or loaded from storage)
+    const [answerKey, setAnswerKey] = useState(null);
+
+    // Roster class being graded; remembered on this device across reloads
+    const [classId, setClassIdState] = useState(() => localStorage.getItem('lymbic_active_class'));
+    const setClassId = (id) => {
+        if (id) localStorage.setItem('lymbic_active_class', id);
+        else localStorage.removeItem('lymbic_active_class');
+        setClassIdState(id || null);
+    };
+
     const updateData = (updates) => {
         setData(prev => ({ ...prev, ...updates }));
     };
@@ -35,6 +46,8 @@ export function OnboardingProvider({ children }) {
             data, updateData,
             scanResult, setScanResult,
             scanHistory, addScanResult, clearScanHistory,
+            answerKey, setAnswerKey,
+            classId, setClassId,
         }}>
             {children}
         </OnboardingContext.Provider>
@@ -0,0 +1,46 @@
+// ═══════════════════════════════════════════════════════════
+//  useAnswerKey — Answer key for an assignment
+//  Reads the key held in OnboardingContext and lazily loads the
+//  saved key from storage when the session doesn't have one yet.
+// ═══════════════════════════════════════════════════════════
+
+import { useState, useEffect, useCallback } from 'react';
+import { useOnboarding } from '../context/OnboardingContext';
+
+export default function useAnswerKey(assignmentId) {
+    const { answerKey, setAnswerKey } = useOnboarding();
+    const [loadedFor, setLoadedFor] = useState(null);
+
+    useEffect(() => {
+        if (!assignmentId || loadedFor === assignmentId) return;
+        // A freshly scanned draft for this assignment takes precedence over storage
+        if (answerKey?.assignmentId === assignmentId) return;
+        let cancelled = false;
+        (async () => {
+            try {
+                const { getAnswerKey } = await import('../lib/storageLayer');
+                const stored = await getAnswerKey(assignmentId);
+                if (!cancelled) setAnswerKey(stored);
+            } catch (e) {
+                console.warn('[Lymbic] Load answer key failed:', e);
+            } finally {
+                if (!cancelled) setLoadedFor(assignmentId);
+            }
+        })();
+        return () => { cancelled = true; };
+    }, [assignmentId, answerKey, loadedFor, setAnswerKey]);
+
+    const saveKey = useCallback(async (key) => {
+        const { saveAnswerKey } = await import('../lib/storageLayer');
+        const saved = await saveAnswerKey(assignmentId, key);
+        if (saved.success) setAnswerKey(saved.key);
+        return saved;
+    }, [assignmentId, setAnswerKey]);
+
+    // Only a key for this assignment counts; a draft from another assignment is ignored
+    const activeKey = answerKey?.assignmentId === assignmentId ? answerKey : null;
+
+    const loading = Boolean(assignmentId) && !activeKey && loadedFor !== assignmentId;
+
+    return { assignmentId, answerKey: activeKey, setAnswerKey, saveKey, loading };
+}
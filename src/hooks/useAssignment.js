@@ -0,0 +1,45 @@
+// ═══════════════════════════════════════════════════════════
+//  useAssignment — The assignment named in the current route
+//  Screens under /assignments/:assignmentId read their settings
+//  (rubric, feedback style, analysis mode…) from here.
+// ═══════════════════════════════════════════════════════════
+
+import { useState, useEffect, useCallback } from 'react';
+import { useParams } from 'react-router-dom';
+
+export default function useAssignment() {
+    const { assignmentId = null } = useParams();
+    const [loaded, setLoaded] = useState({ id: null, assignment: null });
+
+    useEffect(() => {
+        if (!assignmentId || loaded.id === assignmentId) return;
+        let cancelled = false;
+        (async () => {
+            let assignment = null;
+            try {
+                const { getAssignment } = await import('../lib/assignmentStore');
+                assignment = await getAssignment(assignmentId);
+            } catch (e) {
+                console.warn('[Lymbic] Load assignment failed:', e);
+            }
+            if (!cancelled) setLoaded({ id: assignmentId, assignment });
+        })();
+        return () => { cancelled = true; };
+    }, [assignmentId, loaded.id]);
+
+    const saveAssignment = useCallback(async (settings) => {
+        const { updateAssignment } = await import('../lib/assignmentStore');
+        const saved = await updateAssignment(assignmentId, settings);
+        if (saved.success) setLoaded({ id: assignmentId, assignment: saved.assignment });
+        return saved;
+    }, [assignmentId]);
+
+    const isCurrent = loaded.id === assignmentId;
+
+    return {
+        assignmentId,
+        assignment: isCurrent ? loaded.assignment : null,
+        loading: Boolean(assignmentId) && !isCurrent,
+        saveAssignment,
+    };
+}
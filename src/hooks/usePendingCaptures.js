@@ -0,0 +1,42 @@
+// ═══════════════════════════════════════════════════════════
+//  usePendingCaptures — Offline captures still waiting for analysis
+//  Live view of the IndexedDB capture queue for one assignment.
+//  `syncedCount` bumps whenever a queued capture becomes a stored
+//  result, so screens can reload their trace list.
+// ═══════════════════════════════════════════════════════════
+
+import { useState, useEffect } from 'react';
+
+export default function usePendingCaptures(assignmentId) {
+    const [captures, setCaptures] = useState([]);
+    const [syncedCount, setSyncedCount] = useState(0);
+
+    useEffect(() => {
+        let cancelled = false;
+        let unsubscribe = () => {};
+        (async () => {
+            try {
+                const { listQueuedCaptures, subscribeQueue } = await import('../lib/captureQueue');
+                const refresh = () => listQueuedCaptures(assignmentId)
+                    .then(list => { if (!cancelled) setCaptures(list); })
+                    .catch(e => console.warn('[Lymbic] Load capture queue failed:', e));
+                if (cancelled) return;
+                unsubscribe = subscribeQueue(event => {
+                    if (event.type === 'synced' && !cancelled) setSyncedCount(n => n + 1);
+                    refresh();
+                });
+                refresh();
+            } catch (e) {
+                console.warn('[Lymbic] Capture queue unavailable:', e);
+            }
+        })();
+        return () => {
+            cancelled = true;
+            unsubscribe();
+        };
+    }, [assignmentId]);
+
+    const pendingCount = captures.filter(c => c.status === 'pending').length;
+
+    return { captures, pendingCount, syncedCount };
+}
@@ -10,16 +10,32 @@ import { ImageEnhancer } from '../utils/ImageEnhancer';
 import { SemanticFingerprinter } from '../utils/SemanticFingerprint';
 import { CrossPageReasoner } from '../utils/CrossPageReasoner';
 import { ReadinessEngine } from '../utils/ReadinessEngine';
+import { NameRedactor } from '../utils/NameRedactor';
+import { createPseudonym } from '../lib/identityVault';
 import { analyzeWithLogicEngine, runAnalysisPipeline } from '../lib/analysisEngine';
+import { AnalysisError, toAnalysisError } from '../lib/analysisErrors';
+import { timeStage, passEventEmitter } from '../lib/pipelineEvents';
 import useDocumentScanner from './useDocumentScanner';
 
+const NO_PAGES = [];
+
 export default function useSmartScanner(videoRef, config = {}) {
     const {
         autoCapture = false,
         autoCaptureDelay = 1200,
         autoAnalyze = true,
         enhanceImages = true,
-        analysisMode = 'full',
+        analysisMode = 'full',      // full | quick | answer_key
+        knownAnswers = null,        // answer key items for the current assignment
+        rubric = null,              // assignment settings forwarded to the analysis prompt
+        feedbackStyle = 'constructive',
+        subject = null,
+        gradeLevel = null,
+        modelSettings = null,       // assignment's { provider, model, temperature }; null = deployment default
+        onEvent = null,             // pipeline events (see lib/pipelineEvents) for a live progress timeline
+        sessionId = null,           // grading session / assignment the trace is stored under when
+        assignmentId = null,        //   grading runs server-side
+        previousPages = NO_PAGES,   // earlier pages of this student's submission (lib/submissionStore)
     } = config;
 
     // ── Singletons ──────────────────────────────────────────
@@ -29,11 +45,12 @@ export default function useSmartScanner(videoRef, config = {}) {
     const fingerRef = useRef(new SemanticFingerprinter());
     const reasonerRef = useRef(new CrossPageReasoner());
     const readinessRef = useRef(new ReadinessEngine());
+    const redactorRef = useRef(new NameRedactor());
     const frameDataRef = useRef(null);
     const stableSinceRef = useRef(null);
 
     const [state, setState] = useState({
-        mode: 'SCANNING',       // SCANNING | QUALITY_CHECK | ENHANCING | CAPTURING |
+        mode: 'SCANNING',       // SCANNING | QUALITY_CHECK | ENHANCING | REDACTING | CAPTURING |
         // DUPLICATE_DETECTED | ANALYZING | COMPLETE | QUALITY_ISSUE
         activePage: null,
         allPages: [],
@@ -141,12 +158,15 @@ export default function useSmartScanner(videoRef, config = {}) {
 
         // 1. Quality check
         setState(prev => ({ ...prev, mode: 'QUALITY_CHECK' }));
+        const endQuality = timeStage(onEvent, 'step', 'quality');
         const quality = await checkCaptureQuality();
 
         if (!quality.shouldProceed) {
+            endQuality('failed', { message: quality.recommendations?.[0] || 'Image quality too low' });
             setState(prev => ({ ...prev, mode: 'QUALITY_ISSUE', qualityAnalysis: quality }));
             return { success: false, reason: 'quality', quality };
         }
+        endQuality('passed', { warnings: quality.issues.map(i => i.message) });
 
         // 2. Capture frame
         setState(prev => ({ ...prev, mode: 'CAPTURING' }));
@@ -156,11 +176,33 @@ export default function useSmartScanner(videoRef, config = {}) {
         canvas.getContext('2d').drawImage(video, 0, 0);
         let imageData = canvas.toDataURL('image/jpeg', 0.92);
 
+        // 2b. Rectify — only the flattened page is analyzed and stored, not the whole frame
+        let flattened = null;
+        if (detection.quad) {
+            flattened = await enhancerRef.current.rectify(imageData, detection.quad, detection.scale);
+            if (flattened) imageData = flattened.rectified;
+        }
+
         // 3. Enhance if needed
         if (enhanceImages && quality.canAutoFix && quality.issues.length > 0) {
             setState(prev => ({ ...prev, mode: 'ENHANCING' }));
-            const enhanced = await enhancerRef.current.enhance(imageData, quality);
+            const endEnhance = timeStage(onEvent, 'step', 'enhance');
+            const enhanced = await enhancerRef.current.enhance(imageData, quality, { rectified: !!flattened });
             imageData = enhanced.enhanced;
+            endEnhance('passed');
+        }
+
+        // 3b. Redact the name/header region — student work never leaves the device unredacted.
+        // Answer keys carry no student identity and are sent as-is.
+        let redaction = null;
+        if (analysisMode !== 'answer_key') {
+            setState(prev => ({ ...prev, mode: 'REDACTING' }));
+            const endRedact = timeStage(onEvent, 'step', 'redact');
+            // A rectified image is the page itself, so the header band is measured from the image edges
+            const r = await redactorRef.current.redact(imageData, flattened ? {} : { quad: detection.quad, scale: detection.scale });
+            imageData = r.redacted;
+            redaction = { region: r.region, method: r.method, token: createPseudonym(r) };
+            endRedact('passed');
         }
 
         // 4. Semantic fingerprint
@@ -196,8 +238,10 @@ export default function useSmartScanner(videoRef, config = {}) {
                 timestamp: Date.now(),
                 image: imageData,
                 quad: detection.quad ? [...detection.quad] : null,
+                rectified: flattened && { width: flattened.width, height: flattened.height, paper: flattened.paper },
                 quality,
                 fingerprint,
+                studentToken: redaction?.token || null,
             },
         }));
 
@@ -211,31 +255,53 @@ export default function useSmartScanner(videoRef, config = {}) {
                     quad: detection.quad ? [...detection.quad] : null,
                     timestamp: Date.now(),
                     readinessScore: state.readiness?.score,
+                    redaction: redaction && { region: redaction.region, method: redaction.method },
+                };
+                // Lets server-side grading store the trace itself; answer keys are never traces
+                const persist = analysisMode === 'answer_key' ? null : {
+                    sessionId,
+                    assignmentId,
+                    studentToken: redaction?.token || null,
+                    captureQuality: quality.overallScore ?? 1,
                 };
 
                 let result;
                 if (state.readiness && detection.quad) {
                     // Full defense pipeline
                     const pipelineResult = await runAnalysisPipeline(captureData, state.readiness, {
+                        subject,
+                        gradeLevel,
                         mode: analysisMode,
                         imageQuality: quality,
+                        knownAnswers,
+                        rubric,
+                        feedbackStyle,
+                        modelSettings,
+                        onEvent,
+                        persist,
+                        previousPages,
                     });
                     result = pipelineResult.success ? (pipelineResult.result || pipelineResult.analysis) : null;
                     if (!pipelineResult.success) {
-                        throw new Error(pipelineResult.error?.message || 'Pipeline failed');
+                        const { code = 'ANALYSIS_FAILED', message, retryable = false } = pipelineResult.error || {};
+                        throw new AnalysisError(code, message, { retryable });
                     }
                 } else {
                     // Fallback to direct analysis
-                    result = await analyzeWithLogicEngine(imageData, {}, {
+                    result = await analyzeWithLogicEngine(imageData, { subject, gradeLevel }, {
                         mode: analysisMode,
                         imageQuality: quality,
-                        previousPages: tracker.getAnalyzedPages().map(p => ({
-                            analysisResult: p.analysisResult,
-                            summary: p.analysisResult?.overallAssessment?.summary,
-                        })),
+                        knownAnswers,
+                        rubric,
+                        feedbackStyle,
+                        modelSettings,
+                        onProgress: onEvent ? passEventEmitter(onEvent) : null,
+                        persist,
+                        previousPages,
                     });
                 }
 
+                if (result && redaction) result = { ...result, studentToken: redaction.token };
                 if (state.activePage) tracker.markComplete(state.activePage.id, result);
 
                 const synthesis = reasonerRef.current.synthesize(tracker.getAnalyzedPages());
@@ -250,16 +316,36 @@ export default function useSmartScanner(videoRef, config = {}) {
                 }));
 
                 return { success: true, pageId: state.activePage?.id, image: imageData, result };
-            } catch (err) {
+            } catch (caught) {
+                const err = toAnalysisError(caught);
+                // Offline, service down or over quota: hand the redacted capture back so the caller can queue it
+                if (analysisMode !== 'answer_key' && err.retryable) {
+                    if (state.activePage) tracker.markFailed(state.activePage.id, 'Pending analysis');
+                    setState(prev => ({ ...prev, mode: 'SCANNING', analysisError: null }));
+                    return {
+                        success: false,
+                        reason: 'queued',
+                        code: err.code,
+                        error: err.message,
+                        pending: {
+                            image: imageData,
+                            quad: detection.quad ? [...detection.quad] : null,
+                            redaction: redaction && { region: redaction.region, method: redaction.method },
+                            studentToken: redaction?.token || null,
+                            analysisOptions: { mode: analysisMode, knownAnswers, rubric, feedbackStyle, subject, gradeLevel, modelSettings, previousPages },
+                            metadata: { qualityScore: quality.overallScore ?? 1 },
+                        },
+                    };
+                }
                 console.error('[SmartScanner] Analysis failed:', err);
                 if (state.activePage) tracker.markFailed(state.activePage.id, err.message);
                 setState(prev => ({ ...prev, mode: 'SCANNING', analysisError: err.message }));
-                return { success: false, reason: 'analysis_failed', error: err.message };
+                return { success: false, reason: 'analysis_failed', code: err.code, error: err.message };
             }
         }
 
-        return { success: true, pageId: state.activePage?.id, image: imageData };
-    }, [videoRef, checkCaptureQuality, enhanceImages, autoAnalyze, analysisMode, state.activePage, state.readiness, detection.quad]);
+        return { success: true, pageId: state.activePage?.id, image: imageData, studentToken: redaction?.token || null };
+    }, [videoRef, checkCaptureQuality, enhanceImages, autoAnalyze, analysisMode, knownAnswers, rubric, feedbackStyle, subject, gradeLevel, modelSettings, onEvent, sessionId, assignmentId, previousPages, state.activePage, state.readiness, detection.quad, detection.scale]);
 
     // ── Auto-capture on stability ───────────────────────────
     useEffect(() => {
@@ -1,5 +1,5 @@
 // ═══════════════════════════════════════════════════════════
-//  LAYER 2: ANALYSIS ENGINE — Multi-Pass Gemini w/ Adaptive Intelligence
+//  LAYER 2: ANALYSIS ENGINE — Multi-Pass Vision Model w/ Adaptive Intelligence
 //  + Defense-in-Depth Validation Pipeline (Phase 10)
 // ═══════════════════════════════════════════════════════════
 
@@ -7,28 +7,35 @@ import { AdaptivePromptEngine } from '../utils/AdaptivePromptEngine';
 import { ConfidenceCalibrator } from '../utils/ConfidenceCalibrator';
 import { PreFlightCheck } from '../utils/PreFlightCheck';
 import { SmartMock } from '../utils/SmartMock';
+import { DIVERGENCE_ERROR_TYPES, DOCUMENT_TYPES, passResponseSchema, storedResultJsonSchema, validatePassOutput } from './schema';
+import { isStructuredRubric, normalizeCriterionScores } from './rubric';
+import { resolveModelSettings, hasDirectAccess, callProviderDirect } from './modelProviders';
+import { AnalysisError, errorFromStatus, parseErrorBody, toAnalysisError } from './analysisErrors';
+import { checkResult } from './stepVerifier';
+import { APP_MODE, isSimulatedMode } from './appMode';
+import { timeStage, passEventEmitter } from './pipelineEvents';
 
-const GEMINI_API_KEY = import.meta.env.VITE_GEMINI_API_KEY;
-const GEMINI_URL = `https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent?key=${GEMINI_API_KEY}`;
-const USE_MOCK = import.meta.env.VITE_MOCK_API === 'true';
 const SUPABASE_URL = import.meta.env.VITE_SUPABASE_URL;
 const SUPABASE_ANON_KEY = import.meta.env.VITE_SUPABASE_ANON_KEY;
 const USE_EDGE_FUNCTION = Boolean(SUPABASE_URL && SUPABASE_ANON_KEY);
 
+const MAX_REPAIR_ATTEMPTS = 2;   // re-prompts per pass after the first response fails validation
+const SERVER_PASSES = ['structure', 'extraction', 'verification'];
+
 const promptEngine = new AdaptivePromptEngine();
 const calibrator = new ConfidenceCalibrator();
 const preFlightCheck = new PreFlightCheck();
 const smartMock = new SmartMock();
 
-// ─── Mock data for dev / no-API fallback ───────────────────
+// ─── Fixtures for demo / test mode (never used in production) ───
 const MOCK_RESULT = {
     score: 78,
     isCorrect: false,
     logicTrace: [
-        { step: 1, content: 'Correct equation selected (kinematic)', isValid: true, note: null },
-        { step: 2, content: 'Correct substitution of known values', isValid: true, note: null },
-        { step: 3, content: 'Arithmetic error: 9.8 × 2 computed as 18.6', isValid: false, note: 'Should be 19.6' },
-        { step: 4, content: 'Conclusion carried forward from error', isValid: false, note: null },
+        { step: 1, content: 'Correct equation selected (kinematic)', isValid: true, note: null, latex: 'v = v_0 + a t' },
+        { step: 2, content: 'Correct substitution of known values', isValid: true, note: null, latex: 'v = 0 + 9.8 \\times 2' },
+        { step: 3, content: 'Arithmetic error: 9.8 × 2 computed as 18.6', isValid: false, note: 'Should be 19.6', latex: 'v = 18.6' },
+        { step: 4, content: 'Conclusion carried forward from error', isValid: false, note: null, latex: 'v = 18.6\\,\\mathrm{m/s}' },
     ],
     divergencePoint: {
         step: 3,
@@ -39,14 +46,28 @@ const MOCK_RESULT = {
     confidence: 0.91,
 };
 
-/**
- * Call Gemini via Supabase Edge Function (hides API key). Used when Supabase is configured.
- * Uses session JWT when user is logged in so Edge Function can enforce auth if needed.
- */
-async function callGeminiViaEdgeFunction(imageBase64, prompt) {
+const MOCK_ANSWER_KEY = {
+    items: [
+        { questionId: 'Q1', expectedAnswer: 'v = u + at', points: 2, acceptedAlternatives: ['v = at + u'] },
+        { questionId: 'Q2', expectedAnswer: '19.6 m/s', points: 4, acceptedAlternatives: ['19.6'] },
+        { questionId: 'Q3', expectedAnswer: '19.6 m', points: 4, acceptedAlternatives: [] },
+    ],
+};
+
+/** Session JWT for the analysis Edge Functions, which require a signed-in user. */
+async function edgeFunctionToken() {
     const { getAuthToken } = await import('./storageLayer');
     const token = await getAuthToken();
-    if (!token) throw new Error('Not configured');
+    if (!token) throw new AnalysisError('AUTH_REQUIRED');
+    return token;
+}
+
+/**
+ * Call the vision model via Supabase Edge Function (keys stay server-side). Used when Supabase is configured.
+ * Sends the session JWT: the function meters usage per user and school.
+ */
+async function callModelViaEdgeFunction(imageBase64, prompt, settings, responseSchema) {
+    const token = await edgeFunctionToken();
     const url = `${SUPABASE_URL.replace(/\/$/, '')}/functions/v1/analyze-document`;
     const res = await fetch(url, {
         method: 'POST',
@@ -54,72 +75,157 @@ async function callGeminiViaEdgeFunction(imageBase64, prompt) {
             'Content-Type': 'application/json',
             'Authorization': `Bearer ${token}`,
         },
-        body: JSON.stringify({ imageBase64, prompt }),
+        body: JSON.stringify({
+            imageBase64,
+            prompt,
+            provider: settings.provider,
+            model: settings.model,
+            generation: { temperature: settings.temperature, maxTokens: settings.maxTokens },
+            responseSchema,
+        }),
     });
     if (!res.ok) {
-        const err = await res.text();
-        throw new Error(`Analysis service error ${res.status}: ${err}`);
+        const detail = await res.text();
+        const body = parseErrorBody(detail);
+        if (body?.code === 'INVALID_MODEL_OUTPUT') {
+            // The model answered but not with JSON — hand the raw text back for repair
+            throw new AnalysisError('INVALID_MODEL_OUTPUT', body.error, { details: { rawOutput: body.raw ?? '' } });
+        }
+        throw errorFromStatus(res.status, detail);
     }
     return res.json();
 }
 
 /**
- * Call Gemini vision API directly (dev only; key exposed in client).
+ * Call the configured vision model with a base64 image and a text prompt.
+ * Prefers Edge Function when Supabase is configured (keys stay server-side);
+ * otherwise calls the provider directly (dev only).
+ *
+ * @param {ReturnType<typeof resolveModelSettings>} settings — provider, model, generation
+ * @param {{ name: string, schema: object }|null} [responseSchema] — JSON Schema the response must follow
  */
-async function callGeminiDirect(imageBase64, prompt) {
-    const base64Data = imageBase64.includes(',') ? imageBase64.split(',')[1] : imageBase64;
-    const body = {
-        contents: [{
-            parts: [
-                { inline_data: { mime_type: 'image/jpeg', data: base64Data } },
-                { text: prompt },
-            ],
-        }],
-        generationConfig: {
-            temperature: 0.1,
-            responseMimeType: 'application/json',
-        },
-    };
-    const res = await fetch(GEMINI_URL, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(body),
-    });
-    if (!res.ok) {
-        const err = await res.text();
-        throw new Error(`Gemini API error ${res.status}: ${err}`);
+async function callModel(imageBase64, prompt, settings, responseSchema = null) {
+    if (USE_EDGE_FUNCTION) {
+        return callModelViaEdgeFunction(imageBase64, prompt, settings, responseSchema);
+    }
+    return callProviderDirect(imageBase64, prompt, settings, responseSchema);
+}
+
+// ─── Schema-enforced passes ──────────────────────────────
+// Per-pass counters since page load: how often the first response was valid,
+// needed repair, or failed for good, and which fields broke.
+const validationMetrics = new Map();
+
+function recordValidation(pass, attempts, issues, valid) {
+    if (!validationMetrics.has(pass)) {
+        validationMetrics.set(pass, { calls: 0, validFirstTry: 0, repaired: 0, failed: 0, repairAttempts: 0, issues: {} });
     }
-    const data = await res.json();
-    const text = data.candidates?.[0]?.content?.parts?.[0]?.text;
-    if (!text) throw new Error('Empty response from Gemini');
-    return parseJSON(text);
+    const m = validationMetrics.get(pass);
+    m.calls++;
+    m.repairAttempts += attempts - 1;
+    if (!valid) m.failed++;
+    else if (attempts > 1) m.repaired++;
+    else m.validFirstTry++;
+    for (const issue of issues) m.issues[issue.path] = (m.issues[issue.path] || 0) + 1;
 }
 
 /**
- * Call Gemini vision API with a base64 image and a text prompt.
- * Prefers Edge Function when Supabase is configured (key stays server-side).
+ * Snapshot of per-pass validation metrics.
+ * @returns {Object<string, { calls, validFirstTry, repaired, failed, repairAttempts, issues: Object<string, number> }>}
  */
-async function callGemini(imageBase64, prompt) {
-    if (USE_EDGE_FUNCTION) {
-        return callGeminiViaEdgeFunction(imageBase64, prompt);
+export function getValidationMetrics() {
+    return Object.fromEntries([...validationMetrics].map(([pass, m]) => [pass, { ...m, issues: { ...m.issues } }]));
+}
+
+function repairPrompt(prompt, rawOutput, issues) {
+    const previous = typeof rawOutput === 'string' ? rawOutput : JSON.stringify(rawOutput, null, 2);
+    return `${prompt}
+
+# Repair
+Your previous response did not match the required JSON schema:
+${issues.map(i => `- ${i.path}: ${i.message}`).join('\n')}
+
+Previous response:
+${previous.slice(0, 6000)}
+
+Return the corrected JSON only — same content, fixed to match the schema.`;
+}
+
+/**
+ * Call the model for one pass and validate the response against the pass's
+ * schema. Invalid responses get up to MAX_REPAIR_ATTEMPTS re-prompts listing
+ * the validation errors; after that the pass fails with SCHEMA_VALIDATION_FAILED
+ * and the last raw response is logged to analysis_errors.
+ *
+ * @param {string} pass — key of PASS_SCHEMAS
+ * @param {{ log?: Array, onProgress?: Function }} [run] — per-analysis state:
+ *        { pass, attempts, valid, issues } is appended to `log`; `onProgress`
+ *        gets { pass, status: 'started'|'repairing'|'done'|'failed', attempt? }
+ * @returns {Promise<object>} validated data
+ */
+async function callPass(pass, imageBase64, prompt, model, run = {}) {
+    const responseSchema = { name: pass, schema: passResponseSchema(pass) };
+    const seenIssues = [];
+    let raw = null;
+    let issues = [];
+
+    run.onProgress?.({ pass, status: 'started' });
+    for (let attempt = 1; attempt <= MAX_REPAIR_ATTEMPTS + 1; attempt++) {
+        if (attempt > 1) run.onProgress?.({ pass, status: 'repairing', attempt });
+        const request = attempt === 1 ? prompt : repairPrompt(prompt, raw, issues);
+        try {
+            raw = await callModel(imageBase64, request, model, responseSchema);
+            const validation = validatePassOutput(pass, raw);
+            if (validation.success) {
+                recordValidation(pass, attempt, seenIssues, true);
+                run.log?.push({ pass, attempts: attempt, valid: true, issues: seenIssues.length });
+                run.onProgress?.({ pass, status: 'done' });
+                return validation.data;
+            }
+            issues = validation.issues;
+        } catch (err) {
+            if (err.code !== 'INVALID_MODEL_OUTPUT') throw err;
+            raw = err.details.rawOutput;
+            issues = [{ path: '(root)', message: 'Response was not valid JSON' }];
+        }
+        seenIssues.push(...issues);
+        console.warn(`[Lymbic] ${pass} pass: invalid response (attempt ${attempt})`, issues);
     }
-    return callGeminiDirect(imageBase64, prompt);
+
+    recordValidation(pass, MAX_REPAIR_ATTEMPTS + 1, seenIssues, false);
+    run.log?.push({ pass, attempts: MAX_REPAIR_ATTEMPTS + 1, valid: false, issues: seenIssues.length });
+    run.onProgress?.({ pass, status: 'failed' });
+
+    const summary = issues.slice(0, 3).map(i => `${i.path}: ${i.message}`).join('; ');
+    const { logAnalysisError } = await import('./storageLayer');
+    await logAnalysisError({
+        raw_response: typeof raw === 'string' ? raw : JSON.stringify(raw),
+        error: `${pass} pass failed schema validation after ${MAX_REPAIR_ATTEMPTS} repairs: ${summary}`,
+        capture_metadata: { pass, issues, model: { provider: model.provider, model: model.model } },
+    }).catch(e => console.warn('[Lymbic] Log analysis error failed:', e));
+
+    throw new AnalysisError('SCHEMA_VALIDATION_FAILED', `The ${pass} pass returned invalid output: ${summary}`, {
+        details: { pass, issues },
+    });
 }
 
 /**
- * Safely extract JSON from model output.
+ * Drop any student identity the model returned despite the redacted header.
+ * The pseudonymous token is attached on-device by the scanner, never here.
  */
-function parseJSON(text) {
-    const match = text.match(/\{[\s\S]*\}/);
-    if (!match) throw new Error('No JSON found in response');
-    return JSON.parse(match[0]);
+function stripIdentity(studentInfo) {
+    if (!studentInfo) return studentInfo;
+    const rest = { ...studentInfo };
+    delete rest.name;
+    delete rest.studentName;
+    delete rest.fullName;
+    return rest;
 }
 
 // ═══════════════════════════════════════════════════════════
 //  PASS 1 — Structure: Detect document type
 // ═══════════════════════════════════════════════════════════
-async function detectStructure(imageBase64) {
-    const prompt = `Analyze this document image and describe its structure in JSON:
+const STRUCTURE_PROMPT = `Analyze this document image and describe its structure in JSON:
 {
   "documentType": "WORKSHEET|ESSAY|TEST|MATH|DRAWING",
   "sections": [{"type": "header|questions|answers|work", "location": "top|middle|bottom", "count": 0}],
@@ -127,27 +233,34 @@ async function detectStructure(imageBase64) {
   "hasHandwriting": false,
   "overallReadability": 0.0
 }`;
-    return callGemini(imageBase64, prompt);
+
+async function detectStructure(imageBase64, model, run) {
+    return callPass('structure', imageBase64, STRUCTURE_PROMPT, model, run);
 }
 
 // ═══════════════════════════════════════════════════════════
 //  PASS 2 — Extraction: Full analysis with adaptive prompt
 // ═══════════════════════════════════════════════════════════
-async function adaptiveExtraction(imageBase64, options = {}) {
+async function extractionPrompt(options) {
     const { prompt } = await promptEngine.generate({
         detectedType: options.documentType,
         imageAnalysis: options.imageQuality,
         previousPages: options.previousPages || [],
         rubric: options.rubric,
+        knownAnswers: options.knownAnswers,
         feedbackStyle: options.feedbackStyle || 'constructive',
     });
-    return callGemini(imageBase64, prompt);
+    return prompt;
+}
+
+async function adaptiveExtraction(imageBase64, model, run, options = {}) {
+    return callPass('extraction', imageBase64, await extractionPrompt(options), model, run);
 }
 
 // ═══════════════════════════════════════════════════════════
 //  PASS 3 — Verification: Re-examine low-confidence items
 // ═══════════════════════════════════════════════════════════
-async function verifyLowConfidence(imageBase64, lowItems) {
+async function verifyLowConfidence(imageBase64, lowItems, model, run) {
     if (!lowItems.length) return null;
 
     const prompt = `Re-examine these specific questions and provide your best interpretation:
@@ -160,7 +273,115 @@ Respond with JSON:
   ]
 }`;
 
-    return callGemini(imageBase64, prompt);
+    return callPass('verification', imageBase64, prompt, model, run);
+}
+
+// ═══════════════════════════════════════════════════════════
+//  ANSWER KEY — Extract reference answers from the teacher's key
+// ═══════════════════════════════════════════════════════════
+async function extractAnswerKey(imageBase64, model, onProgress) {
+    const prompt = `This image is a teacher's ANSWER KEY, not student work. Extract the expected answer for every question.
+
+For each question give:
+- questionId: the label as printed (e.g. "1", "2a", "Q3")
+- expectedAnswer: the correct answer exactly as written on the key
+- points: the points the question is worth (use 1 if not shown)
+- acceptedAlternatives: other answers the key marks as acceptable (equivalent forms, units, spellings)
+
+Respond with JSON:
+{
+  "items": [
+    {"questionId": "...", "expectedAnswer": "...", "points": 1, "acceptedAlternatives": []}
+  ]
+}`;
+
+    const run = { log: [], onProgress };
+    const key = await callPass('answerKey', imageBase64, prompt, model, run);
+    return { ...key, _answerKey: true, _validation: run.log, timestamp: Date.now() };
+}
+
+// ═══════════════════════════════════════════════════════════
+//  SERVER-SIDE GRADING — grade-document Edge Function
+// ═══════════════════════════════════════════════════════════
+
+/** Newline-delimited JSON events from a streamed response body. */
+async function* readEvents(body) {
+    const reader = body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+    for (;;) {
+        const { value, done } = await reader.read();
+        if (value) buffer += value;
+        const lines = buffer.split('\n');
+        buffer = done ? '' : lines.pop();
+        for (const line of lines) {
+            if (line.trim()) yield JSON.parse(line);
+        }
+        if (done) return;
+    }
+}
+
+/**
+ * Full-mode grading in one request: the image goes up once and the
+ * grade-document Edge Function runs structure → extraction → verification,
+ * streaming pass events back. The extraction prompt is rendered here for every
+ * document type, and the calibrator's history sent along, because the learning
+ * state from teacher corrections lives on the client. With `persist` and a
+ * signed-in teacher the function also stores the trace; the result then
+ * carries `_persistedTraceId` and normalizeAndStore does not insert it again.
+ *
+ * @param {object} options — analyzeWithLogicEngine options
+ * @returns {Promise<object>} same shape as the local full-mode result
+ */
+async function gradeViaEdgeFunction(imageBase64, model, options) {
+    const token = await edgeFunctionToken();
+
+    const extraction = {};
+    for (const documentType of DOCUMENT_TYPES) {
+        extraction[documentType] = await extractionPrompt({ ...options, documentType });
+    }
+
+    const url = `${SUPABASE_URL.replace(/\/$/, '')}/functions/v1/grade-document`;
+    const res = await fetch(url, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${token}`,
+        },
+        body: JSON.stringify({
+            imageBase64,
+            provider: model.provider,
+            model: model.model,
+            generation: { temperature: model.temperature, maxTokens: model.maxTokens },
+            prompts: { structure: STRUCTURE_PROMPT, extraction },
+            schemas: {
+                ...Object.fromEntries(SERVER_PASSES.map(pass => [pass, passResponseSchema(pass)])),
+                stored: storedResultJsonSchema(),
+            },
+            imageQuality: options.imageQuality ? { overallScore: options.imageQuality.overallScore } : null,
+            historicalAccuracy: calibrator.getHistoricalAccuracy(DOCUMENT_TYPES),
+            rubric: isStructuredRubric(options.rubric) ? options.rubric : null,
+            persist: options.persist || null,
+        }),
+    });
+    if (!res.ok) throw errorFromStatus(res.status, await res.text());
+
+    let outcome = null;
+    for await (const event of readEvents(res.body)) {
+        if (event.type === 'pass') options.onProgress?.({ pass: event.pass, status: event.status, attempt: event.attempt });
+        else outcome = event;
+    }
+
+    if (!outcome) throw errorFromStatus(502, 'The grading stream ended before a result');
+    if (outcome.type === 'error') {
+        if (outcome.code === 'SCHEMA_VALIDATION_FAILED') {
+            throw new AnalysisError(outcome.code, outcome.error, { details: { pass: outcome.pass, issues: outcome.issues } });
+        }
+        throw errorFromStatus(outcome.status, JSON.stringify(outcome));
+    }
+    if (outcome.persistError) console.warn('[Lymbic] Server could not store the trace, storing locally:', outcome.persistError);
+
+    for (const entry of outcome.result._validation || []) recordValidation(entry.pass, entry.attempts, [], entry.valid);
+    return outcome.traceId ? { ...outcome.result, _persistedTraceId: outcome.traceId } : outcome.result;
 }
 
 // ═══════════════════════════════════════════════════════════
@@ -172,49 +393,57 @@ Respond with JSON:
  *
  * @param {string} imageBase64
  * @param {object} problemContext  — { subject, grade, ... }
- * @param {object} [options]       — { mode, imageQuality, previousPages, rubric, feedbackStyle }
+ * @param {object} [options]       — { mode, imageQuality, previousPages, rubric, feedbackStyle, knownAnswers, modelSettings, onProgress, persist }
+ *                                   mode: 'full' | 'quick' | 'answer_key'
+ *                                   modelSettings: assignment's { provider, model, temperature } (deployment default when omitted)
+ *                                   onProgress: called with { pass, status, attempt? } as each model pass runs
+ *                                   persist: { sessionId, assignmentId, studentToken, captureQuality } — lets
+ *                                            server-side grading store the trace itself
  * @returns {Promise<object>}
  */
 export async function analyzeWithLogicEngine(imageBase64, problemContext = {}, options = {}) {
-    const { mode = 'full', imageQuality = null, previousPages = [], rubric = null, feedbackStyle } = options;
-
-    const canCallGemini = USE_EDGE_FUNCTION || Boolean(GEMINI_API_KEY);
+    const { mode = 'full', imageQuality = null, previousPages = [], rubric = null, feedbackStyle, knownAnswers = null, onProgress = null } = options;
 
-    // No way to call Gemini (no Edge Function, no client key) AND not using smart mock → static fallback
-    if (!canCallGemini && !USE_MOCK) {
-        console.warn('[Lymbic] No Supabase Edge Function and no VITE_GEMINI_API_KEY — using mock analysis');
-        await new Promise(r => setTimeout(r, 2200));
-        return { ...MOCK_RESULT, _mock: true, timestamp: Date.now() };
+    // Demo / test: simulated results, marked so storage refuses them
+    if (isSimulatedMode()) {
+        return simulatedAnalysis({ image: imageBase64 }, mode);
     }
 
-    // Smart mock mode — quality-aware probabilistic responses (when explicitly enabled and no backend)
-    if (USE_MOCK && !canCallGemini) {
-        console.log('[Lymbic] Smart mock mode');
-        const mockResult = await smartMock.analyze({ image: imageBase64 });
-        if (!mockResult.success) {
-            return { ...MOCK_RESULT, _mock: true, _smartMockError: mockResult.error, timestamp: Date.now() };
-        }
-        return { ...MOCK_RESULT, ...mockResult.analysis, _mock: true, _smartMock: true, timestamp: Date.now() };
+    const model = resolveModelSettings(options.modelSettings);
+    if (!USE_EDGE_FUNCTION && !hasDirectAccess(model.provider)) {
+        throw new AnalysisError('ANALYSIS_UNAVAILABLE', `No analysis service is configured (no Supabase Edge Function and no client credentials for ${model.provider}).`);
     }
 
     try {
+        // ── Answer key mode: extract reference answers ─────
+        if (mode === 'answer_key') {
+            return await extractAnswerKey(imageBase64, model, onProgress);
+        }
+
         // ── Quick mode: legacy 2-pass ──────────────────────
         if (mode === 'quick') {
-            return await _legacyAnalysis(imageBase64, problemContext);
+            return await _legacyAnalysis(imageBase64, problemContext, model, knownAnswers, onProgress);
         }
 
         // ── Full mode: 3-pass adaptive ─────────────────────
+        // With Supabase the passes run in one Edge Function call
+        if (USE_EDGE_FUNCTION) {
+            return await gradeViaEdgeFunction(imageBase64, model, options);
+        }
+
         // Pass 1: Structure detection
-        const structure = await detectStructure(imageBase64);
+        const run = { log: [], onProgress };
+        const structure = await detectStructure(imageBase64, model, run);
         const docType = structure.documentType || 'WORKSHEET';
 
         // Pass 2: Adaptive extraction
-        const extraction = await adaptiveExtraction(imageBase64, {
+        const extraction = await adaptiveExtraction(imageBase64, model, run, {
             documentType: docType,
             imageQuality,
             previousPages,
             rubric,
             feedbackStyle,
+            knownAnswers,
         });
 
         // Pass 3: Verify low-confidence items
@@ -224,9 +453,11 @@ export async function analyzeWithLogicEngine(imageBase64, problemContext = {}, o
         let finalResponses = extraction.responses || [];
         let verificationRan = false;
 
-        if (lowConf.length > 0) {
+        if (!lowConf.length) {
+            onProgress?.({ pass: 'verification', status: 'skipped' });
+        } else {
             try {
-                const verification = await verifyLowConfidence(imageBase64, lowConf);
+                const verification = await verifyLowConfidence(imageBase64, lowConf, model, run);
                 if (verification?.verifications) {
                     verificationRan = true;
                     finalResponses = finalResponses.map(r => {
@@ -235,6 +466,8 @@ export async function analyzeWithLogicEngine(imageBase64, problemContext = {}, o
                             return {
                                 ...r,
                                 studentAnswer: v.revisedAnswer || r.studentAnswer,
+                                // A revised reading makes the extracted LaTeX stale
+                                answerLatex: v.revisedAnswer && v.revisedAnswer !== r.studentAnswer ? null : r.answerLatex,
                                 confidence: { ...r.confidence, verified: v.confidence },
                                 verificationNotes: v.notes,
                             };
@@ -247,31 +480,47 @@ export async function analyzeWithLogicEngine(imageBase64, problemContext = {}, o
             }
         }
 
+        // Re-check the work shown deterministically, before any feedback reaches a student
+        const stepCheck = checkResult({
+            logicTrace: finalResponses.map((r, i) => ({
+                step: i + 1,
+                content: `${r.questionId}: ${r.studentAnswer || '[no answer]'}`,
+                isValid: r.isCorrect === true,
+                note: r.feedback || null,
+                latex: r.answerLatex || null,
+                region: r.answerRegion || r.questionRegion || null,
+            })),
+            responses: finalResponses,
+        });
+
         // Calibrate confidence
-        const calibratedConfidence = calibrator.calibrate({
+        const calibratedConfidence = calibrator.applyStepCheck(calibrator.calibrate({
             rawAIConfidence: extraction.confidence?.overall,
             imageQuality,
             responses: finalResponses,
             documentType: docType,
-        });
+        }), stepCheck.summary);
+
+        // Rubric criteria: one score per criterion, checked against the assignment's rubric
+        const criterionScores = normalizeCriterionScores(extraction.criterionScores, rubric);
+        const rubricPossible = criterionScores.reduce((s, c) => s + c.possible, 0);
+        const rubricPercent = rubricPossible
+            ? Math.round((criterionScores.reduce((s, c) => s + c.points, 0) / rubricPossible) * 100)
+            : null;
 
         // Build backward-compatible result
         const result = {
             // Legacy fields for existing ResultsDashboard
-            score: extraction.overallAssessment?.score ?? extraction.score ?? 0,
+            score: extraction.overallAssessment?.score ?? extraction.score ?? rubricPercent ?? 0,
             isCorrect: (extraction.overallAssessment?.score ?? 0) >= 70,
-            logicTrace: finalResponses.map((r, i) => ({
-                step: i + 1,
-                content: `${r.questionId}: ${r.studentAnswer || '[no answer]'}`,
-                isValid: r.isCorrect === true,
-                note: r.feedback || null,
-            })),
+            logicTrace: stepCheck.logicTrace,
             divergencePoint: (() => {
                 const firstError = finalResponses.find(r => r.isCorrect === false);
                 if (!firstError) return null;
                 return {
                     step: finalResponses.indexOf(firstError) + 1,
-                    errorType: firstError.errorType || 'UNKNOWN',
+                    // Outside the schema's enum (or missing) → NONE, the type is undetermined
+                    errorType: DIVERGENCE_ERROR_TYPES.includes(firstError.errorType) ? firstError.errorType : 'NONE',
                     explanation: firstError.feedback || 'Error detected',
                 };
             })(),
@@ -283,41 +532,67 @@ export async function analyzeWithLogicEngine(imageBase64, problemContext = {}, o
             _structured: {
                 documentType: docType,
                 documentStructure: structure,
-                responses: finalResponses,
+                responses: stepCheck.responses,
+                criterionScores,
                 overallAssessment: extraction.overallAssessment,
                 calibratedConfidence,
                 pageAnalysis: extraction.pageAnalysis,
-                studentInfo: extraction.studentInfo,
-                flags: extraction.flags || [],
+                studentInfo: stripIdentity(extraction.studentInfo),
+                flags: [...(extraction.flags || []), ...stepCheck.flags],
             },
             _passes: { structure: true, extraction: true, verification: verificationRan },
-            _recognition: extraction,
+            _model: { provider: model.provider, model: model.model },
+            _validation: run.log,
+            _recognition: { ...extraction, studentInfo: stripIdentity(extraction.studentInfo) },
             timestamp: Date.now(),
         };
 
         return result;
     } catch (err) {
-        console.error('[Lymbic] Analysis failed, falling back to mock:', err);
-        return { ...MOCK_RESULT, _mock: true, _error: err.message, timestamp: Date.now() };
+        // Every failure surfaces as a typed error — never as a fabricated grade
+        const error = toAnalysisError(err);
+        if (!error.retryable) console.error(`[Lymbic] Analysis failed (${error.code}):`, err);
+        throw error;
     }
 }
 
+/**
+ * Demo / test stand-in for a model call. Test mode returns the fixed fixture
+ * immediately; demo mode simulates latency and quality-dependent answers.
+ * Results are marked `_demo` / `_test` (and `_mock`) so the UI watermarks them
+ * and storage refuses them.
+ *
+ * @param {{ image, quad?, readiness? }} capture
+ */
+async function simulatedAnalysis(capture, mode) {
+    const marker = { _mock: true, [APP_MODE === 'demo' ? '_demo' : '_test']: true, timestamp: Date.now() };
+    if (mode === 'answer_key') return { ...MOCK_ANSWER_KEY, _answerKey: true, ...marker };
+    if (APP_MODE === 'test') return { ...MOCK_RESULT, ...marker };
+
+    const mockResult = await smartMock.analyze(capture);
+    if (!mockResult.success) return { ...MOCK_RESULT, _smartMockError: mockResult.error, ...marker };
+    return { ...MOCK_RESULT, ...mockResult.analysis, _smartMock: true, _warnings: mockResult.warnings || [], ...marker };
+}
+
 /**
  * Legacy 2-pass analysis (quick mode).
  */
-async function _legacyAnalysis(imageBase64, problemContext) {
+async function _legacyAnalysis(imageBase64, problemContext, model, knownAnswers = null, onProgress = null) {
     const recogPrompt = `You are an expert at reading handwritten student math/science work.
 
 Transcribe this worksheet image exactly as written. Include all steps, crossed-out work, and margin annotations.
+For each line also give its LaTeX exactly as written (mistakes included, no surrounding $), or null for prose.
 
 Return ONLY valid JSON:
 {
   "transcription": ["step 1 text", "step 2 text"],
+  "latex": ["step 1 LaTeX", null],
   "problemType": "algebra | calculus | physics | chemistry | geometry | other",
   "confidence": 0.0
 }`;
 
-    const recognition = await callGemini(imageBase64, recogPrompt);
+    const run = { log: [], onProgress };
+    const recognition = await callPass('recognition', imageBase64, recogPrompt, model, run);
 
     const evalPrompt = `You are a logic-trace analyst for Lymbic.
 
@@ -325,24 +600,29 @@ Trace the exact cognitive pathway and identify WHERE logic diverged.
 
 Student's transcribed work:
 ${JSON.stringify(recognition.transcription, null, 2)}
-
-Subject: ${problemContext?.subject || 'General'}
-
+${recognition.latex.some(Boolean) ? `\nThe same lines as LaTeX:\n${JSON.stringify(recognition.latex, null, 2)}\n` : ''}
+Subject: ${problemContext?.subject || 'General'}${problemContext?.gradeLevel ? `\nGrade level: ${problemContext.gradeLevel}` : ''}
+${knownAnswers ? `\nAnswer key (grade against this, not your own solution):\n${JSON.stringify(knownAnswers, null, 2)}\n` : ''}
 Error types: COMPUTATIONAL | PROCEDURAL | CONCEPTUAL | TRANSCRIPTION | NONE
+For each step, "region" is where that line is written on the image: fractions (0-1) of the image width and height from the top-left corner, or null if you cannot place it.
 
 Return ONLY valid JSON:
 {
   "score": 0,
   "isCorrect": false,
-  "logicTrace": [{"step": 1, "content": "...", "isValid": true, "note": null}],
+  "logicTrace": [{"step": 1, "content": "...", "isValid": true, "note": null, "latex": "the student's line for this step as LaTeX, or null", "region": {"x": 0.0, "y": 0.0, "width": 0.0, "height": 0.0}}],
   "divergencePoint": {"step": 1, "errorType": "COMPUTATIONAL", "explanation": "..."},
   "remediation": "...",
   "confidence": 0.0
 }`;
 
-    const evaluation = await callGemini(imageBase64, evalPrompt);
+    const evaluation = await callPass('evaluation', imageBase64, evalPrompt, model, run);
 
-    return { ...evaluation, _recognition: recognition, timestamp: Date.now() };
+    // Re-check the steps the model judged; where they disagree, confidence drops
+    const stepCheck = checkResult(evaluation);
+    const { overall } = calibrator.applyStepCheck({ overall: evaluation.confidence, perQuestion: {}, factors: {} }, stepCheck.summary);
+
+    return { ...evaluation, logicTrace: stepCheck.logicTrace, confidence: overall, _stepCheck: { ...stepCheck.summary, flags: stepCheck.flags }, _recognition: recognition, _model: { provider: model.provider, model: model.model }, _validation: run.log, timestamp: Date.now() };
 }
 
 // ═══════════════════════════════════════════════════════════
@@ -360,7 +640,9 @@ const _createPipelineError = (code, message, details = {}) => ({
 const _validateResult = (result) => {
     const issues = [];
     if (!result) issues.push('Result is null');
-    else {
+    else if (result._answerKey) {
+        if (!result.items?.length) issues.push('Answer key has no items');
+    } else {
         if (!result.score && result.score !== 0 && !result.logicTrace) issues.push('Missing core fields');
         if (result.confidence === 1.0) issues.push('Suspiciously perfect confidence');
     }
@@ -369,100 +651,119 @@ const _validateResult = (result) => {
 
 /**
  * Run the full defense-in-depth analysis pipeline.
- * 6 gates: null → geometry → pre-flight → content → analysis → result validation.
+ * 6 gates: null → geometry → pre-flight → content (+ privacy) → analysis → result validation.
+ * With `options.onEvent`, every gate reports `running` then `passed` / `failed`
+ * (with its duration, warnings and failure message), and each model pass inside
+ * the analysis gate reports as a `pass` event — see lib/pipelineEvents.
  *
- * @param {object} capture         — { image, quad, timestamp, readinessScore }
+ * @param {object} capture         — { image, quad, timestamp, readinessScore, redaction }
  * @param {object} readinessState  — from ReadinessEngine.assess()
- * @param {object} [options]       — { subject, mode, ... }
+ * @param {object} [options]       — { subject, gradeLevel, mode, knownAnswers, rubric, feedbackStyle, modelSettings, onEvent, persist, previousPages, ... }
+ *                                   previousPages: earlier pages of the same submission, in order (see lib/submissionStore)
  * @returns {Promise<object>}
  */
 export async function runAnalysisPipeline(capture, readinessState, options = {}) {
     const pid = _generatePipelineId();
     const t0 = Date.now();
+    const onEvent = options.onEvent || null;
     console.log(`[Pipeline ${pid}] Starting`);
 
+    const abort = (endGate, code, message, details) => {
+        endGate('failed', { message });
+        return _createPipelineError(code, message, details);
+    };
+
     // ── GATE 1: Null / empty ───────────────────────────────
+    let endGate = timeStage(onEvent, 'gate', 'null');
     if (!capture) {
         console.error(`[Pipeline ${pid}] ABORT: No capture data`);
-        return _createPipelineError('NULL_CAPTURE', 'No capture data provided');
+        return abort(endGate, 'NULL_CAPTURE', 'No capture data provided');
     }
+    endGate('passed');
 
     // ── GATE 2: Geometry validation ────────────────────────
+    endGate = timeStage(onEvent, 'gate', 'geometry');
     if (!capture.quad || !Array.isArray(capture.quad) || capture.quad.length !== 4) {
         console.error(`[Pipeline ${pid}] ABORT: Invalid geometry`);
-        return _createPipelineError('INVALID_GEOMETRY', 'No valid document geometry. Position a document in frame.');
+        return abort(endGate, 'INVALID_GEOMETRY', 'No valid document geometry. Position a document in frame.');
     }
     for (let i = 0; i < 4; i++) {
         const p = capture.quad[i];
         if (!p || typeof p.x !== 'number' || typeof p.y !== 'number' || isNaN(p.x) || isNaN(p.y)) {
             console.error(`[Pipeline ${pid}] ABORT: Corrupt geometry at point ${i}`);
-            return _createPipelineError('CORRUPT_GEOMETRY', 'Document detection data is corrupt. Try again.');
+            return abort(endGate, 'CORRUPT_GEOMETRY', 'Document detection data is corrupt. Try again.');
         }
     }
+    endGate('passed');
 
     // ── GATE 3: Pre-flight check ──────────────────────────
     console.log(`[Pipeline ${pid}] Pre-flight checks…`);
+    endGate = timeStage(onEvent, 'gate', 'preflight');
     const pfResult = await preFlightCheck.run(capture, readinessState);
+    const pfWarnings = pfResult.warnings.map(w => w.reason);
     if (!pfResult.passed) {
         const primary = pfResult.failures[0];
         console.error(`[Pipeline ${pid}] ABORT: Pre-flight failed`, primary);
+        endGate('failed', { message: primary.reason || 'Pre-flight checks failed', warnings: pfWarnings });
         return _createPipelineError('PREFLIGHT_FAILED', primary.reason || 'Pre-flight checks failed', { preFlightResult: pfResult });
     }
-    if (pfResult.warnings.length > 0) {
-        console.warn(`[Pipeline ${pid}] Pre-flight warnings:`, pfResult.warnings.map(w => w.reason));
+    if (pfWarnings.length > 0) {
+        console.warn(`[Pipeline ${pid}] Pre-flight warnings:`, pfWarnings);
     }
+    endGate('passed', { warnings: pfWarnings });
 
     // ── GATE 4: Content validation ─────────────────────────
+    endGate = timeStage(onEvent, 'gate', 'content');
     if (readinessState?.factors?.edgeDensity !== undefined && readinessState.factors.edgeDensity < 0.05) {
         console.error(`[Pipeline ${pid}] ABORT: No content detected`);
-        return _createPipelineError('NO_CONTENT', 'Captured image appears blank or has no readable content.');
+        return abort(endGate, 'NO_CONTENT', 'Captured image appears blank or has no readable content.');
+    }
+
+    // Student work must have passed on-device name redaction before it is sent anywhere
+    if (options.mode !== 'answer_key' && !capture.redaction) {
+        console.error(`[Pipeline ${pid}] ABORT: Capture was not redacted`);
+        return abort(endGate, 'NOT_REDACTED', 'Student names could not be removed from this capture. Try again.');
     }
+    endGate('passed');
 
     // ── GATE 5: Execute analysis ──────────────────────────
     console.log(`[Pipeline ${pid}] All gates passed. Executing analysis…`);
-    let analysisResult;
+    endGate = timeStage(onEvent, 'gate', 'analysis');
+    let resultData;
     try {
-        if (USE_MOCK && !USE_EDGE_FUNCTION && !GEMINI_API_KEY) {
-            analysisResult = await smartMock.analyze({ ...capture, readiness: readinessState });
+        if (isSimulatedMode()) {
+            resultData = await simulatedAnalysis({ ...capture, readiness: readinessState }, options.mode);
         } else {
-            try {
-                // Try real analysis
-                const realResult = await analyzeWithLogicEngine(capture.image, options, { imageQuality: readinessState?.factors?.qualityEstimate });
-
-                // If real analysis returned a mock result (e.g. key missing/invalid), respect it
-                if (realResult._mock) {
-                    analysisResult = { success: true, analysis: realResult };
-                } else {
-                    analysisResult = { success: true, analysis: realResult };
-                }
-            } catch (networkErr) {
-                // Network/API failure → Fallback to SmartMock estimate
-                console.warn(`[Pipeline ${pid}] Network analysis failed, falling back to offline estimate:`, networkErr);
-                const offlineResult = await smartMock.analyze({ ...capture, readiness: readinessState });
-
-                analysisResult = {
-                    success: true,
-                    analysis: {
-                        ...offlineResult.analysis,
-                        _offlineEstimate: true,
-                        warnings: ['Network unavailable — result is an estimate based on image analysis']
-                    },
-                    warnings: ['Network unavailable — using offline estimate']
-                };
-            }
+            resultData = await analyzeWithLogicEngine(capture.image, options, {
+                mode: options.mode,
+                imageQuality: readinessState?.factors?.qualityEstimate,
+                knownAnswers: options.knownAnswers,
+                rubric: options.rubric,
+                feedbackStyle: options.feedbackStyle,
+                modelSettings: options.modelSettings,
+                onProgress: onEvent ? passEventEmitter(onEvent) : null,
+                persist: options.persist,
+                previousPages: options.previousPages || [],
+            });
         }
     } catch (err) {
-        console.error(`[Pipeline ${pid}] Analysis execution fatally failed:`, err);
-        return _createPipelineError('ANALYSIS_ERROR', err.message);
+        // Typed failure → pipeline error shape; retryable ones are queued by the caller, never estimated
+        const error = toAnalysisError(err);
+        if (error.retryable) console.warn(`[Pipeline ${pid}] Analysis unavailable (${error.code}), capture should be queued`);
+        else console.error(`[Pipeline ${pid}] Analysis failed (${error.code}):`, err);
+        return abort(endGate, error.code, error.message, { retryable: error.retryable, ...error.details });
     }
+    endGate('passed', { warnings: resultData._warnings || [] });
 
     // ── GATE 6: Result validation ─────────────────────────
-    const resultData = analysisResult.success ? (analysisResult.analysis || analysisResult) : null;
+    endGate = timeStage(onEvent, 'gate', 'validation');
     const validation = _validateResult(resultData);
-    if (!validation.valid && analysisResult.success) {
+    if (!validation.valid) {
         console.error(`[Pipeline ${pid}] ABORT: Invalid result`, validation);
+        endGate('failed', { message: 'Analysis produced invalid results. Try again.', warnings: validation.issues });
         return _createPipelineError('INVALID_RESULT', 'Analysis produced invalid results. Try again.', { validationIssues: validation.issues });
     }
+    endGate('passed');
 
     // ── SUCCESS ────────────────────────────────────────────
     const duration = Date.now() - t0;
@@ -475,8 +776,8 @@ export async function runAnalysisPipeline(capture, readinessState, options = {})
         preFlightResult: pfResult,
         analysis: resultData,
         result: resultData, // alias for backward compat
-        warnings: [...pfResult.warnings.map(w => w.reason), ...(analysisResult.warnings || [])],
-        meta: { usedMock: USE_MOCK, timestamp: Date.now(), readinessScore: readinessState?.score },
+        warnings: [...pfWarnings, ...(resultData._warnings || [])],
+        meta: { appMode: APP_MODE, usedMock: Boolean(resultData._mock), timestamp: Date.now(), readinessScore: readinessState?.score },
     };
 }
 
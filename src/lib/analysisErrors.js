@@ -0,0 +1,116 @@
+// ═══════════════════════════════════════════════════════════
+//  ANALYSIS ERRORS — Typed failures of the analysis service
+//  Every failure the engine surfaces carries one of these codes and
+//  travels through the pipeline error shape ({ code, message, retryable }).
+//  Retryable failures are queued by captureQueue instead of graded.
+// ═══════════════════════════════════════════════════════════
+
+export const ANALYSIS_ERROR_MESSAGES = {
+    NETWORK_UNAVAILABLE: 'No connection — the capture will be analyzed when you are back online.',
+    ANALYSIS_UNAVAILABLE: 'The analysis service is unavailable right now.',
+    AUTH_REQUIRED: 'Sign in to analyze captures.',
+    RATE_LIMITED: 'Too many analyses at once — the capture will be analyzed in a minute.',
+    QUOTA_EXCEEDED: 'The analysis quota is used up for now — the capture will be analyzed later.',
+    IMAGE_TOO_LARGE: 'The photo is too large to analyze. Retake it at a lower resolution.',
+    UNSUPPORTED_IMAGE: 'The photo format is not supported. Use JPEG, PNG or WebP.',
+    INVALID_MODEL_OUTPUT: 'The analysis service returned an unreadable response.',
+    SCHEMA_VALIDATION_FAILED: 'The analysis service returned an incomplete result.',
+    ANALYSIS_FAILED: 'Analysis failed. Try again.',
+};
+
+export class AnalysisError extends Error {
+    /**
+     * @param {keyof ANALYSIS_ERROR_MESSAGES} code
+     * @param {string} [message]
+     * @param {{ retryable?: boolean, status?: number, details?: object, cause?: unknown }} [options]
+     */
+    constructor(code, message = ANALYSIS_ERROR_MESSAGES[code], { retryable = false, status = null, details = {}, cause } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = 'AnalysisError';
+        this.code = code;
+        this.retryable = retryable;
+        this.status = status;
+        this.details = details;
+    }
+}
+
+/** Parsed `{ error, code, ... }` body of an Edge Function error, or null when it is not JSON. */
+export function parseErrorBody(detail) {
+    try {
+        const body = JSON.parse(detail);
+        return body && typeof body === 'object' ? body : null;
+    } catch {
+        return null;
+    }
+}
+
+// Edge Function codes (supabase/functions/_shared/http.ts) → client code and whether to retry later
+const SERVER_CODES = {
+    AUTH_REQUIRED: ['AUTH_REQUIRED', false],
+    RATE_LIMITED: ['RATE_LIMITED', true],
+    QUOTA_EXCEEDED: ['QUOTA_EXCEEDED', true],
+    PROVIDER_RATE_LIMITED: ['QUOTA_EXCEEDED', true],
+    PAYLOAD_TOO_LARGE: ['IMAGE_TOO_LARGE', false],
+    UNSUPPORTED_MEDIA_TYPE: ['UNSUPPORTED_IMAGE', false],
+    PROVIDER_UNAVAILABLE: ['ANALYSIS_UNAVAILABLE', true],
+    PROVIDER_TIMEOUT: ['ANALYSIS_UNAVAILABLE', true],
+    ORIGIN_NOT_ALLOWED: ['ANALYSIS_UNAVAILABLE', false],
+    PROVIDER_NOT_CONFIGURED: ['ANALYSIS_UNAVAILABLE', false],
+    PROVIDER_AUTH_FAILED: ['ANALYSIS_UNAVAILABLE', false],
+    MODEL_REJECTED_INPUT: ['ANALYSIS_FAILED', false],
+    INVALID_REQUEST: ['ANALYSIS_FAILED', false],
+};
+
+/**
+ * Typed error for a failed HTTP response from the analysis service or a provider.
+ * Edge Function responses carry a `code`, which decides; otherwise the status does.
+ * A server-suggested `retryAfter` (seconds) is kept in details for captureQueue.
+ * @param {number} status
+ * @param {string} [detail] — response body, kept for logs
+ */
+export function errorFromStatus(status, detail = '') {
+    const body = parseErrorBody(detail);
+    const details = { status, detail: String(detail).slice(0, 500) };
+    if (typeof body?.retryAfter === 'number') details.retryAfter = body.retryAfter;
+    if (body?.scope) details.scope = body.scope;
+
+    const known = SERVER_CODES[body?.code];
+    if (known) {
+        const [code, retryable] = known;
+        const message = code === 'ANALYSIS_UNAVAILABLE' && !retryable
+            ? 'The analysis service is not configured for this account or deployment.'
+            : undefined;
+        return new AnalysisError(code, message, { retryable, status, details });
+    }
+    if (status === 429) {
+        return new AnalysisError('QUOTA_EXCEEDED', undefined, { retryable: true, status, details });
+    }
+    if (status === 408 || status >= 500) {
+        return new AnalysisError('ANALYSIS_UNAVAILABLE', 'The analysis service is not responding — the capture will be analyzed later.', { retryable: true, status, details });
+    }
+    if ([401, 403, 404].includes(status) || /not configured/i.test(detail)) {
+        return new AnalysisError('ANALYSIS_UNAVAILABLE', 'The analysis service is not configured for this account or deployment.', { status, details });
+    }
+    return new AnalysisError('ANALYSIS_FAILED', `Analysis service error ${status}`, { status, details });
+}
+
+// fetch() rejects with a TypeError whose message varies by browser
+const isFetchFailure = (err) => err instanceof TypeError && /fetch|network|load failed/i.test(err.message);
+
+/** Any thrown value → AnalysisError (fetch rejections and offline count as NETWORK_UNAVAILABLE). */
+export function toAnalysisError(err) {
+    if (err instanceof AnalysisError) return err;
+    const offline = typeof navigator !== 'undefined' && navigator.onLine === false;
+    if (offline || isFetchFailure(err)) {
+        return new AnalysisError('NETWORK_UNAVAILABLE', undefined, { retryable: true, cause: err });
+    }
+    return new AnalysisError('ANALYSIS_FAILED', err?.message || undefined, { cause: err });
+}
+
+/**
+ * True when a later retry can succeed (offline, service down, quota) rather
+ * than the capture itself being the problem.
+ */
+export function isRetryableError(err) {
+    return toAnalysisError(err).retryable;
+}
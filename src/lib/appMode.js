@@ -0,0 +1,26 @@
+// ═══════════════════════════════════════════════════════════
+//  APP MODE — production | demo | test
+//  production: real analysis only; failures surface as typed errors.
+//  demo:       simulated grading for walkthroughs — watermarked in
+//              the UI and refused by storage.
+//  test:       deterministic fixtures with no latency.
+//  Set with VITE_APP_MODE; the legacy VITE_MOCK_API=true means demo.
+// ═══════════════════════════════════════════════════════════
+
+export const APP_MODES = ['production', 'demo', 'test'];
+
+function resolveAppMode() {
+    const env = import.meta.env;
+    if (APP_MODES.includes(env.VITE_APP_MODE)) return env.VITE_APP_MODE;
+    if (env.MODE === 'test') return 'test';
+    if (env.VITE_MOCK_API === 'true') return 'demo';
+    return 'production';
+}
+
+export const APP_MODE = resolveAppMode();
+
+/** True outside production: results are simulated, never real grades. */
+export const isSimulatedMode = () => APP_MODE !== 'production';
+
+/** A result produced by demo or test simulation rather than a model. */
+export const isSimulatedResult = (result) => Boolean(result?._demo || result?._test || result?._mock);
@@ -0,0 +1,163 @@
+// ═══════════════════════════════════════════════════════════
+//  ASSIGNMENT STORE — Grading containers and their settings
+//  Supabase when signed in (RLS: own rows only), else localStorage.
+// ═══════════════════════════════════════════════════════════
+import { getAuthedClient } from './storageLayer';
+import { validateAssignment } from './schema';
+
+const ASSIGNMENTS_KEY = 'lymbic_assignments';
+
+function loadLocalAssignments() {
+    try {
+        return JSON.parse(localStorage.getItem(ASSIGNMENTS_KEY) || '[]');
+    } catch {
+        return [];
+    }
+}
+
+function saveLocalAssignments(records) {
+    localStorage.setItem(ASSIGNMENTS_KEY, JSON.stringify(records));
+}
+
+function assignmentToRecord(data) {
+    return {
+        class_id: data.classId,
+        title: data.title,
+        subject: data.subject,
+        grade_level: data.gradeLevel,
+        rubric: data.rubric,
+        feedback_style: data.feedbackStyle,
+        analysis_mode: data.analysisMode,
+        points_possible: data.pointsPossible,
+        due_date: data.dueDate,
+        model_settings: data.modelSettings,
+    };
+}
+
+function assignmentFromRecord(record) {
+    return {
+        id: record.id,
+        classId: record.class_id ?? null,
+        title: record.title,
+        subject: record.subject ?? null,
+        gradeLevel: record.grade_level ?? null,
+        rubric: record.rubric ?? null,
+        feedbackStyle: record.feedback_style || 'constructive',
+        analysisMode: record.analysis_mode || 'full',
+        pointsPossible: record.points_possible ?? null,
+        dueDate: record.due_date ?? null,
+        modelSettings: record.model_settings ?? null,
+        createdAt: record.created_at,
+        updatedAt: record.updated_at,
+    };
+}
+
+const byRecent = (a, b) => new Date(b.updated_at) - new Date(a.updated_at);
+
+/**
+ * All assignments, most recently updated first.
+ * @returns {Promise<Array<object>>}
+ */
+export async function listAssignments() {
+    const client = await getAuthedClient();
+    if (client) {
+        const { data, error } = await client.supabase
+            .from('assignments')
+            .select('*')
+            .order('updated_at', { ascending: false });
+        if (!error) return (data || []).map(assignmentFromRecord);
+        console.warn('[Lymbic] Supabase list assignments failed:', error);
+    }
+    return loadLocalAssignments().sort(byRecent).map(assignmentFromRecord);
+}
+
+/**
+ * @returns {Promise<object|null>}
+ */
+export async function getAssignment(assignmentId) {
+    if (!assignmentId) return null;
+    const client = await getAuthedClient();
+    if (client) {
+        const { data, error } = await client.supabase
+            .from('assignments')
+            .select('*')
+            .eq('id', assignmentId)
+            .maybeSingle();
+        if (!error && data) return assignmentFromRecord(data);
+        if (error) console.warn('[Lymbic] Supabase get assignment failed:', error);
+    }
+    const record = loadLocalAssignments().find(a => a.id === assignmentId);
+    return record ? assignmentFromRecord(record) : null;
+}
+
+/**
+ * @param {object} input — { title, subject, gradeLevel, classId, rubric, feedbackStyle, analysisMode, pointsPossible, dueDate, modelSettings }
+ * @returns {Promise<{ success: boolean, assignment?: object, error?: string }>}
+ */
+export async function createAssignment(input) {
+    const validation = validateAssignment(input);
+    if (!validation.success) return { success: false, error: validation.error };
+
+    const now = new Date().toISOString();
+    const record = { ...assignmentToRecord(validation.data), created_at: now, updated_at: now };
+
+    const client = await getAuthedClient();
+    if (client) {
+        const { data, error } = await client.supabase
+            .from('assignments')
+            .insert({ ...record, user_id: client.userId })
+            .select()
+            .single();
+        if (!error) return { success: true, assignment: assignmentFromRecord(data) };
+        console.error('[Lymbic] Supabase create assignment failed:', error);
+    }
+
+    const local = { ...record, id: crypto.randomUUID() };
+    saveLocalAssignments([...loadLocalAssignments(), local]);
+    return { success: true, assignment: assignmentFromRecord(local) };
+}
+
+/**
+ * Replace an assignment's settings.
+ * @returns {Promise<{ success: boolean, assignment?: object, error?: string }>}
+ */
+export async function updateAssignment(assignmentId, input) {
+    const validation = validateAssignment(input);
+    if (!validation.success) return { success: false, error: validation.error };
+
+    const record = { ...assignmentToRecord(validation.data), updated_at: new Date().toISOString() };
+
+    const client = await getAuthedClient();
+    if (client) {
+        const { data, error } = await client.supabase
+            .from('assignments')
+            .update(record)
+            .eq('id', assignmentId)
+            .select()
+            .single();
+        if (!error) return { success: true, assignment: assignmentFromRecord(data) };
+        console.error('[Lymbic] Supabase update assignment failed:', error);
+    }
+
+    const records = loadLocalAssignments();
+    const index = records.findIndex(a => a.id === assignmentId);
+    if (index < 0) return { success: false, error: 'Assignment not found' };
+    records[index] = { ...records[index], ...record };
+    saveLocalAssignments(records);
+    return { success: true, assignment: assignmentFromRecord(records[index]) };
+}
+
+/**
+ * Pipeline options derived from an assignment's settings.
+ * @returns {{ mode, rubric, feedbackStyle, subject, gradeLevel, modelSettings }}
+ */
+export function assignmentAnalysisOptions(assignment) {
+    return {
+        mode: assignment?.analysisMode || 'full',
+        rubric: assignment?.rubric || null,
+        feedbackStyle: assignment?.feedbackStyle || 'constructive',
+        subject: assignment?.subject || null,
+        gradeLevel: assignment?.gradeLevel || null,
+        modelSettings: assignment?.modelSettings || null,
+    };
+}
@@ -0,0 +1,114 @@
+// ═══════════════════════════════════════════════════════════
+//  BATCH SUMMARY — One scanning session at a glance
+//  Aggregates a session's stored traces: score distribution,
+//  concepts most often missed, recurring error patterns, scans
+//  that need a second look, and CrossPageReasoner's
+//  recommendations. Scores, bands, concepts and patterns are
+//  per student unit (a submission's pages together, teacher
+//  corrections applied); review flags stay per page. Every item
+//  keeps the trace ids behind it so the summary screen can
+//  drill down.
+// ═══════════════════════════════════════════════════════════
+import { CrossPageReasoner } from '../utils/CrossPageReasoner';
+import { studentUnits } from './itemAnalysis';
+
+export const REVIEW_CONFIDENCE = 0.7;
+
+const GRADE_BANDS = [
+    { grade: 'A', min: 90 },
+    { grade: 'B', min: 80 },
+    { grade: 'C', min: 70 },
+    { grade: 'D', min: 60 },
+    { grade: 'F', min: 0 },
+];
+
+const isMissed = (r) => r.isCorrect === false || r.isCorrect === 'partial';
+
+function distribution(units) {
+    const bands = GRADE_BANDS.map(b => ({ ...b, count: 0, traceIds: [] }));
+    for (const unit of units) {
+        const band = bands.find(b => unit.score >= b.min);
+        band.count++;
+        band.traceIds.push(...unit.traceIds);
+    }
+    return bands;
+}
+
+function missedConcepts(units, mastery) {
+    const concepts = new Map();
+    for (const unit of units) {
+        for (const r of (unit.responses || []).filter(isMissed)) {
+            for (const concept of r.conceptsAssessed || []) {
+                if (!concepts.has(concept)) concepts.set(concept, { concept, missed: 0, traceIds: new Set() });
+                const entry = concepts.get(concept);
+                entry.missed++;
+                for (const id of unit.traceIds) entry.traceIds.add(id);
+            }
+        }
+    }
+    const levels = new Map(mastery.map(m => [m.concept, m]));
+    return [...concepts.values()]
+        .map(c => ({
+            ...c,
+            traceIds: [...c.traceIds],
+            level: levels.get(c.concept)?.level ?? null,
+            averageScore: levels.get(c.concept)?.averageScore ?? null,
+        }))
+        .sort((a, b) => b.missed - a.missed);
+}
+
+// Reasoner patterns, with the traces of each unit they came from
+function patternsWithTraces(patterns, units) {
+    return patterns.map(p => {
+        const matches = p.type === 'recurring_error'
+            ? (r) => r.errorType === p.errorType
+            : p.type === 'skipped_questions'
+                ? (r) => !r.studentAnswer?.trim() && ((r.questionId || '').replace(/\d/g, '') || 'general') === p.section
+                : null;
+        const traceIds = matches
+            ? units.filter(u => (u.responses || []).some(matches)).flatMap(u => u.traceIds)
+            : [];
+        return { ...p, traceIds };
+    });
+}
+
+function reviewReasons(trace) {
+    const reasons = [];
+    if ((trace.confidence ?? 1) < REVIEW_CONFIDENCE) reasons.push(`${Math.round(trace.confidence * 100)}% confidence`);
+    const disagreements = (trace.page_metadata?.flags || []).filter(f => f?.type === 'STEP_CHECK_DISAGREEMENT').length;
+    if (disagreements) reasons.push(`step check disagrees on ${disagreements}`);
+    return reasons;
+}
+
+/**
+ * Summarize a session's traces (storageLayer shape: trace columns plus `responses`).
+ * A multi-page submission counts once, scored and read as studentUnits combines it.
+ * Traces a teacher already corrected never need review.
+ * @param {Array} traces
+ * @returns {object|null} null for an empty session
+ */
+export function summarizeBatch(traces) {
+    if (!traces?.length) return null;
+
+    const units = studentUnits(traces);
+    const synthesis = new CrossPageReasoner().synthesize(units.map(u => ({
+        id: u.traceIds[0],
+        analysisResult: { responses: u.responses || [], overallAssessment: { score: u.score } },
+    })));
+
+    const needsReview = traces
+        .filter(t => !t.teacher_override)
+        .map(t => ({ traceId: t.id, reasons: reviewReasons(t) }))
+        .filter(r => r.reasons.length);
+
+    return {
+        count: units.length,
+        averageScore: Math.round(units.reduce((s, u) => s + u.score, 0) / units.length),
+        distribution: distribution(units),
+        missedConcepts: missedConcepts(units, synthesis.conceptMastery),
+        patterns: patternsWithTraces(synthesis.patterns, units),
+        needsReview,
+        recommendations: synthesis.recommendations,
+        assignmentId: traces.find(t => t.assignment_id)?.assignment_id ?? null,
+    };
+}
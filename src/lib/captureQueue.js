@@ -0,0 +1,231 @@
+// ═══════════════════════════════════════════════════════════
+//  CAPTURE QUEUE — Offline captures waiting for analysis
+//  Redacted captures that could not reach the analysis service
+//  are kept in IndexedDB ("pending analysis") and retried with
+//  backoff once contextEngine reports the connection is back.
+//  Nothing is graded until the real analysis succeeds.
+// ═══════════════════════════════════════════════════════════
+import { contextEngine } from './contextEngine';
+import { analyzeWithLogicEngine } from './analysisEngine';
+import { isRetryableError, toAnalysisError } from './analysisErrors';
+import { normalizeAndStore } from './storageLayer';
+import { savePageImage } from './pageImageStore';
+import { addSubmissionPage } from './submissionStore';
+
+const DB_NAME = 'lymbic_capture_queue';
+const STORE = 'captures';
+const MAX_ATTEMPTS = 6;
+const BASE_BACKOFF_MS = 5000;
+const MAX_BACKOFF_MS = 5 * 60 * 1000;
+
+/** @type {Set<(event: { type: string, id?: string, traceId?: string }) => void>} */
+const listeners = new Set();
+let dbPromise = null;
+let processing = null;
+let retryTimer = null;
+let unsubscribeContext = null;
+
+// ─── IndexedDB ───────────────────────────────────────────
+function openDb() {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise((resolve, reject) => {
+        const req = indexedDB.open(DB_NAME, 1);
+        req.onupgradeneeded = () => {
+            const store = req.result.createObjectStore(STORE, { keyPath: 'id' });
+            store.createIndex('assignmentId', 'assignmentId');
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    }).catch(err => {
+        dbPromise = null;
+        throw err;
+    });
+    return dbPromise;
+}
+
+async function tx(mode, fn) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const t = db.transaction(STORE, mode);
+        const req = fn(t.objectStore(STORE));
+        t.oncomplete = () => resolve(req?.result);
+        t.onerror = () => reject(t.error);
+    });
+}
+
+const putEntry = (entry) => tx('readwrite', store => store.put(entry));
+const deleteEntry = (id) => tx('readwrite', store => store.delete(id));
+const allEntries = () => tx('readonly', store => store.getAll());
+
+function emit(event) {
+    listeners.forEach(fn => fn(event));
+}
+
+/** Exponential backoff, but never sooner than the service's Retry-After (rate limits, daily quota). */
+function backoff(attempts, err) {
+    const retryAfterMs = (toAnalysisError(err).details?.retryAfter || 0) * 1000;
+    return Math.max(retryAfterMs, Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** (attempts - 1)));
+}
+
+const isOffline = () => contextEngine.getContext().connectionQuality === 'offline';
+
+// ─── Public API ──────────────────────────────────────────
+/**
+ * Persist a capture that could not be analyzed.
+ * @param {{ image, quad?, redaction?, studentToken?, analysisOptions, metadata?, sessionId, assignmentId, submission? }} capture
+ *   submission: { id, pageNumber } when the capture is a page of a multi-page submission
+ * @returns {Promise<string>} queue id
+ */
+export async function enqueueCapture(capture) {
+    const entry = {
+        id: `pending_${Date.now()}_${Math.random().toString(36).slice(2, 6)}`,
+        status: 'pending',
+        image: capture.image,
+        quad: capture.quad || null,
+        redaction: capture.redaction || null,
+        studentToken: capture.studentToken || null,
+        analysisOptions: capture.analysisOptions || {},
+        metadata: capture.metadata || {},
+        sessionId: capture.sessionId,
+        assignmentId: capture.assignmentId || null,
+        submission: capture.submission || null,
+        attempts: 0,
+        nextAttemptAt: Date.now(),
+        lastError: null,
+        createdAt: new Date().toISOString(),
+    };
+    await putEntry(entry);
+    emit({ type: 'queued', id: entry.id });
+    scheduleRetry();
+    return entry.id;
+}
+
+/**
+ * Queued captures, oldest first, optionally for one assignment.
+ * @returns {Promise<Array>} entries without the image payload
+ */
+export async function listQueuedCaptures(assignmentId = null) {
+    const entries = await allEntries();
+    return entries
+        .filter(e => !assignmentId || e.assignmentId === assignmentId)
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+        .map(e => {
+            const rest = { ...e };
+            delete rest.image;
+            return rest;
+        });
+}
+
+/** Drop a capture from the queue (e.g. after it failed for good). */
+export async function discardQueuedCapture(id) {
+    await deleteEntry(id);
+    emit({ type: 'discarded', id });
+}
+
+/** @param {(event: { type: 'queued'|'synced'|'retry'|'failed'|'discarded', id?, traceId? }) => void} fn  @returns {() => void} */
+export function subscribeQueue(fn) {
+    listeners.add(fn);
+    return () => listeners.delete(fn);
+}
+
+/**
+ * Analyze every due pending capture. Stops at the first retryable failure —
+ * the rest would fail the same way. Concurrent calls share one run.
+ * @param {{ force?: boolean }} [options] — force: ignore backoff (connection just came back)
+ */
+export function processQueue({ force = false } = {}) {
+    if (processing) return processing;
+    processing = (async () => {
+        const now = Date.now();
+        const due = (await allEntries())
+            .filter(e => e.status === 'pending' && (force || e.nextAttemptAt <= now))
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+        for (const entry of due) {
+            if (isOffline()) break;
+            const serviceDown = await analyzeEntry(entry);
+            if (serviceDown) break;
+        }
+    })()
+        .catch(err => console.warn('[Lymbic] Capture queue run failed:', err))
+        .finally(() => {
+            processing = null;
+            scheduleRetry();
+        });
+    return processing;
+}
+
+/**
+ * Start background sync: retry on reconnect and on backoff timers.
+ * Safe to call more than once.
+ */
+export function startBackgroundSync() {
+    if (unsubscribeContext) return;
+    let wasOffline = isOffline();
+    unsubscribeContext = contextEngine.subscribe(ctx => {
+        const offline = ctx.connectionQuality === 'offline';
+        if (wasOffline && !offline) processQueue({ force: true });
+        wasOffline = offline;
+    });
+    processQueue();
+}
+
+// ─── Internal ────────────────────────────────────────────
+/** @returns {Promise<boolean>} true when the failure was retryable (offline, service down, quota) */
+async function analyzeEntry(entry) {
+    const { subject = null, gradeLevel = null, ...options } = entry.analysisOptions;
+    try {
+        let result = await analyzeWithLogicEngine(entry.image, { subject, gradeLevel }, {
+            ...options,
+            persist: {
+                sessionId: entry.sessionId,
+                assignmentId: entry.assignmentId,
+                studentToken: entry.studentToken,
+                captureQuality: entry.metadata?.qualityScore ?? 1,
+            },
+        });
+        if (entry.studentToken) result = { ...result, studentToken: entry.studentToken };
+
+        const stored = await normalizeAndStore(result, entry.metadata, entry.sessionId, entry.assignmentId);
+        if (!stored.success) {
+            // The service answered but the result is unusable — retrying won't fix it
+            await putEntry({ ...entry, status: 'failed', lastError: stored.error || 'Result could not be stored' });
+            emit({ type: 'failed', id: entry.id });
+            return false;
+        }
+        // The grade is stored (here, or already by grade-document): the capture is done.
+        // Retrying would grade the page again, so a failed follow-up never fails the entry.
+        try {
+            await savePageImage(stored.id, entry.image, { assignmentId: entry.assignmentId });
+            if (entry.submission) await addSubmissionPage(entry.submission.id, stored.id, entry.submission.pageNumber);
+        } catch (err) {
+            console.warn('[Lymbic] Queued capture stored, but its page could not be attached:', err);
+        }
+        await deleteEntry(entry.id);
+        emit({ type: 'synced', id: entry.id, traceId: stored.id });
+        return false;
+    } catch (err) {
+        const attempts = entry.attempts + 1;
+        const retryable = isRetryableError(err);
+        // A permanent error fails at once; a retryable one only after MAX_ATTEMPTS tries
+        const failed = !retryable || attempts >= MAX_ATTEMPTS;
+        await putEntry({
+            ...entry,
+            attempts,
+            status: failed ? 'failed' : 'pending',
+            nextAttemptAt: Date.now() + backoff(attempts, err),
+            lastError: err.message,
+        });
+        emit({ type: failed ? 'failed' : 'retry', id: entry.id });
+        return retryable;
+    }
+}
+
+async function scheduleRetry() {
+    clearTimeout(retryTimer);
+    retryTimer = null;
+    const pending = (await allEntries().catch(() => [])).filter(e => e.status === 'pending');
+    if (!pending.length || isOffline()) return;
+    const next = Math.min(...pending.map(e => e.nextAttemptAt));
+    retryTimer = setTimeout(() => processQueue(), Math.max(0, next - Date.now()));
+}
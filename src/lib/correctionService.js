@@ -0,0 +1,181 @@
+// ═══════════════════════════════════════════════════════════
+//  CORRECTION SERVICE — Teacher flags → prompt engine + calibrator
+//  Corrections are persisted by storageLayer; this module replays
+//  them into the in-memory learning state on startup, applies new
+//  ones live, and reports whether flagged error types trend down.
+// ═══════════════════════════════════════════════════════════
+import { promptEngine, calibrator } from './analysisEngine';
+import { submitCorrection, getCorrections, getAllTraces } from './storageLayer';
+import { describeGradeDiff } from './gradeOverride';
+
+const DEFAULT_DOC_TYPE = 'WORKSHEET';
+const REPLAY_TRACE_LIMIT = 100; // matches the calibrator's history cap
+
+let ingestedFor;      // user id (or null for local mode) the engines were last loaded for
+let ingestPromise = null;
+
+/** Display strings ("CONCEPTUAL ERROR") and raw enums both map to CONCEPTUAL_ERROR. */
+function normalizeErrorType(errorType) {
+    if (!errorType) return 'NONE';
+    return String(errorType).trim().toUpperCase().replace(/\s+/g, '_');
+}
+
+function describeCorrection(correction) {
+    const original = normalizeErrorType(correction.original_error_type);
+    const actual = normalizeErrorType(correction.actual_error_type);
+    const changes = describeGradeDiff(correction.diff || []);
+    const verdict = actual === 'MANUAL_REVIEW'
+        ? `A teacher flagged a ${original} diagnosis as incorrect`
+        : changes
+            ? `A teacher corrected a ${original} result: ${changes}`
+            : `A teacher corrected ${original} to ${actual}`;
+    return correction.notes ? `${verdict} (${correction.notes})` : verdict;
+}
+
+function applyCorrection(correction, timestamp) {
+    const docType = correction.document_type || DEFAULT_DOC_TYPE;
+    promptEngine.recordCorrection(
+        docType,
+        normalizeErrorType(correction.original_error_type),
+        normalizeErrorType(correction.actual_error_type),
+        describeCorrection(correction),
+        timestamp
+    );
+    calibrator.recordOutcome(
+        { confidence: { overall: correction.original_confidence ?? undefined } },
+        false,
+        docType,
+        timestamp
+    );
+}
+
+// ─── Startup replay ──────────────────────────────────────
+/**
+ * Load this teacher's corrections and recent traces and replay them into the
+ * prompt engine's learning history and the calibrator's accuracy history.
+ * Traces without a correction count as accepted. Safe to call repeatedly:
+ * replays once per user, and starts over when the signed-in user changes.
+ *
+ * @param {string|null} userId — signed-in user, null in local mode
+ * @returns {Promise<{ corrections: number, outcomes: number }>}
+ */
+export function ingestCorrections(userId = null) {
+    if (ingestPromise && ingestedFor === userId) return ingestPromise;
+    ingestedFor = userId;
+
+    ingestPromise = (async () => {
+        const [corrections, traces] = await Promise.all([getCorrections(), getAllTraces()]);
+
+        promptEngine.learningHistory.clear();
+        calibrator.accuracyHistory = [];
+
+        const byTrace = new Map(corrections.map(c => [c.trace_id, c]));
+        const recent = traces.slice(0, REPLAY_TRACE_LIMIT);
+        const events = [
+            ...corrections.map(c => ({ at: new Date(c.created_at).getTime(), correction: c })),
+            ...recent
+                .filter(t => !byTrace.has(t.id))
+                .map(t => ({ at: new Date(t.created_at).getTime(), trace: t })),
+        ].sort((a, b) => a.at - b.at);
+
+        for (const event of events) {
+            if (event.correction) {
+                const trace = recent.find(t => t.id === event.correction.trace_id);
+                applyCorrection({
+                    ...event.correction,
+                    document_type: event.correction.document_type || trace?.page_metadata?.documentType,
+                    original_confidence: event.correction.original_confidence ?? trace?.confidence,
+                }, event.at);
+            } else {
+                calibrator.recordOutcome(
+                    { confidence: { overall: event.trace.confidence ?? undefined } },
+                    true,
+                    event.trace.page_metadata?.documentType || DEFAULT_DOC_TYPE,
+                    event.at
+                );
+            }
+        }
+
+        return { corrections: corrections.length, outcomes: calibrator.accuracyHistory.length };
+    })().catch(e => {
+        console.warn('[Lymbic] Correction replay failed:', e);
+        ingestPromise = null;
+        return { corrections: 0, outcomes: 0 };
+    });
+
+    return ingestPromise;
+}
+
+// ─── Live corrections ────────────────────────────────────
+/**
+ * Persist a teacher correction and apply it to the running engines, so the
+ * next prompt and calibration already reflect it. Only a saved correction is
+ * learned from, so the engines never drift from what a reload would replay.
+ *
+ * @param {string} traceId
+ * @param {{ originalErrorType, actualErrorType, notes?, documentType?, originalConfidence?, override?, diff? }} correction
+ * @throws {Error} when the correction was not saved
+ */
+export async function recordTeacherCorrection(traceId, correction) {
+    const result = await submitCorrection(traceId, correction);
+    if (!result?.success) throw new Error(result?.error || 'Correction not saved');
+    applyCorrection({
+        original_error_type: correction.originalErrorType,
+        actual_error_type: correction.actualErrorType,
+        notes: correction.notes || null,
+        document_type: correction.documentType || null,
+        original_confidence: correction.originalConfidence ?? null,
+        diff: correction.diff || null,
+    }, Date.now());
+    return result;
+}
+
+// ─── Trend ───────────────────────────────────────────────
+/**
+ * Flags per scan, by original error type, for the current period vs the one before.
+ * A type is "decreasing" when its flag rate dropped — the learning loop is working.
+ *
+ * @param {{ periodDays?: number }} options
+ * @returns {Promise<{ periodDays, current, previous, direction, byType: Array }>}
+ */
+export async function getErrorTypeTrend({ periodDays = 7 } = {}) {
+    const [corrections, traces] = await Promise.all([getCorrections(), getAllTraces()]);
+    const periodMs = periodDays * 86400000;
+    const now = Date.now();
+    const periodOf = (iso) => {
+        const age = now - new Date(iso).getTime();
+        return age < periodMs ? 'current' : age < 2 * periodMs ? 'previous' : null;
+    };
+
+    const scans = { current: 0, previous: 0 };
+    for (const t of traces) {
+        const p = periodOf(t.created_at);
+        if (p) scans[p]++;
+    }
+
+    const flags = { current: 0, previous: 0 };
+    const counts = new Map(); // errorType → { current, previous }
+    for (const c of corrections) {
+        const p = periodOf(c.created_at);
+        if (!p) continue;
+        flags[p]++;
+        const type = normalizeErrorType(c.original_error_type);
+        if (!counts.has(type)) counts.set(type, { current: 0, previous: 0 });
+        counts.get(type)[p]++;
+    }
+
+    const rate = (n, p) => (scans[p] ? n / scans[p] : 0);
+    const directionOf = (cur, prev) => (cur < prev ? 'decreasing' : cur > prev ? 'increasing' : 'flat');
+
+    const byType = [...counts.entries()]
+        .map(([errorType, n]) => {
+            const current = rate(n.current, 'current');
+            const previous = rate(n.previous, 'previous');
+            return { errorType, flags: n, current, previous, direction: directionOf(current, previous) };
+        })
+        .sort((a, b) => (b.flags.current + b.flags.previous) - (a.flags.current + a.flags.previous));
+
+    const current = rate(flags.current, 'current');
+    const previous = rate(flags.previous, 'previous');
+    return { periodDays, scans, flags, current, previous, direction: directionOf(current, previous), byType };
+}
@@ -271,6 +271,125 @@ export function checkSkew(quad) {
     return wRatio < 0.65 || hRatio < 0.65;
 }
 
+// ─── STEP 5: Perspective Rectification ──────────────────
+
+/** Long side / short side of standard paper sizes. */
+export const PAPER_ASPECTS = {
+    LETTER: 11 / 8.5,
+    A4: 297 / 210,
+};
+
+/**
+ * Map a quad from detection coordinates back to full resolution.
+ * `scale` is detection/full-res, as returned by getFrameData.
+ */
+export function scaleQuad(quad, scale) {
+    if (!scale) return quad.map(p => ({ ...p }));
+    return quad.map(p => ({ x: p.x / scale, y: p.y / scale }));
+}
+
+/**
+ * Output size for the flattened page: orientation from the quad's measured
+ * sides, aspect snapped to the nearest standard paper size, long side capped.
+ * @param {Array<{x,y}>} quad — [TL, TR, BR, BL] in full-res coordinates
+ * @returns {{ width: number, height: number, paper: string }}
+ */
+export function rectifiedSize(quad, maxDim = 2200) {
+    const topW = Math.hypot(quad[1].x - quad[0].x, quad[1].y - quad[0].y);
+    const botW = Math.hypot(quad[2].x - quad[3].x, quad[2].y - quad[3].y);
+    const leftH = Math.hypot(quad[3].x - quad[0].x, quad[3].y - quad[0].y);
+    const rightH = Math.hypot(quad[2].x - quad[1].x, quad[2].y - quad[1].y);
+    const w = Math.max(topW, botW);
+    const h = Math.max(leftH, rightH);
+
+    const portrait = h >= w;
+    const measured = portrait ? h / w : w / h;
+    const [paper, aspect] = Object.entries(PAPER_ASPECTS)
+        .sort((a, b) => Math.abs(a[1] - measured) - Math.abs(b[1] - measured))[0];
+
+    // Keep roughly the captured resolution along the long side
+    const long = Math.min(maxDim, Math.round(Math.max(w, h)));
+    const short = Math.round(long / aspect);
+    return portrait
+        ? { width: short, height: long, paper }
+        : { width: long, height: short, paper };
+}
+
+/**
+ * 3×3 homography (row-major, h33 = 1) mapping each `from` point onto the
+ * matching `to` point. Solves the 8×8 DLT system by Gaussian elimination.
+ * Returns null for degenerate (collinear) input.
+ */
+export function computeHomography(from, to) {
+    const A = [];
+    for (let i = 0; i < 4; i++) {
+        const { x, y } = from[i];
+        const { x: u, y: v } = to[i];
+        A.push([x, y, 1, 0, 0, 0, -u * x, -u * y, u]);
+        A.push([0, 0, 0, x, y, 1, -v * x, -v * y, v]);
+    }
+
+    for (let col = 0; col < 8; col++) {
+        let pivot = col;
+        for (let r = col + 1; r < 8; r++) {
+            if (Math.abs(A[r][col]) > Math.abs(A[pivot][col])) pivot = r;
+        }
+        if (Math.abs(A[pivot][col]) < 1e-10) return null;
+        [A[col], A[pivot]] = [A[pivot], A[col]];
+        for (let r = 0; r < 8; r++) {
+            if (r === col) continue;
+            const f = A[r][col] / A[col][col];
+            for (let c = col; c < 9; c++) A[r][c] -= f * A[col][c];
+        }
+    }
+
+    const h = A.map((row, i) => row[8] / row[i]);
+    return [...h, 1];
+}
+
+/**
+ * Warp the quad region of `src` onto a flat width×height rectangle.
+ * Inverse mapping (output pixel → source point) with bilinear sampling.
+ * @param {ImageData} src
+ * @param {Array<{x,y}>} quad — [TL, TR, BR, BL] in src pixel coordinates
+ * @returns {ImageData|null}
+ */
+export function warpPerspective(src, quad, width, height) {
+    const rect = [
+        { x: 0, y: 0 }, { x: width - 1, y: 0 },
+        { x: width - 1, y: height - 1 }, { x: 0, y: height - 1 },
+    ];
+    const H = computeHomography(rect, quad);
+    if (!H) return null;
+
+    const out = new ImageData(width, height);
+    const { data: s, width: sw, height: sh } = src;
+    const d = out.data;
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const w = H[6] * x + H[7] * y + H[8];
+            const sx = Math.min(sw - 1, Math.max(0, (H[0] * x + H[1] * y + H[2]) / w));
+            const sy = Math.min(sh - 1, Math.max(0, (H[3] * x + H[4] * y + H[5]) / w));
+
+            const x0 = Math.floor(sx), y0 = Math.floor(sy);
+            const x1 = Math.min(sw - 1, x0 + 1), y1 = Math.min(sh - 1, y0 + 1);
+            const fx = sx - x0, fy = sy - y0;
+            const i00 = (y0 * sw + x0) * 4, i10 = (y0 * sw + x1) * 4;
+            const i01 = (y1 * sw + x0) * 4, i11 = (y1 * sw + x1) * 4;
+            const o = (y * width + x) * 4;
+
+            for (let c = 0; c < 3; c++) {
+                const top = s[i00 + c] * (1 - fx) + s[i10 + c] * fx;
+                const bot = s[i01 + c] * (1 - fx) + s[i11 + c] * fx;
+                d[o + c] = top * (1 - fy) + bot * fy;
+            }
+            d[o + 3] = 255;
+        }
+    }
+    return out;
+}
+
 // ─── HAPTIC & SOUND ──────────────────────────────────────
 
 export function triggerHaptic(type) {
@@ -0,0 +1,56 @@
+// ═══════════════════════════════════════════════════════════
+//  GRADE OVERRIDE — Teacher edits vs the AI result
+//  A snapshot is the gradable surface of one result (score, verdict,
+//  error type, divergence, steps, questions, remediation). The diff
+//  between the AI snapshot and the teacher's is the correction.
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Field-level changes from `original` to `override`, in display order.
+ * Steps and questions are compared by step number / questionId.
+ *
+ * @param {object} original — AI snapshot
+ * @param {object} override — teacher snapshot
+ * @returns {Array<{ field: string, from: *, to: * }>}
+ */
+export function diffGrade(original, override) {
+    const changes = [];
+    for (const field of ['score', 'isCorrect', 'errorType', 'divergenceStep']) {
+        if ((original[field] ?? null) !== (override[field] ?? null)) {
+            changes.push({ field, from: original[field] ?? null, to: override[field] ?? null });
+        }
+    }
+
+    for (const step of override.steps || []) {
+        const before = original.steps?.find(s => s.step === step.step);
+        if (before && before.isValid !== step.isValid) {
+            changes.push({ field: `steps.${step.step}.isValid`, from: before.isValid, to: step.isValid });
+        }
+    }
+
+    for (const q of override.questions || []) {
+        const before = original.questions?.find(o => o.questionId === q.questionId);
+        if (before && (before.isCorrect ?? null) !== (q.isCorrect ?? null)) {
+            changes.push({ field: `questions.${q.questionId}.isCorrect`, from: before.isCorrect ?? null, to: q.isCorrect ?? null });
+        }
+    }
+
+    if ((original.remediation || '').trim() !== (override.remediation || '').trim()) {
+        changes.push({ field: 'remediation', from: original.remediation || '', to: override.remediation || '' });
+    }
+    return changes;
+}
+
+/** One-line summary of a diff for prompts and logs ("score 60 → 80; step 2 marked valid"). */
+export function describeGradeDiff(diff = []) {
+    return diff.map(({ field, from, to }) => {
+        if (field === 'score') return `score ${from} → ${to}`;
+        if (field === 'isCorrect') return `marked ${to ? 'correct' : 'incorrect'}`;
+        if (field === 'errorType') return `error type ${from ?? 'NONE'} → ${to ?? 'NONE'}`;
+        if (field === 'divergenceStep') return to ? `divergence at step ${to}` : 'no divergence';
+        if (field === 'remediation') return 'remediation rewritten';
+        const [kind, id] = field.split('.');
+        const verdict = to === 'partial' ? 'partial' : to ? (kind === 'steps' ? 'valid' : 'correct') : (kind === 'steps' ? 'invalid' : 'incorrect');
+        return kind === 'steps' ? `step ${id} marked ${verdict}` : `${id} marked ${verdict}`;
+    }).join('; ');
+}
@@ -0,0 +1,173 @@
+// ═══════════════════════════════════════════════════════════
+//  IDENTITY VAULT — On-device pseudonym ↔ identity mapping
+//  Nothing in this module is ever sent to Supabase or a model.
+//  Names (token → teacher-entered name) live in localStorage; the
+//  redacted header crops live in IndexedDB so they cannot fill the quota.
+// ═══════════════════════════════════════════════════════════
+
+const VAULT_KEY = 'lymbic_identity_vault';
+const MAX_ENTRIES = 300;
+const TOKEN_ALPHABET = 'ABCDEFGHJKMNPQRSTVWXYZ23456789';
+
+// Header crops are images, so they live in IndexedDB; localStorage keeps only token → name
+const DB_NAME = 'lymbic_identity_vault';
+const STORE = 'crops';
+
+let dbPromise = null;
+
+// ─── IndexedDB (header crops) ────────────────────────────
+function openDb() {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise((resolve, reject) => {
+        const req = indexedDB.open(DB_NAME, 1);
+        req.onupgradeneeded = () => req.result.createObjectStore(STORE, { keyPath: 'token' });
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    }).catch(err => {
+        dbPromise = null;
+        throw err;
+    });
+    return dbPromise;
+}
+
+async function tx(mode, fn) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const t = db.transaction(STORE, mode);
+        const req = fn(t.objectStore(STORE));
+        t.oncomplete = () => resolve(req?.result);
+        t.onerror = () => reject(t.error);
+    });
+}
+
+// Best effort: a crop that cannot be kept only costs the teacher the header preview
+function storeCrop(token, headerCrop) {
+    if (!headerCrop) return;
+    tx('readwrite', store => store.put({ token, headerCrop }))
+        .catch(e => console.warn('[Lymbic] Store header crop failed:', e));
+}
+
+function dropCrops(tokens) {
+    if (!tokens.length) return;
+    tx('readwrite', store => tokens.forEach(token => store.delete(token)))
+        .catch(e => console.warn('[Lymbic] Drop header crops failed:', e));
+}
+
+// ─── localStorage (token → name) ─────────────────────────
+function loadVault() {
+    let vault;
+    try {
+        vault = JSON.parse(localStorage.getItem(VAULT_KEY) || '{}');
+    } catch {
+        return {};
+    }
+    // Vaults written before crops moved to IndexedDB still hold them inline
+    const inline = Object.entries(vault).filter(([, entry]) => entry.headerCrop);
+    if (inline.length) {
+        for (const [token, entry] of inline) {
+            storeCrop(token, entry.headerCrop);
+            delete entry.headerCrop;
+        }
+        saveVault(vault);
+    }
+    return vault;
+}
+
+const isQuotaError = (err) => err?.name === 'QuotaExceededError' || err?.code === 22;
+
+function saveVault(vault) {
+    // Oldest entries are dropped first; a full storage drops more rather than failing the capture
+    const entries = Object.entries(vault).sort((a, b) => a[1].createdAt - b[1].createdAt);
+    let kept = entries.slice(-MAX_ENTRIES);
+    for (;;) {
+        try {
+            localStorage.setItem(VAULT_KEY, JSON.stringify(Object.fromEntries(kept)));
+            break;
+        } catch (err) {
+            if (!isQuotaError(err) || kept.length <= 1) {
+                console.warn('[Lymbic] Save identity vault failed:', err);
+                return;
+            }
+            kept = kept.slice(Math.ceil(kept.length / 2));
+        }
+    }
+    const keptTokens = new Set(kept.map(([token]) => token));
+    dropCrops(entries.map(([token]) => token).filter(token => !keptTokens.has(token)));
+}
+
+function randomToken() {
+    const bytes = new Uint8Array(6);
+    crypto.getRandomValues(bytes);
+    return `STU-${Array.from(bytes, b => TOKEN_ALPHABET[b % TOKEN_ALPHABET.length]).join('')}`;
+}
+
+/**
+ * Create a pseudonymous token for a redacted capture.
+ * The header crop (handwritten name region) stays in the vault so the
+ * teacher can de-anonymize on this device only.
+ *
+ * @param {{ headerCrop?: string, region?: object }} [redaction]
+ * @returns {string} token, e.g. "STU-7F3K2A"
+ */
+export function createPseudonym(redaction = {}) {
+    const vault = loadVault();
+    let token = randomToken();
+    while (vault[token]) token = randomToken();
+    vault[token] = {
+        region: redaction.region || null,
+        name: null,
+        createdAt: Date.now(),
+    };
+    saveVault(vault);
+    storeCrop(token, redaction.headerCrop);
+    return token;
+}
+
+/**
+ * Look up a token. Returns { region, name, createdAt } or null.
+ */
+export function resolvePseudonym(token) {
+    if (!token) return null;
+    return loadVault()[token] || null;
+}
+
+/**
+ * The header crop kept for a token on this device, or null.
+ * @returns {Promise<string|null>} data URL
+ */
+export async function getHeaderCrop(token) {
+    if (!token) return null;
+    try {
+        return (await tx('readonly', store => store.get(token)))?.headerCrop || null;
+    } catch (e) {
+        console.warn('[Lymbic] Load header crop failed:', e);
+        return null;
+    }
+}
+
+/**
+ * Attach a teacher-entered name to a token (kept on this device only).
+ */
+export function attachName(token, name) {
+    const vault = loadVault();
+    if (!vault[token]) return false;
+    vault[token].name = name?.trim() || null;
+    saveVault(vault);
+    return true;
+}
+
+/**
+ * Display label for a token: the locally attached name when known, else the token.
+ */
+export function displayNameFor(token) {
+    return resolvePseudonym(token)?.name || token || null;
+}
+
+/**
+ * Remove every local identity mapping.
+ */
+export function clearVault() {
+    localStorage.removeItem(VAULT_KEY);
+    tx('readwrite', store => store.clear())
+        .catch(e => console.warn('[Lymbic] Clear header crops failed:', e));
+}
@@ -0,0 +1,197 @@
+// ═══════════════════════════════════════════════════════════
+//  ITEM ANALYSIS — Every question across a whole assignment
+//  Percent correct, error types, discrimination (top vs bottom
+//  27% of students by score), clustered wrong answers and the
+//  concepts behind each item. A multi-page submission counts as
+//  one student. Items the strongest students keep "missing" are
+//  flagged as possibly mis-keyed.
+// ═══════════════════════════════════════════════════════════
+import { combinePages } from './submissionStore';
+
+const GROUP_SHARE = 0.27;
+const MIN_STUDENTS_FOR_DISCRIMINATION = 5;
+const MISKEY_UPPER_CORRECT = 0.5;
+
+const byQuestionId = (a, b) => String(a).localeCompare(String(b), undefined, { numeric: true });
+
+/**
+ * Canonical form of an answer so "x = 0.50", "1/2" and ".5" land in one cluster.
+ * @param {string} answer
+ * @returns {string} '' for a blank answer
+ */
+export function normalizeAnswer(answer) {
+    let text = String(answer ?? '').normalize('NFKC').toLowerCase().trim();
+    text = text
+        .replace(/^(ans(wer)?\s*[:=]\s*)/, '')
+        .replace(/^[a-z]\s*=\s*/, '')
+        .replace(/\s+/g, ' ')
+        .replace(/\.$/, '')
+        .replace(/\s*([+\-*/×÷=^()])\s*/g, '$1');
+
+    const fraction = text.match(/^(-?\d+)\/(\d+)$/);
+    if (fraction && Number(fraction[2]) !== 0) return String(Number(fraction[1]) / Number(fraction[2]));
+    if (/^-?(\d+\.?\d*|\.\d+)$/.test(text)) return String(Number(text));
+    return text;
+}
+
+/**
+ * Credit for one question, 0–1: points when scored, else the verdict.
+ * @returns {number|null} null when ungraded
+ */
+export function creditOf(response) {
+    const { earned, possible } = response.score || {};
+    if (possible > 0 && earned != null) return Math.max(0, Math.min(1, earned / possible));
+    if (response.isCorrect === true) return 1;
+    if (response.isCorrect === 'partial') return 0.5;
+    if (response.isCorrect === false) return 0;
+    return null;
+}
+
+/**
+ * One unit per student: a submission's pages graded together, or a single scan.
+ * @param {Array} traces
+ * @returns {Array<{ key, traces, traceIds, score, teacherScored, responses }>} responses merged across pages,
+ *   teacher corrections applied; score and teacherScored follow combinePages
+ */
+export function studentUnits(traces) {
+    const groups = new Map();
+    for (const trace of traces || []) {
+        const key = trace.submission_id || `trace:${trace.id}`;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(trace);
+    }
+    return [...groups.entries()].map(([key, pages]) => {
+        const ordered = [...pages].sort((a, b) => (a.page_number ?? 0) - (b.page_number ?? 0));
+        const combined = combinePages(ordered);
+        return {
+            key,
+            traces: ordered,
+            traceIds: ordered.map(t => t.id),
+            score: combined.score ?? 0,
+            teacherScored: combined.teacherScored,
+            responses: combined.responses,
+        };
+    });
+}
+
+function countsOf(values) {
+    const counts = new Map();
+    for (const value of values) counts.set(value, (counts.get(value) || 0) + 1);
+    return counts;
+}
+
+function clusterWrongAnswers(answers) {
+    const clusters = new Map();
+    for (const answer of answers) {
+        const key = normalizeAnswer(answer);
+        if (!clusters.has(key)) clusters.set(key, []);
+        clusters.get(key).push(answer.trim());
+    }
+    return [...clusters.values()]
+        .map(forms => {
+            const [answer] = [...countsOf(forms).entries()].sort((a, b) => b[1] - a[1])[0];
+            return { answer, count: forms.length, share: forms.length / answers.length };
+        })
+        .sort((a, b) => b.count - a.count);
+}
+
+const averageCredit = (entries) => entries.length
+    ? entries.reduce((s, e) => s + e.credit, 0) / entries.length
+    : null;
+
+function miskeyCheck(upper, discrimination, percentCorrect) {
+    if (upper.length < 2) return null;
+    const upperCorrect = averageCredit(upper);
+    if (upperCorrect >= MISKEY_UPPER_CORRECT || (discrimination != null && discrimination > 0)) return null;
+
+    const reasons = [`Top students got it right ${Math.round(upperCorrect * 100)}% of the time`];
+    if (discrimination != null) reasons.push(`Weaker students did ${discrimination < 0 ? 'better' : 'as well'} (D = ${discrimination.toFixed(2)})`);
+    if (percentCorrect < 0.2) reasons.push(`Only ${Math.round(percentCorrect * 100)}% correct overall`);
+
+    // The answer the strong students agree on is the likeliest correct one
+    const misses = upper.filter(e => e.credit < 1 && e.answer);
+    const [top] = clusterWrongAnswers(misses.map(e => e.answer));
+    const suggestedAnswer = top && top.count >= 2 && top.share >= 0.5 ? top.answer : null;
+    if (suggestedAnswer) reasons.push(`${top.count} of them answered "${suggestedAnswer}"`);
+    return { reasons, suggestedAnswer };
+}
+
+/**
+ * Per-question statistics over an assignment's stored traces
+ * (storageLayer shape: trace columns plus `responses`). Teacher
+ * corrections count over the model's verdicts.
+ * @param {Array} traces
+ * @param {{ answerKey?: { items: Array } }} [options]
+ * @returns {{ unitCount: number, itemCount: number, flaggedCount: number, items: Array }}
+ */
+export function analyzeItems(traces, { answerKey = null } = {}) {
+    const units = studentUnits(traces);
+    const keyItems = new Map((answerKey?.items || []).map(k => [k.questionId, k]));
+
+    // Upper and lower groups by overall score
+    const ranked = [...units].sort((a, b) => b.score - a.score);
+    const groupSize = units.length >= MIN_STUDENTS_FOR_DISCRIMINATION ? Math.max(1, Math.round(units.length * GROUP_SHARE)) : 0;
+    const upperKeys = new Set(ranked.slice(0, groupSize).map(u => u.key));
+    const lowerKeys = new Set(groupSize ? ranked.slice(-groupSize).map(u => u.key) : []);
+
+    const byItem = new Map();
+    for (const unit of units) {
+        for (const response of unit.responses || []) {
+            if (!response.questionId) continue;
+            if (!byItem.has(response.questionId)) byItem.set(response.questionId, { questionText: null, entries: [], blanks: 0 });
+            const item = byItem.get(response.questionId);
+            item.questionText = item.questionText || response.questionText || null;
+            const answer = (response.studentAnswer || '').trim();
+            if (!answer) item.blanks++;
+            const credit = creditOf(response);
+            if (credit == null) continue;
+            item.entries.push({
+                unitKey: unit.key,
+                traceIds: unit.traceIds,
+                credit,
+                answer,
+                errorType: response.errorType && response.errorType !== 'NONE' ? response.errorType : null,
+                concepts: response.conceptsAssessed || [],
+            });
+        }
+    }
+
+    const items = [...byItem.entries()].map(([questionId, item]) => {
+        const { entries } = item;
+        const upper = entries.filter(e => upperKeys.has(e.unitKey));
+        const lower = entries.filter(e => lowerKeys.has(e.unitKey));
+        const percentCorrect = averageCredit(entries) ?? 0;
+        const upperPercent = averageCredit(upper);
+        const lowerPercent = averageCredit(lower);
+        const discrimination = groupSize && upper.length && lower.length ? upperPercent - lowerPercent : null;
+        const misses = entries.filter(e => e.credit < 1);
+
+        return {
+            questionId,
+            questionText: item.questionText,
+            expectedAnswer: keyItems.get(questionId)?.expectedAnswer ?? null,
+            responses: entries.length,
+            blanks: item.blanks,
+            percentCorrect,
+            upperPercent,
+            lowerPercent,
+            discrimination,
+            errorTypes: [...countsOf(misses.map(e => e.errorType).filter(Boolean)).entries()]
+                .map(([errorType, count]) => ({ errorType, count }))
+                .sort((a, b) => b.count - a.count),
+            wrongAnswers: clusterWrongAnswers(misses.map(e => e.answer).filter(Boolean)),
+            concepts: [...countsOf(entries.flatMap(e => e.concepts)).entries()]
+                .map(([concept, count]) => ({ concept, count }))
+                .sort((a, b) => b.count - a.count),
+            missedTraceIds: [...new Set(misses.flatMap(e => e.traceIds))],
+            miskey: miskeyCheck(upper, discrimination, percentCorrect),
+        };
+    }).filter(i => i.responses > 0).sort((a, b) => byQuestionId(a.questionId, b.questionId));
+
+    return {
+        unitCount: units.length,
+        itemCount: items.length,
+        flaggedCount: items.filter(i => i.miskey).length,
+        items,
+    };
+}
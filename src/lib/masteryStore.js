@@ -0,0 +1,259 @@
+// ═══════════════════════════════════════════════════════════
+//  MASTERY STORE — Each roster student's concept mastery over the term
+//  Every graded submission linked to a student is one piece of
+//  evidence per concept it assessed. Evidence loses half its weight
+//  every HALF_LIFE_DAYS, so recent work counts most, and a concept
+//  not seen for a while drifts back toward "developing" until it is
+//  assessed again. Rows are rebuilt from the student's traces, so a
+//  correction or an unlinked scan is reflected on the next refresh.
+//  Supabase when signed in (RLS: own rows only), else localStorage.
+// ═══════════════════════════════════════════════════════════
+import { getAuthedClient, getStudentTraces } from './storageLayer';
+import { studentUnits, creditOf } from './itemAnalysis';
+import { listStudents } from './rosterStore';
+
+const MASTERY_KEY = 'lymbic_concept_mastery';
+
+const HALF_LIFE_DAYS = 30;
+const PRIOR = 0.5;          // an unassessed concept reads as "developing"
+const PRIOR_WEIGHT = 1;     // worth one question of evidence
+const STALE_EVIDENCE = 0.5;
+const MAX_HISTORY = 40;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Weakest first; thresholds match CrossPageReasoner's per-session levels
+export const MASTERY_LEVELS = ['needs_work', 'developing', 'proficient', 'mastered'];
+const LEVEL_FLOORS = { mastered: 0.9, proficient: 0.7, developing: 0.5, needs_work: 0 };
+
+/**
+ * @param {number} value — mastery estimate 0–1
+ * @returns {'mastered'|'proficient'|'developing'|'needs_work'}
+ */
+export function masteryLevel(value) {
+    return [...MASTERY_LEVELS].reverse().find(level => value >= LEVEL_FLOORS[level]);
+}
+
+const conceptKey = (concept) => concept.trim().toLowerCase().replace(/\s+/g, ' ');
+const decay = (from, to) => 0.5 ** (Math.max(0, new Date(to) - new Date(from)) / (HALF_LIFE_DAYS * DAY_MS));
+
+// ─── Local fallback ───────────────────────────────────────
+function loadLocalMastery() {
+    try {
+        return JSON.parse(localStorage.getItem(MASTERY_KEY) || '[]');
+    } catch {
+        return [];
+    }
+}
+
+function saveLocalMastery(records) {
+    localStorage.setItem(MASTERY_KEY, JSON.stringify(records));
+}
+
+// ─── Estimating ───────────────────────────────────────────
+/**
+ * Fold a concept's evidence, oldest first, into a recency-weighted estimate.
+ * @param {Array<{ at, score, weight }>} events — score 0–1, weight: questions on the concept
+ * @returns {{ mastery: number, evidence: number, observations: number, lastAssessedAt: string|null, history: Array }}
+ */
+export function foldEvidence(events) {
+    let mastery = PRIOR;
+    let evidence = 0;
+    let lastAt = null;
+    const history = [];
+    for (const event of [...events].sort((a, b) => new Date(a.at) - new Date(b.at))) {
+        const kept = lastAt ? evidence * decay(lastAt, event.at) : 0;
+        evidence = kept + event.weight;
+        mastery = (mastery * kept + event.score * event.weight) / evidence;
+        lastAt = event.at;
+        history.push({ ...event, estimate: estimate(mastery, evidence) });
+    }
+    return {
+        mastery,
+        evidence,
+        observations: events.reduce((s, e) => s + e.weight, 0),
+        lastAssessedAt: lastAt,
+        history: history.slice(-MAX_HISTORY),
+    };
+}
+
+// Shrink toward the prior by how much evidence backs the estimate
+function estimate(mastery, evidence) {
+    return (mastery * evidence + PRIOR * PRIOR_WEIGHT) / (evidence + PRIOR_WEIGHT);
+}
+
+// One event per graded submission and concept
+function evidenceFromTraces(traces) {
+    const concepts = new Map();
+    for (const unit of studentUnits(traces)) {
+        const first = unit.traces[0];
+        const perConcept = new Map();
+        for (const response of unit.responses || []) {
+            const credit = creditOf(response);
+            if (credit == null) continue;
+            for (const concept of response.conceptsAssessed || []) {
+                if (!concept?.trim()) continue;
+                const key = conceptKey(concept);
+                if (!perConcept.has(key)) perConcept.set(key, { concept: concept.trim(), total: 0, count: 0 });
+                const entry = perConcept.get(key);
+                entry.total += credit;
+                entry.count++;
+            }
+        }
+        for (const [key, entry] of perConcept) {
+            if (!concepts.has(key)) concepts.set(key, { concept: entry.concept, events: [] });
+            concepts.get(key).events.push({
+                at: first.created_at,
+                // A teacher's score over verdicts they left unchanged is the better evidence
+                score: unit.teacherScored ? unit.score / 100 : entry.total / entry.count,
+                weight: entry.count,
+                assignmentId: first.assignment_id ?? null,
+                traceId: first.id,
+            });
+        }
+    }
+    return concepts;
+}
+
+function masteryFromRecord(record, now = new Date()) {
+    const evidence = record.last_assessed_at ? record.evidence * decay(record.last_assessed_at, now) : 0;
+    const current = estimate(record.mastery, evidence);
+    return {
+        studentId: record.student_id,
+        concept: record.concept,
+        conceptKey: record.concept_key,
+        mastery: current,
+        level: masteryLevel(current),
+        evidence,
+        isStale: evidence < STALE_EVIDENCE,
+        observations: record.observations ?? 0,
+        lastAssessedAt: record.last_assessed_at ?? null,
+        history: record.history || [],
+    };
+}
+
+// ─── Public API ──────────────────────────────────────────
+/**
+ * Rebuild a student's mastery rows from every trace linked to them.
+ * Call after a scan is linked or unlinked, or a linked grade changes.
+ * @returns {Promise<{ success: boolean, concepts: number }>}
+ */
+export async function refreshStudentMastery(studentId) {
+    if (!studentId) return { success: false, concepts: 0 };
+    const concepts = evidenceFromTraces(await getStudentTraces(studentId));
+    const now = new Date().toISOString();
+    const records = [...concepts.entries()].map(([key, { concept, events }]) => {
+        const folded = foldEvidence(events);
+        return {
+            student_id: studentId,
+            concept_key: key,
+            concept,
+            mastery: folded.mastery,
+            evidence: folded.evidence,
+            observations: folded.observations,
+            last_assessed_at: folded.lastAssessedAt,
+            history: folded.history,
+            updated_at: now,
+        };
+    });
+
+    const client = await getAuthedClient();
+    if (client) {
+        const { supabase, userId } = client;
+        // Concepts no longer in any linked scan (e.g. after an unlink) are dropped
+        const { data: existing } = await supabase
+            .from('student_concept_mastery')
+            .select('concept_key')
+            .eq('student_id', studentId);
+        const staleKeys = (existing || []).map(r => r.concept_key).filter(k => !concepts.has(k));
+        const { error: deleteError } = staleKeys.length
+            ? await supabase.from('student_concept_mastery').delete().eq('student_id', studentId).in('concept_key', staleKeys)
+            : { error: null };
+        const { error } = records.length
+            ? await supabase
+                .from('student_concept_mastery')
+                .upsert(records.map(r => ({ ...r, user_id: userId })), { onConflict: 'student_id,concept_key' })
+            : { error: null };
+        if (!error && !deleteError) return { success: true, concepts: records.length };
+        console.error('[Lymbic] Supabase save concept mastery failed:', error || deleteError);
+    }
+
+    const others = loadLocalMastery().filter(r => r.student_id !== studentId);
+    saveLocalMastery([...others, ...records]);
+    return { success: true, concepts: records.length };
+}
+
+/**
+ * A student's concepts, weakest first, decayed to today.
+ * @returns {Promise<Array<{ concept, mastery, level, evidence, isStale, observations, lastAssessedAt, history }>>}
+ */
+export async function getStudentMastery(studentId) {
+    if (!studentId) return [];
+    let records = null;
+    const client = await getAuthedClient();
+    if (client) {
+        const { data, error } = await client.supabase
+            .from('student_concept_mastery')
+            .select('*')
+            .eq('student_id', studentId);
+        if (!error) records = data || [];
+        else console.warn('[Lymbic] Supabase get concept mastery failed:', error);
+    }
+    records = records ?? loadLocalMastery().filter(r => r.student_id === studentId);
+    return records.map(r => masteryFromRecord(r)).sort((a, b) => a.mastery - b.mastery);
+}
+
+/**
+ * Students whose current mastery of a concept is below a level, weakest first —
+ * e.g. everyone below proficient on "linear equations".
+ * @param {string} concept
+ * @param {{ level?: string, classId?: string }} [options] — classId limits to one class and adds names
+ * @returns {Promise<Array<{ studentId, displayName, concept, mastery, level, isStale, lastAssessedAt }>>}
+ */
+export async function findStudentsBelow(concept, { level = 'proficient', classId = null } = {}) {
+    if (!concept?.trim()) return [];
+    const key = conceptKey(concept);
+    let records = null;
+    const client = await getAuthedClient();
+    if (client) {
+        const { data, error } = await client.supabase
+            .from('student_concept_mastery')
+            .select('*')
+            .eq('concept_key', key);
+        if (!error) records = data || [];
+        else console.warn('[Lymbic] Supabase find students by mastery failed:', error);
+    }
+    records = records ?? loadLocalMastery().filter(r => r.concept_key === key);
+
+    const roster = classId ? await listStudents(classId) : null;
+    const names = new Map((roster || []).map(s => [s.id, s.displayName]));
+    const floor = LEVEL_FLOORS[level] ?? LEVEL_FLOORS.proficient;
+    return records
+        .filter(r => !roster || names.has(r.student_id))
+        .map(r => masteryFromRecord(r))
+        .filter(m => m.mastery < floor)
+        .sort((a, b) => a.mastery - b.mastery)
+        .map(m => ({ ...m, displayName: names.get(m.studentId) ?? null }));
+}
+
+/**
+ * Concepts with mastery on record (for one class when classId is given), by name.
+ * @returns {Promise<string[]>}
+ */
+export async function listMasteryConcepts(classId = null) {
+    let records = null;
+    const client = await getAuthedClient();
+    if (client) {
+        const { data, error } = await client.supabase
+            .from('student_concept_mastery')
+            .select('student_id, concept_key, concept');
+        if (!error) records = data || [];
+        else console.warn('[Lymbic] Supabase list mastery concepts failed:', error);
+    }
+    records = records ?? loadLocalMastery();
+    if (classId) {
+        const ids = new Set((await listStudents(classId)).map(s => s.id));
+        records = records.filter(r => ids.has(r.student_id));
+    }
+    const concepts = new Map(records.map(r => [r.concept_key, r.concept]));
+    return [...concepts.values()].sort((a, b) => a.localeCompare(b));
+}
@@ -0,0 +1,241 @@
+// ═══════════════════════════════════════════════════════════
+//  MISCONCEPTIONS — The same mistake, made by many students
+//  Clusters an assignment's incorrect responses question by
+//  question. Two misses are linked when they share a normalized
+//  answer, an error type, the step where the work went wrong, and
+//  similar wording in the model's feedback; linked misses form a
+//  named group ("Sign error on Q4 · 11 students") with example
+//  submissions and a reteach note.
+// ═══════════════════════════════════════════════════════════
+import { studentUnits, normalizeAnswer, creditOf } from './itemAnalysis';
+
+const MIN_GROUP_STUDENTS = 2;
+const LINK_THRESHOLD = 0.5;
+const WEIGHTS = { answer: 0.45, errorType: 0.2, step: 0.1, text: 0.35 };
+const MAX_EXAMPLES = 3;
+
+// Recognizable misconceptions, matched against the feedback and divergence wording
+const KNOWN_MISCONCEPTIONS = [
+    { name: 'Sign error', pattern: /\b(sign|negative|minus|positive)\b/, reteach: 'Model tracking signs line by line; practice subtracting and multiplying negatives, and moving terms across the equals sign.' },
+    { name: 'Distribution error', pattern: /\bdistribut/, reteach: 'Revisit the distributive property with area models; have students multiply every term inside the parentheses.' },
+    { name: 'Order of operations', pattern: /\b(order of operations|pemdas|bodmas|precedence)\b/, reteach: 'Reteach the order of operations with expressions where left-to-right gives a different answer.' },
+    { name: 'Fraction operations', pattern: /\b(denominator|numerator|fraction)/, reteach: 'Revisit common denominators and what numerator and denominator mean before operating on fractions.' },
+    { name: 'Exponent rules', pattern: /\b(exponent|power|squar)/, reteach: 'Review exponent rules with expanded forms so students can see why each rule holds.' },
+    { name: 'Like terms', pattern: /\blike terms\b/, reteach: 'Sort terms by variable part before combining; contrast x + x with x · x.' },
+    { name: 'Inverse operations', pattern: /\b(inverse|both sides|isolat)/, reteach: 'Practice undoing operations in reverse order and doing the same thing to both sides.' },
+    { name: 'Place value', pattern: /\b(place value|decimal point|carr(y|ied)|regroup|borrow)/, reteach: 'Use place-value charts to rework regrouping and decimal alignment.' },
+    { name: 'Units', pattern: /\b(unit|convert|conversion)/, reteach: 'Have students write units on every line and check them in the final answer.' },
+    { name: 'Misread question', pattern: /\b(misread|misunderst|question asked|instead of)\b/, reteach: 'Practice restating what the question asks before solving, and checking the answer against it.' },
+];
+
+const ERROR_TYPE_NOTES = {
+    COMPUTATIONAL: { name: 'Computation slip', reteach: 'The method is right; have students check each computation, e.g. by estimating first.' },
+    PROCEDURAL: { name: 'Procedure misstep', reteach: 'Walk through the procedure step by step with a worked example, then a faded example.' },
+    CONCEPTUAL: { name: 'Concept gap', reteach: 'Reteach the underlying concept before more practice; procedures alone will not fix it.' },
+    TRANSCRIPTION: { name: 'Copying error', reteach: 'Remind students to re-check numbers copied from the question and between lines.' },
+};
+
+const STOPWORDS = new Set(('a an the and or but of to in on at for with by from as is are was were be been it its this that these those '
+    + 'student students answer answers correct correctly incorrect should would could has have had not no instead than then so '
+    + 'their they there which when while where what step steps work shown question got gives given make made').split(' '));
+
+// ─── Text similarity ─────────────────────────────────────
+function tokens(text) {
+    return (text || '').toLowerCase().normalize('NFKC')
+        .split(/[^a-z0-9]+/)
+        .filter(w => w.length > 2 && !STOPWORDS.has(w))
+        .map(w => w.replace(/(ing|ed|(?<!s)s)$/, ''));
+}
+
+function termVector(text) {
+    const vector = new Map();
+    for (const token of tokens(text)) vector.set(token, (vector.get(token) || 0) + 1);
+    return vector;
+}
+
+function cosine(a, b) {
+    if (!a.size || !b.size) return 0;
+    let dot = 0;
+    for (const [term, weight] of a) dot += weight * (b.get(term) || 0);
+    const norm = (v) => Math.sqrt([...v.values()].reduce((s, w) => s + w * w, 0));
+    return dot / (norm(a) * norm(b));
+}
+
+// ─── Incorrect responses ─────────────────────────────────
+// Where the work went wrong: the first step the checker proves invalid, else the
+// model's divergence point when the page holds just this question
+function divergenceOf(response, page) {
+    const steps = response.stepCheck?.steps || [];
+    const index = steps.findIndex(s => s.verdict === 'invalid');
+    if (index >= 0) return { step: index + 1, explanation: steps[index].detail || response.stepCheck.detail || null };
+    if (page?.divergence_point && (page.responses || []).length <= 1) {
+        return { step: page.divergence_point.step ?? null, explanation: page.divergence_point.explanation || null };
+    }
+    return { step: null, explanation: null };
+}
+
+function incorrectResponses(units) {
+    const misses = [];
+    for (const unit of units) {
+        const pages = new Map(unit.traces.map(t => [t.id, t]));
+        for (const response of unit.responses || []) {
+            const credit = creditOf(response);
+            if (!response.questionId || credit == null || credit >= 1) continue;
+            const page = pages.get(response.sourcePageId) || unit.traces[0];
+            const divergence = divergenceOf(response, page);
+            const answer = (response.studentAnswer || '').trim();
+            misses.push({
+                unitKey: unit.key,
+                traceId: page?.id ?? null,
+                submissionId: page?.submission_id ?? null,
+                studentToken: page?.student_token ?? null,
+                questionId: response.questionId,
+                questionText: response.questionText || null,
+                answer,
+                normalizedAnswer: normalizeAnswer(answer),
+                errorType: response.errorType && response.errorType !== 'NONE' ? response.errorType : null,
+                step: divergence.step,
+                explanation: divergence.explanation,
+                feedback: response.feedback || null,
+                concepts: response.conceptsAssessed || [],
+                vector: termVector([divergence.explanation, response.feedback].filter(Boolean).join(' ')),
+            });
+        }
+    }
+    return misses;
+}
+
+function similarity(a, b) {
+    let score = 0;
+    if (a.normalizedAnswer && a.normalizedAnswer === b.normalizedAnswer) score += WEIGHTS.answer;
+    if (a.errorType && a.errorType === b.errorType) score += WEIGHTS.errorType;
+    if (a.step != null && a.step === b.step) score += WEIGHTS.step;
+    return score + WEIGHTS.text * cosine(a.vector, b.vector);
+}
+
+// Single-link clustering: misses linked directly or through each other share a group
+function linkMisses(misses) {
+    const parent = misses.map((_, i) => i);
+    const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+    for (let i = 0; i < misses.length; i++) {
+        for (let j = i + 1; j < misses.length; j++) {
+            if (similarity(misses[i], misses[j]) >= LINK_THRESHOLD) parent[find(i)] = find(j);
+        }
+    }
+    const groups = new Map();
+    misses.forEach((miss, i) => {
+        const root = find(i);
+        if (!groups.has(root)) groups.set(root, []);
+        groups.get(root).push(miss);
+    });
+    return [...groups.values()];
+}
+
+// ─── Naming ──────────────────────────────────────────────
+function mostCommon(values) {
+    const counts = new Map();
+    for (const value of values.filter(v => v != null && v !== '')) counts.set(value, (counts.get(value) || 0) + 1);
+    const [top] = [...counts.entries()].sort((a, b) => b[1] - a[1]);
+    return top ? { value: top[0], count: top[1] } : null;
+}
+
+// The miss whose wording is closest to the rest of its group
+function representative(members) {
+    let best = members[0];
+    let bestScore = -1;
+    for (const m of members) {
+        const score = members.reduce((s, other) => s + (other === m ? 0 : cosine(m.vector, other.vector)), 0);
+        if (score > bestScore) { best = m; bestScore = score; }
+    }
+    return best;
+}
+
+function describeGroup(members) {
+    const text = members.map(m => [m.explanation, m.feedback].filter(Boolean).join(' ')).join(' ').toLowerCase();
+    const known = KNOWN_MISCONCEPTIONS
+        .map(k => ({ ...k, hits: (text.match(new RegExp(k.pattern.source, 'g')) || []).length }))
+        .filter(k => k.hits > 0)
+        .sort((a, b) => b.hits - a.hits)[0];
+    const errorType = mostCommon(members.map(m => m.errorType))?.value ?? null;
+    const generic = ERROR_TYPE_NOTES[errorType];
+    const answer = mostCommon(members.map(m => m.normalizedAnswer));
+    const sameAnswer = answer && answer.count / members.length >= 0.6;
+    const shownAnswer = sameAnswer ? mostCommon(members.filter(m => m.normalizedAnswer === answer.value).map(m => m.answer)).value : null;
+
+    const name = known?.name || generic?.name || (sameAnswer ? `Answered "${shownAnswer}"` : 'Shared mistake');
+    const concepts = mostCommon(members.flatMap(m => m.concepts))?.value;
+    const reteach = [
+        known?.reteach || generic?.reteach || 'Go over a common wrong answer with the class and ask where the reasoning breaks.',
+        concepts && `Concept to revisit: ${concepts}.`,
+    ].filter(Boolean).join(' ');
+
+    return { name, errorType, commonAnswer: shownAnswer, reteach };
+}
+
+// ─── Public API ──────────────────────────────────────────
+/**
+ * Group an assignment's incorrect responses into misconceptions
+ * (storageLayer trace shape; a multi-page submission counts as one student).
+ * @param {Array} traces
+ * @returns {{ missCount: number, groupedCount: number, groups: Array }} groupedCount: misses that fell into a group
+ *   groups, largest first: { id, name, questionId, questionText, studentCount, share, errorType,
+ *   commonAnswer, divergenceStep, summary, reteach, concepts, examples, traceIds }
+ */
+export function clusterMisconceptions(traces) {
+    const units = studentUnits(traces);
+    const misses = incorrectResponses(units);
+
+    const attempted = new Map();
+    for (const unit of units) {
+        for (const r of unit.responses || []) {
+            if (r.questionId && creditOf(r) != null) attempted.set(r.questionId, (attempted.get(r.questionId) || 0) + 1);
+        }
+    }
+
+    const byQuestion = new Map();
+    for (const miss of misses) {
+        if (!byQuestion.has(miss.questionId)) byQuestion.set(miss.questionId, []);
+        byQuestion.get(miss.questionId).push(miss);
+    }
+
+    const groups = [];
+    let groupedCount = 0;
+    for (const [questionId, questionMisses] of byQuestion) {
+        for (const members of linkMisses(questionMisses)) {
+            const studentCount = new Set(members.map(m => m.unitKey)).size;
+            if (studentCount < MIN_GROUP_STUDENTS) continue;
+            groupedCount += members.length;
+            const description = describeGroup(members);
+            const example = representative(members);
+            groups.push({
+                id: `${questionId}:${groups.length}`,
+                ...description,
+                name: `${description.name} on Q${questionId}`,
+                questionId,
+                questionText: members.find(m => m.questionText)?.questionText ?? null,
+                studentCount,
+                share: studentCount / (attempted.get(questionId) || studentCount),
+                divergenceStep: mostCommon(members.map(m => m.step))?.value ?? null,
+                summary: example.explanation || example.feedback || null,
+                concepts: [...new Set(members.flatMap(m => m.concepts))],
+                examples: [example, ...members.filter(m => m !== example)].slice(0, MAX_EXAMPLES).map(m => ({
+                    traceId: m.traceId,
+                    submissionId: m.submissionId,
+                    studentToken: m.studentToken,
+                    answer: m.answer || null,
+                    explanation: m.explanation || m.feedback || null,
+                })),
+                traceIds: [...new Set(members.map(m => m.traceId).filter(Boolean))],
+            });
+        }
+    }
+
+    groups.sort((a, b) => b.studentCount - a.studentCount
+        || String(a.questionId).localeCompare(String(b.questionId), undefined, { numeric: true }));
+
+    return {
+        missCount: misses.length,
+        groupedCount,
+        groups,
+    };
+}
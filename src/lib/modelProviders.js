@@ -0,0 +1,215 @@
+// ═══════════════════════════════════════════════════════════
+//  MODEL PROVIDERS — Vision-model adapters behind one call
+//  Gemini, any OpenAI-compatible chat/vision endpoint, and a local
+//  OpenAI-compatible server (llama.cpp, Ollama). Each adapter builds
+//  its request (with the pass's response schema in the provider's own
+//  format) and pulls the text back out; parseModelJSON turns that
+//  text into JSON for the engine to validate.
+//  Mirrors supabase/functions/_shared/modelProviders.ts.
+// ═══════════════════════════════════════════════════════════
+import { MODEL_PROVIDERS } from './schema';
+import { AnalysisError, errorFromStatus } from './analysisErrors';
+
+export const DEFAULT_MODELS = {
+    gemini: 'gemini-1.5-flash',
+    openai: 'gpt-4o-mini',
+    local: 'llava',
+};
+
+export const PROVIDER_LABELS = {
+    gemini: 'Google Gemini',
+    openai: 'OpenAI-compatible',
+    local: 'Local server',
+};
+
+const DEFAULT_GENERATION = { temperature: 0.1, maxTokens: 4096 };
+
+const ENV = import.meta.env;
+
+// Direct (browser → provider) endpoints, dev only: keys in VITE_* vars are exposed to the client
+const DIRECT = {
+    gemini: { baseUrl: 'https://generativelanguage.googleapis.com/v1beta', apiKey: ENV.VITE_GEMINI_API_KEY },
+    openai: { baseUrl: ENV.VITE_OPENAI_BASE_URL || 'https://api.openai.com/v1', apiKey: ENV.VITE_OPENAI_API_KEY },
+    local: { baseUrl: ENV.VITE_LOCAL_MODEL_URL, apiKey: ENV.VITE_LOCAL_MODEL_API_KEY },
+};
+
+/**
+ * Provider, model and generation settings for one call: the assignment's
+ * choice (if any) over the deployment default (VITE_MODEL_PROVIDER / VITE_MODEL_NAME).
+ *
+ * @param {{ provider?, model?, temperature?, maxTokens? }|null} [overrides] — assignment.modelSettings
+ * @returns {{ provider: string, model: string, temperature: number, maxTokens: number }}
+ */
+export function resolveModelSettings(overrides = null) {
+    const deploymentProvider = MODEL_PROVIDERS.includes(ENV.VITE_MODEL_PROVIDER) ? ENV.VITE_MODEL_PROVIDER : 'gemini';
+    const provider = MODEL_PROVIDERS.includes(overrides?.provider) ? overrides.provider : deploymentProvider;
+    const deploymentModel = provider === deploymentProvider ? ENV.VITE_MODEL_NAME : null;
+    return {
+        provider,
+        model: overrides?.model || deploymentModel || DEFAULT_MODELS[provider],
+        temperature: overrides?.temperature ?? DEFAULT_GENERATION.temperature,
+        maxTokens: overrides?.maxTokens ?? DEFAULT_GENERATION.maxTokens,
+    };
+}
+
+/** Whether the browser can call this provider itself (no Edge Function). */
+export function hasDirectAccess(provider) {
+    const d = DIRECT[provider];
+    if (!d) return false;
+    return provider === 'local' ? Boolean(d.baseUrl) : Boolean(d.apiKey);
+}
+
+// ─── Response schemas ────────────────────────────────────
+/**
+ * JSON Schema → Gemini responseSchema (OpenAPI subset): upper-case types,
+ * `nullable` instead of null unions, no free-form maps. Parts it cannot
+ * express are left out — the engine still validates the full schema.
+ */
+function toGeminiSchema(node) {
+    if (!node || typeof node !== 'object') return null;
+    if (node.anyOf) {
+        const options = node.anyOf.filter(o => o.type !== 'null').map(toGeminiSchema).filter(Boolean);
+        if (!options.length) return null;
+        const base = options.length === 1 ? options[0] : { anyOf: options };
+        return node.anyOf.some(o => o.type === 'null') ? { ...base, nullable: true } : base;
+    }
+    if (typeof node.const === 'string') return { type: 'STRING', enum: [node.const] };
+
+    const bounds = {
+        ...(node.minimum !== undefined ? { minimum: node.minimum } : {}),
+        ...(node.maximum !== undefined ? { maximum: node.maximum } : {}),
+    };
+    switch (node.type) {
+        case 'object': {
+            const properties = {};
+            for (const [key, value] of Object.entries(node.properties || {})) {
+                const converted = toGeminiSchema(value);
+                if (converted) properties[key] = converted;
+            }
+            if (!Object.keys(properties).length) return null;
+            const required = (node.required || []).filter(key => key in properties);
+            return { type: 'OBJECT', properties, ...(required.length ? { required } : {}) };
+        }
+        case 'array': {
+            const items = toGeminiSchema(node.items);
+            if (!items) return null;
+            return { type: 'ARRAY', items, ...(node.minItems ? { minItems: node.minItems } : {}) };
+        }
+        case 'string': return node.enum ? { type: 'STRING', enum: node.enum } : { type: 'STRING' };
+        case 'number': return { type: 'NUMBER', ...bounds };
+        case 'integer': return { type: 'INTEGER', ...bounds };
+        case 'boolean': return { type: 'BOOLEAN' };
+        default: return null;
+    }
+}
+
+/**
+ * A pass's JSON Schema in the provider's response-schema format.
+ * @param {string} provider
+ * @param {{ name: string, schema: object }|null} responseSchema
+ */
+export function toProviderSchema(provider, responseSchema) {
+    if (!responseSchema) return null;
+    if (provider === 'gemini') return toGeminiSchema(responseSchema.schema);
+    // OpenAI, llama.cpp and Ollama accept JSON Schema; non-strict so optional fields stay optional
+    return { type: 'json_schema', json_schema: { name: responseSchema.name, schema: responseSchema.schema, strict: false } };
+}
+
+// ─── Adapters ────────────────────────────────────────────
+const splitDataUrl = (imageBase64) => ({
+    mimeType: imageBase64.match(/^data:([^;]+);/)?.[1] || 'image/jpeg',
+    data: imageBase64.includes(',') ? imageBase64.split(',')[1] : imageBase64,
+});
+
+const geminiAdapter = {
+    request({ imageBase64, prompt, settings, baseUrl, apiKey, responseSchema }) {
+        const { mimeType, data } = splitDataUrl(imageBase64);
+        const schema = toProviderSchema('gemini', responseSchema);
+        return {
+            url: `${baseUrl}/models/${settings.model}:generateContent?key=${apiKey}`,
+            headers: { 'Content-Type': 'application/json' },
+            body: {
+                contents: [{ parts: [{ inline_data: { mime_type: mimeType, data } }, { text: prompt }] }],
+                generationConfig: {
+                    temperature: settings.temperature,
+                    maxOutputTokens: settings.maxTokens,
+                    responseMimeType: 'application/json',
+                    ...(schema ? { responseSchema: schema } : {}),
+                },
+            },
+        };
+    },
+    text: (data) => data.candidates?.[0]?.content?.parts?.map(p => p.text || '').join('') || null,
+};
+
+const openAIAdapter = {
+    request({ imageBase64, prompt, settings, baseUrl, apiKey, responseSchema }) {
+        const { mimeType, data } = splitDataUrl(imageBase64);
+        return {
+            url: `${baseUrl.replace(/\/$/, '')}/chat/completions`,
+            headers: {
+                'Content-Type': 'application/json',
+                ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+            },
+            body: {
+                model: settings.model,
+                temperature: settings.temperature,
+                max_tokens: settings.maxTokens,
+                response_format: toProviderSchema(settings.provider, responseSchema) || { type: 'json_object' },
+                messages: [{
+                    role: 'user',
+                    content: [
+                        { type: 'text', text: prompt },
+                        { type: 'image_url', image_url: { url: `data:${mimeType};base64,${data}` } },
+                    ],
+                }],
+            },
+        };
+    },
+    text: (data) => {
+        const content = data.choices?.[0]?.message?.content;
+        return Array.isArray(content) ? content.map(c => c.text || '').join('') : content || null;
+    },
+};
+
+// Local servers speak the OpenAI chat API; only the endpoint and auth differ
+const ADAPTERS = { gemini: geminiAdapter, openai: openAIAdapter, local: openAIAdapter };
+
+/**
+ * Model output → JSON object. Tolerates code fences and prose around the
+ * object, which OpenAI-compatible and local models add more often than Gemini.
+ * Unparseable output throws INVALID_MODEL_OUTPUT with the raw text in
+ * `details.rawOutput`, so the engine can ask the model to repair it.
+ */
+export function parseModelJSON(text) {
+    const unfenced = text.replace(/```(?:json)?/gi, '');
+    const start = unfenced.indexOf('{');
+    const end = unfenced.lastIndexOf('}');
+    try {
+        if (start === -1 || end <= start) throw new Error('No JSON found in response');
+        return JSON.parse(unfenced.slice(start, end + 1));
+    } catch (parseErr) {
+        throw new AnalysisError('INVALID_MODEL_OUTPUT', `Invalid JSON from model: ${parseErr.message}`, { details: { rawOutput: text } });
+    }
+}
+
+/**
+ * Call a provider directly from the browser.
+ * @param {string} imageBase64 — data URL or bare base64 JPEG
+ * @param {string} prompt
+ * @param {ReturnType<typeof resolveModelSettings>} settings
+ * @param {{ name: string, schema: object }|null} [responseSchema] — the pass's JSON Schema
+ * @returns {Promise<object>} parsed JSON
+ */
+export async function callProviderDirect(imageBase64, prompt, settings, responseSchema = null) {
+    const adapter = ADAPTERS[settings.provider];
+    const { baseUrl, apiKey } = DIRECT[settings.provider] || {};
+    if (!adapter || !baseUrl) {
+        throw new AnalysisError('ANALYSIS_UNAVAILABLE', `Model provider "${settings.provider}" is not configured`);
+    }
+
+    const { url, headers, body } = adapter.request({ imageBase64, prompt, settings, baseUrl, apiKey, responseSchema });
+    const res = await fetch(url, { method: 'POST', headers, body: JSON.stringify(body) });
+    if (!res.ok) throw errorFromStatus(res.status, await res.text());
+    return parseModelJSON(adapter.text(await res.json()) || '');
+}
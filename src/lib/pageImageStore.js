@@ -0,0 +1,202 @@
+// ═══════════════════════════════════════════════════════════
+//  PAGE IMAGE STORE — The captured page behind each trace
+//  The redacted, rectified image the model graded, so the
+//  dashboard can show the handwriting behind every question
+//  and step, and a grade can be disputed or re-graded later.
+//  Regions in the result are fractions of this image.
+//
+//  Signed in: private Storage bucket `page-images` at
+//  {user}/{assignment}/{trace}.jpg, linked from the trace row
+//  (RLS: own objects only). Otherwise IndexedDB on this device.
+//  Either way pages are purged after the retention period.
+// ═══════════════════════════════════════════════════════════
+import { getAuthedClient } from './storageLayer';
+
+const DB_NAME = 'lymbic_page_images';
+const STORE = 'pages';
+const BUCKET = 'page-images';
+const RETENTION_KEY = 'lymbic_page_image_retention_days';
+const SIGNED_URL_SECONDS = 60 * 60;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DEFAULT_RETENTION_DAYS = 365;
+export const RETENTION_CHOICES = [30, 90, 180, 365];
+
+let dbPromise = null;
+
+// ─── IndexedDB ───────────────────────────────────────────
+function openDb() {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise((resolve, reject) => {
+        const req = indexedDB.open(DB_NAME, 1);
+        req.onupgradeneeded = () => req.result.createObjectStore(STORE, { keyPath: 'traceId' });
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    }).catch(err => {
+        dbPromise = null;
+        throw err;
+    });
+    return dbPromise;
+}
+
+async function tx(mode, fn) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const t = db.transaction(STORE, mode);
+        const req = fn(t.objectStore(STORE));
+        t.oncomplete = () => resolve(req?.result);
+        t.onerror = () => reject(t.error);
+    });
+}
+
+function localRetentionDays() {
+    const days = Number(localStorage.getItem(RETENTION_KEY));
+    return Number.isInteger(days) && days > 0 ? days : DEFAULT_RETENTION_DAYS;
+}
+
+const pagePath = (userId, assignmentId, traceId) => `${userId}/${assignmentId || 'unassigned'}/${traceId}.jpg`;
+
+// ─── Public API ──────────────────────────────────────────
+/**
+ * Keep the page a trace was graded from. Best effort: a page that cannot be
+ * stored only costs the dashboard its image, never the grade. A failed upload
+ * falls back to this device.
+ * @param {string} traceId
+ * @param {string} image — data URL of the redacted page sent for analysis
+ * @param {{ assignmentId?: string|null }} [options]
+ * @returns {Promise<{ stored: 'storage'|'device'|null, path?: string }>}
+ */
+export async function savePageImage(traceId, image, { assignmentId = null } = {}) {
+    if (!traceId || !image) return { stored: null };
+
+    const client = await getAuthedClient();
+    if (client) {
+        try {
+            const path = pagePath(client.userId, assignmentId, traceId);
+            const blob = await (await fetch(image)).blob();
+            const { error } = await client.supabase.storage
+                .from(BUCKET)
+                .upload(path, blob, { contentType: blob.type || 'image/jpeg', upsert: true });
+            if (error) throw error;
+            // The database sets page_image_expires_at from the retention period
+            const { error: linkError } = await client.supabase
+                .from('logic_traces')
+                .update({ page_image_path: path })
+                .eq('id', traceId);
+            if (linkError) throw linkError;
+            return { stored: 'storage', path };
+        } catch (err) {
+            console.warn('[Lymbic] Page upload failed, keeping it on this device:', err);
+        }
+    }
+
+    try {
+        await tx('readwrite', store => store.put({ traceId, image, createdAt: new Date().toISOString() }));
+        return { stored: 'device' };
+    } catch (err) {
+        console.warn('[Lymbic] Could not keep page image:', err);
+        return { stored: null };
+    }
+}
+
+/**
+ * @returns {Promise<string|null>} an image URL (short-lived signed URL for stored
+ *   pages, data URL for pages on this device), or null when there is none
+ */
+export async function getPageImage(traceId) {
+    if (!traceId) return null;
+    try {
+        const entry = await tx('readonly', store => store.get(traceId));
+        if (entry?.image) return entry.image;
+    } catch {
+        // No IndexedDB: only stored pages can be shown
+    }
+
+    const client = await getAuthedClient();
+    if (!client) return null;
+    const { data: trace } = await client.supabase
+        .from('logic_traces')
+        .select('page_image_path')
+        .eq('id', traceId)
+        .maybeSingle();
+    if (!trace?.page_image_path) return null;
+    const { data, error } = await client.supabase.storage
+        .from(BUCKET)
+        .createSignedUrl(trace.page_image_path, SIGNED_URL_SECONDS);
+    if (error) {
+        console.warn('[Lymbic] Could not sign page image URL:', error);
+        return null;
+    }
+    return data.signedUrl;
+}
+
+/**
+ * The retention period for captured pages.
+ * @returns {Promise<{ days: number, schoolDays: number|null, effectiveDays: number }>}
+ *   days: the teacher's choice; schoolDays: their school's cap, if any
+ */
+export async function getPageImageRetention() {
+    const client = await getAuthedClient();
+    if (!client) {
+        const days = localRetentionDays();
+        return { days, schoolDays: null, effectiveDays: days };
+    }
+    const [own, school] = await Promise.all([
+        client.supabase.from('page_image_retention').select('retention_days').maybeSingle(),
+        client.supabase.from('school_page_image_retention').select('retention_days').maybeSingle(),
+    ]);
+    const days = own.data?.retention_days ?? DEFAULT_RETENTION_DAYS;
+    const schoolDays = school.data?.retention_days ?? null;
+    return { days, schoolDays, effectiveDays: Math.min(days, schoolDays ?? days) };
+}
+
+/**
+ * Set the teacher's retention period. Pages already stored are re-dated; a
+ * school limit still applies.
+ * @returns {Promise<{ success: boolean, effectiveDays?: number, error?: string }>}
+ */
+export async function setPageImageRetention(days) {
+    if (!Number.isInteger(days) || days < 1 || days > 3650) {
+        return { success: false, error: 'Retention must be 1–3650 days' };
+    }
+    const client = await getAuthedClient();
+    if (client) {
+        const { data, error } = await client.supabase.rpc('set_page_image_retention', { p_days: days });
+        if (error) {
+            console.warn('[Lymbic] Supabase set retention failed:', error);
+            return { success: false, error: 'Could not save the retention period' };
+        }
+        return { success: true, effectiveDays: data };
+    }
+    localStorage.setItem(RETENTION_KEY, String(days));
+    await purgeExpiredPageImages();
+    return { success: true, effectiveDays: days };
+}
+
+/**
+ * Drop pages on this device older than the effective retention period (a
+ * school limit included). Stored pages are purged server-side by the
+ * purge-page-images Edge Function.
+ * @returns {Promise<number>} pages removed
+ */
+export async function purgeExpiredPageImages() {
+    try {
+        const { effectiveDays } = await getPageImageRetention();
+        const cutoff = new Date(Date.now() - effectiveDays * DAY_MS).toISOString();
+        const expired = (await tx('readonly', store => store.getAll())).filter(e => e.createdAt < cutoff);
+        if (expired.length) await tx('readwrite', store => expired.forEach(e => store.delete(e.traceId)));
+        return expired.length;
+    } catch (err) {
+        console.warn('[Lymbic] Could not purge page images:', err);
+        return 0;
+    }
+}
+
+/** Drop every page on this device (for testing/reset, alongside clearAllTraces). */
+export async function clearPageImages() {
+    try {
+        await tx('readwrite', store => store.clear());
+    } catch (err) {
+        console.warn('[Lymbic] Could not clear page images:', err);
+    }
+}
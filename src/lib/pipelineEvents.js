@@ -0,0 +1,118 @@
+// ═══════════════════════════════════════════════════════════
+//  PIPELINE EVENTS — Live progress from capture to graded result
+//  useSmartScanner and runAnalysisPipeline report what they are
+//  doing through an `onEvent` callback; applyPipelineEvent folds
+//  the events into the ordered timeline the scan screen renders.
+//  A row only exists once its stage has actually started.
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * @typedef {(
+ *   { type: 'step', step: 'quality'|'enhance'|'redact', status: 'running'|'passed'|'failed', durationMs?, message? } |
+ *   { type: 'gate', gate: 'null'|'geometry'|'preflight'|'content'|'analysis'|'validation',
+ *     status: 'running'|'passed'|'failed', durationMs?, warnings?: string[], message? } |
+ *   { type: 'pass', pass: string, index: number, status: 'started'|'repairing'|'done'|'failed'|'skipped',
+ *     attempt?: number, durationMs? }
+ * )} PipelineEvent
+ * `step` events come from on-device work before the pipeline, `gate` events from
+ * the six pipeline gates, `pass` events from each model pass inside the analysis gate.
+ */
+
+export const STEP_LABELS = {
+    quality: 'Checking image quality',
+    enhance: 'Enhancing image',
+    redact: 'Removing student name',
+};
+
+export const GATE_LABELS = {
+    null: 'Capture received',
+    geometry: 'Page geometry',
+    preflight: 'Pre-flight checks',
+    content: 'Content and privacy',
+    analysis: 'Analysis',
+    validation: 'Result validation',
+};
+
+export const PASS_LABELS = {
+    structure: 'Detecting document layout',
+    extraction: 'Reading and grading answers',
+    verification: 'Re-checking unclear answers',
+    recognition: 'Transcribing work',
+    evaluation: 'Tracing logic pathway',
+    answerKey: 'Reading the answer key',
+};
+
+const PASS_STATUS = { started: 'running', repairing: 'running', done: 'passed', failed: 'failed', skipped: 'skipped' };
+
+/**
+ * Start timing a step or gate: emits `running` now and returns a function
+ * that emits its end state with the elapsed time.
+ *
+ * @param {((event: PipelineEvent) => void)|null} onEvent
+ * @param {'step'|'gate'} type
+ * @param {string} name
+ * @returns {(status: 'passed'|'failed', extra?: { warnings?: string[], message?: string }) => void}
+ */
+export function timeStage(onEvent, type, name) {
+    const start = Date.now();
+    onEvent?.({ type, [type]: name, status: 'running' });
+    return (status, extra = {}) => onEvent?.({ type, [type]: name, status, durationMs: Date.now() - start, ...extra });
+}
+
+/**
+ * analyzeWithLogicEngine's `onProgress` → `pass` events, numbered in the order
+ * the passes start and timed from their first attempt.
+ *
+ * @param {(event: PipelineEvent) => void} onEvent
+ * @returns {(progress: { pass: string, status: string, attempt?: number }) => void}
+ */
+export function passEventEmitter(onEvent) {
+    const started = new Map();
+    return ({ pass, status, attempt }) => {
+        if (!started.has(pass)) started.set(pass, { index: started.size + 1, at: Date.now() });
+        const { index, at } = started.get(pass);
+        const finished = status === 'done' || status === 'failed';
+        onEvent({
+            type: 'pass',
+            pass,
+            index,
+            status,
+            ...(attempt ? { attempt } : {}),
+            ...(finished ? { durationMs: Date.now() - at } : {}),
+        });
+    };
+}
+
+/**
+ * Fold one event into the timeline. Rows are keyed by stage, so later events
+ * for the same step, gate or pass update their row in place.
+ *
+ * @param {Array<{ key, label, status, durationMs, warnings, detail, nested }>} timeline
+ * @param {PipelineEvent} event
+ * @returns {Array} new timeline
+ */
+export function applyPipelineEvent(timeline, event) {
+    const name = event.step ?? event.gate ?? event.pass;
+    const key = `${event.type}:${name}`;
+    const label = event.type === 'step' ? STEP_LABELS[name]
+        : event.type === 'gate' ? GATE_LABELS[name]
+            : `Pass ${event.index} · ${PASS_LABELS[name] || name}`;
+    if (!label) return timeline;
+
+    const previous = timeline.find(row => row.key === key);
+    const row = {
+        key,
+        label,
+        status: event.type === 'pass' ? PASS_STATUS[event.status] : event.status,
+        durationMs: event.durationMs ?? null,
+        warnings: event.warnings?.length ? event.warnings : previous?.warnings || [],
+        detail: event.status === 'repairing' ? `Fixing model output (retry ${event.attempt - 1})` : event.message || null,
+        nested: event.type === 'pass',
+    };
+    return previous ? timeline.map(r => (r.key === key ? row : r)) : [...timeline, row];
+}
+
+/** The stage running now (latest started), else null. */
+export function currentStage(timeline) {
+    return [...timeline].reverse().find(row => row.status === 'running') || null;
+}
@@ -0,0 +1,352 @@
+// ═══════════════════════════════════════════════════════════
+//  ROSTER STORE — Classes, sections and students
+//  Supabase when signed in (RLS: own rows only), else localStorage.
+//  Roster data is never sent to the analysis model.
+// ═══════════════════════════════════════════════════════════
+import { getAuthedClient } from './storageLayer';
+
+const ROSTER_KEY = 'lymbic_roster';
+
+// CSV header aliases (compared lowercased, punctuation stripped)
+const COLUMN_ALIASES = {
+    name: ['name', 'student', 'student name', 'full name', 'display name'],
+    firstName: ['first', 'first name', 'given name'],
+    lastName: ['last', 'last name', 'surname', 'family name'],
+    studentNumber: ['id', 'student id', 'student number', 'student no', 'number', 'sis id'],
+    section: ['section', 'period', 'class period', 'block'],
+};
+
+// ─── Local fallback ───────────────────────────────────────
+function loadLocalRoster() {
+    try {
+        const roster = JSON.parse(localStorage.getItem(ROSTER_KEY) || '{}');
+        return { classes: roster.classes || [], sections: roster.sections || [], students: roster.students || [] };
+    } catch {
+        return { classes: [], sections: [], students: [] };
+    }
+}
+
+function saveLocalRoster(roster) {
+    localStorage.setItem(ROSTER_KEY, JSON.stringify(roster));
+}
+
+function classFromRecord(record) {
+    return {
+        id: record.id,
+        name: record.name,
+        subject: record.subject ?? null,
+        gradeLevel: record.grade_level ?? null,
+        createdAt: record.created_at,
+    };
+}
+
+function studentFromRecord(record, sections = []) {
+    return {
+        id: record.id,
+        classId: record.class_id,
+        sectionId: record.section_id ?? null,
+        sectionName: sections.find(s => s.id === record.section_id)?.name ?? null,
+        displayName: record.display_name,
+        studentNumber: record.student_number ?? null,
+    };
+}
+
+// ─── Classes ──────────────────────────────────────────────
+
+/**
+ * @returns {Promise<Array<{ id, name, subject, gradeLevel, createdAt }>>}
+ */
+export async function listClasses() {
+    const client = await getAuthedClient();
+    if (client) {
+        const { data, error } = await client.supabase
+            .from('classes')
+            .select('*')
+            .order('created_at', { ascending: true });
+        if (!error) return (data || []).map(classFromRecord);
+        console.warn('[Lymbic] Supabase list classes failed:', error);
+    }
+    return loadLocalRoster().classes.map(classFromRecord);
+}
+
+/**
+ * @param {{ name: string, subject?: string, gradeLevel?: string }} input
+ * @returns {Promise<{ success: boolean, class?: object, error?: string }>}
+ */
+export async function createClass({ name, subject = null, gradeLevel = null }) {
+    if (!name?.trim()) return { success: false, error: 'Class name is required' };
+    const record = {
+        name: name.trim(),
+        subject: subject || null,
+        grade_level: gradeLevel || null,
+        created_at: new Date().toISOString(),
+    };
+
+    const client = await getAuthedClient();
+    if (client) {
+        const { data, error } = await client.supabase
+            .from('classes')
+            .insert({ ...record, user_id: client.userId })
+            .select()
+            .single();
+        if (!error) return { success: true, class: classFromRecord(data) };
+        console.error('[Lymbic] Supabase create class failed:', error);
+    }
+
+    const roster = loadLocalRoster();
+    const local = { ...record, id: crypto.randomUUID() };
+    roster.classes.push(local);
+    saveLocalRoster(roster);
+    return { success: true, class: classFromRecord(local) };
+}
+
+// ─── Students ─────────────────────────────────────────────
+
+/**
+ * Students in a class, with their section name resolved.
+ * @returns {Promise<Array<{ id, classId, sectionId, sectionName, displayName, studentNumber }>>}
+ */
+export async function listStudents(classId) {
+    if (!classId) return [];
+    const client = await getAuthedClient();
+    if (client) {
+        const [students, sections] = await Promise.all([
+            client.supabase.from('students').select('*').eq('class_id', classId).order('display_name'),
+            client.supabase.from('sections').select('*').eq('class_id', classId),
+        ]);
+        if (!students.error && !sections.error) {
+            return (students.data || []).map(s => studentFromRecord(s, sections.data || []));
+        }
+        console.warn('[Lymbic] Supabase list students failed:', students.error || sections.error);
+    }
+    const roster = loadLocalRoster();
+    return roster.students
+        .filter(s => s.class_id === classId)
+        .sort((a, b) => a.display_name.localeCompare(b.display_name))
+        .map(s => studentFromRecord(s, roster.sections));
+}
+
+/**
+ * One student with their section name resolved, or null.
+ * @returns {Promise<{ id, classId, sectionId, sectionName, displayName, studentNumber }|null>}
+ */
+export async function getStudent(studentId) {
+    if (!studentId) return null;
+    const client = await getAuthedClient();
+    if (client) {
+        const { data, error } = await client.supabase
+            .from('students')
+            .select('*, sections(*)')
+            .eq('id', studentId)
+            .maybeSingle();
+        if (!error) return data ? studentFromRecord(data, data.sections ? [data.sections] : []) : null;
+        console.warn('[Lymbic] Supabase get student failed:', error);
+    }
+    const roster = loadLocalRoster();
+    const record = roster.students.find(s => s.id === studentId);
+    return record ? studentFromRecord(record, roster.sections) : null;
+}
+
+/**
+ * Add students to a class, creating sections by name as needed.
+ * Rows whose student number (or, without one, name) is already on the roster are skipped.
+ *
+ * @param {string} classId
+ * @param {Array<{ displayName: string, studentNumber?: string, section?: string }>} rows
+ * @returns {Promise<{ success: boolean, added: number, skipped: number, error?: string }>}
+ */
+export async function addStudents(classId, rows) {
+    if (!classId) return { success: false, added: 0, skipped: 0, error: 'No class selected' };
+
+    const existing = await listStudents(classId);
+    const seenNumbers = new Set(existing.map(s => normalizeNumber(s.studentNumber)).filter(Boolean));
+    const seenNames = new Set(existing.map(s => nameKey(s.displayName)));
+    const fresh = [];
+    for (const row of rows) {
+        const number = normalizeNumber(row.studentNumber);
+        if (!row.displayName?.trim()) continue;
+        if (number ? seenNumbers.has(number) : seenNames.has(nameKey(row.displayName))) continue;
+        if (number) seenNumbers.add(number);
+        seenNames.add(nameKey(row.displayName));
+        fresh.push(row);
+    }
+    const skipped = rows.length - fresh.length;
+    if (!fresh.length) return { success: true, added: 0, skipped };
+
+    const sectionNames = [...new Set(fresh.map(r => r.section?.trim()).filter(Boolean))];
+    const toRecord = (row, sectionId) => ({
+        class_id: classId,
+        section_id: sectionId,
+        display_name: row.displayName.trim(),
+        student_number: row.studentNumber?.trim() || null,
+        created_at: new Date().toISOString(),
+    });
+
+    const client = await getAuthedClient();
+    if (client) {
+        const { supabase, userId } = client;
+        let sections = [];
+        if (sectionNames.length) {
+            const { data: known } = await supabase.from('sections').select('*').eq('class_id', classId);
+            sections = known || [];
+            const missing = sectionNames.filter(name => !sections.some(s => s.name === name));
+            if (missing.length) {
+                const { data, error } = await supabase
+                    .from('sections')
+                    .insert(missing.map(name => ({ class_id: classId, name, user_id: userId })))
+                    .select();
+                if (error) console.error('[Lymbic] Supabase section insert failed:', error);
+                sections = [...sections, ...(data || [])];
+            }
+        }
+        const sectionId = name => sections.find(s => s.name === name?.trim())?.id ?? null;
+        const { error } = await supabase
+            .from('students')
+            .insert(fresh.map(row => ({ ...toRecord(row, sectionId(row.section)), user_id: userId })));
+        if (!error) return { success: true, added: fresh.length, skipped };
+        console.error('[Lymbic] Supabase student insert failed:', error);
+        return { success: false, added: 0, skipped, error: 'Could not save students' };
+    }
+
+    const roster = loadLocalRoster();
+    for (const name of sectionNames) {
+        if (!roster.sections.some(s => s.class_id === classId && s.name === name)) {
+            roster.sections.push({ id: crypto.randomUUID(), class_id: classId, name, created_at: new Date().toISOString() });
+        }
+    }
+    const sectionId = name => roster.sections.find(s => s.class_id === classId && s.name === name?.trim())?.id ?? null;
+    roster.students.push(...fresh.map(row => ({ ...toRecord(row, sectionId(row.section)), id: crypto.randomUUID() })));
+    saveLocalRoster(roster);
+    return { success: true, added: fresh.length, skipped };
+}
+
+/**
+ * Parse and import a roster CSV into a class.
+ * @returns {Promise<{ success: boolean, added: number, skipped: number, errors: string[] }>}
+ */
+export async function importRosterCsv(classId, csvText) {
+    const { rows, errors } = parseRosterCsv(csvText);
+    if (!rows.length) return { success: false, added: 0, skipped: 0, errors: errors.length ? errors : ['No students found in file'] };
+    const result = await addStudents(classId, rows);
+    return { ...result, errors: result.error ? [...errors, result.error] : errors };
+}
+
+// ─── CSV parsing ──────────────────────────────────────────
+
+// Rows of cells; a quoted cell may hold commas, doubled quotes and line breaks
+function splitCsvRows(text) {
+    const rows = [];
+    let cells = [];
+    let cell = '';
+    let quoted = false;
+    const endRow = () => {
+        cells.push(cell.trim());
+        if (cells.some(Boolean)) rows.push(cells);
+        cells = [];
+        cell = '';
+    };
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quoted) {
+            if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+            else if (ch === '"') quoted = false;
+            else cell += ch;
+        } else if (ch === '"') quoted = true;
+        else if (ch === ',') { cells.push(cell.trim()); cell = ''; }
+        else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            endRow();
+        } else cell += ch;
+    }
+    endRow();
+    return rows;
+}
+
+/**
+ * Parse roster CSV text. Recognizes a header row (name / first + last name,
+ * student id, section / period); without one, columns are read as name, id, section.
+ *
+ * @returns {{ rows: Array<{ displayName, studentNumber, section }>, errors: string[] }}
+ */
+export function parseRosterCsv(text) {
+    const lines = splitCsvRows(text || '');
+    if (!lines.length) return { rows: [], errors: [] };
+
+    const header = lines[0].map(h => h.toLowerCase().replace(/[^a-z ]/g, '').trim());
+    const columnOf = key => header.findIndex(h => COLUMN_ALIASES[key].includes(h));
+    const cols = {
+        name: columnOf('name'),
+        firstName: columnOf('firstName'),
+        lastName: columnOf('lastName'),
+        studentNumber: columnOf('studentNumber'),
+        section: columnOf('section'),
+    };
+    const hasHeader = Object.values(cols).some(i => i >= 0);
+    if (!hasHeader) Object.assign(cols, { name: 0, studentNumber: 1, section: 2 });
+
+    const rows = [];
+    const errors = [];
+    lines.slice(hasHeader ? 1 : 0).forEach((cells, i) => {
+        const cell = idx => (idx >= 0 ? cells[idx] || '' : '');
+        const displayName = (cell(cols.name)
+            || [cell(cols.firstName), cell(cols.lastName)].filter(Boolean).join(' ')).replace(/\s+/g, ' ');
+        if (!displayName) {
+            errors.push(`Row ${i + (hasHeader ? 2 : 1)}: missing name`);
+            return;
+        }
+        rows.push({
+            displayName,
+            studentNumber: cell(cols.studentNumber) || null,
+            section: cell(cols.section) || null,
+        });
+    });
+    return { rows, errors };
+}
+
+// ─── Matching a capture to a roster student ───────────────
+
+function normalizeNumber(value) {
+    return value ? String(value).toLowerCase().replace(/[^a-z0-9]/g, '') : '';
+}
+
+// "Rivera, Ana" and "ana rivera" share a key, as do "José Núñez" and "Jose Nunez"
+function nameTokens(name) {
+    return (name || '').normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase()
+        .replace(/[^\p{L}\s,'-]/gu, '').split(/[\s,]+/).filter(Boolean);
+}
+
+function nameKey(name) {
+    return nameTokens(name).sort().join(' ');
+}
+
+/**
+ * Find the roster student a capture belongs to, from the student number the
+ * model read and/or the name the teacher attached on-device.
+ *
+ * @param {Array} students — from listStudents()
+ * @param {{ name?: string, studentNumber?: string }} hints
+ * @returns {{ student: object, method: 'student_number'|'name', confidence: number } | null}
+ */
+export function matchStudent(students, { name = null, studentNumber = null } = {}) {
+    const number = normalizeNumber(studentNumber);
+    if (number) {
+        const byNumber = students.find(s => normalizeNumber(s.studentNumber) === number);
+        if (byNumber) return { student: byNumber, method: 'student_number', confidence: 1 };
+    }
+
+    const tokens = nameTokens(name);
+    if (!tokens.length) return null;
+
+    // Token overlap; single letters ("J.") count as initials of a longer token
+    const scored = students.map(student => {
+        const candidate = nameTokens(student.displayName);
+        const hits = tokens.filter(t => candidate.some(c => c === t || (t.length === 1 && c.startsWith(t)))).length;
+        return { student, score: hits / Math.max(tokens.length, candidate.length) };
+    }).sort((a, b) => b.score - a.score);
+
+    const [best, runnerUp] = scored;
+    if (!best || best.score < 0.5) return null;
+    // Ambiguous (two equally good candidates) → let the teacher pick
+    if (runnerUp && runnerUp.score === best.score) return null;
+    return { student: best.student, method: 'name', confidence: Math.round(best.score * 100) / 100 };
+}
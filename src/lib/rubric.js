@@ -0,0 +1,118 @@
+// ═══════════════════════════════════════════════════════════
+//  RUBRIC — Authoring helpers and criterion-score normalization
+//  Rubrics are stored on the assignment; scores come back from
+//  the extraction pass and are checked against the rubric here.
+// ═══════════════════════════════════════════════════════════
+import { CriterionScoreSchema } from './schema';
+
+export const DEFAULT_LEVELS = [
+    { label: 'Exemplary', points: 4, descriptor: '' },
+    { label: 'Proficient', points: 3, descriptor: '' },
+    { label: 'Developing', points: 2, descriptor: '' },
+    { label: 'Beginning', points: 1, descriptor: '' },
+];
+
+/** Structured rubric (criteria) as opposed to legacy free text. */
+export function isStructuredRubric(rubric) {
+    return Boolean(rubric && typeof rubric === 'object' && Array.isArray(rubric.criteria) && rubric.criteria.length);
+}
+
+/** Next unused "C<n>" id — short ids keep the prompt and output readable. */
+export function nextCriterionId(criteria = []) {
+    let n = criteria.length + 1;
+    while (criteria.some(c => c.id === `C${n}`)) n++;
+    return `C${n}`;
+}
+
+export function createCriterion(criteria = []) {
+    return {
+        id: nextCriterionId(criteria),
+        name: '',
+        description: '',
+        levels: DEFAULT_LEVELS.map(l => ({ ...l })),
+    };
+}
+
+export function criterionMaxPoints(criterion) {
+    return Math.max(0, ...criterion.levels.map(l => l.points));
+}
+
+export function rubricMaxPoints(rubric) {
+    if (!isStructuredRubric(rubric)) return 0;
+    return rubric.criteria.reduce((s, c) => s + criterionMaxPoints(c), 0);
+}
+
+/**
+ * Drop unfinished rows from the editor (criteria without a name, levels without a label).
+ * Returns null when nothing usable is left.
+ */
+export function cleanRubric(rubric) {
+    if (!isStructuredRubric(rubric)) return null;
+    const criteria = rubric.criteria
+        .map(c => ({
+            ...c,
+            name: c.name.trim(),
+            levels: c.levels
+                .filter(l => l.label.trim())
+                .map(l => ({ ...l, label: l.label.trim(), points: Math.max(0, Number(l.points) || 0) })),
+        }))
+        .filter(c => c.name && c.levels.length);
+    return criteria.length ? { criteria } : null;
+}
+
+/**
+ * Reconcile model-reported criterion scores with the rubric: one entry per
+ * criterion, level resolved by label (else nearest points), points clamped to
+ * the criterion's range. Criteria the model skipped come back unscored (0 pts, no level).
+ *
+ * @param {Array} raw — extraction.criterionScores
+ * @param {object} rubric — structured rubric from the assignment
+ * @returns {Array<object>} CriterionScoreSchema-shaped entries
+ */
+export function normalizeCriterionScores(raw, rubric) {
+    if (!isStructuredRubric(rubric)) return [];
+    const reported = Array.isArray(raw) ? raw : [];
+
+    return rubric.criteria.map(criterion => {
+        const possible = criterionMaxPoints(criterion);
+        const entry = reported.find(r => String(r?.criterionId) === criterion.id)
+            || reported.find(r => r?.criterion && String(r.criterion).toLowerCase() === criterion.name.toLowerCase());
+
+        let level = criterion.levels.find(l => entry?.level && l.label.toLowerCase() === String(entry.level).toLowerCase());
+        if (!level && typeof entry?.points === 'number') {
+            level = [...criterion.levels].sort((a, b) => Math.abs(a.points - entry.points) - Math.abs(b.points - entry.points))[0];
+        }
+
+        const parsed = CriterionScoreSchema.safeParse({
+            criterionId: criterion.id,
+            level: level?.label ?? null,
+            points: level ? level.points : 0,
+            possible,
+            evidence: typeof entry?.evidence === 'string' && entry.evidence.trim() ? entry.evidence.trim() : null,
+            rationale: typeof entry?.rationale === 'string' ? entry.rationale : null,
+        });
+        return parsed.success ? parsed.data : { criterionId: criterion.id, level: null, points: 0, possible, evidence: null, rationale: null, adjusted: false };
+    });
+}
+
+/**
+ * Teacher picks a level in the grid. The model's original choice is kept the
+ * first time a criterion is adjusted.
+ */
+export function adjustCriterionScore(scores, criterionId, level) {
+    return scores.map(s => {
+        if (s.criterionId !== criterionId) return s;
+        const original = s.adjusted
+            ? { originalLevel: s.originalLevel ?? null, originalPoints: s.originalPoints ?? null }
+            : { originalLevel: s.level, originalPoints: s.points };
+        const backToOriginal = level.label === original.originalLevel;
+        return {
+            ...s,
+            level: level.label,
+            points: level.points,
+            adjusted: !backToOriginal,
+            originalLevel: backToOriginal ? null : original.originalLevel,
+            originalPoints: backToOriginal ? null : original.originalPoints,
+        };
+    });
+}
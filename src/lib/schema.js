@@ -3,16 +3,42 @@
 // ═══════════════════════════════════════════════════════════
 import { z } from 'zod';
 
+// Where something sits on the captured page: fractions of its width and height, origin top-left
+export const RegionSchema = z.object({
+    x: z.number().min(0).max(1),
+    y: z.number().min(0).max(1),
+    width: z.number().min(0).max(1),
+    height: z.number().min(0).max(1),
+});
+
+// One line of handwritten math: LaTeX as the student wrote it, with a plain-text fallback
+export const MathStepSchema = z.object({
+    text: z.string(),
+    latex: z.string().nullable(),
+    region: RegionSchema.nullable().optional(),
+});
+
+// Deterministic re-check of a step (see stepVerifier); `disagrees` when it contradicts the model
+export const StepCheckSchema = z.object({
+    verdict: z.enum(['valid', 'invalid', 'unverified']),
+    disagrees: z.boolean().default(false),
+    detail: z.string().nullable(),
+});
+
 export const LogicStepSchema = z.object({
     step: z.number().int().positive(),
     content: z.string().min(1),
     isValid: z.boolean(),
     note: z.string().nullable(),
+    latex: z.string().nullable().optional(),   // the student's line for this step, typeset on the dashboard
+    region: RegionSchema.nullable().optional(),  // where that line is on the page
 });
 
+export const DIVERGENCE_ERROR_TYPES = ['COMPUTATIONAL', 'PROCEDURAL', 'CONCEPTUAL', 'TRANSCRIPTION', 'NONE'];
+
 export const DivergencePointSchema = z.object({
     step: z.number().int().positive(),
-    errorType: z.enum(['COMPUTATIONAL', 'PROCEDURAL', 'CONCEPTUAL', 'TRANSCRIPTION', 'NONE']),
+    errorType: z.enum(DIVERGENCE_ERROR_TYPES),
     explanation: z.string().min(1),
 }).nullable();
 
@@ -38,3 +64,372 @@ export function validateAnalysisResult(raw) {
         return { success: false, error: err.message };
     }
 }
+
+// ═══════════════════════════════════════════════════════════
+//  STORED RESULT — Versioned shape persisted per trace
+//  v1: legacy logic-trace fields only (score, logicTrace, divergencePoint, remediation)
+//  v2: + per-question responses, rubric criterion scores, overall assessment, page metadata
+// ═══════════════════════════════════════════════════════════
+export const RESULT_SCHEMA_VERSION = 2;
+
+export const QuestionScoreSchema = z.object({
+    earned: z.number().min(0),
+    possible: z.number().min(0),
+    percentage: z.number().nullable().optional(),
+});
+
+export const QuestionResponseSchema = z.object({
+    questionId: z.string().min(1),
+    questionText: z.string().nullable().optional(),
+    studentAnswer: z.string().nullable().optional(),
+    workShown: z.string().nullable().optional(),
+    answerLatex: z.string().nullable().optional(),
+    workSteps: z.array(MathStepSchema).default([]),      // work shown, one line per step
+    questionRegion: RegionSchema.nullable().optional(),  // the printed question on the page
+    answerRegion: RegionSchema.nullable().optional(),    // the student's answer on the page
+    stepCheck: StepCheckSchema.extend({ steps: z.array(StepCheckSchema.omit({ disagrees: true })).default([]) }).nullable().optional(),
+    isCorrect: z.union([z.boolean(), z.literal('partial')]).nullable(),
+    score: QuestionScoreSchema.nullable(),
+    feedback: z.string().nullable().optional(),
+    conceptsAssessed: z.array(z.string()).default([]),
+    errorType: z.string().nullable(),
+    confidence: z.number().min(0).max(1).nullable(),   // calibrated, per question
+    verified: z.boolean().default(false),              // re-read by the verification pass
+    verificationNotes: z.string().nullable().optional(),
+});
+
+export const OverallAssessmentSchema = z.object({
+    score: z.number().nullable().optional(),
+    grade: z.string().nullable().optional(),
+    strengths: z.array(z.string()).default([]),
+    areasForImprovement: z.array(z.string()).default([]),
+    suggestedNextSteps: z.array(z.string()).default([]),
+}).nullable();
+
+export const PageMetadataSchema = z.object({
+    documentType: z.string().nullable().optional(),
+    pageAnalysis: z.object({
+        contentSummary: z.string().nullable().optional(),
+        estimatedCompleteness: z.number().nullable().optional(),
+        readabilityScore: z.number().nullable().optional(),
+    }).nullable().optional(),
+    studentInfo: z.object({
+        date: z.string().nullable().optional(),
+        period: z.string().nullable().optional(),
+        studentNumber: z.string().nullable().optional(),
+    }).nullable().optional(),
+    calibration: z.object({
+        overall: z.number(),
+        factors: z.record(z.string(), z.number()).optional(),
+        notes: z.array(z.string()).default([]),
+    }).nullable().optional(),
+    flags: z.array(z.unknown()).default([]),
+    passes: z.record(z.string(), z.boolean()).nullable().optional(),
+    validation: z.array(z.object({       // per-pass schema validation (see analysisEngine callPass)
+        pass: z.string(),
+        attempts: z.number().int().positive(),
+        valid: z.boolean(),
+        issues: z.number().int().min(0),
+    })).nullable().optional(),
+});
+
+// ─── Rubric (authored per assignment) and criterion-level scores ───
+export const RubricLevelSchema = z.object({
+    label: z.string().trim().min(1),
+    points: z.number().min(0),
+    descriptor: z.string().optional().default(''),
+});
+
+export const RubricCriterionSchema = z.object({
+    id: z.string().min(1),
+    name: z.string().trim().min(1),
+    description: z.string().optional().default(''),
+    levels: z.array(RubricLevelSchema).min(1),
+});
+
+export const RubricSchema = z.object({
+    criteria: z.array(RubricCriterionSchema).min(1),
+});
+
+export const CriterionScoreSchema = z.object({
+    criterionId: z.string().min(1),
+    level: z.string().nullable(),
+    points: z.number().min(0),
+    possible: z.number().min(0),
+    evidence: z.string().nullable(),                   // verbatim quote from the student's work
+    rationale: z.string().nullable().optional(),
+    adjusted: z.boolean().optional().default(false),   // teacher picked a different level
+    originalLevel: z.string().nullable().optional(),
+    originalPoints: z.number().nullable().optional(),
+});
+
+/**
+ * Validate an authored rubric.
+ * Returns { success: true, data } or { success: false, error }.
+ */
+export function validateRubric(raw) {
+    try {
+        const obj = typeof raw === 'string' ? JSON.parse(raw) : raw;
+        const data = RubricSchema.parse(obj);
+        return { success: true, data };
+    } catch (err) {
+        return { success: false, error: err.message };
+    }
+}
+
+export const StoredResultSchema = AnalysisResultSchema.extend({
+    schemaVersion: z.literal(RESULT_SCHEMA_VERSION),
+    logicTrace: z.array(LogicStepSchema.extend({ check: StepCheckSchema.optional() })).min(1),
+    responses: z.array(QuestionResponseSchema).default([]),
+    criterionScores: z.array(CriterionScoreSchema).default([]),
+    overallAssessment: OverallAssessmentSchema.default(null),
+    page: PageMetadataSchema.nullable().default(null),
+});
+
+let storedJsonSchema = null;
+
+/**
+ * JSON Schema (input side) for the stored shape — grade-document checks a result
+ * against it before persisting, so server-stored traces pass validateStoredResult.
+ */
+export function storedResultJsonSchema() {
+    if (!storedJsonSchema) {
+        const { $schema: _draft, ...schema } = z.toJSONSchema(StoredResultSchema, { io: 'input', unrepresentable: 'any' });
+        storedJsonSchema = schema;
+    }
+    return storedJsonSchema;
+}
+
+/**
+ * Validate a result in the current stored shape.
+ * Returns { success: true, data } or { success: false, error }.
+ */
+export function validateStoredResult(raw) {
+    try {
+        const obj = typeof raw === 'string' ? JSON.parse(raw) : raw;
+        const data = StoredResultSchema.parse(obj);
+        return { success: true, data };
+    } catch (err) {
+        return { success: false, error: err.message };
+    }
+}
+
+// ─── Answer key (teacher-scanned reference answers) ───────
+export const AnswerKeyItemSchema = z.object({
+    questionId: z.string().min(1),
+    expectedAnswer: z.string(),
+    points: z.number().min(0).optional().default(1),
+    acceptedAlternatives: z.array(z.string()).optional().default([]),
+});
+
+export const AnswerKeySchema = z.object({
+    items: z.array(AnswerKeyItemSchema).min(1),
+});
+
+/**
+ * Validate an extracted or teacher-edited answer key.
+ * Returns { success: true, data } or { success: false, error }.
+ */
+export function validateAnswerKey(raw) {
+    try {
+        const obj = typeof raw === 'string' ? JSON.parse(raw) : raw;
+        const data = AnswerKeySchema.parse(obj);
+        return { success: true, data };
+    } catch (err) {
+        return { success: false, error: err.message };
+    }
+}
+
+// ─── Assignment (grading container: settings for every scan inside it) ───
+export const FEEDBACK_STYLES = ['constructive', 'strict', 'encouraging'];
+export const ASSIGNMENT_ANALYSIS_MODES = ['full', 'quick'];
+export const MODEL_PROVIDERS = ['gemini', 'openai', 'local'];   // see modelProviders.js
+
+export const ModelSettingsSchema = z.object({
+    provider: z.enum(MODEL_PROVIDERS),
+    model: z.string().trim().min(1).nullable().optional().default(null),   // null = provider's default model
+    temperature: z.number().min(0).max(2).nullable().optional().default(null),
+});
+
+export const AssignmentSchema = z.object({
+    title: z.string().trim().min(1),
+    subject: z.string().trim().nullable().optional().default(null),
+    gradeLevel: z.string().trim().nullable().optional().default(null),
+    classId: z.string().nullable().optional().default(null),
+    rubric: z.union([RubricSchema, z.string().trim()]).nullable().optional().default(null),   // string = legacy free text
+    feedbackStyle: z.enum(FEEDBACK_STYLES).optional().default('constructive'),
+    analysisMode: z.enum(ASSIGNMENT_ANALYSIS_MODES).optional().default('full'),
+    pointsPossible: z.number().min(0).nullable().optional().default(null),
+    dueDate: z.string().nullable().optional().default(null),   // YYYY-MM-DD
+    modelSettings: ModelSettingsSchema.nullable().optional().default(null),   // null = deployment default
+});
+
+/**
+ * Validate assignment settings from the editor.
+ * Returns { success: true, data } or { success: false, error }.
+ */
+export function validateAssignment(raw) {
+    try {
+        const obj = typeof raw === 'string' ? JSON.parse(raw) : raw;
+        const data = AssignmentSchema.parse(obj);
+        return { success: true, data };
+    } catch (err) {
+        return { success: false, error: err.message };
+    }
+}
+
+// ─── Teacher override (corrected grade; replaces the AI result on display) ───
+export const CORRECTABLE_ERROR_TYPES = ['COMPUTATIONAL', 'PROCEDURAL', 'CONCEPTUAL', 'TRANSCRIPTION'];
+
+export const TeacherOverrideSchema = z.object({
+    score: z.number().min(0).max(100),
+    isCorrect: z.boolean(),
+    errorType: z.enum([...CORRECTABLE_ERROR_TYPES, 'NONE']),
+    divergenceStep: z.number().int().positive().nullable(),   // 1-based, null = no divergence
+    remediation: z.string(),
+    steps: z.array(z.object({ step: z.number().int().positive(), isValid: z.boolean() })).default([]),
+    questions: z.array(z.object({
+        questionId: z.string().min(1),
+        isCorrect: z.union([z.boolean(), z.literal('partial')]).nullable(),
+    })).default([]),
+    correctedAt: z.string().optional(),
+});
+
+/**
+ * Validate a teacher override from the correction editor.
+ * Returns { success: true, data } or { success: false, error }.
+ */
+export function validateTeacherOverride(raw) {
+    try {
+        const obj = typeof raw === 'string' ? JSON.parse(raw) : raw;
+        const data = TeacherOverrideSchema.parse(obj);
+        return { success: true, data };
+    } catch (err) {
+        return { success: false, error: err.message };
+    }
+}
+
+// ═══════════════════════════════════════════════════════════
+//  MODEL PASSES — One schema per model call
+//  The single source of truth for what each pass must return: the
+//  engine validates responses against it, and the JSON Schema derived
+//  from it is sent to the provider as the response schema.
+// ═══════════════════════════════════════════════════════════
+const QuestionIdSchema = z.union([z.string().min(1), z.number()]);
+
+export const DOCUMENT_TYPES = ['WORKSHEET', 'ESSAY', 'TEST', 'MATH', 'DRAWING'];
+
+export const StructurePassSchema = z.object({
+    documentType: z.enum(DOCUMENT_TYPES),
+    sections: z.array(z.object({
+        type: z.enum(['header', 'questions', 'answers', 'work']),
+        location: z.enum(['top', 'middle', 'bottom']),
+        count: z.number().int().min(0),
+    })).optional().default([]),
+    estimatedQuestionCount: z.number().int().min(0),
+    hasHandwriting: z.boolean(),
+    overallReadability: z.number().min(0).max(1),
+});
+
+// Loose objects: the prompt engine may ask for fields the engine reads but does not require
+export const ExtractionPassSchema = z.looseObject({
+    documentType: z.string().optional(),
+    pageAnalysis: z.object({
+        contentSummary: z.string().nullable().optional(),
+        estimatedCompleteness: z.number().min(0).max(1).nullable().optional(),
+        readabilityScore: z.number().min(0).max(1).nullable().optional(),
+    }).nullable().optional(),
+    studentInfo: z.object({
+        date: z.string().nullable().optional(),
+        period: z.union([z.string(), z.number()]).nullable().optional(),
+        studentNumber: z.union([z.string(), z.number()]).nullable().optional(),
+    }).nullable().optional(),
+    responses: z.array(z.looseObject({
+        questionId: QuestionIdSchema,
+        questionText: z.string().nullable().optional(),
+        studentAnswer: z.string().nullable().optional(),
+        workShown: z.string().nullable().optional(),
+        answerLatex: z.string().nullable().optional(),
+        workSteps: z.array(MathStepSchema).optional().default([]),
+        questionRegion: RegionSchema.nullable().optional(),
+        answerRegion: RegionSchema.nullable().optional(),
+        isCorrect: z.union([z.boolean(), z.literal('partial')]).nullable(),
+        score: z.object({
+            earned: z.number().min(0),
+            possible: z.number().min(0),
+            percentage: z.number().nullable().optional(),
+        }).nullable().optional(),
+        feedback: z.string().nullable().optional(),
+        conceptsAssessed: z.array(z.string()).optional().default([]),
+        errorType: z.string().nullable().optional(),
+        confidence: z.object({ individual: z.number().min(0).max(1) }).nullable().optional(),
+    })),
+    criterionScores: z.array(z.object({
+        criterionId: z.string().min(1),
+        level: z.string().nullable(),
+        points: z.number().min(0),
+        evidence: z.string().nullable(),
+        rationale: z.string().nullable().optional(),
+    })).optional(),
+    overallAssessment: z.object({
+        score: z.number().min(0).max(100),
+        grade: z.string().nullable().optional(),
+        strengths: z.array(z.string()).optional().default([]),
+        areasForImprovement: z.array(z.string()).optional().default([]),
+        suggestedNextSteps: z.array(z.string()).optional().default([]),
+    }),
+    confidence: z.object({ overall: z.number().min(0).max(1) }).optional(),
+    flags: z.array(z.unknown()).optional().default([]),
+});
+
+export const VerificationPassSchema = z.object({
+    verifications: z.array(z.object({
+        questionId: QuestionIdSchema,
+        revisedAnswer: z.string().nullable().optional(),
+        confidence: z.number().min(0).max(1),
+        notes: z.string().nullable().optional(),
+    })),
+});
+
+export const RecognitionPassSchema = z.object({
+    transcription: z.array(z.string()).min(1),
+    latex: z.array(z.string().nullable()).optional().default([]),   // per transcription line, null for prose
+    problemType: z.string(),
+    confidence: z.number().min(0).max(1),
+});
+
+export const PASS_SCHEMAS = {
+    structure: StructurePassSchema,
+    extraction: ExtractionPassSchema,
+    verification: VerificationPassSchema,
+    recognition: RecognitionPassSchema,
+    evaluation: AnalysisResultSchema,
+    answerKey: AnswerKeySchema,
+};
+
+const passJsonSchemas = new Map();
+
+/**
+ * JSON Schema (draft 2020-12, input side) for a pass — converted per provider
+ * by modelProviders before it is sent.
+ */
+export function passResponseSchema(pass) {
+    if (!passJsonSchemas.has(pass)) {
+        const { $schema: _draft, ...schema } = z.toJSONSchema(PASS_SCHEMAS[pass], { io: 'input', unrepresentable: 'any' });
+        passJsonSchemas.set(pass, schema);
+    }
+    return passJsonSchemas.get(pass);
+}
+
+/**
+ * Validate one pass's model output.
+ * Returns { success: true, data } or { success: false, issues: [{ path, message }] }.
+ */
+export function validatePassOutput(pass, raw) {
+    const parsed = PASS_SCHEMAS[pass].safeParse(raw);
+    if (parsed.success) return { success: true, data: parsed.data };
+    return {
+        success: false,
+        issues: parsed.error.issues.map(i => ({ path: i.path.join('.') || '(root)', message: i.message })),
+    };
+}
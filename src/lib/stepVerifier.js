@@ -0,0 +1,509 @@
+// ═══════════════════════════════════════════════════════════
+//  STEP VERIFIER — Deterministic check of transcribed math
+//  Parses each written line (LaTeX or plain text) and checks it
+//  without the model: arithmetic by evaluation, each equation
+//  against the one before it, and units. A line the checker cannot
+//  parse is 'unverified', never wrong — only a definite
+//  contradiction marks a step invalid.
+//  Mirrored server-side in supabase/functions/_shared/stepVerifier.ts.
+// ═══════════════════════════════════════════════════════════
+
+const SAMPLES = [1.37, 2.71, 0.61, 3.89, 1.93];   // variable values for equivalence checks
+const EPSILON = 1e-9;
+
+// ─── Units (dimensions: length, mass, time) ──────────────
+const UNITS = {
+    mm: [1e-3, [1, 0, 0]], cm: [1e-2, [1, 0, 0]], m: [1, [1, 0, 0]], km: [1e3, [1, 0, 0]],
+    g: [1e-3, [0, 1, 0]], kg: [1, [0, 1, 0]],
+    ms: [1e-3, [0, 0, 1]], s: [1, [0, 0, 1]], min: [60, [0, 0, 1]], h: [3600, [0, 0, 1]],
+    N: [1, [1, 1, -2]], J: [1, [2, 1, -2]], W: [1, [2, 1, -3]], Pa: [1, [-1, 1, -2]], Hz: [1, [0, 0, -1]],
+    deg: [Math.PI / 180, [0, 0, 0]], rad: [1, [0, 0, 0]],   // angles: dimensionless, in radians
+};
+const BASE_UNITS = ['m', 'kg', 's'];
+
+const FUNCTIONS = {
+    sqrt: Math.sqrt, sin: Math.sin, cos: Math.cos, tan: Math.tan, ln: Math.log, log: Math.log10,
+};
+const TRIG = new Set(['sin', 'cos', 'tan']);
+
+class ParseError extends Error {}
+class UnitMismatch extends Error {
+    constructor(a, b) {
+        super(`units do not match (${formatDim(a)} vs ${formatDim(b)})`);
+    }
+}
+
+/** "m/s^2", "kg·m/s²" → { scale, dim }, or null when a symbol is not a known unit. */
+function parseUnit(text) {
+    const [num, ...den] = text.replace(/²/g, '^2').replace(/³/g, '^3').split('/');
+    let scale = 1;
+    const dim = [0, 0, 0];
+    const parts = [[num, 1], ...den.map(d => [d, -1])];
+    for (const [part, sign] of parts) {
+        for (const factor of part.split(/[\s*·]+/).filter(Boolean)) {
+            const match = factor.match(/^([a-zA-Z]+)(?:\^(-?\d+))?$/);
+            const unit = match && UNITS[match[1]];
+            if (!unit) return null;
+            const power = sign * Number(match[2] ?? 1);
+            scale *= unit[0] ** power;
+            unit[1].forEach((d, i) => { dim[i] += d * power; });
+        }
+    }
+    return { scale, dim };
+}
+
+function formatDim(dim) {
+    const parts = dim
+        .map((p, i) => (p === 0 ? null : p === 1 ? BASE_UNITS[i] : `${BASE_UNITS[i]}^${p}`))
+        .filter(Boolean);
+    return parts.length ? parts.join('·') : 'no unit';
+}
+
+const sameDim = (a, b) => a.every((d, i) => d === b[i]);
+
+// ─── Normalization: LaTeX / handwriting symbols → plain expression ───
+/** Replace `\name{a}{b}` (argument braces matched) using `fn(args)`. */
+function replaceCommand(s, name, arity, fn) {
+    const open = `\\${name}{`;
+    let at = s.indexOf(open);
+    while (at !== -1) {
+        const args = [];
+        let i = at + name.length + 1;
+        for (let n = 0; n < arity; n++) {
+            if (s[i] !== '{') throw new ParseError(`\\${name} needs ${arity} arguments`);
+            let depth = 0;
+            let j = i;
+            for (; j < s.length; j++) {
+                if (s[j] === '{') depth++;
+                else if (s[j] === '}' && --depth === 0) break;
+            }
+            if (depth !== 0) throw new ParseError('Unbalanced braces');
+            args.push(s.slice(i + 1, j));
+            i = j + 1;
+        }
+        s = s.slice(0, at) + fn(args) + s.slice(i);
+        at = s.indexOf(open);
+    }
+    return s;
+}
+
+function normalize(line) {
+    let s = String(line).replace(/\$/g, '').trim();
+    for (const frac of ['frac', 'dfrac', 'tfrac']) s = replaceCommand(s, frac, 2, ([a, b]) => `((${a})/(${b}))`);
+    s = replaceCommand(s, 'sqrt', 1, ([a]) => `sqrt(${a})`);
+    for (const text of ['mathrm', 'text', 'textrm']) s = replaceCommand(s, text, 1, ([a]) => `[${a.trim()}]`);
+    s = s
+        .replace(/\\left|\\right|\\[,;:! ]|\\quad/g, ' ')
+        .replace(/\\(?:times|cdot)|[×·∙⋅]/g, '*')
+        .replace(/\\div|÷/g, '/')
+        .replace(/[−–]/g, '-')
+        .replace(/\\approx|≈/g, '~')
+        .replace(/\^\s*\{?\s*\\circ\s*\}?|\\degree|°/g, '[deg]')
+        .replace(/\\pi|π/g, 'pi')
+        .replace(/\\(sin|cos|tan|ln|log)\b/g, '$1')
+        .replace(/²/g, '^2').replace(/³/g, '^3')
+        .replace(/_\{(\w+)\}/g, '_$1')
+        .replace(/(\d),(\d{3})(?!\d)/g, '$1$2')
+        .replace(/\{/g, '(').replace(/\}/g, ')');
+    // Plain-text units: a known unit after a number and a space ("18.6 m/s"); "2m" stays 2·m
+    return s.replace(
+        /(\d)\s+([a-zA-Z]+(?:\^-?\d+)?(?:\s*[/*]\s*[a-zA-Z]+(?:\^-?\d+)?)*)(?=\s*(?:$|[=~)+-]))/g,
+        (whole, digit, unit) => (parseUnit(unit) ? `${digit}[${unit}]` : whole),
+    );
+}
+
+// ─── Parser: expression → AST ────────────────────────────
+const TOKEN = /\s*(?:(\d+\.?\d*|\.\d+)|\[([^\]]+)\]|(sqrt|sin|cos|tan|ln|log|pi)|([a-zA-Z](?:_\w+)?)|([-+*/^()=~]))/y;
+
+function tokenize(s) {
+    const tokens = [];
+    TOKEN.lastIndex = 0;
+    while (TOKEN.lastIndex < s.length) {
+        if (/^\s*$/.test(s.slice(TOKEN.lastIndex))) break;
+        const m = TOKEN.exec(s);
+        if (!m) throw new ParseError(`Unexpected "${s.slice(TOKEN.lastIndex).trim().slice(0, 10)}"`);
+        if (m[1]) tokens.push({ type: 'num', value: Number(m[1]), decimals: (m[1].split('.')[1] || '').length });
+        else if (m[2]) {
+            const unit = parseUnit(m[2]);
+            if (!unit) throw new ParseError(`Unknown unit ${m[2]}`);
+            tokens.push({ type: 'unit', unit });
+        }
+        else if (m[3]) tokens.push(m[3] === 'pi' ? { type: 'num', value: Math.PI, decimals: null, pi: true } : { type: 'fn', name: m[3] });
+        else if (m[4]) tokens.push({ type: 'var', name: m[4] });
+        else tokens.push({ type: 'op', op: m[5] });
+    }
+    return tokens;
+}
+
+function parseExpression(tokens) {
+    let pos = 0;
+    const peek = () => tokens[pos];
+    const isOp = (op) => peek()?.type === 'op' && peek().op === op;
+    const startsAtom = (t) => t && (t.type !== 'op' || t.op === '(');
+
+    function expr() {
+        let node = term();
+        while (isOp('+') || isOp('-')) {
+            const op = tokens[pos++].op;
+            node = { type: op, a: node, b: term() };
+        }
+        return node;
+    }
+    function term() {
+        let node = unary();
+        for (;;) {
+            if (isOp('*') || isOp('/')) {
+                const op = tokens[pos++].op;
+                node = { type: op, a: node, b: unary() };
+            } else if (startsAtom(peek())) {
+                node = { type: '*', a: node, b: power() };   // implicit: 2x, 3(x+1), 18.6 m/s
+            } else {
+                return node;
+            }
+        }
+    }
+    function unary() {
+        if (isOp('-')) { pos++; return { type: 'neg', a: unary() }; }
+        if (isOp('+')) { pos++; return unary(); }
+        return power();
+    }
+    function power() {
+        const base = atom();
+        if (isOp('^')) { pos++; return { type: '^', a: base, b: unary() }; }
+        return base;
+    }
+    function atom() {
+        const t = tokens[pos++];
+        if (!t) throw new ParseError('Unexpected end of expression');
+        if (t.type === 'num' || t.type === 'var' || t.type === 'unit') return t;
+        if (t.type === 'fn') return { type: 'fn', name: t.name, a: atom() };
+        if (t.type === 'op' && t.op === '(') {
+            const inner = expr();
+            if (!isOp(')')) throw new ParseError('Missing )');
+            pos++;
+            return inner;
+        }
+        throw new ParseError(`Unexpected "${t.op}"`);
+    }
+
+    const tree = expr();
+    if (pos < tokens.length) throw new ParseError(`Unexpected "${tokens[pos].op ?? tokens[pos].name}"`);
+    return tree;
+}
+
+function variablesOf(node, out = new Set()) {
+    if (!node) return out;
+    if (node.type === 'var') out.add(node.name);
+    variablesOf(node.a, out);
+    variablesOf(node.b, out);
+    return out;
+}
+
+// Does a side carry a unit? sin(30°) is a plain number, whatever its angle is written in
+const hasUnit = (node) => Boolean(node) && (node.type === 'unit'
+    || (!(node.type === 'fn' && TRIG.has(node.name)) && (hasUnit(node.a) || hasUnit(node.b))));
+
+// An angle says how it is measured: degrees or radians written out, or a multiple of π.
+// cos(60) could be either, so it is never evaluated.
+const isExplicitAngle = (node) => Boolean(node)
+    && (node.pi || (node.type === 'unit' && sameDim(node.unit.dim, [0, 0, 0])) || isExplicitAngle(node.a) || isExplicitAngle(node.b));
+
+// ─── Evaluation: { v, d } — value in SI and dimension (null: unknown, e.g. a bare number) ───
+function evaluate(node, env) {
+    switch (node.type) {
+        case 'num': return { v: node.value, d: null };
+        case 'unit': return { v: node.unit.scale, d: node.unit.dim };
+        case 'var': {
+            if (!(node.name in env)) throw new ParseError(`Unbound ${node.name}`);
+            return { v: env[node.name], d: null };
+        }
+        case 'neg': {
+            const a = evaluate(node.a, env);
+            return { v: -a.v, d: a.d };
+        }
+        case '+': case '-': {
+            const a = evaluate(node.a, env);
+            const b = evaluate(node.b, env);
+            if (a.d && b.d && !sameDim(a.d, b.d)) throw new UnitMismatch(a.d, b.d);
+            return { v: node.type === '+' ? a.v + b.v : a.v - b.v, d: a.d ?? b.d };
+        }
+        case '*': case '/': {
+            const a = evaluate(node.a, env);
+            const b = evaluate(node.b, env);
+            const sign = node.type === '*' ? 1 : -1;
+            const d = a.d || b.d ? [0, 1, 2].map(i => (a.d?.[i] ?? 0) + sign * (b.d?.[i] ?? 0)) : null;
+            return { v: node.type === '*' ? a.v * b.v : a.v / b.v, d };
+        }
+        case '^': {
+            const a = evaluate(node.a, env);
+            const b = evaluate(node.b, env);
+            return { v: a.v ** b.v, d: a.d ? a.d.map(x => x * b.v) : null };
+        }
+        case 'fn': {
+            const a = evaluate(node.a, env);
+            if (node.name === 'sqrt') return { v: Math.sqrt(a.v), d: a.d ? a.d.map(x => x / 2) : null };
+            if (TRIG.has(node.name) && !isExplicitAngle(node.a)) throw new ParseError('Angle without degrees or radians');
+            return { v: FUNCTIONS[node.name](a.v), d: null };
+        }
+        default: throw new ParseError('Unknown node');
+    }
+}
+
+const formatNumber = (n) => String(Number(n.toPrecision(6)));
+
+// Half a unit in the last written decimal place when a side is just a number: "= 3.27" allows ±0.005
+function writtenTolerance(node) {
+    const literal = node.type === 'num' ? node
+        : node.type === '*' && node.a.type === 'num' && node.b.type === 'unit' ? node.a : null;
+    if (!literal || literal.decimals == null) return 0;
+    const scale = node.type === '*' ? node.b.unit.scale : 1;
+    return 0.5 * 10 ** -literal.decimals * scale;
+}
+
+function closeEnough(a, b, tolerance, approx) {
+    const tol = Math.max(tolerance, EPSILON * Math.max(1, Math.abs(a), Math.abs(b)), approx ? 0.01 * Math.abs(b) : 0);
+    return Math.abs(a - b) <= tol * 1.0001;
+}
+
+// ─── Lines ───────────────────────────────────────────────
+/** One written line → { sides: AST[], approx, vars } or null when it cannot be parsed. */
+function parseLine(line) {
+    if (!line || typeof line !== 'string') return null;
+    try {
+        const tokens = tokenize(normalize(line));
+        if (!tokens.length) return null;
+        const sides = [[]];
+        let approx = false;
+        for (const t of tokens) {
+            if (t.type === 'op' && (t.op === '=' || t.op === '~')) {
+                approx ||= t.op === '~';
+                sides.push([]);
+            } else {
+                sides[sides.length - 1].push(t);
+            }
+        }
+        if (sides.some(s => !s.length)) return null;
+        const trees = sides.map(parseExpression);
+        const vars = new Set(trees.flatMap(t => [...variablesOf(t)]));
+        return { sides: trees, approx, vars };
+    } catch (err) {
+        if (err instanceof ParseError) return null;
+        throw err;
+    }
+}
+
+/** Arithmetic and units inside one line: every pair of neighbouring number-only sides must agree. */
+function checkWithinLine(line) {
+    let compared = false;
+    try {
+        const constant = line.sides.map(side => (variablesOf(side).size ? null : evaluate(side, {})));
+        for (let i = 1; i < line.sides.length; i++) {
+            const [a, b] = [constant[i - 1], constant[i]];
+            if (!a || !b) continue;
+            // A unit on one side only (2 · 3 = 6 cm²) may be the student's shorthand, not an error
+            if (hasUnit(line.sides[i - 1]) !== hasUnit(line.sides[i])) continue;
+            if (a.d && b.d && !sameDim(a.d, b.d)) return { verdict: 'invalid', detail: new UnitMismatch(a.d, b.d).message };
+            if (!Number.isFinite(a.v) || !Number.isFinite(b.v)) {
+                // 10 / 0 = 5: an undefined side cannot equal a number
+                if (Number.isFinite(a.v) === Number.isFinite(b.v)) continue;
+                return { verdict: 'invalid', detail: 'one side is undefined (division by zero?)' };
+            }
+            const tolerance = Math.max(writtenTolerance(line.sides[i - 1]), writtenTolerance(line.sides[i]));
+            if (!closeEnough(a.v, b.v, tolerance, line.approx)) {
+                return { verdict: 'invalid', detail: `${formatNumber(a.v)} ≠ ${formatNumber(b.v)}` };
+            }
+            compared = true;
+        }
+        // Units inside variable sides (10 m + 5 s) still have to add up
+        for (const side of line.sides) evaluate(side, Object.fromEntries([...line.vars].map(v => [v, 1])));
+    } catch (err) {
+        if (err instanceof UnitMismatch) return { verdict: 'invalid', detail: err.message };
+        if (!(err instanceof ParseError)) throw err;
+    }
+    return compared ? { verdict: 'valid', detail: null } : null;
+}
+
+// Equation as f = first side − last side; an expression line as itself
+function residual(line, env) {
+    const first = evaluate(line.sides[0], env).v;
+    return line.sides.length > 1 ? first - evaluate(line.sides[line.sides.length - 1], env).v : first;
+}
+
+const envFor = (vars, k) => Object.fromEntries([...vars].map((v, i) => [v, SAMPLES[(k + i) % SAMPLES.length] + i]));
+
+/** Does `line` follow from `prev`? Equivalent equations, or a solution that satisfies it. */
+function checkAgainstPrevious(prev, line) {
+    const isEquation = (l) => l.sides.length > 1;
+    if (isEquation(prev) !== isEquation(line)) return null;
+    if (prev.sides.some(hasUnit) !== line.sides.some(hasUnit)) return null;
+
+    try {
+        // Same equation up to a constant factor (moved terms, scaled both sides), or the same expression
+        const vars = new Set([...prev.vars, ...line.vars]);
+        const ratios = [];
+        for (let k = 0; k < SAMPLES.length; k++) {
+            const env = envFor(vars, k);
+            const p = residual(prev, env);
+            const c = residual(line, env);
+            if (!Number.isFinite(p) || !Number.isFinite(c)) return null;
+            if (Math.abs(p) < EPSILON && Math.abs(c) < EPSILON) continue;
+            ratios.push(isEquation(line) ? p / c : p - c);
+        }
+        // Equations: a constant, non-zero ratio; expressions: no difference at all
+        const target = isEquation(line) ? ratios[0] : 0;
+        const usable = isEquation(line) ? Number.isFinite(target) && target !== 0 : true;
+        if (ratios.length && usable && ratios.every(r => Math.abs(r - target) <= 1e-6 * Math.max(1, Math.abs(target)))) {
+            return { verdict: 'valid', detail: null };
+        }
+
+        // "x = 3" or "2x = 10" after an equation in x alone: substitute the solution and check
+        const solved = solvedValue(line) ?? linearRoot(line);
+        if (solved && Number.isFinite(solved.value) && prev.vars.size === 1 && prev.vars.has(solved.name)) {
+            const f = (x) => residual(prev, { [solved.name]: x });
+            const h = Math.max(1e-6, Math.abs(solved.value) * 1e-6);
+            const slope = Math.abs((f(solved.value + h) - f(solved.value - h)) / (2 * h));
+            const tolerance = Math.max(EPSILON, solved.tolerance * slope, line.approx ? 0.01 * Math.abs(solved.value) * slope : 0);
+            const rest = f(solved.value);
+            if (Math.abs(rest) <= tolerance * 1.0001) return { verdict: 'valid', detail: null };
+            return { verdict: 'invalid', detail: `this step gives ${solved.name} = ${formatNumber(solved.value)}, which does not satisfy the previous step` };
+        }
+
+        // Both number-only expressions: a rewrite that changed the value
+        if (!isEquation(line) && !vars.size) {
+            return { verdict: 'invalid', detail: `${formatNumber(residual(prev, {}))} ≠ ${formatNumber(residual(line, {}))}` };
+        }
+    } catch (err) {
+        if (err instanceof ParseError || err instanceof UnitMismatch) return null;
+        throw err;
+    }
+    return null;
+}
+
+// "x = 3", "3 = x", "v = 9.8 × 2": one bare variable against a number-only side
+function solvedValue(line) {
+    if (line.sides.length < 2 || line.vars.size !== 1) return null;
+    const first = line.sides[0];
+    const last = line.sides[line.sides.length - 1];
+    const [named, value] = first.type === 'var' && !variablesOf(last).size ? [first, last]
+        : last.type === 'var' && !variablesOf(first).size ? [last, first] : [null, null];
+    if (!named) return null;
+    return { name: named.name, value: evaluate(value, {}).v, tolerance: writtenTolerance(value) };
+}
+
+// "2x = 10", "3x + 2 = 12": the one solution of an equation linear in its only variable
+function linearRoot(line) {
+    if (line.sides.length < 2 || line.vars.size !== 1) return null;
+    const [name] = line.vars;
+    const f = (x) => residual(line, { [name]: x });
+    const b = f(0);
+    const a = f(1) - b;
+    if (!Number.isFinite(a) || Math.abs(a) < EPSILON) return null;
+    const linear = SAMPLES.every(x => Math.abs(f(x) - (a * x + b)) <= 1e-9 * Math.max(1, Math.abs(f(x))));
+    return linear ? { name, value: -b / a, tolerance: 0 } : null;
+}
+
+// ─── Public API ──────────────────────────────────────────
+/**
+ * Check consecutive written lines of one problem.
+ * Each line is checked on its own (arithmetic, units) and against the line
+ * before it (equivalent equation, or a solution that satisfies it).
+ *
+ * @param {(string|null)[]} lines — LaTeX or plain text, null for a line with no math
+ * @returns {{ verdict: 'valid'|'invalid'|'unverified', detail: string|null }[]}
+ *
+ * @example
+ * // Regression cases: keep these verdicts when changing the checker
+ * verifySteps(['\\cos(60) = 0.5'])               // unverified: degrees or radians?
+ * verifySteps(['\\sin(30^\\circ) = 0.5'])        // valid
+ * verifySteps(['\\sin(\\pi/6) = 0.5'])           // valid: a multiple of π is radians
+ * verifySteps(['2 \\cdot 3 = 6 \\text{ cm}^2'])  // unverified: unit on one side only
+ * verifySteps(['10 / 0 = 5'])                    // invalid: one side is undefined
+ */
+export function verifySteps(lines) {
+    const parsed = lines.map(parseLine);
+    return parsed.map((line, i) => {
+        if (!line) return { verdict: 'unverified', detail: null };
+        const within = checkWithinLine(line);
+        if (within?.verdict === 'invalid') return within;
+        const link = parsed[i - 1] ? checkAgainstPrevious(parsed[i - 1], line) : null;
+        if (link?.verdict === 'invalid') return link;
+        return within || link || { verdict: 'unverified', detail: null };
+    });
+}
+
+const STEP_LINE = (step) => step?.latex || null;
+const WORK_LINE = (step) => step?.latex || step?.text || null;
+
+/**
+ * Check a result's math and compare with the model's own verdicts.
+ * A disagreement is a step the checker proves wrong that the model accepted,
+ * or a computational error the model blamed on a step the checker proves right.
+ *
+ * Quick mode checks the logic-trace steps (their `latex`); full mode checks
+ * each response's `workSteps` and reports on the matching logic-trace row.
+ *
+ * @param {{ logicTrace?: object[], divergencePoint?: object, responses?: object[] }} result
+ * @returns {{ logicTrace, responses, flags: object[], summary: { checked: number, invalid: number, disagreements: number, questionIds: string[] } }}
+ */
+export function checkResult({ logicTrace = [], divergencePoint = null, responses = [] }) {
+    const summary = { checked: 0, invalid: 0, disagreements: 0, questionIds: [] };
+    const flags = [];
+    const count = (verdicts) => verdicts.forEach(v => {
+        if (v.verdict !== 'unverified') summary.checked++;
+        if (v.verdict === 'invalid') summary.invalid++;
+    });
+
+    if (responses.length) {
+        const checkedResponses = responses.map(r => {
+            const steps = verifySteps((r.workSteps || []).map(WORK_LINE));
+            count(steps);
+            if (!steps.some(s => s.verdict !== 'unverified')) return r;
+
+            const firstInvalid = steps.find(s => s.verdict === 'invalid');
+            const onlyGivenUnverified = steps.slice(1).every(s => s.verdict === 'valid');
+            let detail = null;
+            if (firstInvalid && r.isCorrect === true) detail = `Marked correct, but ${firstInvalid.detail}`;
+            else if (!firstInvalid && onlyGivenUnverified && r.errorType === 'COMPUTATIONAL') {
+                detail = 'Marked as a computational error, but every step checks out';
+            }
+            if (detail) {
+                summary.disagreements++;
+                summary.questionIds.push(String(r.questionId));
+                flags.push({ type: 'STEP_CHECK_DISAGREEMENT', questionId: String(r.questionId), detail });
+            }
+            return {
+                ...r,
+                stepCheck: { verdict: firstInvalid ? 'invalid' : 'valid', disagrees: Boolean(detail), detail: detail || firstInvalid?.detail || null, steps },
+            };
+        });
+        const byQuestion = new Map(checkedResponses.map(r => [String(r.questionId), r.stepCheck]));
+        return {
+            responses: checkedResponses,
+            logicTrace: logicTrace.map((step, i) => {
+                const check = byQuestion.get(String(responses[i]?.questionId));
+                return check ? { ...step, check: { verdict: check.verdict, disagrees: check.disagrees, detail: check.detail } } : step;
+            }),
+            flags,
+            summary,
+        };
+    }
+
+    const verdicts = verifySteps(logicTrace.map(STEP_LINE));
+    count(verdicts);
+    const checkedTrace = logicTrace.map((step, i) => {
+        const v = verdicts[i];
+        if (v.verdict === 'unverified') return step;
+        // The step the model blames, not the ones that carry its error forward
+        const blamed = step.isValid === false && (i === 0 || logicTrace[i - 1].isValid !== false);
+        const blamedComputation = blamed && divergencePoint?.step === step.step && divergencePoint?.errorType === 'COMPUTATIONAL';
+        let detail = null;
+        if (v.verdict === 'invalid' && step.isValid) detail = `Model accepted this step, but ${v.detail}`;
+        else if (v.verdict === 'valid' && blamedComputation) detail = 'Model reported an arithmetic error, but this step checks out';
+        if (detail) {
+            summary.disagreements++;
+            flags.push({ type: 'STEP_CHECK_DISAGREEMENT', step: step.step, detail });
+        }
+        return { ...step, check: { verdict: v.verdict, disagrees: Boolean(detail), detail: detail || v.detail } };
+    });
+    return { logicTrace: checkedTrace, responses, flags, summary };
+}
@@ -1,7 +1,8 @@
 // ═══════════════════════════════════════════════════════════
 //  LAYER 3b: STORAGE LAYER — Supabase + localStorage fallback
 // ═══════════════════════════════════════════════════════════
-import { validateAnalysisResult } from './schema';
+import { validateStoredResult, validateAnswerKey, RESULT_SCHEMA_VERSION } from './schema';
+import { APP_MODE, isSimulatedResult } from './appMode';
 
 const SUPABASE_URL = import.meta.env.VITE_SUPABASE_URL;
 const SUPABASE_KEY = import.meta.env.VITE_SUPABASE_ANON_KEY;
@@ -17,13 +18,26 @@ export async function getSupabase() {
 }
 
 /**
- * Returns the JWT to use for Edge Function / API calls: session access_token when logged in, else anon key.
+ * Returns the signed-in user's JWT for Edge Function calls, or null when Supabase
+ * is not configured or nobody is signed in (the functions reject the anon key).
  */
 export async function getAuthToken() {
     const supabase = await getSupabase();
     if (!supabase) return null;
     const { data: { session } } = await supabase.auth.getSession();
-    return session?.access_token ?? SUPABASE_KEY;
+    return session?.access_token ?? null;
+}
+
+/**
+ * Supabase client plus the signed-in user's id, or null when Supabase is not
+ * configured or nobody is signed in (callers then use their localStorage fallback).
+ * @returns {Promise<{ supabase: object, userId: string } | null>}
+ */
+export async function getAuthedClient() {
+    const supabase = await getSupabase();
+    if (!supabase) return null;
+    const { data: { session } } = await supabase.auth.getSession();
+    return session?.user?.id ? { supabase, userId: session.user.id } : null;
 }
 
 /**
@@ -33,44 +47,190 @@ function generateSessionId() {
     return `session_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
 }
 
+// Work steps from the model → { text, latex, region } (schema.js MathStepSchema)
+const mathSteps = (steps) => (Array.isArray(steps)
+    ? steps.map(st => ({ text: String(st?.text ?? ''), latex: st?.latex || null, region: st?.region ?? null }))
+    : []);
+
+/**
+ * Build the versioned stored shape from analyzeWithLogicEngine output.
+ * Per-question data comes from `_structured`; quick-mode and legacy results
+ * have none and are stored with an empty response list.
+ */
+function toStoredResult(raw) {
+    if (!raw || typeof raw !== 'object') return raw;
+    const s = raw._structured || {};
+    const perQuestion = s.calibratedConfidence?.perQuestion || {};
+
+    return {
+        schemaVersion: RESULT_SCHEMA_VERSION,
+        score: raw.score,
+        isCorrect: raw.isCorrect,
+        logicTrace: raw.logicTrace,
+        divergencePoint: raw.divergencePoint,
+        remediation: raw.remediation,
+        confidence: raw.confidence,
+        responses: (s.responses || []).map((r, i) => ({
+            questionId: String(r.questionId ?? `Q${i + 1}`),
+            questionText: r.questionText ?? null,
+            studentAnswer: r.studentAnswer ?? null,
+            workShown: r.workShown ?? null,
+            answerLatex: r.answerLatex || null,
+            workSteps: mathSteps(r.workSteps),
+            questionRegion: r.questionRegion ?? null,
+            answerRegion: r.answerRegion ?? null,
+            stepCheck: r.stepCheck ?? null,
+            isCorrect: r.isCorrect ?? null,
+            score: r.score?.earned != null && r.score?.possible != null
+                ? { earned: r.score.earned, possible: r.score.possible, percentage: r.score.percentage ?? null }
+                : null,
+            feedback: r.feedback ?? null,
+            conceptsAssessed: r.conceptsAssessed || [],
+            errorType: r.errorType || null,
+            confidence: perQuestion[r.questionId] ?? r.confidence?.verified ?? r.confidence?.individual ?? null,
+            verified: r.confidence?.verified != null,
+            verificationNotes: r.verificationNotes ?? null,
+        })),
+        criterionScores: s.criterionScores || [],
+        overallAssessment: s.overallAssessment || null,
+        page: raw._structured ? {
+            documentType: s.documentType ?? null,
+            pageAnalysis: s.pageAnalysis ?? null,
+            studentInfo: s.studentInfo ? {
+                date: s.studentInfo.date != null ? String(s.studentInfo.date) : null,
+                period: s.studentInfo.period != null ? String(s.studentInfo.period) : null,
+                studentNumber: s.studentInfo.studentNumber != null ? String(s.studentInfo.studentNumber) : null,
+            } : null,
+            calibration: s.calibratedConfidence ? {
+                overall: s.calibratedConfidence.overall,
+                factors: s.calibratedConfidence.factors,
+                notes: s.calibratedConfidence.explanation?.factors || [],
+            } : null,
+            flags: s.flags || [],
+            passes: raw._passes || null,
+            validation: raw._validation || null,
+        } : null,
+    };
+}
+
+/** Question response → `question_responses` row. */
+function responseToRow(r, traceId, position) {
+    return {
+        trace_id: traceId,
+        position,
+        question_id: r.questionId,
+        question_text: r.questionText ?? null,
+        student_answer: r.studentAnswer ?? null,
+        work_shown: r.workShown ?? null,
+        answer_latex: r.answerLatex ?? null,
+        work_steps: r.workSteps || [],
+        question_region: r.questionRegion ?? null,
+        answer_region: r.answerRegion ?? null,
+        step_check: r.stepCheck ?? null,
+        correctness: r.isCorrect === 'partial' ? 'partial' : r.isCorrect === true ? 'correct' : r.isCorrect === false ? 'incorrect' : null,
+        points_earned: r.score?.earned ?? null,
+        points_possible: r.score?.possible ?? null,
+        feedback: r.feedback ?? null,
+        concepts_assessed: r.conceptsAssessed || [],
+        error_type: r.errorType ?? null,
+        confidence: r.confidence ?? null,
+        verified: r.verified ?? false,
+        verification_notes: r.verificationNotes ?? null,
+    };
+}
+
+/** `question_responses` row → question response. */
+function responseFromRow(row) {
+    const possible = row.points_possible;
+    return {
+        questionId: row.question_id,
+        questionText: row.question_text,
+        studentAnswer: row.student_answer,
+        workShown: row.work_shown,
+        answerLatex: row.answer_latex ?? null,
+        workSteps: row.work_steps || [],
+        questionRegion: row.question_region ?? null,
+        answerRegion: row.answer_region ?? null,
+        stepCheck: row.step_check ?? null,
+        isCorrect: row.correctness === 'partial' ? 'partial' : row.correctness === 'correct' ? true : row.correctness === 'incorrect' ? false : null,
+        score: possible != null ? { earned: row.points_earned ?? 0, possible, percentage: possible ? (row.points_earned ?? 0) / possible : null } : null,
+        feedback: row.feedback,
+        conceptsAssessed: row.concepts_assessed || [],
+        errorType: row.error_type,
+        confidence: row.confidence,
+        verified: row.verified ?? false,
+        verificationNotes: row.verification_notes,
+    };
+}
+
+/**
+ * Normalize a trace from either Supabase (joined question_responses) or localStorage
+ * into one shape: the trace columns plus a camelCase `responses` array.
+ * v1 rows (written before per-question storage) come back with `responses: []`.
+ */
+function traceFromRow(row) {
+    const { question_responses: responseRows, ...trace } = row;
+    const responses = Array.isArray(trace.responses)
+        ? trace.responses
+        : [...(responseRows || [])].sort((a, b) => a.position - b.position).map(responseFromRow);
+    return { ...trace, schema_version: trace.schema_version ?? 1, responses };
+}
+
+/**
+ * Keep a response that could not be used, for debugging: `analysis_errors`
+ * when signed in, else localStorage.
+ * @param {{ raw_response: string, error: string, capture_metadata?: object }} errorRecord
+ */
+export async function logAnalysisError(errorRecord) {
+    const record = { ...errorRecord, created_at: new Date().toISOString() };
+    const client = await getAuthedClient();
+    if (client) {
+        const { error } = await client.supabase.from('analysis_errors').insert({ ...record, user_id: client.userId });
+        if (!error) return;
+        console.warn('[Lymbic] Supabase analysis_errors insert failed:', error);
+    }
+    const errors = JSON.parse(localStorage.getItem('lymbic_errors') || '[]');
+    errors.push(record);
+    localStorage.setItem('lymbic_errors', JSON.stringify(errors));
+}
+
 /**
  * Normalize, validate, and store an analysis result.
- * Falls back to localStorage if Supabase is not configured.
+ * Falls back to localStorage if Supabase is not configured or the trace cannot
+ * be stored there together with its question responses.
  *
  * @param {object} rawResult   — Raw output from analyzeWithLogicEngine
  * @param {object} metadata    — Capture metadata (qualityScore, dimensions, etc.)
  * @param {string} sessionId   — Groups multiple scans in one grading session
+ * @param {string} [assignmentId] — Assignment the scan was graded under
  * @returns {{ success: boolean, id: string, result: object }}
  */
-export async function normalizeAndStore(rawResult, metadata, sessionId) {
-    // 1. Validate
-    const validation = validateAnalysisResult(rawResult);
+export async function normalizeAndStore(rawResult, metadata, sessionId, assignmentId = null) {
+    // Only real analysis becomes a grade: demo results and estimates are refused
+    // (test mode keeps its fixtures so storage can be exercised)
+    if (rawResult?._offlineEstimate || rawResult?._demo || (isSimulatedResult(rawResult) && APP_MODE !== 'test')) {
+        return { success: false, simulated: true, error: 'Demo results are not stored' };
+    }
+
+    // 1. Normalize to the versioned shape and validate
+    const stored = toStoredResult(rawResult);
+
+    // Graded server-side by grade-document, which checked this shape against the same schema
+    // and already stored the trace under the teacher's JWT: the row exists, report it as stored
+    if (rawResult._persistedTraceId) {
+        return { success: true, id: rawResult._persistedTraceId, result: stored };
+    }
+
+    const validation = validateStoredResult(stored);
 
     if (!validation.success) {
         console.error('[Lymbic] Validation failed:', validation.error);
         // Store raw for debugging
-        const errorRecord = {
+        await logAnalysisError({
             raw_response: JSON.stringify(rawResult),
             error: validation.error,
             capture_metadata: metadata,
-            created_at: new Date().toISOString(),
-        };
-
-        const supabase = await getSupabase();
-        if (supabase) {
-            const { data: { session } } = await supabase.auth.getSession();
-            if (session?.user?.id) {
-                await supabase.from('analysis_errors').insert({ ...errorRecord, user_id: session.user.id });
-            } else {
-                const errors = JSON.parse(localStorage.getItem('lymbic_errors') || '[]');
-                errors.push(errorRecord);
-                localStorage.setItem('lymbic_errors', JSON.stringify(errors));
-            }
-        } else {
-            const errors = JSON.parse(localStorage.getItem('lymbic_errors') || '[]');
-            errors.push(errorRecord);
-            localStorage.setItem('lymbic_errors', JSON.stringify(errors));
-        }
+        });
 
         return { success: false, error: 'Response validation failed' };
     }
@@ -78,13 +238,20 @@ export async function normalizeAndStore(rawResult, metadata, sessionId) {
     const record = {
         id: `trace_${Date.now()}_${Math.random().toString(36).slice(2, 6)}`,
         session_id: sessionId || generateSessionId(),
+        assignment_id: assignmentId,
         score: validation.data.score,
         is_correct: validation.data.isCorrect,
         logic_trace: validation.data.logicTrace,
         divergence_point: validation.data.divergencePoint,
         remediation: validation.data.remediation,
         confidence: validation.data.confidence,
+        schema_version: validation.data.schemaVersion,
+        criterion_scores: validation.data.criterionScores,
+        overall_assessment: validation.data.overallAssessment,
+        page_metadata: validation.data.page,
         capture_quality: metadata?.qualityScore ?? 1,
+        // Pseudonymous token only — the name ↔ token mapping never leaves the device
+        student_token: rawResult?.studentToken ?? null,
         created_at: new Date().toISOString(),
     };
 
@@ -98,14 +265,31 @@ export async function normalizeAndStore(rawResult, metadata, sessionId) {
                 .insert({ ...record, user_id: session.user.id })
                 .select()
                 .single();
-            if (!error) return { success: true, id: data.id, result: validation.data };
-            console.error('[Lymbic] Supabase insert failed:', error);
+            if (!error) {
+                const responses = validation.data.responses;
+                const { error: respError } = responses.length
+                    ? await supabase
+                        .from('question_responses')
+                        .insert(responses.map((r, i) => ({ ...responseToRow(r, data.id, i), user_id: session.user.id })))
+                    : {};
+                if (!respError) return { success: true, id: data.id, result: validation.data };
+
+                // A trace without its questions is not a grade: take it back and keep the scan on the device
+                console.error('[Lymbic] Supabase question_responses insert failed:', respError);
+                const { error: deleteError } = await supabase.from('logic_traces').delete().eq('id', data.id);
+                if (deleteError) {
+                    console.error('[Lymbic] Supabase trace rollback failed:', deleteError);
+                    return { success: false, error: 'Scan saved without its questions' };
+                }
+            } else {
+                console.error('[Lymbic] Supabase insert failed:', error);
+            }
         }
     }
 
-    // 3. localStorage fallback
+    // 3. localStorage fallback (responses are kept inline on the trace)
     const traces = JSON.parse(localStorage.getItem('lymbic_traces') || '[]');
-    traces.push(record);
+    traces.push({ ...record, responses: validation.data.responses });
     localStorage.setItem('lymbic_traces', JSON.stringify(traces));
 
     return { success: true, id: record.id, result: validation.data };
@@ -114,6 +298,16 @@ export async function normalizeAndStore(rawResult, metadata, sessionId) {
 /**
  * Submit a teacher correction for a specific trace.
  * This is the feedback loop signal for future model improvement.
+ *
+ * With an `override` (from the correction editor) the corrected grade is also
+ * written to the trace's `teacher_override`, which then replaces the AI result
+ * on display. Signed-in teachers go through the `submit-correction` Edge
+ * Function so both writes happen server-side under their JWT, in one transaction.
+ * Only an unreachable function falls back to localStorage; a refusal is returned.
+ *
+ * @param {string} traceId
+ * @param {{ originalErrorType, actualErrorType, notes?, documentType?, originalConfidence?, override?, diff? }} correction
+ * @returns {Promise<{ success: boolean, error?: string }>}
  */
 export async function submitCorrection(traceId, correction) {
     const record = {
@@ -121,15 +315,37 @@ export async function submitCorrection(traceId, correction) {
         original_error_type: correction.originalErrorType,
         actual_error_type: correction.actualErrorType,
         notes: correction.notes || null,
+        // Context needed to replay the correction into the prompt engine / calibrator
+        document_type: correction.documentType || null,
+        original_confidence: correction.originalConfidence ?? null,
+        override: correction.override || null,
+        diff: correction.diff || null,
         created_at: new Date().toISOString(),
     };
 
     const supabase = await getSupabase();
     if (supabase) {
         const { data: { session } } = await supabase.auth.getSession();
-        if (session?.user?.id) {
-            const { error } = await supabase.from('corrections').insert({ ...record, user_id: session.user.id });
-            if (!error) return { success: true };
+        if (session?.access_token) {
+            const url = `${SUPABASE_URL.replace(/\/$/, '')}/functions/v1/submit-correction`;
+            try {
+                const res = await fetch(url, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Authorization': `Bearer ${session.access_token}`,
+                    },
+                    body: JSON.stringify(record),
+                });
+                if (res.ok) return { success: true };
+                // The function answered and refused: a local copy would never reach the server
+                const body = await res.json().catch(() => ({}));
+                console.error('[Lymbic] submit-correction failed:', res.status, body);
+                return { success: false, error: body.error || `Correction not saved (${res.status})` };
+            } catch (e) {
+                // Unreachable (offline or network error): keep the correction locally
+                console.error('[Lymbic] submit-correction unreachable:', e);
+            }
         }
     }
 
@@ -137,14 +353,113 @@ export async function submitCorrection(traceId, correction) {
     const corrections = JSON.parse(localStorage.getItem('lymbic_corrections') || '[]');
     corrections.push(record);
     localStorage.setItem('lymbic_corrections', JSON.stringify(corrections));
+
+    if (record.override) {
+        const traces = JSON.parse(localStorage.getItem('lymbic_traces') || '[]');
+        const trace = traces.find(t => t.id === traceId);
+        if (trace) {
+            trace.teacher_override = record.override;
+            localStorage.setItem('lymbic_traces', JSON.stringify(traces));
+        }
+    }
     return { success: true };
 }
 
+/**
+ * Load this teacher's corrections, oldest first (Supabase when signed in, else localStorage).
+ * @returns {Promise<Array>}
+ */
+export async function getCorrections() {
+    const supabase = await getSupabase();
+    if (supabase) {
+        const { data: { session } } = await supabase.auth.getSession();
+        if (session?.user?.id) {
+            const { data, error } = await supabase
+                .from('corrections')
+                .select('*')
+                .order('created_at', { ascending: true });
+            if (!error) return data || [];
+            console.warn('[Lymbic] Supabase get corrections failed:', error);
+        }
+    }
+    return JSON.parse(localStorage.getItem('lymbic_corrections') || '[]')
+        .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+}
+
+/**
+ * Save (or replace) the answer key for an assignment.
+ * Falls back to localStorage if Supabase is not configured or the user is signed out.
+ *
+ * @param {string} assignmentId
+ * @param {{ items: Array<{ questionId, expectedAnswer, points, acceptedAlternatives }> }} key
+ * @returns {Promise<{ success: boolean, key?: object, simulated?: boolean, error?: string }>} simulated: a demo key, refused
+ */
+export async function saveAnswerKey(assignmentId, key) {
+    // A key read by demo simulation is not the teacher's key
+    if (isSimulatedResult(key) && APP_MODE !== 'test') {
+        return { success: false, simulated: true, error: 'Demo answer keys are not stored' };
+    }
+    const validation = validateAnswerKey(key);
+    if (!validation.success) return { success: false, error: validation.error };
+
+    const record = {
+        assignment_id: assignmentId,
+        items: validation.data.items,
+        updated_at: new Date().toISOString(),
+    };
+
+    const supabase = await getSupabase();
+    if (supabase) {
+        const { data: { session } } = await supabase.auth.getSession();
+        if (session?.user?.id) {
+            const { error } = await supabase
+                .from('answer_keys')
+                .upsert({ ...record, user_id: session.user.id }, { onConflict: 'user_id,assignment_id' });
+            if (!error) return { success: true, key: answerKeyFromRecord(record) };
+            console.error('[Lymbic] Supabase answer key save failed:', error);
+        }
+    }
+
+    const keys = JSON.parse(localStorage.getItem('lymbic_answer_keys') || '{}');
+    keys[assignmentId] = record;
+    localStorage.setItem('lymbic_answer_keys', JSON.stringify(keys));
+    return { success: true, key: answerKeyFromRecord(record) };
+}
+
+/**
+ * Get the answer key for an assignment, or null if none has been saved.
+ * @returns {Promise<object|null>}
+ */
+export async function getAnswerKey(assignmentId) {
+    if (!assignmentId) return null;
+    const supabase = await getSupabase();
+    if (supabase) {
+        const { data, error } = await supabase
+            .from('answer_keys')
+            .select('*')
+            .eq('assignment_id', assignmentId)
+            .maybeSingle();
+        if (!error && data) return answerKeyFromRecord(data);
+        if (error) console.warn('[Lymbic] Supabase get answer key failed:', error);
+    }
+    const keys = JSON.parse(localStorage.getItem('lymbic_answer_keys') || '{}');
+    return keys[assignmentId] ? answerKeyFromRecord(keys[assignmentId]) : null;
+}
+
+function answerKeyFromRecord(record) {
+    return {
+        assignmentId: record.assignment_id,
+        items: record.items || [],
+        totalPoints: (record.items || []).reduce((s, i) => s + (i.points ?? 1), 0),
+        updatedAt: record.updated_at,
+    };
+}
+
 /**
  * Load all traces from localStorage (for offline/demo mode).
  */
 export function getLocalTraces() {
-    return JSON.parse(localStorage.getItem('lymbic_traces') || '[]');
+    return JSON.parse(localStorage.getItem('lymbic_traces') || '[]').map(traceFromRow);
 }
 
 /**
@@ -155,13 +470,13 @@ export async function getAllTracesFromSupabase() {
     if (!supabase) return [];
     const { data, error } = await supabase
         .from('logic_traces')
-        .select('*')
+        .select('*, question_responses(*)')
         .order('created_at', { ascending: false });
     if (error) {
         console.warn('[Lymbic] Supabase get traces failed:', error);
         return [];
     }
-    return data || [];
+    return (data || []).map(traceFromRow);
 }
 
 /**
@@ -173,14 +488,14 @@ export async function getSessionTracesFromSupabase(sessionId) {
     if (!supabase) return [];
     const { data, error } = await supabase
         .from('logic_traces')
-        .select('*')
+        .select('*, question_responses(*)')
         .eq('session_id', sessionId)
         .order('created_at', { ascending: false });
     if (error) {
         console.warn('[Lymbic] Supabase get session traces failed:', error);
         return [];
     }
-    return data || [];
+    return (data || []).map(traceFromRow);
 }
 
 /**
@@ -192,9 +507,9 @@ export async function getAllTraces() {
     if (supabase) {
         const { data, error } = await supabase
             .from('logic_traces')
-            .select('*')
+            .select('*, question_responses(*)')
             .order('created_at', { ascending: false });
-        if (!error) return data || [];
+        if (!error) return (data || []).map(traceFromRow);
         console.warn('[Lymbic] Supabase get traces failed:', error);
     }
     const local = getLocalTraces();
@@ -211,15 +526,188 @@ export async function getSessionTraces(sessionId) {
     if (supabase) {
         const { data, error } = await supabase
             .from('logic_traces')
-            .select('*')
+            .select('*, question_responses(*)')
             .eq('session_id', sessionId)
             .order('created_at', { ascending: false });
-        if (!error) return data || [];
+        if (!error) return (data || []).map(traceFromRow);
         console.warn('[Lymbic] Supabase get session traces failed:', error);
     }
     return getLocalTraces().filter(t => t.session_id === sessionId);
 }
 
+/**
+ * Get traces graded under an assignment, newest first. Falls back to localStorage like getAllTraces.
+ * @returns {Promise<Array>}
+ */
+export async function getAssignmentTraces(assignmentId) {
+    if (!assignmentId) return [];
+    const supabase = await getSupabase();
+    if (supabase) {
+        const { data, error } = await supabase
+            .from('logic_traces')
+            .select('*, question_responses(*)')
+            .eq('assignment_id', assignmentId)
+            .order('created_at', { ascending: false });
+        if (!error) return (data || []).map(traceFromRow);
+        console.warn('[Lymbic] Supabase get assignment traces failed:', error);
+    }
+    return getLocalTraces()
+        .filter(t => t.assignment_id === assignmentId)
+        .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+}
+
+/**
+ * Replace a trace's rubric criterion scores after the teacher adjusts the grid.
+ * @param {string} traceId
+ * @param {Array} scores — CriterionScoreSchema entries (adjusted ones keep their original level)
+ * @returns {Promise<{ success: boolean }>}
+ */
+export async function saveCriterionScores(traceId, scores) {
+    if (!traceId) return { success: false };
+    const supabase = await getSupabase();
+    if (supabase) {
+        const { data: { session } } = await supabase.auth.getSession();
+        if (session?.user?.id) {
+            const { error } = await supabase
+                .from('logic_traces')
+                .update({ criterion_scores: scores })
+                .eq('id', traceId);
+            if (!error) return { success: true };
+            console.error('[Lymbic] Supabase save criterion scores failed:', error);
+        }
+    }
+
+    const traces = JSON.parse(localStorage.getItem('lymbic_traces') || '[]');
+    const trace = traces.find(t => t.id === traceId);
+    if (!trace) return { success: false };
+    trace.criterion_scores = scores;
+    localStorage.setItem('lymbic_traces', JSON.stringify(traces));
+    return { success: true };
+}
+
+// Rebuild concept mastery for students who gained or lost scans. Loaded on
+// demand: masteryStore reads traces through this module.
+async function refreshMastery(studentIds) {
+    const ids = [...new Set(studentIds.filter(Boolean))];
+    if (!ids.length) return;
+    try {
+        const { refreshStudentMastery } = await import('./masteryStore');
+        await Promise.all(ids.map(refreshStudentMastery));
+    } catch (e) {
+        console.warn('[Lymbic] Refresh mastery failed:', e);
+    }
+}
+
+/**
+ * Link a stored trace to a roster student (or unlink with null). Every page of
+ * its submission moves with it, and the concept mastery of the students who
+ * gained or lost the scan is rebuilt.
+ * @returns {Promise<{ success: boolean, traceIds?: string[] }>} traceIds: every page relinked
+ */
+export async function linkTraceToStudent(traceId, studentId) {
+    if (!traceId) return { success: false };
+    let pages = null;   // [{ id, student_id }] before the link
+    const supabase = await getSupabase();
+    if (supabase) {
+        const { data: { session } } = await supabase.auth.getSession();
+        if (session?.user?.id) {
+            const { data: trace } = await supabase.from('logic_traces').select('submission_id').eq('id', traceId).maybeSingle();
+            const [column, value] = trace?.submission_id ? ['submission_id', trace.submission_id] : ['id', traceId];
+            const { data: before } = await supabase.from('logic_traces').select('id, student_id').eq(column, value);
+            const { error } = await supabase
+                .from('logic_traces')
+                .update({ student_id: studentId })
+                .eq(column, value);
+            if (!error) pages = before || [{ id: traceId, student_id: null }];
+            else console.error('[Lymbic] Supabase link trace failed:', error);
+        }
+    }
+
+    if (!pages) {
+        const traces = JSON.parse(localStorage.getItem('lymbic_traces') || '[]');
+        const trace = traces.find(t => t.id === traceId);
+        if (!trace) return { success: false };
+        const linked = trace.submission_id ? traces.filter(t => t.submission_id === trace.submission_id) : [trace];
+        pages = linked.map(t => ({ id: t.id, student_id: t.student_id ?? null }));
+        linked.forEach(t => { t.student_id = studentId; });
+        localStorage.setItem('lymbic_traces', JSON.stringify(traces));
+    }
+
+    await refreshMastery([studentId, ...pages.map(p => p.student_id)]);
+    return { success: true, traceIds: pages.map(p => p.id) };
+}
+
+/**
+ * All traces linked to one roster student, newest first — the student's history across assignments.
+ * @returns {Promise<Array>}
+ */
+export async function getStudentTraces(studentId) {
+    if (!studentId) return [];
+    const supabase = await getSupabase();
+    if (supabase) {
+        const { data, error } = await supabase
+            .from('logic_traces')
+            .select('*, question_responses(*)')
+            .eq('student_id', studentId)
+            .order('created_at', { ascending: false });
+        if (!error) return (data || []).map(traceFromRow);
+        console.warn('[Lymbic] Supabase get student traces failed:', error);
+    }
+    return getLocalTraces()
+        .filter(t => t.student_id === studentId)
+        .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+}
+
+/**
+ * Make a stored trace page `pageNumber` of a multi-page submission (or detach it with null).
+ * @returns {Promise<{ success: boolean }>}
+ */
+export async function linkTraceToSubmission(traceId, submissionId, pageNumber = null) {
+    if (!traceId) return { success: false };
+    const update = { submission_id: submissionId, page_number: submissionId ? pageNumber : null };
+    const supabase = await getSupabase();
+    if (supabase) {
+        const { data: { session } } = await supabase.auth.getSession();
+        if (session?.user?.id) {
+            const { error } = await supabase
+                .from('logic_traces')
+                .update(update)
+                .eq('id', traceId);
+            if (!error) return { success: true };
+            console.error('[Lymbic] Supabase link trace to submission failed:', error);
+        }
+    }
+
+    const traces = JSON.parse(localStorage.getItem('lymbic_traces') || '[]');
+    const trace = traces.find(t => t.id === traceId);
+    if (!trace) return { success: false };
+    Object.assign(trace, update);
+    localStorage.setItem('lymbic_traces', JSON.stringify(traces));
+    return { success: true };
+}
+
+/**
+ * The pages of a submission in reading order (page number, then capture time).
+ * @returns {Promise<Array>}
+ */
+export async function getSubmissionTraces(submissionId) {
+    if (!submissionId) return [];
+    const byPage = (a, b) => (a.page_number ?? Infinity) - (b.page_number ?? Infinity)
+        || new Date(a.created_at) - new Date(b.created_at);
+    const supabase = await getSupabase();
+    if (supabase) {
+        const { data, error } = await supabase
+            .from('logic_traces')
+            .select('*, question_responses(*)')
+            .eq('submission_id', submissionId);
+        if (!error) return (data || []).map(traceFromRow).sort(byPage);
+        console.warn('[Lymbic] Supabase get submission traces failed:', error);
+    }
+    return getLocalTraces()
+        .filter(t => t.submission_id === submissionId)
+        .sort(byPage);
+}
+
 /**
  * Clear all stored traces (for testing/reset).
  */
@@ -227,4 +715,6 @@ export function clearAllTraces() {
     localStorage.removeItem('lymbic_traces');
     localStorage.removeItem('lymbic_errors');
     localStorage.removeItem('lymbic_corrections');
+    localStorage.removeItem('lymbic_submissions');
+    localStorage.removeItem('lymbic_concept_mastery');
 }
@@ -0,0 +1,290 @@
+// ═══════════════════════════════════════════════════════════
+//  SUBMISSION STORE — One student's pages as one graded document
+//  Each page is a stored trace; the submission orders them and
+//  keeps the combined score over the merged questions (a question
+//  continued onto the next page counts once), recomputed whenever
+//  a page is added or the pages are reordered.
+//  Supabase when signed in (RLS: own rows only), else localStorage.
+// ═══════════════════════════════════════════════════════════
+import { getAuthedClient, getSubmissionTraces, linkTraceToStudent, linkTraceToSubmission } from './storageLayer';
+import { CrossPageReasoner } from '../utils/CrossPageReasoner';
+
+const SUBMISSIONS_KEY = 'lymbic_submissions';
+
+function loadLocalSubmissions() {
+    try {
+        return JSON.parse(localStorage.getItem(SUBMISSIONS_KEY) || '[]');
+    } catch {
+        return [];
+    }
+}
+
+function saveLocalSubmissions(records) {
+    localStorage.setItem(SUBMISSIONS_KEY, JSON.stringify(records));
+}
+
+function submissionFromRecord(record) {
+    return {
+        id: record.id,
+        assignmentId: record.assignment_id ?? null,
+        sessionId: record.session_id ?? null,
+        studentToken: record.student_token ?? null,
+        pageCount: record.page_count ?? 0,
+        score: record.score ?? null,
+        pointsEarned: record.points_earned ?? null,
+        pointsPossible: record.points_possible ?? null,
+        isCorrect: record.is_correct ?? null,
+        createdAt: record.created_at,
+        updatedAt: record.updated_at,
+    };
+}
+
+async function updateSubmission(submissionId, changes) {
+    const record = { ...changes, updated_at: new Date().toISOString() };
+    const client = await getAuthedClient();
+    if (client) {
+        const { data, error } = await client.supabase
+            .from('submissions')
+            .update(record)
+            .eq('id', submissionId)
+            .select()
+            .single();
+        if (!error) return submissionFromRecord(data);
+        console.error('[Lymbic] Supabase update submission failed:', error);
+    }
+
+    const records = loadLocalSubmissions();
+    const index = records.findIndex(s => s.id === submissionId);
+    if (index < 0) return null;
+    records[index] = { ...records[index], ...record };
+    saveLocalSubmissions(records);
+    return submissionFromRecord(records[index]);
+}
+
+// A page the teacher corrected counts with their question verdicts, not the model's
+function correctedResponses(trace) {
+    const verdicts = new Map((trace.teacher_override?.questions || []).map(q => [q.questionId, q.isCorrect]));
+    return (trace.responses || []).map(r => {
+        if (!verdicts.has(r.questionId) || verdicts.get(r.questionId) === r.isCorrect) return r;
+        const isCorrect = verdicts.get(r.questionId);
+        const possible = r.score?.possible;
+        if (possible == null) return { ...r, isCorrect };
+        const earned = isCorrect === true ? possible : isCorrect === false ? 0 : r.score.earned;
+        return { ...r, isCorrect, score: { earned, possible, percentage: possible ? earned / possible : null } };
+    });
+}
+
+// Corrected with a score whose question verdicts are unchanged: only the score carries the correction
+function scoreOnlyOverride(trace) {
+    if (trace.teacher_override?.score == null) return false;
+    const modelVerdicts = new Map((trace.responses || []).map(r => [r.questionId, r.isCorrect]));
+    return !(trace.teacher_override.questions || [])
+        .some(q => modelVerdicts.has(q.questionId) && modelVerdicts.get(q.questionId) !== q.isCorrect);
+}
+
+// ─── Public API ──────────────────────────────────────────
+/**
+ * One page's score: the teacher's corrected score wins over the model's.
+ * @param {object} trace
+ * @returns {number}
+ */
+export const pageScore = (trace) => trace.teacher_override?.score ?? trace.score ?? 0;
+
+/**
+ * Grade pages (stored traces, in reading order) as one document.
+ * Pages without per-question scores (quick mode) fall back to the page average.
+ * A corrected page counts with its teacher score (`teacherScored`) when it is the
+ * only page or its question verdicts don't carry the correction; the merged
+ * question points are used only otherwise. Item analysis, mastery and the batch
+ * summary all read scores through this rule.
+ * @param {Array} pages
+ * @returns {{ pageCount, score, pointsEarned, pointsPossible, isCorrect, teacherScored, responses }}
+ *   responses: the merged questions, each with its `pageNumber` and any `continuedFrom`
+ */
+export function combinePages(pages) {
+    const synthesis = new CrossPageReasoner().synthesize((pages || []).map(t => ({
+        id: t.id,
+        analysisResult: { responses: correctedResponses(t), overallAssessment: t.overall_assessment || null },
+    })));
+    if (!synthesis) {
+        return { pageCount: 0, score: null, pointsEarned: null, pointsPossible: null, isCorrect: null, teacherScored: false, responses: [] };
+    }
+
+    const overall = synthesis.overallAssessment;
+    const teacherScored = pages.some(t => t.teacher_override?.score != null)
+        && (pages.length === 1 || pages.some(scoreOnlyOverride));
+    const score = overall.score != null && !teacherScored
+        ? Math.round(Number(overall.score))
+        : Math.round(pages.reduce((s, t) => s + pageScore(t), 0) / pages.length);
+    return {
+        pageCount: pages.length,
+        score,
+        // Points no longer add up to a teacher's score
+        pointsEarned: teacherScored ? null : overall.earned ?? null,
+        pointsPossible: teacherScored ? null : overall.possible ?? null,
+        isCorrect: score >= 70,
+        teacherScored,
+        responses: synthesis.unifiedResponses,
+    };
+}
+
+/**
+ * Analysis context for the next page: what the earlier pages of the submission
+ * held, so a question continued across the page break is graded as a whole.
+ * @param {Array} results — stored results of the earlier pages, in order
+ * @returns {Array<{ analysisResult: { summary, responses, overallAssessment } }>}
+ */
+export function previousPagesFrom(results) {
+    return results.map(r => ({
+        analysisResult: {
+            summary: r.page?.pageAnalysis?.contentSummary || null,
+            responses: (r.responses || []).map(q => ({
+                questionId: q.questionId,
+                studentAnswer: q.studentAnswer,
+                isCorrect: q.isCorrect,
+                errorType: q.errorType,
+            })),
+            overallAssessment: r.overallAssessment ? { score: r.overallAssessment.score } : null,
+        },
+    }));
+}
+
+/**
+ * Start a submission; pages are added as they are stored.
+ * @param {{ assignmentId?, sessionId?, studentToken? }} input — studentToken: the first page's pseudonym
+ * @returns {Promise<{ success: boolean, submission?: object, error?: string }>}
+ */
+export async function createSubmission({ assignmentId = null, sessionId = null, studentToken = null } = {}) {
+    const now = new Date().toISOString();
+    const record = {
+        assignment_id: assignmentId,
+        session_id: sessionId,
+        student_token: studentToken,
+        page_count: 0,
+        created_at: now,
+        updated_at: now,
+    };
+
+    const client = await getAuthedClient();
+    if (client) {
+        const { data, error } = await client.supabase
+            .from('submissions')
+            .insert({ ...record, user_id: client.userId })
+            .select()
+            .single();
+        if (!error) return { success: true, submission: submissionFromRecord(data) };
+        console.error('[Lymbic] Supabase create submission failed:', error);
+    }
+
+    const local = { ...record, id: crypto.randomUUID() };
+    saveLocalSubmissions([...loadLocalSubmissions(), local]);
+    return { success: true, submission: submissionFromRecord(local) };
+}
+
+/**
+ * A submission with its pages in reading order, or null.
+ * @returns {Promise<object|null>}
+ */
+export async function getSubmission(submissionId) {
+    if (!submissionId) return null;
+    const client = await getAuthedClient();
+    let record = null;
+    if (client) {
+        const { data, error } = await client.supabase
+            .from('submissions')
+            .select('*')
+            .eq('id', submissionId)
+            .maybeSingle();
+        if (error) console.warn('[Lymbic] Supabase get submission failed:', error);
+        record = data;
+    }
+    record = record || loadLocalSubmissions().find(s => s.id === submissionId);
+    if (!record) return null;
+    return { ...submissionFromRecord(record), pages: await getSubmissionTraces(submissionId) };
+}
+
+/**
+ * Submissions graded under an assignment, newest first (without their pages).
+ * @returns {Promise<Array<object>>}
+ */
+export async function listSubmissions(assignmentId) {
+    if (!assignmentId) return [];
+    const client = await getAuthedClient();
+    if (client) {
+        const { data, error } = await client.supabase
+            .from('submissions')
+            .select('*')
+            .eq('assignment_id', assignmentId)
+            .order('created_at', { ascending: false });
+        if (!error) return (data || []).map(submissionFromRecord);
+        console.warn('[Lymbic] Supabase list submissions failed:', error);
+    }
+    return loadLocalSubmissions()
+        .filter(s => s.assignment_id === assignmentId)
+        .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+        .map(submissionFromRecord);
+}
+
+/**
+ * Recompute the combined score from the submission's pages, and the concept
+ * mastery of the student they are linked to.
+ * @returns {Promise<{ success: boolean, submission?: object, combined?: object }>}
+ */
+export async function rescoreSubmission(submissionId) {
+    const pages = await getSubmissionTraces(submissionId);
+    const combined = combinePages(pages);
+    const submission = await updateSubmission(submissionId, {
+        page_count: combined.pageCount,
+        score: combined.score,
+        points_earned: combined.pointsEarned,
+        points_possible: combined.pointsPossible,
+        is_correct: combined.isCorrect,
+    });
+    if (!submission) return { success: false };
+
+    // Loaded on demand: masteryStore reaches this module through itemAnalysis
+    const studentIds = [...new Set(pages.map(p => p.student_id).filter(Boolean))];
+    if (studentIds.length) {
+        try {
+            const { refreshStudentMastery } = await import('./masteryStore');
+            await Promise.all(studentIds.map(refreshStudentMastery));
+        } catch (e) {
+            console.warn('[Lymbic] Refresh mastery failed:', e);
+        }
+    }
+    return { success: true, submission: { ...submission, pages }, combined };
+}
+
+/**
+ * Add a stored trace as a page. Without a page number it goes after the last page.
+ * @returns {Promise<{ success: boolean, submission?: object, combined?: object }>}
+ */
+export async function addSubmissionPage(submissionId, traceId, pageNumber = null) {
+    if (!submissionId || !traceId) return { success: false };
+    const number = pageNumber ?? Math.max(0, ...(await getSubmissionTraces(submissionId)).map(t => t.page_number ?? 0)) + 1;
+    const linked = await linkTraceToSubmission(traceId, submissionId, number);
+    if (!linked.success) return { success: false };
+
+    // A page added to a submission already linked to a student is that student's too
+    const pages = await getSubmissionTraces(submissionId);
+    const studentId = pages.find(p => p.id !== traceId && p.student_id)?.student_id;
+    if (studentId && pages.find(p => p.id === traceId)?.student_id !== studentId) {
+        await linkTraceToStudent(traceId, studentId);
+    }
+    return rescoreSubmission(submissionId);
+}
+
+/**
+ * Put the pages in a new reading order; questions are re-merged and re-scored.
+ * @param {string} submissionId
+ * @param {string[]} traceIds — every page, first page first
+ * @returns {Promise<{ success: boolean, submission?: object, combined?: object }>}
+ */
+export async function reorderSubmissionPages(submissionId, traceIds) {
+    if (!submissionId || !traceIds?.length) return { success: false };
+    for (const [index, traceId] of traceIds.entries()) {
+        const linked = await linkTraceToSubmission(traceId, submissionId, index + 1);
+        if (!linked.success) return { success: false };
+    }
+    return rescoreSubmission(submissionId);
+}
@@ -0,0 +1,211 @@
+import { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { useAdaptiveUI } from '../hooks/useAdaptiveUI';
+import useAnswerKey from '../hooks/useAnswerKey';
+import useAssignment from '../hooks/useAssignment';
+import AdaptiveCard from '../components/AdaptiveCard';
+import AdaptiveButton from '../components/AdaptiveButton';
+import { ArrowLeft, KeyRound, Plus, Trash2, ScanLine, Check, AlertTriangle } from 'lucide-react';
+
+// Editable row shape: alternatives are edited as one comma-separated string
+function toRows(items = []) {
+    return items.map(i => ({
+        questionId: i.questionId ?? '',
+        expectedAnswer: i.expectedAnswer ?? '',
+        points: String(i.points ?? 1),
+        alternatives: (i.acceptedAlternatives || []).join(', '),
+    }));
+}
+
+function fromRows(rows) {
+    return rows
+        .filter(r => r.questionId.trim())
+        .map(r => ({
+            questionId: r.questionId.trim(),
+            expectedAnswer: r.expectedAnswer.trim(),
+            points: Math.max(0, Number(r.points) || 0),
+            acceptedAlternatives: r.alternatives.split(',').map(a => a.trim()).filter(Boolean),
+        }));
+}
+
+const inputStyle = { fontSize: '0.85rem', padding: '8px 10px' };
+
+// ═══════════════════════════════════════════════════════════
+//  ANSWER KEY REVIEW — Edit the extracted key before grading
+// ═══════════════════════════════════════════════════════════
+export default function AnswerKeyScreen() {
+    const navigate = useNavigate();
+    const { setEmotion } = useAdaptiveUI();
+    const { assignmentId, assignment } = useAssignment();
+    const { answerKey, saveKey, loading } = useAnswerKey(assignmentId);
+    const assignmentPath = `/assignments/${assignmentId}`;
+    const [rows, setRows] = useState(null);
+    const [isSaving, setIsSaving] = useState(false);
+    const [saveError, setSaveError] = useState(null);
+
+    // Rows are seeded from the key once it is available, then owned by the editor
+    const editRows = rows ?? toRows(answerKey?.items);
+    const totalPoints = fromRows(editRows).reduce((s, i) => s + i.points, 0);
+
+    const updateRow = (index, field, value) => {
+        setRows(editRows.map((r, i) => (i === index ? { ...r, [field]: value } : r)));
+    };
+
+    const addRow = () => {
+        setRows([...editRows, { questionId: `Q${editRows.length + 1}`, expectedAnswer: '', points: '1', alternatives: '' }]);
+    };
+
+    const removeRow = (index) => {
+        setRows(editRows.filter((_, i) => i !== index));
+    };
+
+    const handleSave = async () => {
+        setIsSaving(true);
+        setSaveError(null);
+        // The draft's simulation marker goes along, so a demo key is refused
+        const saved = await saveKey({ ...answerKey, items: fromRows(editRows) });
+        setIsSaving(false);
+        if (!saved.success) {
+            setSaveError(saved.simulated
+                ? 'Demo answer key — simulated, not saved.'
+                : 'Every question needs an ID — add at least one question.');
+            setEmotion('error');
+            return;
+        }
+        setEmotion('success');
+        navigate(assignmentPath);
+    };
+
+    return (
+        <motion.div
+            className="screen"
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0 }}
+            transition={{ duration: 0.5 }}
+            style={{ justifyContent: 'flex-start', padding: '0', minHeight: '100vh' }}
+        >
+            {/* Header */}
+            <div style={{ width: '100%', padding: '20px 20px 16px' }}>
+                <div style={{ maxWidth: 560, margin: '0 auto', display: 'flex', alignItems: 'center', gap: '12px' }}>
+                    <AdaptiveButton
+                        variant="ghost"
+                        onClick={() => navigate(assignmentPath)}
+                        style={{ width: 36, height: 36, padding: 0, borderRadius: '50%' }}
+                    >
+                        <ArrowLeft size={18} color="var(--text-secondary)" />
+                    </AdaptiveButton>
+                    <div style={{ flex: 1 }}>
+                        <h1 className="text-heading" style={{ color: 'var(--text-primary)' }}>Answer Key</h1>
+                        <p style={{ color: 'var(--text-muted)', fontSize: '0.8rem' }}>
+                            {assignment?.title || 'Assignment'} · {editRows.length} question{editRows.length !== 1 ? 's' : ''} · {totalPoints} pts
+                        </p>
+                    </div>
+                    <AdaptiveButton
+                        variant="ghost"
+                        onClick={() => navigate(`${assignmentPath}/scan?mode=key`)}
+                        title="Rescan answer key"
+                        style={{ width: 36, height: 36, padding: 0, borderRadius: '50%' }}
+                    >
+                        <ScanLine size={16} color="var(--text-secondary)" />
+                    </AdaptiveButton>
+                </div>
+            </div>
+
+            <div style={{
+                maxWidth: 560, width: '100%', margin: '0 auto', padding: '0 20px 32px',
+                display: 'flex', flexDirection: 'column', gap: '10px',
+            }}>
+                {loading && (
+                    <div style={{ textAlign: 'center', padding: '40px 0', color: 'var(--text-muted)' }}>
+                        Loading answer key...
+                    </div>
+                )}
+
+                {!loading && editRows.length === 0 && (
+                    <div style={{ textAlign: 'center', padding: '32px 0', display: 'flex', flexDirection: 'column', alignItems: 'center', gap: '16px' }}>
+                        <KeyRound size={32} color="var(--lymbic-purple)" />
+                        <p style={{ color: 'var(--text-muted)', fontSize: '0.9rem', lineHeight: 1.5 }}>
+                            No answer key yet. Scan the key or type the answers in — every student scan will be graded against it.
+                        </p>
+                        <AdaptiveButton variant="primary" onClick={() => navigate(`${assignmentPath}/scan?mode=key`)} style={{ gap: '8px' }}>
+                            <ScanLine size={18} /> Scan Answer Key
+                        </AdaptiveButton>
+                    </div>
+                )}
+
+                {editRows.map((row, i) => (
+                    <AdaptiveCard key={i} style={{ padding: '12px 14px', display: 'flex', flexDirection: 'column', gap: '8px' }}>
+                        <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+                            <input
+                                className="input-field"
+                                value={row.questionId}
+                                onChange={e => updateRow(i, 'questionId', e.target.value)}
+                                placeholder="ID"
+                                aria-label="Question ID"
+                                style={{ ...inputStyle, width: 72, flexShrink: 0 }}
+                            />
+                            <input
+                                className="input-field"
+                                value={row.expectedAnswer}
+                                onChange={e => updateRow(i, 'expectedAnswer', e.target.value)}
+                                placeholder="Expected answer"
+                                aria-label="Expected answer"
+                                style={inputStyle}
+                            />
+                            <input
+                                className="input-field"
+                                type="number"
+                                min="0"
+                                value={row.points}
+                                onChange={e => updateRow(i, 'points', e.target.value)}
+                                aria-label="Points"
+                                style={{ ...inputStyle, width: 64, flexShrink: 0 }}
+                            />
+                            <AdaptiveButton
+                                variant="ghost"
+                                onClick={() => removeRow(i)}
+                                title="Remove question"
+                                style={{ width: 32, height: 32, padding: 0, borderRadius: '50%', color: 'var(--grade-f)', flexShrink: 0 }}
+                            >
+                                <Trash2 size={14} />
+                            </AdaptiveButton>
+                        </div>
+                        <input
+                            className="input-field"
+                            value={row.alternatives}
+                            onChange={e => updateRow(i, 'alternatives', e.target.value)}
+                            placeholder="Also accept (comma-separated)"
+                            aria-label="Accepted alternatives"
+                            style={{ ...inputStyle, fontSize: '0.8rem' }}
+                        />
+                    </AdaptiveCard>
+                ))}
+
+                {!loading && (
+                    <AdaptiveButton variant="secondary" onClick={addRow} style={{ gap: '6px', fontSize: '0.85rem', padding: '10px' }}>
+                        <Plus size={14} /> Add Question
+                    </AdaptiveButton>
+                )}
+
+                {saveError && (
+                    <p style={{ color: 'var(--grade-f)', fontSize: '0.8rem', display: 'flex', alignItems: 'center', gap: '6px' }}>
+                        <AlertTriangle size={12} /> {saveError}
+                    </p>
+                )}
+
+                {editRows.length > 0 && (
+                    <AdaptiveButton
+                        variant="primary"
+                        onClick={handleSave}
+                        disabled={isSaving}
+                        style={{ gap: '8px', marginTop: '8px' }}
+                    >
+                        <Check size={18} /> {isSaving ? 'Saving...' : 'Use This Key'}
+                    </AdaptiveButton>
+                )}
+            </div>
+        </motion.div>
+    );
+}
@@ -0,0 +1,222 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { useOnboarding } from '../context/OnboardingContext';
+import { useAdaptiveUI } from '../hooks/useAdaptiveUI';
+import useAssignment from '../hooks/useAssignment';
+import AdaptiveCard from '../components/AdaptiveCard';
+import AdaptiveButton from '../components/AdaptiveButton';
+import RubricBuilder from '../components/RubricBuilder';
+import { createAssignment } from '../lib/assignmentStore';
+import { listClasses } from '../lib/rosterStore';
+import { FEEDBACK_STYLES, MODEL_PROVIDERS } from '../lib/schema';
+import { DEFAULT_MODELS, PROVIDER_LABELS } from '../lib/modelProviders';
+import { cleanRubric } from '../lib/rubric';
+import { ArrowLeft, Check, AlertTriangle } from 'lucide-react';
+
+const inputStyle = { fontSize: '0.85rem', padding: '8px 10px' };
+const labelStyle = { color: 'var(--text-muted)', fontSize: '0.72rem', fontWeight: 600, textTransform: 'uppercase', letterSpacing: '0.04em' };
+
+// Editor form state: fields are strings until saved; the rubric is edited in place by RubricBuilder
+function toForm(assignment, defaults) {
+    return {
+        title: assignment?.title ?? '',
+        subject: assignment?.subject ?? defaults.subject ?? '',
+        gradeLevel: assignment?.gradeLevel ?? defaults.gradeLevel ?? '',
+        classId: assignment?.classId ?? defaults.classId ?? '',
+        dueDate: assignment?.dueDate ?? '',
+        pointsPossible: assignment?.pointsPossible != null ? String(assignment.pointsPossible) : '',
+        analysisMode: assignment?.analysisMode ?? 'full',
+        feedbackStyle: assignment?.feedbackStyle ?? 'constructive',
+        rubric: assignment?.rubric ?? null,
+        modelProvider: assignment?.modelSettings?.provider ?? '',   // '' = deployment default
+        modelName: assignment?.modelSettings?.model ?? '',
+        temperature: assignment?.modelSettings?.temperature != null ? String(assignment.modelSettings.temperature) : '',
+    };
+}
+
+function fromForm(form) {
+    return {
+        title: form.title,
+        subject: form.subject.trim() || null,
+        gradeLevel: form.gradeLevel.trim() || null,
+        classId: form.classId || null,
+        dueDate: form.dueDate || null,
+        pointsPossible: form.pointsPossible === '' ? null : Math.max(0, Number(form.pointsPossible) || 0),
+        analysisMode: form.analysisMode,
+        feedbackStyle: form.feedbackStyle,
+        rubric: typeof form.rubric === 'string' ? form.rubric.trim() || null : cleanRubric(form.rubric),
+        modelSettings: form.modelProvider
+            ? {
+                provider: form.modelProvider,
+                model: form.modelName.trim() || null,
+                temperature: form.temperature === '' ? null : Math.min(2, Math.max(0, Number(form.temperature) || 0)),
+            }
+            : null,
+    };
+}
+
+function Field({ label, children }) {
+    return (
+        <label style={{ display: 'flex', flexDirection: 'column', gap: '6px', flex: 1 }}>
+            <span style={labelStyle}>{label}</span>
+            {children}
+        </label>
+    );
+}
+
+// ═══════════════════════════════════════════════════════════
+//  ASSIGNMENT EDITOR — Create or edit an assignment's settings
+// ═══════════════════════════════════════════════════════════
+export default function AssignmentEditor() {
+    const navigate = useNavigate();
+    const { data, classId } = useOnboarding();
+    const { setEmotion } = useAdaptiveUI();
+    const { assignmentId, assignment, loading, saveAssignment } = useAssignment();
+    const [form, setForm] = useState(null);
+    const [classes, setClasses] = useState([]);
+    const [isSaving, setIsSaving] = useState(false);
+    const [saveError, setSaveError] = useState(null);
+
+    const isNew = !assignmentId;
+    const editForm = form ?? toForm(assignment, { subject: data.subject, gradeLevel: data.gradeLevel, classId });
+    const update = (field, value) => setForm({ ...editForm, [field]: value });
+
+    useEffect(() => {
+        listClasses()
+            .then(setClasses)
+            .catch(e => console.warn('[Lymbic] Load classes failed:', e));
+    }, []);
+
+    const handleSave = async () => {
+        if (!editForm.title.trim()) {
+            setSaveError('Give the assignment a title.');
+            return;
+        }
+        setIsSaving(true);
+        setSaveError(null);
+        const saved = isNew ? await createAssignment(fromForm(editForm)) : await saveAssignment(fromForm(editForm));
+        setIsSaving(false);
+        if (!saved.success) {
+            setSaveError('Could not save the assignment — check the fields and try again.');
+            setEmotion('error');
+            return;
+        }
+        setEmotion('success');
+        navigate(`/assignments/${saved.assignment.id}`, { replace: isNew });
+    };
+
+    return (
+        <motion.div
+            className="screen"
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0 }}
+            transition={{ duration: 0.5 }}
+            style={{ justifyContent: 'flex-start', padding: '0', minHeight: '100vh' }}
+        >
+            {/* Header */}
+            <div style={{ width: '100%', padding: '20px 20px 16px' }}>
+                <div style={{ maxWidth: 560, margin: '0 auto', display: 'flex', alignItems: 'center', gap: '12px' }}>
+                    <AdaptiveButton
+                        variant="ghost"
+                        onClick={() => navigate(isNew ? '/assignments' : `/assignments/${assignmentId}`)}
+                        style={{ width: 36, height: 36, padding: 0, borderRadius: '50%' }}
+                    >
+                        <ArrowLeft size={18} color="var(--text-secondary)" />
+                    </AdaptiveButton>
+                    <h1 className="text-heading" style={{ color: 'var(--text-primary)', flex: 1 }}>
+                        {isNew ? 'New Assignment' : 'Assignment Settings'}
+                    </h1>
+                </div>
+            </div>
+
+            <div style={{ maxWidth: 560, width: '100%', margin: '0 auto', padding: '0 20px 32px' }}>
+                {loading ? (
+                    <div style={{ textAlign: 'center', padding: '40px 0', color: 'var(--text-muted)' }}>
+                        Loading assignment...
+                    </div>
+                ) : (
+                    <AdaptiveCard style={{ padding: '16px', display: 'flex', flexDirection: 'column', gap: '14px' }}>
+                        <Field label="Title">
+                            <input className="input-field" value={editForm.title} onChange={e => update('title', e.target.value)} placeholder="e.g. Unit 3 Quiz — Linear Equations" style={inputStyle} />
+                        </Field>
+                        <div style={{ display: 'flex', gap: '10px' }}>
+                            <Field label="Subject">
+                                <input className="input-field" value={editForm.subject} onChange={e => update('subject', e.target.value)} placeholder="Algebra" style={inputStyle} />
+                            </Field>
+                            <Field label="Grade level">
+                                <input className="input-field" value={editForm.gradeLevel} onChange={e => update('gradeLevel', e.target.value)} placeholder="8" style={inputStyle} />
+                            </Field>
+                        </div>
+                        {classes.length > 0 && (
+                            <Field label="Class">
+                                <select className="input-field" value={editForm.classId} onChange={e => update('classId', e.target.value)} style={inputStyle}>
+                                    <option value="">No class</option>
+                                    {classes.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+                                </select>
+                            </Field>
+                        )}
+                        <div style={{ display: 'flex', gap: '10px' }}>
+                            <Field label="Due date">
+                                <input className="input-field" type="date" value={editForm.dueDate} onChange={e => update('dueDate', e.target.value)} style={inputStyle} />
+                            </Field>
+                            <Field label="Points">
+                                <input className="input-field" type="number" min="0" value={editForm.pointsPossible} onChange={e => update('pointsPossible', e.target.value)} placeholder="From key" style={inputStyle} />
+                            </Field>
+                        </div>
+                        <div style={{ display: 'flex', gap: '10px' }}>
+                            <Field label="Analysis">
+                                <select className="input-field" value={editForm.analysisMode} onChange={e => update('analysisMode', e.target.value)} style={inputStyle}>
+                                    <option value="full">Full (per-question + verification)</option>
+                                    <option value="quick">Quick (logic trace only)</option>
+                                </select>
+                            </Field>
+                            <Field label="Feedback style">
+                                <select className="input-field" value={editForm.feedbackStyle} onChange={e => update('feedbackStyle', e.target.value)} style={inputStyle}>
+                                    {FEEDBACK_STYLES.map(style => (
+                                        <option key={style} value={style}>{style[0].toUpperCase() + style.slice(1)}</option>
+                                    ))}
+                                </select>
+                            </Field>
+                        </div>
+                        <div style={{ display: 'flex', gap: '10px' }}>
+                            <Field label="Model provider">
+                                <select className="input-field" value={editForm.modelProvider} onChange={e => update('modelProvider', e.target.value)} style={inputStyle}>
+                                    <option value="">Deployment default</option>
+                                    {MODEL_PROVIDERS.map(provider => (
+                                        <option key={provider} value={provider}>{PROVIDER_LABELS[provider]}</option>
+                                    ))}
+                                </select>
+                            </Field>
+                            {editForm.modelProvider && (
+                                <>
+                                    <Field label="Model">
+                                        <input className="input-field" value={editForm.modelName} onChange={e => update('modelName', e.target.value)} placeholder={DEFAULT_MODELS[editForm.modelProvider]} style={inputStyle} />
+                                    </Field>
+                                    <Field label="Temperature">
+                                        <input className="input-field" type="number" min="0" max="2" step="0.1" value={editForm.temperature} onChange={e => update('temperature', e.target.value)} placeholder="0.1" style={inputStyle} />
+                                    </Field>
+                                </>
+                            )}
+                        </div>
+                        <div style={{ display: 'flex', flexDirection: 'column', gap: '6px' }}>
+                            <span style={labelStyle}>Rubric</span>
+                            <RubricBuilder rubric={editForm.rubric} onChange={rubric => update('rubric', rubric)} />
+                        </div>
+
+                        {saveError && (
+                            <p style={{ color: 'var(--grade-f)', fontSize: '0.8rem', display: 'flex', alignItems: 'center', gap: '6px' }}>
+                                <AlertTriangle size={12} /> {saveError}
+                            </p>
+                        )}
+
+                        <AdaptiveButton variant="primary" onClick={handleSave} disabled={isSaving} style={{ gap: '8px' }}>
+                            <Check size={18} /> {isSaving ? 'Saving...' : isNew ? 'Create Assignment' : 'Save Settings'}
+                        </AdaptiveButton>
+                    </AdaptiveCard>
+                )}
+            </div>
+        </motion.div>
+    );
+}
@@ -0,0 +1,132 @@
+import { useNavigate } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import useAssignment from '../hooks/useAssignment';
+import useAnswerKey from '../hooks/useAnswerKey';
+import AdaptiveCard from '../components/AdaptiveCard';
+import AdaptiveButton from '../components/AdaptiveButton';
+import { isStructuredRubric } from '../lib/rubric';
+import { PROVIDER_LABELS } from '../lib/modelProviders';
+import { ArrowLeft, Camera, BarChart3, KeyRound, Settings, Calendar, ListChecks } from 'lucide-react';
+
+const FEEDBACK_LABELS = { constructive: 'Constructive', strict: 'Strict', encouraging: 'Encouraging' };
+
+// ═══════════════════════════════════════════════════════════
+//  ASSIGNMENT — Hub for one assignment: key, settings, scan, results
+// ═══════════════════════════════════════════════════════════
+export default function AssignmentScreen() {
+    const navigate = useNavigate();
+    const { assignmentId, assignment, loading } = useAssignment();
+    const { answerKey, loading: keyLoading } = useAnswerKey(assignmentId);
+    const base = `/assignments/${assignmentId}`;
+
+    const keyPoints = answerKey?.totalPoints;
+    const points = assignment?.pointsPossible ?? keyPoints ?? null;
+
+    return (
+        <motion.div
+            className="screen"
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0 }}
+            transition={{ duration: 0.5 }}
+            style={{ justifyContent: 'flex-start', padding: '0', minHeight: '100vh' }}
+        >
+            {/* Header */}
+            <div style={{ width: '100%', padding: '20px 20px 16px' }}>
+                <div style={{ maxWidth: 560, margin: '0 auto', display: 'flex', alignItems: 'center', gap: '12px' }}>
+                    <AdaptiveButton
+                        variant="ghost"
+                        onClick={() => navigate('/assignments')}
+                        style={{ width: 36, height: 36, padding: 0, borderRadius: '50%' }}
+                    >
+                        <ArrowLeft size={18} color="var(--text-secondary)" />
+                    </AdaptiveButton>
+                    <div style={{ flex: 1 }}>
+                        <h1 className="text-heading" style={{ color: 'var(--text-primary)' }}>
+                            {assignment?.title || (loading ? 'Loading…' : 'Assignment not found')}
+                        </h1>
+                        {assignment && (
+                            <p style={{ color: 'var(--text-muted)', fontSize: '0.8rem' }}>
+                                {[assignment.subject, assignment.gradeLevel && `Grade ${assignment.gradeLevel}`, points != null && `${points} pts`]
+                                    .filter(Boolean).join(' · ') || 'No subject'}
+                            </p>
+                        )}
+                    </div>
+                    {assignment && (
+                        <AdaptiveButton
+                            variant="ghost"
+                            onClick={() => navigate(`${base}/edit`)}
+                            title="Assignment settings"
+                            style={{ width: 36, height: 36, padding: 0, borderRadius: '50%' }}
+                        >
+                            <Settings size={16} color="var(--text-secondary)" />
+                        </AdaptiveButton>
+                    )}
+                </div>
+            </div>
+
+            {assignment && (
+                <div style={{
+                    maxWidth: 560, width: '100%', margin: '0 auto', padding: '0 20px 32px',
+                    display: 'flex', flexDirection: 'column', gap: '10px',
+                }}>
+                    {/* Settings summary */}
+                    <AdaptiveCard style={{ padding: '12px 16px', display: 'flex', flexWrap: 'wrap', gap: '8px 16px', fontSize: '0.8rem', color: 'var(--text-secondary)' }}>
+                        <span>{assignment.analysisMode === 'quick' ? 'Quick analysis' : 'Full analysis'}</span>
+                        <span>{FEEDBACK_LABELS[assignment.feedbackStyle] || 'Constructive'} feedback</span>
+                        <span>
+                            {isStructuredRubric(assignment.rubric)
+                                ? `Rubric · ${assignment.rubric.criteria.length} criteria`
+                                : assignment.rubric ? 'Rubric notes' : 'No rubric'}
+                        </span>
+                        {assignment.modelSettings && (
+                            <span>
+                                {assignment.modelSettings.model || PROVIDER_LABELS[assignment.modelSettings.provider]}
+                            </span>
+                        )}
+                        {assignment.dueDate && (
+                            <span style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+                                <Calendar size={12} /> Due {new Date(`${assignment.dueDate}T00:00:00`).toLocaleDateString()}
+                            </span>
+                        )}
+                    </AdaptiveCard>
+
+                    {/* Answer key */}
+                    {!keyLoading && (
+                        <AdaptiveCard
+                            onClick={() => navigate(answerKey ? `${base}/answer-key` : `${base}/scan?mode=key`)}
+                            style={{ padding: '12px 16px', display: 'flex', alignItems: 'center', gap: '12px', cursor: 'pointer' }}
+                        >
+                            <KeyRound size={18} color={answerKey ? 'var(--logic-green)' : 'var(--lymbic-purple-light)'} />
+                            <span style={{ color: 'var(--text-secondary)', fontSize: '0.9rem' }}>
+                                {answerKey
+                                    ? <>Answer key · <strong style={{ color: 'var(--text-primary)' }}>{answerKey.items.length}</strong> questions — edit</>
+                                    : 'Scan the answer key first'}
+                            </span>
+                        </AdaptiveCard>
+                    )}
+
+                    {/* Item analysis */}
+                    <AdaptiveCard
+                        onClick={() => navigate(`${base}/items`)}
+                        style={{ padding: '12px 16px', display: 'flex', alignItems: 'center', gap: '12px', cursor: 'pointer' }}
+                    >
+                        <ListChecks size={18} color="var(--lymbic-purple-light)" />
+                        <span style={{ color: 'var(--text-secondary)', fontSize: '0.9rem' }}>
+                            Item analysis — per-question results and key checks
+                        </span>
+                    </AdaptiveCard>
+
+                    <div style={{ display: 'flex', gap: '10px', marginTop: '8px' }}>
+                        <AdaptiveButton variant="primary" onClick={() => navigate(`${base}/scan`)} style={{ flex: 1, gap: '8px' }}>
+                            <Camera size={18} /> Scan Work
+                        </AdaptiveButton>
+                        <AdaptiveButton variant="secondary" onClick={() => navigate(`${base}/results`)} style={{ flex: 1, gap: '8px' }}>
+                            <BarChart3 size={18} /> Results
+                        </AdaptiveButton>
+                    </div>
+                </div>
+            )}
+        </motion.div>
+    );
+}
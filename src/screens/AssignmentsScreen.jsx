@@ -0,0 +1,113 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import AdaptiveCard from '../components/AdaptiveCard';
+import AdaptiveButton from '../components/AdaptiveButton';
+import PageRetentionSetting from '../components/PageRetentionSetting';
+import { listAssignments } from '../lib/assignmentStore';
+import { ArrowLeft, Plus, ClipboardList, Calendar, ChevronRight } from 'lucide-react';
+
+// ═══════════════════════════════════════════════════════════
+//  ASSIGNMENTS — Every grading container, most recent first
+// ═══════════════════════════════════════════════════════════
+export default function AssignmentsScreen() {
+    const navigate = useNavigate();
+    const [assignments, setAssignments] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+
+    useEffect(() => {
+        listAssignments()
+            .then(setAssignments)
+            .catch(e => console.warn('[Lymbic] Load assignments failed:', e))
+            .finally(() => setIsLoading(false));
+    }, []);
+
+    return (
+        <motion.div
+            className="screen"
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0 }}
+            transition={{ duration: 0.5 }}
+            style={{ justifyContent: 'flex-start', padding: '0', minHeight: '100vh' }}
+        >
+            {/* Header */}
+            <div style={{ width: '100%', padding: '20px 20px 16px' }}>
+                <div style={{ maxWidth: 560, margin: '0 auto', display: 'flex', alignItems: 'center', gap: '12px' }}>
+                    <AdaptiveButton
+                        variant="ghost"
+                        onClick={() => navigate('/grade')}
+                        style={{ width: 36, height: 36, padding: 0, borderRadius: '50%' }}
+                    >
+                        <ArrowLeft size={18} color="var(--text-secondary)" />
+                    </AdaptiveButton>
+                    <h1 className="text-heading" style={{ color: 'var(--text-primary)', flex: 1 }}>Assignments</h1>
+                    <AdaptiveButton
+                        variant="ghost"
+                        onClick={() => navigate('/assignments/new')}
+                        title="New assignment"
+                        style={{ width: 36, height: 36, padding: 0, borderRadius: '50%' }}
+                    >
+                        <Plus size={18} color="var(--text-secondary)" />
+                    </AdaptiveButton>
+                </div>
+            </div>
+
+            <div style={{
+                maxWidth: 560, width: '100%', margin: '0 auto', padding: '0 20px 32px',
+                display: 'flex', flexDirection: 'column', gap: '8px',
+            }}>
+                {isLoading && (
+                    <div style={{ textAlign: 'center', padding: '40px 0', color: 'var(--text-muted)' }}>
+                        Loading assignments...
+                    </div>
+                )}
+
+                {!isLoading && assignments.length === 0 && (
+                    <div style={{ textAlign: 'center', padding: '32px 0', display: 'flex', flexDirection: 'column', alignItems: 'center', gap: '16px' }}>
+                        <ClipboardList size={32} color="var(--lymbic-purple)" />
+                        <p style={{ color: 'var(--text-muted)', fontSize: '0.9rem', lineHeight: 1.5 }}>
+                            Create an assignment to hold its answer key, rubric and every scan graded against it.
+                        </p>
+                        <AdaptiveButton variant="primary" onClick={() => navigate('/assignments/new')} style={{ gap: '8px' }}>
+                            <Plus size={18} /> New Assignment
+                        </AdaptiveButton>
+                    </div>
+                )}
+
+                {assignments.map((a, i) => (
+                    <motion.div
+                        key={a.id}
+                        initial={{ opacity: 0, y: 20 }}
+                        animate={{ opacity: 1, y: 0 }}
+                        transition={{ delay: i * 0.05, duration: 0.4 }}
+                    >
+                        <AdaptiveCard
+                            onClick={() => navigate(`/assignments/${a.id}`)}
+                            style={{ padding: '14px 16px', display: 'flex', alignItems: 'center', gap: '12px', cursor: 'pointer' }}
+                        >
+                            <div style={{ flex: 1 }}>
+                                <p style={{ fontWeight: 600, fontSize: '0.95rem' }}>{a.title}</p>
+                                <p style={{ color: 'var(--text-muted)', fontSize: '0.78rem', display: 'flex', alignItems: 'center', gap: '6px' }}>
+                                    {[a.subject, a.gradeLevel && `Grade ${a.gradeLevel}`].filter(Boolean).join(' · ') || 'No subject'}
+                                    {a.dueDate && (
+                                        <>
+                                            <Calendar size={11} /> {new Date(`${a.dueDate}T00:00:00`).toLocaleDateString()}
+                                        </>
+                                    )}
+                                </p>
+                            </div>
+                            <ChevronRight size={16} color="var(--text-muted)" />
+                        </AdaptiveCard>
+                    </motion.div>
+                ))}
+
+                {!isLoading && (
+                    <div style={{ marginTop: '16px' }}>
+                        <PageRetentionSetting />
+                    </div>
+                )}
+            </div>
+        </motion.div>
+    );
+}
@@ -0,0 +1,231 @@
+import { useState, useEffect } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import PageTransition from '../components/PageTransition';
+import AdaptiveCard from '../components/AdaptiveCard';
+import AdaptiveButton from '../components/AdaptiveButton';
+import { summarizeBatch } from '../lib/batchSummary';
+import { displayNameFor } from '../lib/identityVault';
+import {
+    ArrowLeft, BarChart3, BookOpen, AlertTriangle, Eye, Lightbulb, Camera, ListChecks, ChevronRight,
+} from 'lucide-react';
+
+const BAND_COLORS = { A: 'var(--grade-a)', B: 'var(--grade-b)', C: 'var(--grade-c)', D: 'var(--grade-d)', F: 'var(--grade-f)' };
+const SEVERITY_COLORS = { high: 'var(--grade-f)', medium: '#fbbf24', positive: 'var(--logic-green)' };
+const LEVEL_LABELS = { mastered: 'Mastered', proficient: 'Proficient', developing: 'Developing', needs_work: 'Needs work' };
+const PRIORITY_COLORS = { high: 'var(--grade-f)', medium: '#fbbf24', positive: 'var(--logic-green)', low: 'var(--text-muted)' };
+
+const captionStyle = { color: 'var(--text-muted)', fontSize: '0.65rem' };
+
+function Section({ icon, title, children }) {
+    return (
+        <AdaptiveCard style={{ padding: '14px 16px', display: 'flex', flexDirection: 'column', gap: '10px' }}>
+            <div style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                {icon}
+                <span className="text-caption" style={captionStyle}>{title}</span>
+            </div>
+            {children}
+        </AdaptiveCard>
+    );
+}
+
+// ═══════════════════════════════════════════════════════════
+//  BATCH SUMMARY — One scanning session, from its stored traces
+// ═══════════════════════════════════════════════════════════
+export default function BatchSummary() {
+    const navigate = useNavigate();
+    const { sessionId } = useParams();
+    const [traces, setTraces] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+
+    useEffect(() => {
+        let cancelled = false;
+        import('../lib/storageLayer')
+            .then(({ getSessionTraces }) => getSessionTraces(sessionId))
+            .then(found => { if (!cancelled) setTraces(found); })
+            .catch(e => console.warn('[Lymbic] Load session traces failed:', e))
+            .finally(() => { if (!cancelled) setIsLoading(false); });
+        return () => { cancelled = true; };
+    }, [sessionId]);
+
+    const summary = summarizeBatch(traces);
+    const assignmentPath = summary?.assignmentId ? `/assignments/${summary.assignmentId}` : null;
+
+    // Scan numbers follow capture order; a name from the on-device vault wins
+    const chronological = [...traces].sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+    const labelOf = (traceId) => {
+        const trace = traces.find(t => t.id === traceId);
+        return displayNameFor(trace?.student_token) || `Scan ${chronological.findIndex(t => t.id === traceId) + 1}`;
+    };
+    const openTrace = (traceId) => {
+        const trace = traces.find(t => t.id === traceId);
+        if (trace?.assignment_id) navigate(`/assignments/${trace.assignment_id}/results?trace=${encodeURIComponent(traceId)}`);
+    };
+
+    const traceChips = (traceIds) => (
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px' }}>
+            {traceIds.map(id => (
+                <button
+                    key={id}
+                    type="button"
+                    onClick={() => openTrace(id)}
+                    style={{
+                        padding: '3px 10px', borderRadius: '999px', cursor: 'pointer',
+                        background: 'var(--surface-glass)', border: '1px solid var(--surface-glass-border)',
+                        color: 'var(--text-secondary)', fontSize: '0.72rem',
+                    }}
+                >
+                    {labelOf(id)}
+                </button>
+            ))}
+        </div>
+    );
+
+    const maxBand = Math.max(1, ...(summary?.distribution || []).map(b => b.count));
+
+    return (
+        <PageTransition style={{ justifyContent: 'flex-start', padding: '0', minHeight: '100vh' }}>
+            {/* Header */}
+            <div style={{ width: '100%', padding: '20px 20px 16px' }}>
+                <div style={{ maxWidth: 560, margin: '0 auto', display: 'flex', alignItems: 'center', gap: '12px' }}>
+                    <AdaptiveButton
+                        variant="ghost"
+                        onClick={() => navigate(assignmentPath || '/assignments')}
+                        style={{ width: 36, height: 36, padding: 0, borderRadius: '50%' }}
+                    >
+                        <ArrowLeft size={18} color="var(--text-secondary)" />
+                    </AdaptiveButton>
+                    <div style={{ flex: 1 }}>
+                        <h1 className="text-heading" style={{ color: 'var(--text-primary)' }}>Batch Summary</h1>
+                        {summary && (
+                            <p style={{ color: 'var(--text-muted)', fontSize: '0.8rem' }}>
+                                {summary.count} submission{summary.count === 1 ? '' : 's'} · average {summary.averageScore}%
+                            </p>
+                        )}
+                    </div>
+                </div>
+            </div>
+
+            <div style={{
+                maxWidth: 560, width: '100%', margin: '0 auto', padding: '0 20px 32px',
+                display: 'flex', flexDirection: 'column', gap: '12px',
+            }}>
+                {isLoading && (
+                    <div style={{ textAlign: 'center', padding: '40px 0', color: 'var(--text-muted)' }}>
+                        Loading batch...
+                    </div>
+                )}
+
+                {!isLoading && !summary && (
+                    <div style={{ textAlign: 'center', padding: '32px 0', color: 'var(--text-muted)', fontSize: '0.9rem' }}>
+                        No saved scans in this batch.
+                    </div>
+                )}
+
+                {summary && (
+                    <>
+                        {/* Score distribution */}
+                        <Section icon={<BarChart3 size={14} color="var(--lymbic-purple-light)" />} title="SCORE DISTRIBUTION">
+                            {summary.distribution.map(band => (
+                                <div key={band.grade} style={{ display: 'flex', flexDirection: 'column', gap: '4px' }}>
+                                    <div style={{ display: 'flex', alignItems: 'center', gap: '10px', fontSize: '0.78rem' }}>
+                                        <span style={{ width: 16, fontWeight: 700, color: BAND_COLORS[band.grade] }}>{band.grade}</span>
+                                        <div style={{ flex: 1, height: 8, borderRadius: 4, background: 'var(--surface-glass)' }}>
+                                            <div style={{
+                                                width: `${(band.count / maxBand) * 100}%`, height: '100%', borderRadius: 4,
+                                                background: BAND_COLORS[band.grade], transition: 'width 0.4s ease',
+                                            }} />
+                                        </div>
+                                        <span style={{ width: 20, textAlign: 'right', color: 'var(--text-secondary)' }}>{band.count}</span>
+                                    </div>
+                                    {band.count > 0 && band.grade !== 'A' && traceChips(band.traceIds)}
+                                </div>
+                            ))}
+                        </Section>
+
+                        {/* Needs review */}
+                        {summary.needsReview.length > 0 && (
+                            <Section icon={<Eye size={14} color="#fbbf24" />} title="NEEDS REVIEW">
+                                {summary.needsReview.map(item => (
+                                    <button
+                                        key={item.traceId}
+                                        type="button"
+                                        onClick={() => openTrace(item.traceId)}
+                                        style={{
+                                            display: 'flex', alignItems: 'center', gap: '8px', padding: '6px 10px',
+                                            borderRadius: '6px', cursor: 'pointer', textAlign: 'left',
+                                            background: 'rgba(251, 191, 36, 0.06)', border: '1px solid rgba(251, 191, 36, 0.15)',
+                                            color: 'var(--text-secondary)', fontSize: '0.78rem',
+                                        }}
+                                    >
+                                        <span style={{ fontWeight: 600, minWidth: 64 }}>{labelOf(item.traceId)}</span>
+                                        <span style={{ flex: 1, color: 'var(--text-muted)' }}>{item.reasons.join(' · ')}</span>
+                                        <ChevronRight size={14} color="var(--text-muted)" />
+                                    </button>
+                                ))}
+                            </Section>
+                        )}
+
+                        {/* Concepts most often missed */}
+                        {summary.missedConcepts.length > 0 && (
+                            <Section icon={<BookOpen size={14} color="var(--grade-f)" />} title="CONCEPTS MOST OFTEN MISSED">
+                                {summary.missedConcepts.slice(0, 5).map(c => (
+                                    <div key={c.concept} style={{ display: 'flex', flexDirection: 'column', gap: '6px' }}>
+                                        <div style={{ display: 'flex', alignItems: 'baseline', gap: '8px', fontSize: '0.82rem' }}>
+                                            <span style={{ flex: 1, fontWeight: 600, color: 'var(--text-primary)' }}>{c.concept}</span>
+                                            <span style={{ color: 'var(--text-muted)', fontSize: '0.72rem' }}>
+                                                missed {c.missed}×{c.level ? ` · ${LEVEL_LABELS[c.level]}` : ''}
+                                            </span>
+                                        </div>
+                                        {traceChips(c.traceIds)}
+                                    </div>
+                                ))}
+                            </Section>
+                        )}
+
+                        {/* Recurring error patterns */}
+                        {summary.patterns.length > 0 && (
+                            <Section icon={<AlertTriangle size={14} color="var(--grade-c)" />} title="ERROR PATTERNS">
+                                {summary.patterns.map((p, pi) => (
+                                    <div key={pi} style={{ display: 'flex', flexDirection: 'column', gap: '6px' }}>
+                                        <div style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '0.8rem', color: 'var(--text-secondary)' }}>
+                                            <span style={{ width: 6, height: 6, borderRadius: '50%', flexShrink: 0, background: SEVERITY_COLORS[p.severity] || 'var(--text-muted)' }} />
+                                            <span style={{ flex: 1 }}>{p.description.replace(/_/g, ' ')}</span>
+                                        </div>
+                                        {p.traceIds.length > 0 && traceChips(p.traceIds)}
+                                    </div>
+                                ))}
+                            </Section>
+                        )}
+
+                        {/* Recommendations */}
+                        {summary.recommendations.length > 0 && (
+                            <Section icon={<Lightbulb size={14} color="var(--logic-green)" />} title="RECOMMENDATIONS">
+                                {summary.recommendations.map((rec, ri) => (
+                                    <div key={ri} style={{ display: 'flex', flexDirection: 'column', gap: '4px', fontSize: '0.8rem' }}>
+                                        <span style={{ fontWeight: 600, color: PRIORITY_COLORS[rec.priority] || 'var(--text-primary)' }}>
+                                            {rec.message.replace(/_/g, ' ')}
+                                        </span>
+                                        <span style={{ color: 'var(--text-muted)', fontSize: '0.75rem' }}>
+                                            {rec.suggestedActions.join(' · ')}
+                                        </span>
+                                    </div>
+                                ))}
+                            </Section>
+                        )}
+                    </>
+                )}
+
+                {assignmentPath && !isLoading && (
+                    <div style={{ display: 'flex', gap: '8px', marginTop: '8px' }}>
+                        <AdaptiveButton variant="secondary" style={{ flex: 1, gap: '8px' }} onClick={() => navigate(`${assignmentPath}/results`)}>
+                            <ListChecks size={16} /> All Results
+                        </AdaptiveButton>
+                        <AdaptiveButton variant="primary" style={{ flex: 1, gap: '8px' }} onClick={() => navigate(`${assignmentPath}/scan`)}>
+                            <Camera size={16} /> Scan More
+                        </AdaptiveButton>
+                    </div>
+                )}
+            </div>
+        </PageTransition>
+    );
+}
@@ -1,13 +1,31 @@
+import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { useOnboarding } from '../context/OnboardingContext';
-import { Camera, ShieldCheck, Clock, Users } from 'lucide-react';
+import useAnswerKey from '../hooks/useAnswerKey';
+import { listAssignments } from '../lib/assignmentStore';
+import { Camera, ShieldCheck, Clock, Users, KeyRound, ClipboardList } from 'lucide-react';
 
 export default function GradeToday() {
     const navigate = useNavigate();
     const { data } = useOnboarding();
+    const [assignments, setAssignments] = useState(null);
 
-    const subject = data.subject || 'Physics Midterms';
+    useEffect(() => {
+        listAssignments()
+            .then(setAssignments)
+            .catch(e => {
+                console.warn('[Lymbic] Load assignments failed:', e);
+                setAssignments([]);
+            });
+    }, []);
+
+    // The most recently updated assignment is the one being graded today
+    const current = assignments?.[0] || null;
+    const base = current ? `/assignments/${current.id}` : null;
+    const { answerKey, loading: keyLoading } = useAnswerKey(current?.id);
+
+    const subject = current?.title || data.subject || 'Physics Midterms';
     const count = data.studentCount || 30;
 
     return (
@@ -48,12 +66,16 @@ export default function GradeToday() {
                         gap: '24px', padding: '16px 24px',
                     }}
                 >
-                    <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                    <button
+                        onClick={() => navigate('/roster')}
+                        title="Class roster"
+                        style={{ display: 'flex', alignItems: 'center', gap: '8px', background: 'none', border: 'none', cursor: 'pointer', padding: 0 }}
+                    >
                         <Users size={16} color="var(--text-muted)" />
                         <span style={{ color: 'var(--text-secondary)', fontSize: '0.9rem' }}>
                             <strong style={{ color: 'var(--text-primary)' }}>{count}</strong> students
                         </span>
-                    </div>
+                    </button>
                     <div style={{ width: 1, height: 20, background: 'var(--surface-glass-border)' }} />
                     <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
                         <Clock size={16} color="var(--text-muted)" />
@@ -94,7 +116,7 @@ export default function GradeToday() {
                     <motion.button
                         whileHover={{ scale: 1.08 }}
                         whileTap={{ scale: 0.95 }}
-                        onClick={() => navigate('/scan')}
+                        onClick={() => navigate(base ? `${base}/scan` : '/assignments/new')}
                         style={{
                             width: 120, height: 120, borderRadius: '50%',
                             background: 'linear-gradient(135deg, var(--lymbic-purple), var(--lymbic-purple-deep))',
@@ -107,10 +129,47 @@ export default function GradeToday() {
                     </motion.button>
 
                     <p style={{ color: 'var(--text-secondary)', fontSize: '0.95rem', fontWeight: 500 }}>
-                        Tap the camera to get started
+                        {assignments && !current ? 'Tap the camera to set up your first assignment' : 'Tap the camera to get started'}
                     </p>
                 </motion.div>
 
+                {/* Answer key status — scan it first so grades compare against the key */}
+                {current && !keyLoading && (
+                    <motion.button
+                        initial={{ opacity: 0, y: 10 }}
+                        animate={{ opacity: 1, y: 0 }}
+                        transition={{ delay: 0.9 }}
+                        whileHover={{ scale: 1.02 }}
+                        whileTap={{ scale: 0.98 }}
+                        onClick={() => navigate(answerKey ? `${base}/answer-key` : `${base}/scan?mode=key`)}
+                        className="glass-card"
+                        style={{
+                            display: 'flex', alignItems: 'center', gap: '12px', padding: '12px 18px',
+                            cursor: 'pointer', textAlign: 'left', alignSelf: 'center',
+                        }}
+                    >
+                        <KeyRound size={18} color={answerKey ? 'var(--logic-green)' : 'var(--lymbic-purple-light)'} />
+                        <span style={{ color: 'var(--text-secondary)', fontSize: '0.9rem' }}>
+                            {answerKey
+                                ? <>Answer key ready · <strong style={{ color: 'var(--text-primary)' }}>{answerKey.items.length}</strong> questions — edit</>
+                                : 'Scan the answer key first'}
+                        </span>
+                    </motion.button>
+                )}
+
+                {assignments?.length > 0 && (
+                    <button
+                        onClick={() => navigate('/assignments')}
+                        style={{
+                            display: 'flex', alignItems: 'center', gap: '6px', alignSelf: 'center',
+                            background: 'none', border: 'none', cursor: 'pointer', padding: 0,
+                            color: 'var(--text-muted)', fontSize: '0.85rem',
+                        }}
+                    >
+                        <ClipboardList size={14} /> All assignments
+                    </button>
+                )}
+
                 {/* Anonymization badge */}
                 <motion.div
                     initial={{ opacity: 0, y: 10 }}
@@ -0,0 +1,298 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import PageTransition from '../components/PageTransition';
+import AdaptiveCard from '../components/AdaptiveCard';
+import AdaptiveButton from '../components/AdaptiveButton';
+import useAssignment from '../hooks/useAssignment';
+import useAnswerKey from '../hooks/useAnswerKey';
+import { analyzeItems } from '../lib/itemAnalysis';
+import { clusterMisconceptions } from '../lib/misconceptions';
+import { displayNameFor } from '../lib/identityVault';
+import { ArrowLeft, AlertTriangle, ChevronDown, ChevronUp, KeyRound, ChevronRight, Users, Lightbulb } from 'lucide-react';
+
+const captionStyle = { color: 'var(--text-muted)', fontSize: '0.65rem' };
+const chipStyle = {
+    padding: '2px 8px', borderRadius: '999px', fontSize: '0.7rem',
+    background: 'var(--surface-glass)', border: '1px solid var(--surface-glass-border)', color: 'var(--text-secondary)',
+};
+
+const percent = (value) => (value == null ? '—' : `${Math.round(value * 100)}%`);
+
+function percentColor(value) {
+    if (value >= 0.8) return 'var(--grade-a)';
+    if (value >= 0.6) return 'var(--grade-c)';
+    return 'var(--grade-f)';
+}
+
+// Discrimination index bands (Ebel): ≥ 0.3 good, 0.2–0.3 acceptable, below weak, negative suspect
+function discriminationLabel(d) {
+    if (d == null) return { text: 'Too few students', color: 'var(--text-muted)' };
+    if (d < 0) return { text: 'Negative', color: 'var(--grade-f)' };
+    if (d < 0.2) return { text: 'Weak', color: '#fbbf24' };
+    if (d < 0.3) return { text: 'Acceptable', color: 'var(--grade-b)' };
+    return { text: 'Good', color: 'var(--logic-green)' };
+}
+
+// ═══════════════════════════════════════════════════════════
+//  ITEM ANALYSIS — Per-question statistics for one assignment
+// ═══════════════════════════════════════════════════════════
+export default function ItemAnalysisScreen() {
+    const navigate = useNavigate();
+    const { assignmentId, assignment } = useAssignment();
+    const { answerKey } = useAnswerKey(assignmentId);
+    const [traces, setTraces] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [expandedId, setExpandedId] = useState(null);
+    const base = `/assignments/${assignmentId}`;
+
+    useEffect(() => {
+        let cancelled = false;
+        import('../lib/storageLayer')
+            .then(({ getAssignmentTraces }) => getAssignmentTraces(assignmentId))
+            .then(found => { if (!cancelled) setTraces(found); })
+            .catch(e => console.warn('[Lymbic] Load assignment traces failed:', e))
+            .finally(() => { if (!cancelled) setIsLoading(false); });
+        return () => { cancelled = true; };
+    }, [assignmentId]);
+
+    const analysis = analyzeItems(traces, { answerKey });
+    const flagged = analysis.items.filter(i => i.miskey);
+    const misconceptions = clusterMisconceptions(traces);
+
+    const openTrace = (traceId) => navigate(`${base}/results?trace=${encodeURIComponent(traceId)}`);
+
+    const statBlock = (label, value, color) => (
+        <div style={{ flex: 1, display: 'flex', flexDirection: 'column', gap: '2px' }}>
+            <span className="text-caption" style={captionStyle}>{label}</span>
+            <span style={{ fontSize: '0.9rem', fontWeight: 600, color: color || 'var(--text-primary)' }}>{value}</span>
+        </div>
+    );
+
+    const misconceptionCard = (group) => (
+        <AdaptiveCard key={group.id} style={{ padding: '12px 16px', display: 'flex', flexDirection: 'column', gap: '8px' }}>
+            <div style={{ display: 'flex', alignItems: 'baseline', gap: '8px' }}>
+                <span style={{ flex: 1, fontWeight: 600, fontSize: '0.88rem', color: 'var(--text-primary)' }}>{group.name}</span>
+                <span style={{ display: 'flex', alignItems: 'center', gap: '4px', color: 'var(--text-muted)', fontSize: '0.72rem' }}>
+                    <Users size={12} /> {group.studentCount} · {percent(group.share)}
+                </span>
+            </div>
+            {group.summary && (
+                <p style={{ color: 'var(--text-secondary)', fontSize: '0.78rem', fontStyle: 'italic' }}>{group.summary}</p>
+            )}
+            {group.commonAnswer && (
+                <p style={{ color: 'var(--text-muted)', fontSize: '0.75rem' }}>
+                    Most answered <span style={{ color: 'var(--text-primary)', fontFamily: 'var(--font-mono, monospace)' }}>{group.commonAnswer}</span>
+                    {group.divergenceStep != null && ` · went wrong at step ${group.divergenceStep}`}
+                </p>
+            )}
+            <div style={{ display: 'flex', alignItems: 'flex-start', gap: '6px', color: 'var(--text-secondary)', fontSize: '0.75rem' }}>
+                <Lightbulb size={12} color="var(--logic-green)" style={{ flexShrink: 0, marginTop: 2 }} />
+                <span>{group.reteach}</span>
+            </div>
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px' }}>
+                {group.examples.map((example, ei) => (
+                    <button
+                        key={example.traceId || ei}
+                        type="button"
+                        onClick={() => example.traceId && openTrace(example.traceId)}
+                        title={example.explanation || undefined}
+                        style={{ ...chipStyle, cursor: 'pointer' }}
+                    >
+                        {displayNameFor(example.studentToken) || `Example ${ei + 1}`}{example.answer ? ` · ${example.answer}` : ''}
+                    </button>
+                ))}
+            </div>
+        </AdaptiveCard>
+    );
+
+    const itemDetails = (item) => (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '12px', paddingTop: '10px', borderTop: '1px solid var(--surface-glass-border)' }}>
+            <div style={{ display: 'flex', gap: '12px' }}>
+                {statBlock('TOP 27%', percent(item.upperPercent))}
+                {statBlock('BOTTOM 27%', percent(item.lowerPercent))}
+                {statBlock('BLANK', item.blanks)}
+            </div>
+
+            {item.miskey && (
+                <div style={{
+                    display: 'flex', flexDirection: 'column', gap: '4px', padding: '8px 10px', borderRadius: '6px',
+                    background: 'rgba(251, 191, 36, 0.06)', border: '1px solid rgba(251, 191, 36, 0.15)',
+                    color: 'var(--text-secondary)', fontSize: '0.75rem',
+                }}>
+                    {item.miskey.reasons.map((reason, ri) => <span key={ri}>{reason}</span>)}
+                </div>
+            )}
+
+            <div style={{ display: 'flex', flexDirection: 'column', gap: '6px' }}>
+                <span className="text-caption" style={captionStyle}>COMMON WRONG ANSWERS</span>
+                {item.expectedAnswer != null && (
+                    <div style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '0.78rem', color: 'var(--logic-green)' }}>
+                        <KeyRound size={12} /> Key: {item.expectedAnswer}
+                    </div>
+                )}
+                {item.wrongAnswers.length === 0 && (
+                    <span style={{ color: 'var(--text-muted)', fontSize: '0.75rem' }}>No wrong answers recorded</span>
+                )}
+                {item.wrongAnswers.slice(0, 5).map(cluster => (
+                    <div key={cluster.answer} style={{ display: 'flex', alignItems: 'center', gap: '10px', fontSize: '0.78rem' }}>
+                        <span style={{ flex: 1, color: 'var(--text-primary)', fontFamily: 'var(--font-mono, monospace)' }}>{cluster.answer}</span>
+                        <div style={{ width: 80, height: 6, borderRadius: 3, background: 'var(--surface-glass)' }}>
+                            <div style={{ width: `${cluster.share * 100}%`, height: '100%', borderRadius: 3, background: 'var(--grade-f)' }} />
+                        </div>
+                        <span style={{ width: 24, textAlign: 'right', color: 'var(--text-muted)' }}>{cluster.count}</span>
+                    </div>
+                ))}
+            </div>
+
+            {item.errorTypes.length > 0 && (
+                <div style={{ display: 'flex', flexDirection: 'column', gap: '6px' }}>
+                    <span className="text-caption" style={captionStyle}>ERROR TYPES</span>
+                    <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px' }}>
+                        {item.errorTypes.map(e => (
+                            <span key={e.errorType} style={chipStyle}>
+                                {e.errorType.toLowerCase().replace(/_/g, ' ')} · {e.count}
+                            </span>
+                        ))}
+                    </div>
+                </div>
+            )}
+
+            {item.concepts.length > 0 && (
+                <div style={{ display: 'flex', flexDirection: 'column', gap: '6px' }}>
+                    <span className="text-caption" style={captionStyle}>CONCEPTS</span>
+                    <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px' }}>
+                        {item.concepts.map(c => <span key={c.concept} style={chipStyle}>{c.concept}</span>)}
+                    </div>
+                </div>
+            )}
+
+            {item.missedTraceIds.length > 0 && (
+                <AdaptiveButton variant="ghost" onClick={() => openTrace(item.missedTraceIds[0])} style={{ gap: '6px', fontSize: '0.78rem', alignSelf: 'flex-start' }}>
+                    Review missed work ({item.missedTraceIds.length}) <ChevronRight size={14} />
+                </AdaptiveButton>
+            )}
+        </div>
+    );
+
+    return (
+        <PageTransition style={{ justifyContent: 'flex-start', padding: '0', minHeight: '100vh' }}>
+            {/* Header */}
+            <div style={{ width: '100%', padding: '20px 20px 16px' }}>
+                <div style={{ maxWidth: 560, margin: '0 auto', display: 'flex', alignItems: 'center', gap: '12px' }}>
+                    <AdaptiveButton
+                        variant="ghost"
+                        onClick={() => navigate(`${base}/results`)}
+                        style={{ width: 36, height: 36, padding: 0, borderRadius: '50%' }}
+                    >
+                        <ArrowLeft size={18} color="var(--text-secondary)" />
+                    </AdaptiveButton>
+                    <div style={{ flex: 1 }}>
+                        <h1 className="text-heading" style={{ color: 'var(--text-primary)' }}>Item Analysis</h1>
+                        <p style={{ color: 'var(--text-muted)', fontSize: '0.8rem' }}>
+                            {[assignment?.title, `${analysis.unitCount} student${analysis.unitCount === 1 ? '' : 's'}`, `${analysis.itemCount} question${analysis.itemCount === 1 ? '' : 's'}`]
+                                .filter(Boolean).join(' · ')}
+                        </p>
+                    </div>
+                </div>
+            </div>
+
+            <div style={{
+                maxWidth: 560, width: '100%', margin: '0 auto', padding: '0 20px 32px',
+                display: 'flex', flexDirection: 'column', gap: '10px',
+            }}>
+                {isLoading && (
+                    <div style={{ textAlign: 'center', padding: '40px 0', color: 'var(--text-muted)' }}>
+                        Loading results...
+                    </div>
+                )}
+
+                {!isLoading && analysis.itemCount === 0 && (
+                    <div style={{ textAlign: 'center', padding: '32px 0', color: 'var(--text-muted)', fontSize: '0.9rem' }}>
+                        No graded questions yet. Scan student work to see per-question statistics.
+                    </div>
+                )}
+
+                {/* Possibly mis-keyed questions */}
+                {flagged.length > 0 && (
+                    <AdaptiveCard style={{
+                        padding: '12px 16px', display: 'flex', alignItems: 'flex-start', gap: '10px',
+                        border: '1px solid rgba(251, 191, 36, 0.25)', background: 'rgba(251, 191, 36, 0.06)',
+                    }}>
+                        <AlertTriangle size={18} color="#fbbf24" style={{ flexShrink: 0, marginTop: 2 }} />
+                        <div style={{ flex: 1, fontSize: '0.8rem', color: 'var(--text-secondary)' }}>
+                            <p style={{ fontWeight: 600, color: 'var(--text-primary)' }}>
+                                Check the key for {flagged.map(i => `Q${i.questionId}`).join(', ')}
+                            </p>
+                            <p>Top-scoring students mostly “missed” {flagged.length === 1 ? 'this question' : 'these questions'}.</p>
+                        </div>
+                        {answerKey && (
+                            <AdaptiveButton variant="ghost" onClick={() => navigate(`${base}/answer-key`)} style={{ fontSize: '0.78rem', padding: '4px 10px' }}>
+                                Edit key
+                            </AdaptiveButton>
+                        )}
+                    </AdaptiveCard>
+                )}
+
+                {/* Misconceptions shared across students */}
+                {misconceptions.groups.length > 0 && (
+                    <>
+                        <span className="text-caption" style={{ ...captionStyle, marginTop: '4px' }}>
+                            COMMON MISCONCEPTIONS · {misconceptions.groupedCount} of {misconceptions.missCount} misses
+                        </span>
+                        {misconceptions.groups.slice(0, 6).map(misconceptionCard)}
+                        <span className="text-caption" style={{ ...captionStyle, marginTop: '8px' }}>QUESTIONS</span>
+                    </>
+                )}
+
+                {analysis.items.map(item => {
+                    const isExpanded = expandedId === item.questionId;
+                    const d = discriminationLabel(item.discrimination);
+                    return (
+                        <AdaptiveCard
+                            key={item.questionId}
+                            style={{
+                                padding: '12px 16px', display: 'flex', flexDirection: 'column', gap: '10px',
+                                border: item.miskey ? '1px solid rgba(251, 191, 36, 0.35)' : undefined,
+                            }}
+                        >
+                            <button
+                                type="button"
+                                onClick={() => setExpandedId(isExpanded ? null : item.questionId)}
+                                style={{
+                                    display: 'flex', alignItems: 'center', gap: '10px', width: '100%', padding: 0,
+                                    background: 'none', border: 'none', color: 'inherit', cursor: 'pointer', textAlign: 'left',
+                                }}
+                            >
+                                <span style={{ minWidth: 36, fontWeight: 700, color: 'var(--text-primary)' }}>Q{item.questionId}</span>
+                                <div style={{ flex: 1, minWidth: 0, display: 'flex', flexDirection: 'column', gap: '4px' }}>
+                                    {item.questionText && (
+                                        <span style={{ fontSize: '0.75rem', color: 'var(--text-muted)', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                                            {item.questionText}
+                                        </span>
+                                    )}
+                                    <div style={{ height: 8, borderRadius: 4, background: 'var(--surface-glass)' }}>
+                                        <div style={{
+                                            width: `${item.percentCorrect * 100}%`, height: '100%', borderRadius: 4,
+                                            background: percentColor(item.percentCorrect), transition: 'width 0.4s ease',
+                                        }} />
+                                    </div>
+                                </div>
+                                <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'flex-end', minWidth: 64 }}>
+                                    <span style={{ fontWeight: 600, fontSize: '0.85rem', color: percentColor(item.percentCorrect) }}>
+                                        {percent(item.percentCorrect)}
+                                    </span>
+                                    <span style={{ fontSize: '0.65rem', color: d.color }}>
+                                        {item.discrimination == null ? d.text : `D ${item.discrimination.toFixed(2)} · ${d.text}`}
+                                    </span>
+                                </div>
+                                {item.miskey && <AlertTriangle size={14} color="#fbbf24" />}
+                                {isExpanded ? <ChevronUp size={16} color="var(--text-muted)" /> : <ChevronDown size={16} color="var(--text-muted)" />}
+                            </button>
+                            {isExpanded && itemDetails(item)}
+                        </AdaptiveCard>
+                    );
+                })}
+            </div>
+        </PageTransition>
+    );
+}
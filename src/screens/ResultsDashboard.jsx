@@ -1,20 +1,31 @@
 import { useState, useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import { motion, AnimatePresence } from 'framer-motion';
 import { useOnboarding } from '../context/OnboardingContext';
 import { useAdaptiveUI } from '../hooks/useAdaptiveUI'; // [NEW]
 import AdaptiveCard from '../components/AdaptiveCard';     // [NEW]
 import AdaptiveButton from '../components/AdaptiveButton'; // [NEW]
+import useAssignment from '../hooks/useAssignment';
+import usePendingCaptures from '../hooks/usePendingCaptures';
+import IdentityReveal from '../components/IdentityReveal';
+import StudentLinker from '../components/StudentLinker';
+import RubricGrid from '../components/RubricGrid';
+import CorrectionEditor from '../components/CorrectionEditor';
+import MathText from '../components/MathText';
+import PageView from '../components/PageView';
 import {
     ArrowLeft, ChevronDown, ChevronUp, Brain, MessageSquare,
-    AlertTriangle, CheckCircle2, BarChart3, Users, Camera, Trash2, Clock,
+    AlertTriangle, CheckCircle2, BarChart3, Users, Camera, Trash2, Clock, ListChecks,
+    TrendingDown, TrendingUp, PencilLine, CloudOff, Layers,
 } from 'lucide-react';
+import { displayNameFor } from '../lib/identityVault';
+import { isStructuredRubric } from '../lib/rubric';
+import { combinePages } from '../lib/submissionStore';
 
 // ═══════════════════════════════════════════════════════════
-//  Helper: Convert a stored trace record → display-ready student object
+//  Helper: Letter grade + color for a percentage
 // ═══════════════════════════════════════════════════════════
-function traceToStudent(record, index) {
-    const score = record.score ?? 0;
+function gradeFor(score) {
     const grade = score >= 93 ? 'A' : score >= 90 ? 'A-' : score >= 87 ? 'B+'
         : score >= 83 ? 'B' : score >= 80 ? 'B-' : score >= 77 ? 'C+'
             : score >= 73 ? 'C' : score >= 70 ? 'C-' : score >= 60 ? 'D' : 'F';
@@ -25,24 +36,63 @@ function traceToStudent(record, index) {
                 : score >= 60 ? 'var(--grade-d)'
                     : 'var(--grade-f)';
 
+    return { grade, gradeColor };
+}
+
+// AI result snapshot the correction editor diffs against (see lib/gradeOverride)
+function aiGradeOf({ score, isCorrect, divergencePoint, remediation, valid, responses }) {
+    const errorType = String(divergencePoint?.errorType || 'NONE').toUpperCase();
+    const firstInvalid = valid.indexOf(false);
+    return {
+        score,
+        isCorrect,
+        errorType,
+        divergenceStep: divergencePoint?.step ?? (firstInvalid === -1 ? null : firstInvalid + 1),
+        remediation: remediation || '',
+        steps: valid.map((isValid, i) => ({ step: i + 1, isValid })),
+        questions: responses.map(r => ({ questionId: r.questionId, isCorrect: r.isCorrect ?? null })),
+    };
+}
+
+// Steps from the first invalid one onward are shown as diverged
+function stepValidity(trace) {
+    const firstInvalid = trace.findIndex(s => s.isValid === false);
+    return trace.map((_, i) => firstInvalid === -1 || i < firstInvalid);
+}
+
+// ═══════════════════════════════════════════════════════════
+//  Helper: Convert a stored trace record → display-ready student object
+// ═══════════════════════════════════════════════════════════
+function traceToStudent(record, index) {
+    const score = record.score ?? 0;
+    const { grade, gradeColor } = gradeFor(score);
+
     // Parse logic_trace — it may be an array of step objects or a raw array
     let steps = [];
-    let divergence = null;
+    let valid = [];
+    let latex = [];
+    let checks = [];
+    let regions = [];
     if (Array.isArray(record.logic_trace)) {
         steps = record.logic_trace.map(s => typeof s === 'string' ? s : s.content || `Step ${s.step}`);
-        divergence = record.logic_trace.findIndex(s => s.isValid === false);
-        if (divergence === -1) divergence = null;
+        valid = stepValidity(record.logic_trace);
+        latex = record.logic_trace.map(s => s?.latex || null);
+        checks = record.logic_trace.map(s => s?.check || null);
+        regions = record.logic_trace.map(s => s?.region || null);
     }
 
     // Parse divergence_point for error type
     let errorType = null;
+    let dp = null;
     if (record.divergence_point) {
-        const dp = typeof record.divergence_point === 'string'
+        dp = typeof record.divergence_point === 'string'
             ? JSON.parse(record.divergence_point)
             : record.divergence_point;
         errorType = dp.errorType?.replace(/_/g, ' ') || null;
         if (errorType === 'NONE' || errorType === 'None') errorType = null;
     }
+    const isCorrect = record.is_correct ?? (score >= 70);
+    const responses = record.responses || [];
 
     return {
         id: record.id || `scan_${index}`,
@@ -53,28 +103,52 @@ function traceToStudent(record, index) {
         score,
         errorType,
         feedback: record.remediation || 'No feedback available.',
-        logicTrace: { steps, divergence },
+        logicTrace: { steps, valid, latex, checks, regions },
         confidence: record.confidence ?? 0.8,
-        isCorrect: record.is_correct ?? (score >= 70),
+        isCorrect,
         timestamp: record.created_at,
         sessionId: record.session_id,
         captureQuality: record.capture_quality,
+        documentType: record.page_metadata?.documentType || null,
+        responses,
+        criterionScores: record.criterion_scores || [],
+        aiGrade: aiGradeOf({ score, isCorrect, divergencePoint: dp, remediation: record.remediation, valid, responses }),
+        override: record.teacher_override || null,
+        studentId: record.student_id || null,
+        studentNumber: record.page_metadata?.studentInfo?.studentNumber || null,
+        studentToken: record.student_token || null,
+        studentLabel: displayNameFor(record.student_token),
+        submissionId: record.submission_id || null,
+        pageNumber: record.page_number ?? null,
         isReal: true,
     };
 }
 
+// Pages of one multi-page submission sit together, in reading order, where its newest page was
+function groupSubmissionPages(students) {
+    const pagesOf = new Map();
+    for (const s of students.filter(st => st.submissionId)) {
+        if (!pagesOf.has(s.submissionId)) pagesOf.set(s.submissionId, []);
+        pagesOf.get(s.submissionId).push(s);
+    }
+    const grouped = [];
+    for (const s of students) {
+        if (!s.submissionId) grouped.push(s);
+        else if (pagesOf.has(s.submissionId)) {
+            const pages = pagesOf.get(s.submissionId).sort((a, b) => (a.pageNumber ?? Infinity) - (b.pageNumber ?? Infinity));
+            grouped.push(...pages.map((page, index) => ({ ...page, submissionPage: { index, count: pages.length } })));
+            pagesOf.delete(s.submissionId);
+        }
+    }
+    return grouped;
+}
+
 // Convert a scanResult from OnboardingContext → display-ready student
 function scanResultToStudent(scanResult) {
     const score = scanResult.score ?? 0;
-    const grade = score >= 93 ? 'A' : score >= 90 ? 'A-' : score >= 87 ? 'B+'
-        : score >= 83 ? 'B' : score >= 80 ? 'B-' : score >= 77 ? 'C+'
-            : score >= 73 ? 'C' : score >= 70 ? 'C-' : score >= 60 ? 'D' : 'F';
-
-    const gradeColor = score >= 90 ? 'var(--grade-a)'
-        : score >= 80 ? 'var(--grade-b)'
-            : score >= 70 ? 'var(--grade-c)'
-                : score >= 60 ? 'var(--grade-d)'
-                    : 'var(--grade-f)';
+    const { grade, gradeColor } = gradeFor(score);
+    const trace = scanResult.logicTrace || [];
+    const valid = stepValidity(trace);
 
     return {
         id: 'current',
@@ -86,34 +160,116 @@ function scanResultToStudent(scanResult) {
         errorType: scanResult.divergencePoint?.errorType?.replace(/_/g, ' ') || null,
         feedback: scanResult.remediation || 'No feedback available.',
         logicTrace: {
-            steps: (scanResult.logicTrace || []).map(s => s.content || `Step ${s.step}`),
-            divergence: (scanResult.logicTrace || []).findIndex(s => !s.isValid),
+            steps: trace.map(s => s.content || `Step ${s.step}`),
+            valid,
+            latex: trace.map(s => s.latex || null),
+            checks: trace.map(s => s.check || null),
+            regions: trace.map(s => s.region || null),
         },
         confidence: scanResult.confidence,
+        documentType: scanResult.page?.documentType || null,
+        responses: scanResult.responses || [],
+        criterionScores: scanResult.criterionScores || [],
+        aiGrade: aiGradeOf({
+            score,
+            isCorrect: scanResult.isCorrect ?? (score >= 70),
+            divergencePoint: scanResult.divergencePoint,
+            remediation: scanResult.remediation,
+            valid,
+            responses: scanResult.responses || [],
+        }),
+        override: null,
+        studentId: scanResult.studentId || null,
+        studentNumber: scanResult.page?.studentInfo?.studentNumber || null,
+        studentToken: scanResult.studentToken || null,
+        studentLabel: displayNameFor(scanResult.studentToken),
         isReal: true,
         isCurrent: true,
+        isDemo: Boolean(scanResult._demo || scanResult._mock),
         timestamp: new Date().toISOString(),
     };
 }
 
+// Teacher override (correction editor) replaces the AI result on display
+function withOverride(student, override) {
+    if (!override) return student;
+    const stepValid = new Map(override.steps.map(s => [s.step, s.isValid]));
+    const questionState = new Map(override.questions.map(q => [q.questionId, q.isCorrect]));
+    return {
+        ...student,
+        ...gradeFor(override.score),
+        score: override.score,
+        isCorrect: override.isCorrect,
+        errorType: override.errorType === 'NONE' ? null : override.errorType.replace(/_/g, ' '),
+        feedback: override.remediation || student.feedback,
+        logicTrace: {
+            ...student.logicTrace,
+            valid: student.logicTrace.valid.map((v, i) => stepValid.get(i + 1) ?? v),
+        },
+        responses: student.responses.map(r => (questionState.has(r.questionId) ? { ...r, isCorrect: questionState.get(r.questionId) } : r)),
+        override,
+    };
+}
+
+// Boxes for the page view: every located question, answer, work line and step
+function pageHighlights(student) {
+    const tone = (isCorrect) => (isCorrect === true ? 'ok' : isCorrect === false ? 'error' : 'neutral');
+    return [
+        ...student.responses.flatMap(r => [
+            { region: r.answerRegion, tone: tone(r.isCorrect), label: `${r.questionId} answer` },
+            { region: r.questionRegion, tone: 'neutral', label: r.questionId },
+            ...(r.workSteps || []).map((st, i) => ({ region: st.region, tone: 'neutral', label: `${r.questionId} line ${i + 1}` })),
+        ]),
+        ...(student.logicTrace.regions || []).map((region, i) => ({
+            region, tone: student.logicTrace.valid[i] === false ? 'error' : 'ok', label: `Step ${i + 1}`,
+        })),
+    ].filter(h => h.region);
+}
+
+// Where the deterministic step check (lib/stepVerifier) contradicts the model's grading
+function StepCheckNote({ detail, style }) {
+    return (
+        <span style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '0.72rem', color: 'var(--grade-c)', ...style }}>
+            <AlertTriangle size={11} color="var(--grade-c)" style={{ flexShrink: 0 }} />
+            Step check: {detail}
+        </span>
+    );
+}
+
 // ═══════════════════════════════════════════════════════════
 //  RESULTS DASHBOARD — Real Data
 // ═══════════════════════════════════════════════════════════
 export default function ResultsDashboard() {
     const navigate = useNavigate();
-    const { data, scanResult } = useOnboarding();
+    const { scanResult, classId } = useOnboarding();
+    const { assignmentId, assignment } = useAssignment();
+    const assignmentPath = `/assignments/${assignmentId}`;
     const { setEmotion, motion: motionPresets } = useAdaptiveUI(); // [NEW] hook
-    const [expandedId, setExpandedId] = useState(null);
-    const [corrections, setCorrections] = useState({});
+    const { captures: queuedCaptures, pendingCount, syncedCount } = usePendingCaptures(assignmentId);
+    const [searchParams] = useSearchParams();
+    const focusTraceId = searchParams.get('trace'); // drill-down from the batch summary
+    const [expandedId, setExpandedId] = useState(() => (
+        focusTraceId && scanResult?.id === focusTraceId ? 'current' : focusTraceId
+    ));
+    const [overrides, setOverrides] = useState({});   // student.id → teacher override saved this session
+    const [editingId, setEditingId] = useState(null);  // student.id with the correction editor open
     const [storedTraces, setStoredTraces] = useState([]);
     const [isLoading, setIsLoading] = useState(true);
+    const [, setVaultVersion] = useState(0); // bumps when a local name is attached
+    const [roster, setRoster] = useState([]);
+    const [studentLinks, setStudentLinks] = useState({}); // traceId → studentId linked this session
+    const [rubricEdits, setRubricEdits] = useState({});   // student.id → adjusted criterion scores
+    const [flagTrend, setFlagTrend] = useState(null);     // flags per scan, this week vs last
+    const [pageFocus, setPageFocus] = useState({});       // student.id → page region zoomed to
+    const rubric = isStructuredRubric(assignment?.rubric) ? assignment.rubric : null;
 
-    // Load traces (Supabase when configured, else localStorage) on mount
+    // Load this assignment's traces (Supabase when configured, else localStorage).
+    // Reloads whenever an offline capture finishes analysis.
     useEffect(() => {
         const load = async () => {
             try {
-                const { getAllTraces } = await import('../lib/storageLayer');
-                const traces = await getAllTraces();
+                const { getAssignmentTraces } = await import('../lib/storageLayer');
+                const traces = await getAssignmentTraces(assignmentId);
                 setStoredTraces(traces);
             } catch (e) {
                 console.warn('[Lymbic] Load traces failed:', e);
@@ -122,15 +278,43 @@ export default function ResultsDashboard() {
             }
         };
         load();
+    }, [assignmentId, syncedCount]);
+
+    // Bring a drilled-down trace into view once its card exists
+    useEffect(() => {
+        if (isLoading || !focusTraceId) return;
+        document.getElementById(`trace-${focusTraceId}`)?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }, [isLoading, focusTraceId]);
+
+    // Whether teacher flags are becoming less frequent as corrections feed back in
+    useEffect(() => {
+        import('../lib/correctionService')
+            .then(({ getErrorTypeTrend }) => getErrorTypeTrend())
+            .then(setFlagTrend)
+            .catch(e => console.warn('[Lymbic] Load flag trend failed:', e));
     }, []);
 
+    // Roster for the active class, used to put names on linked scans
+    useEffect(() => {
+        if (!classId) return;
+        import('../lib/rosterStore')
+            .then(({ listStudents }) => listStudents(classId))
+            .then(setRoster)
+            .catch(e => console.warn('[Lymbic] Load roster failed:', e));
+    }, [classId]);
+
+    const linkedStudentOf = (student) => (student.traceId && student.traceId in studentLinks
+        ? studentLinks[student.traceId]
+        : student.studentId);
+    const rosterNameOf = (student) => roster.find(r => r.id === linkedStudentOf(student))?.displayName;
+
     // Build display list: current scan first, then stored traces (deduped)
     const displayStudents = (() => {
         const students = [];
         const seenIds = new Set();
 
-        // 1. Current session's scan result (if any)
-        if (scanResult) {
+        // 1. Current session's scan result (if it belongs to this assignment)
+        if (scanResult && scanResult.assignmentId === assignmentId) {
             const current = scanResultToStudent(scanResult);
             students.push(current);
             if (scanResult.id) seenIds.add(scanResult.id);
@@ -144,11 +328,27 @@ export default function ResultsDashboard() {
             students.push(traceToStudent(trace, students.length));
         }
 
-        return students;
+        return groupSubmissionPages(students.map(s => withOverride(s, overrides[s.id] ?? s.override)));
     })();
 
-    const avgScore = displayStudents.length > 0
-        ? Math.round(displayStudents.reduce((a, s) => a + s.score, 0) / displayStudents.length)
+    // Combined grade per submission, with this session's corrections applied
+    const submissionGrades = new Map();
+    for (const id of new Set(displayStudents.map(s => s.submissionId).filter(Boolean))) {
+        const pages = storedTraces
+            .filter(t => t.submission_id === id)
+            .sort((a, b) => (a.page_number ?? Infinity) - (b.page_number ?? Infinity))
+            .map(t => ({ ...t, teacher_override: overrides[t.id] ?? t.teacher_override }));
+        const combined = combinePages(pages);
+        submissionGrades.set(id, { ...combined, ...gradeFor(combined.score ?? 0) });
+    }
+
+    // A submission counts once, with its combined score
+    const gradedScores = [
+        ...displayStudents.filter(s => !s.submissionId).map(s => s.score),
+        ...[...submissionGrades.values()].map(g => g.score ?? 0),
+    ];
+    const avgScore = gradedScores.length > 0
+        ? Math.round(gradedScores.reduce((a, score) => a + score, 0) / gradedScores.length)
         : 0;
     const errorCount = displayStudents.filter(s => s.errorType).length;
 
@@ -166,20 +366,36 @@ export default function ResultsDashboard() {
         }
     }, [isLoading, displayStudents.length, avgScore, setEmotion]);
 
-    const handleFlag = async (student) => {
-        const { submitCorrection } = await import('../lib/storageLayer');
-        await submitCorrection(student.traceId, {
-            originalErrorType: student.errorType,
-            actualErrorType: 'MANUAL_REVIEW',
-            notes: 'Teacher flagged as incorrect',
-        });
-        setCorrections(prev => ({ ...prev, [student.id]: true }));
+    const handleCorrected = async (student, override) => {
+        setOverrides(prev => ({ ...prev, [student.id]: override }));
+        setEditingId(null);
+        const linkedId = linkedStudentOf(student);
+        if (student.submissionId) {
+            // Keep the stored combined score (and the linked student's mastery) in step with the corrected page
+            import('../lib/submissionStore')
+                .then(({ rescoreSubmission }) => rescoreSubmission(student.submissionId))
+                .catch(e => console.warn('[Lymbic] Rescore submission failed:', e));
+        } else if (linkedId) {
+            import('../lib/masteryStore')
+                .then(({ refreshStudentMastery }) => refreshStudentMastery(linkedId))
+                .catch(e => console.warn('[Lymbic] Refresh mastery failed:', e));
+        }
+        const { getErrorTypeTrend } = await import('../lib/correctionService');
+        getErrorTypeTrend().then(setFlagTrend).catch(() => {});
         setEmotion('learning', { duration: 600 }); // Trigger learning mood on correction
     };
 
+    // Zoom the page view to a question or step; the card itself must not collapse
+    const focusRegion = (e, student, region) => {
+        e.stopPropagation();
+        if (region) setPageFocus(prev => ({ ...prev, [student.id]: region }));
+    };
+
     const handleClearAll = async () => {
         const { clearAllTraces } = await import('../lib/storageLayer');
+        const { clearPageImages } = await import('../lib/pageImageStore');
         clearAllTraces();
+        clearPageImages();
         setStoredTraces([]);
         setEmotion('neutral'); // Reset mood
     };
@@ -215,20 +431,31 @@ export default function ResultsDashboard() {
                     <div style={{ display: 'flex', alignItems: 'center', gap: '12px', marginBottom: '16px' }}>
                         <AdaptiveButton
                             variant="ghost"
-                            onClick={() => navigate('/grade')}
+                            onClick={() => navigate(assignmentPath)}
                             style={{ width: 36, height: 36, padding: 0, borderRadius: '50%' }}
                         >
                             <ArrowLeft size={18} color="var(--text-secondary)" />
                         </AdaptiveButton>
                         <div style={{ flex: 1 }}>
-                            <h1 className="text-heading" style={{ color: 'var(--text-primary)' }}>{data.subject || 'Analysis'} Results</h1>
+                            <h1 className="text-heading" style={{ color: 'var(--text-primary)' }}>{assignment?.title || 'Analysis'} Results</h1>
                             <p style={{ color: 'var(--text-muted)', fontSize: '0.8rem' }}>
                                 {displayStudents.length === 0
                                     ? 'No scans yet'
                                     : `${displayStudents.length} scan${displayStudents.length !== 1 ? 's' : ''}`
                                 }
+                                {pendingCount > 0 && ` · ${pendingCount} pending analysis`}
                             </p>
                         </div>
+                        {displayStudents.length > 0 && (
+                            <AdaptiveButton
+                                variant="ghost"
+                                onClick={() => navigate(`${assignmentPath}/items`)}
+                                title="Item analysis"
+                                style={{ width: 36, height: 36, padding: 0, borderRadius: '50%' }}
+                            >
+                                <ListChecks size={16} color="var(--text-secondary)" />
+                            </AdaptiveButton>
+                        )}
                         {displayStudents.length > 0 && (
                             <AdaptiveButton
                                 variant="ghost"
@@ -267,11 +494,28 @@ export default function ResultsDashboard() {
                             </AdaptiveCard>
                         </div>
                     )}
+
+                    {/* Flag trend — are corrections making the engine better? */}
+                    {flagTrend && (flagTrend.flags.current + flagTrend.flags.previous) > 0 && (
+                        <p style={{
+                            marginTop: '10px', display: 'flex', alignItems: 'center', gap: '6px',
+                            color: 'var(--text-muted)', fontSize: '0.75rem',
+                        }}>
+                            {flagTrend.direction === 'increasing'
+                                ? <TrendingUp size={13} color="var(--grade-c)" />
+                                : <TrendingDown size={13} color="var(--logic-green)" />}
+                            {flagTrend.flags.current} flag{flagTrend.flags.current !== 1 ? 's' : ''} this week
+                            {' '}({Math.round(flagTrend.current * 100)}% of scans, {Math.round(flagTrend.previous * 100)}% last week)
+                            {flagTrend.byType[0] && flagTrend.byType[0].errorType !== 'NONE' && (
+                                <> · most flagged: {flagTrend.byType[0].errorType.replace(/_/g, ' ').toLowerCase()}</>
+                            )}
+                        </p>
+                    )}
                 </div>
             </div>
 
             {/* ─── EMPTY STATE ─── */}
-            {!isLoading && displayStudents.length === 0 && (
+            {!isLoading && displayStudents.length === 0 && queuedCaptures.length === 0 && (
                 <motion.div
                     initial={{ opacity: 0, y: 20 }}
                     animate={{ opacity: 1, y: 0 }}
@@ -296,7 +540,7 @@ export default function ResultsDashboard() {
                     </div>
                     <AdaptiveButton
                         variant="primary"
-                        onClick={() => navigate('/scan')}
+                        onClick={() => navigate(`${assignmentPath}/scan`)}
                         style={{ padding: '14px 32px', fontSize: '1rem', gap: '8px' }}
                     >
                         <Camera size={20} /> Scan Your First Page
@@ -316,13 +560,63 @@ export default function ResultsDashboard() {
                 maxWidth: 560, width: '100%', margin: '0 auto', padding: '0 20px 32px',
                 display: 'flex', flexDirection: 'column', gap: '8px',
             }}>
+                {/* Offline captures — become regular results once analyzed */}
+                {queuedCaptures.map(capture => (
+                    <AdaptiveCard
+                        key={capture.id}
+                        style={{ padding: '12px 18px', display: 'flex', alignItems: 'center', gap: '14px', opacity: 0.8 }}
+                    >
+                        <div style={{
+                            width: 44, height: 44, borderRadius: 12, background: 'rgba(251, 191, 36, 0.1)',
+                            display: 'flex', alignItems: 'center', justifyContent: 'center', flexShrink: 0,
+                        }}>
+                            <CloudOff size={18} color="#fbbf24" />
+                        </div>
+                        <div style={{ flex: 1 }}>
+                            <p style={{ fontWeight: 600, fontSize: '0.95rem' }}>
+                                {displayNameFor(capture.studentToken) || 'Queued scan'}
+                            </p>
+                            <p style={{ color: 'var(--text-muted)', fontSize: '0.8rem' }}>
+                                {capture.status === 'failed'
+                                    ? `Analysis failed${capture.lastError ? ` — ${capture.lastError}` : ''}`
+                                    : `Pending analysis${capture.attempts ? ` · ${capture.attempts} retr${capture.attempts === 1 ? 'y' : 'ies'}` : ''}`}
+                                {' · '}{timeAgo(capture.createdAt)}
+                            </p>
+                        </div>
+                    </AdaptiveCard>
+                ))}
+
                 {displayStudents.map((student, i) => (
                     <motion.div
                         key={student.id}
+                        id={student.traceId ? `trace-${student.traceId}` : undefined}
                         initial={{ opacity: 0, y: 20 }}
                         animate={{ opacity: 1, y: 0 }}
                         transition={{ delay: i * 0.06, duration: 0.4 }}
+                        style={student.submissionPage ? { marginLeft: 14 } : undefined}
                     >
+                        {/* Multi-page submission: one combined grade above its pages */}
+                        {student.submissionPage?.index === 0 && (() => {
+                            const combined = submissionGrades.get(student.submissionId);
+                            return (
+                                <div style={{
+                                    display: 'flex', alignItems: 'center', gap: '8px', margin: '6px 0 8px -14px',
+                                    fontSize: '0.8rem', color: 'var(--text-secondary)',
+                                }}>
+                                    <Layers size={14} color="var(--lymbic-purple-light)" />
+                                    <span style={{ fontWeight: 600, color: 'var(--text-primary)' }}>
+                                        {rosterNameOf(student) || student.studentLabel || 'Submission'}
+                                    </span>
+                                    <span style={{ flex: 1, color: 'var(--text-muted)' }}>
+                                        · {student.submissionPage.count} pages
+                                        {combined.responses.length > 0 && ` · ${combined.responses.length} questions`}
+                                    </span>
+                                    <span style={{ fontWeight: 700, color: combined.gradeColor }}>
+                                        {combined.grade} · {combined.score}%
+                                    </span>
+                                </div>
+                            );
+                        })()}
                         {/* Interactive adaptive card replacing the button */}
                         <AdaptiveCard
                             onClick={() => setExpandedId(expandedId === student.id ? null : student.id)}
@@ -356,9 +650,9 @@ export default function ResultsDashboard() {
                                 <div style={{ flex: 1, textAlign: 'left' }}>
                                     <div style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
                                         <p style={{ fontWeight: 600, fontSize: '0.95rem' }}>
-                                            {student.isCurrent ? 'Current Scan' : `Scan #${student.displayIndex}`}
+                                            {rosterNameOf(student) || student.studentLabel || (student.isCurrent ? 'Current Scan' : `Scan #${student.displayIndex}`)}
                                         </p>
-                                        {student.isCurrent && (
+                                        {student.isCurrent && !student.isDemo && (
                                             <span style={{
                                                 fontSize: '0.6rem', fontWeight: 700, padding: '2px 6px',
                                                 background: 'var(--lymbic-purple)', color: 'white',
@@ -367,6 +661,24 @@ export default function ResultsDashboard() {
                                                 NEW
                                             </span>
                                         )}
+                                        {student.submissionPage && (
+                                            <span style={{
+                                                fontSize: '0.6rem', fontWeight: 700, padding: '2px 6px',
+                                                background: 'rgba(139, 92, 246, 0.15)', color: 'var(--lymbic-purple-light)',
+                                                borderRadius: 6, textTransform: 'uppercase',
+                                            }}>
+                                                Page {student.submissionPage.index + 1}/{student.submissionPage.count}
+                                            </span>
+                                        )}
+                                        {student.isDemo && (
+                                            <span title="Simulated result — not a real grade, not saved" style={{
+                                                fontSize: '0.6rem', fontWeight: 700, padding: '2px 6px',
+                                                background: 'var(--grade-f)', color: 'white',
+                                                borderRadius: 6, textTransform: 'uppercase',
+                                            }}>
+                                                DEMO · NOT SAVED
+                                            </span>
+                                        )}
                                     </div>
                                     <div style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
                                         <p style={{ color: 'var(--text-muted)', fontSize: '0.8rem' }}>
@@ -404,6 +716,29 @@ export default function ResultsDashboard() {
                                             borderTop: '1px solid var(--surface-glass-border)',
                                             display: 'flex', flexDirection: 'column', gap: '16px',
                                         }}>
+                                            {student.isDemo && (
+                                                <p style={{ color: 'var(--grade-f)', fontSize: '0.75rem', fontWeight: 600 }}>
+                                                    Demo result — simulated, not a real grade, and not saved.
+                                                </p>
+                                            )}
+
+                                            {/* On-device identity */}
+                                            <IdentityReveal
+                                                token={student.studentToken}
+                                                onNamed={() => setVaultVersion(v => v + 1)}
+                                            />
+                                            <StudentLinker
+                                                traceId={student.traceId}
+                                                roster={roster}
+                                                linkedStudentId={linkedStudentOf(student)}
+                                                studentToken={student.studentToken}
+                                                studentNumber={student.studentNumber}
+                                                onLinked={(id, traceIds = [student.traceId]) => setStudentLinks(prev => ({
+                                                    ...prev,
+                                                    ...Object.fromEntries(traceIds.map(t => [t, id])),
+                                                }))}
+                                            />
+
                                             {/* Confidence Badge */}
                                             {student.confidence != null && (
                                                 <div style={{
@@ -419,6 +754,92 @@ export default function ResultsDashboard() {
                                                 </div>
                                             )}
 
+                                            {/* Captured page, zoomable to each located question and step */}
+                                            {student.traceId && (
+                                                <PageView
+                                                    traceId={student.traceId}
+                                                    highlights={pageHighlights(student)}
+                                                    focus={pageFocus[student.id] || null}
+                                                    onFocus={region => setPageFocus(prev => ({ ...prev, [student.id]: region }))}
+                                                />
+                                            )}
+
+                                            {/* Per-question results */}
+                                            {student.responses.length > 0 && (
+                                                <div>
+                                                    <div style={{ display: 'flex', alignItems: 'center', gap: '6px', marginBottom: '10px' }}>
+                                                        <ListChecks size={14} color="var(--lymbic-purple-light)" />
+                                                        <span className="text-caption" style={{ color: 'var(--text-muted)', fontSize: '0.65rem' }}>QUESTIONS</span>
+                                                    </div>
+                                                    <div style={{ display: 'flex', flexDirection: 'column', gap: '4px' }}>
+                                                        {student.responses.map((r, ri) => {
+                                                            const color = r.isCorrect === true ? 'var(--logic-green)'
+                                                                : r.isCorrect === 'partial' ? '#fbbf24'
+                                                                    : r.isCorrect === false ? 'var(--grade-f)' : 'var(--text-muted)';
+                                                            const mathLines = [
+                                                                ...(r.workSteps || []).filter(st => st.latex),
+                                                                ...(r.answerLatex ? [{ text: r.studentAnswer, latex: r.answerLatex }] : []),
+                                                            ];
+                                                            const region = r.answerRegion || r.questionRegion;
+                                                            return (
+                                                                <div key={ri}>
+                                                                    <div
+                                                                        onClick={region ? e => focusRegion(e, student, region) : undefined}
+                                                                        style={{
+                                                                            display: 'flex', alignItems: 'center', gap: '8px', padding: '4px 10px',
+                                                                            fontSize: '0.78rem', color: 'var(--text-secondary)',
+                                                                            cursor: region ? 'zoom-in' : undefined,
+                                                                        }}
+                                                                    >
+                                                                        <span style={{ width: 6, height: 6, borderRadius: '50%', background: color, flexShrink: 0 }} />
+                                                                        <span style={{ fontWeight: 600, minWidth: 32 }}>{r.questionId}</span>
+                                                                        <span style={{ flex: 1, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap', color: 'var(--text-muted)' }}>
+                                                                            {r.studentAnswer || '—'}
+                                                                            {r.errorType && r.errorType !== 'NONE' ? ` · ${r.errorType.replace(/_/g, ' ')}` : ''}
+                                                                        </span>
+                                                                        {r.score && (
+                                                                            <span style={{ color, fontWeight: 600 }}>{r.score.earned}/{r.score.possible}</span>
+                                                                        )}
+                                                                    </div>
+                                                                    {/* Typeset transcription, to check against the page for TRANSCRIPTION errors */}
+                                                                    {mathLines.length > 0 && (
+                                                                        <div style={{
+                                                                            display: 'flex', flexDirection: 'column', gap: '2px',
+                                                                            margin: '0 10px 4px 24px', padding: '6px 10px', borderRadius: '6px',
+                                                                            background: 'var(--surface-glass)', border: '1px solid var(--surface-glass-border)',
+                                                                            fontSize: '0.9rem', color: 'var(--text-primary)', overflowX: 'auto',
+                                                                        }}>
+                                                                            {mathLines.map((line, li) => (
+                                                                                <MathText key={li} latex={line.latex} fallback={line.text} />
+                                                                            ))}
+                                                                        </div>
+                                                                    )}
+                                                                    {r.stepCheck?.disagrees && (
+                                                                        <StepCheckNote detail={r.stepCheck.detail} style={{ margin: '0 10px 4px 24px' }} />
+                                                                    )}
+                                                                </div>
+                                                            );
+                                                        })}
+                                                    </div>
+                                                </div>
+                                            )}
+
+                                            {/* Rubric grid */}
+                                            {rubric && student.criterionScores.length > 0 && (
+                                                <div>
+                                                    <div style={{ display: 'flex', alignItems: 'center', gap: '6px', marginBottom: '10px' }}>
+                                                        <ListChecks size={14} color="var(--logic-green)" />
+                                                        <span className="text-caption" style={{ color: 'var(--text-muted)', fontSize: '0.65rem' }}>RUBRIC</span>
+                                                    </div>
+                                                    <RubricGrid
+                                                        rubric={rubric}
+                                                        scores={rubricEdits[student.id] || student.criterionScores}
+                                                        traceId={student.traceId}
+                                                        onChange={scores => setRubricEdits(prev => ({ ...prev, [student.id]: scores }))}
+                                                    />
+                                                </div>
+                                            )}
+
                                             {/* Logic Trace */}
                                             {student.logicTrace.steps.length > 0 && (
                                                 <div>
@@ -428,24 +849,41 @@ export default function ResultsDashboard() {
                                                     </div>
                                                     <div style={{ display: 'flex', flexDirection: 'column', gap: '6px' }}>
                                                         {student.logicTrace.steps.map((step, si) => {
-                                                            const isDivergence = student.logicTrace.divergence !== null && si >= student.logicTrace.divergence;
+                                                            const isDivergence = student.logicTrace.valid[si] === false;
+                                                            const region = student.logicTrace.regions?.[si];
                                                             return (
-                                                                <div key={si} style={{
-                                                                    display: 'flex', alignItems: 'center', gap: '8px', padding: '6px 10px',
-                                                                    borderRadius: '6px',
-                                                                    background: isDivergence ? 'rgba(239, 68, 68, 0.08)' : 'rgba(52, 211, 153, 0.06)',
-                                                                    border: `1px solid ${isDivergence ? 'rgba(239, 68, 68, 0.2)' : 'rgba(52, 211, 153, 0.15)'}`,
-                                                                }}>
+                                                                <div
+                                                                    key={si}
+                                                                    onClick={region ? e => focusRegion(e, student, region) : undefined}
+                                                                    style={{
+                                                                        display: 'flex', alignItems: 'center', gap: '8px', padding: '6px 10px',
+                                                                        borderRadius: '6px',
+                                                                        background: isDivergence ? 'rgba(239, 68, 68, 0.08)' : 'rgba(52, 211, 153, 0.06)',
+                                                                        border: `1px solid ${isDivergence ? 'rgba(239, 68, 68, 0.2)' : 'rgba(52, 211, 153, 0.15)'}`,
+                                                                        cursor: region ? 'zoom-in' : undefined,
+                                                                    }}
+                                                                >
                                                                     {isDivergence
                                                                         ? <AlertTriangle size={12} color="var(--grade-f)" />
                                                                         : <CheckCircle2 size={12} color="var(--logic-green)" />
                                                                     }
-                                                                    <span style={{
-                                                                        fontSize: '0.78rem',
-                                                                        color: isDivergence ? 'var(--grade-f)' : 'var(--text-secondary)',
-                                                                    }}>
-                                                                        Step {si + 1}: {step}
-                                                                    </span>
+                                                                    <div style={{ display: 'flex', flexDirection: 'column', gap: '4px', minWidth: 0 }}>
+                                                                        <span style={{
+                                                                            fontSize: '0.78rem',
+                                                                            color: isDivergence ? 'var(--grade-f)' : 'var(--text-secondary)',
+                                                                        }}>
+                                                                            Step {si + 1}: {step}
+                                                                        </span>
+                                                                        {student.logicTrace.latex?.[si] && (
+                                                                            <MathText
+                                                                                latex={student.logicTrace.latex[si]}
+                                                                                style={{ fontSize: '0.9rem', color: 'var(--text-primary)', overflowX: 'auto' }}
+                                                                            />
+                                                                        )}
+                                                                        {student.logicTrace.checks?.[si]?.disagrees && (
+                                                                            <StepCheckNote detail={student.logicTrace.checks[si].detail} />
+                                                                        )}
+                                                                    </div>
                                                                 </div>
                                                             );
                                                         })}
@@ -464,11 +902,23 @@ export default function ResultsDashboard() {
                                                 </div>
                                             </div>
 
-                                            {/* Flag Button */}
-                                            {student.traceId && !corrections[student.id] && (
+                                            {/* Teacher correction */}
+                                            {student.override && editingId !== student.id && (
+                                                <p style={{ color: 'var(--logic-green)', fontSize: '0.75rem', fontWeight: 600, display: 'flex', alignItems: 'center', gap: '6px' }}>
+                                                    <CheckCircle2 size={12} /> Corrected by teacher · AI scored {student.aiGrade.score}%
+                                                </p>
+                                            )}
+                                            {student.traceId && editingId === student.id && (
+                                                <CorrectionEditor
+                                                    student={student}
+                                                    onSaved={override => handleCorrected(student, override)}
+                                                    onCancel={() => setEditingId(null)}
+                                                />
+                                            )}
+                                            {student.traceId && editingId !== student.id && (
                                                 <AdaptiveButton
                                                     variant="ghost"
-                                                    onClick={(e) => { e.stopPropagation(); handleFlag(student); }}
+                                                    onClick={(e) => { e.stopPropagation(); setEditingId(student.id); }}
                                                     style={{
                                                         padding: '8px 14px', fontSize: '0.75rem',
                                                         background: 'rgba(239, 68, 68, 0.06)',
@@ -477,14 +927,9 @@ export default function ResultsDashboard() {
                                                         alignSelf: 'flex-start',
                                                     }}
                                                 >
-                                                    <AlertTriangle size={12} /> Flag as Incorrect
+                                                    <PencilLine size={12} /> {student.override ? 'Edit correction' : 'Correct grading'}
                                                 </AdaptiveButton>
                                             )}
-                                            {corrections[student.id] && (
-                                                <p style={{ color: 'var(--logic-green)', fontSize: '0.75rem', fontWeight: 600, display: 'flex', alignItems: 'center', gap: '6px' }}>
-                                                    <CheckCircle2 size={12} /> Flagged for review
-                                                </p>
-                                            )}
                                         </div>
                                     </motion.div>
                                 )}
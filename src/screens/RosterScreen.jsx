@@ -0,0 +1,351 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { motion, AnimatePresence } from 'framer-motion';
+import { useOnboarding } from '../context/OnboardingContext';
+import { useAdaptiveUI } from '../hooks/useAdaptiveUI';
+import AdaptiveCard from '../components/AdaptiveCard';
+import AdaptiveButton from '../components/AdaptiveButton';
+import { listClasses, createClass, listStudents, addStudents, importRosterCsv } from '../lib/rosterStore';
+import { ArrowLeft, Users, Upload, Plus, ChevronDown, ChevronUp, AlertTriangle, UserRound, Target } from 'lucide-react';
+
+const inputStyle = { fontSize: '0.85rem', padding: '8px 10px' };
+
+// ═══════════════════════════════════════════════════════════
+//  ROSTER — Classes, CSV import, and per-student history
+// ═══════════════════════════════════════════════════════════
+export default function RosterScreen() {
+    const navigate = useNavigate();
+    const { data, classId, setClassId } = useOnboarding();
+    const { setEmotion } = useAdaptiveUI();
+    const [classes, setClasses] = useState([]);
+    const [students, setStudents] = useState([]);
+    const [rosterVersion, setRosterVersion] = useState(0); // bumps after imports / adds
+    const [isLoading, setIsLoading] = useState(true);
+    const [newClassName, setNewClassName] = useState('');
+    const [newStudent, setNewStudent] = useState({ displayName: '', studentNumber: '', section: '' });
+    const [importNote, setImportNote] = useState(null);
+    const [expandedId, setExpandedId] = useState(null);
+    const [history, setHistory] = useState({}); // studentId → traces
+    const [concepts, setConcepts] = useState([]);
+    const [conceptCheck, setConceptCheck] = useState({ concept: '', students: null });
+
+    useEffect(() => {
+        listClasses()
+            .then(setClasses)
+            .catch(e => console.warn('[Lymbic] Load classes failed:', e))
+            .finally(() => setIsLoading(false));
+    }, []);
+
+    useEffect(() => {
+        if (!classId) return;
+        listStudents(classId)
+            .then(setStudents)
+            .catch(e => console.warn('[Lymbic] Load roster failed:', e));
+    }, [classId, rosterVersion]);
+
+    useEffect(() => {
+        if (!classId) return;
+        import('../lib/masteryStore')
+            .then(({ listMasteryConcepts }) => listMasteryConcepts(classId))
+            .then(setConcepts)
+            .catch(e => console.warn('[Lymbic] Load mastery concepts failed:', e));
+    }, [classId, rosterVersion]);
+
+    const activeClass = classes.find(c => c.id === classId) || null;
+    const visibleStudents = activeClass ? students : [];
+
+    const handleCreateClass = async () => {
+        const created = await createClass({ name: newClassName, subject: data.subject, gradeLevel: data.gradeLevel });
+        if (!created.success) return;
+        setClasses(prev => [...prev, created.class]);
+        setClassId(created.class.id);
+        setNewClassName('');
+        setStudents([]);
+    };
+
+    const handleImport = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file || !classId) return;
+        const result = await importRosterCsv(classId, await file.text());
+        setImportNote({
+            ok: result.success,
+            text: result.success
+                ? `Imported ${result.added} student${result.added !== 1 ? 's' : ''}${result.skipped ? `, ${result.skipped} already on roster` : ''}`
+                : 'Import failed',
+            errors: result.errors,
+        });
+        setEmotion(result.success ? 'success' : 'error');
+        setRosterVersion(v => v + 1);
+    };
+
+    const handleAddStudent = async () => {
+        if (!newStudent.displayName.trim()) return;
+        const result = await addStudents(classId, [newStudent]);
+        if (result.success) setNewStudent({ displayName: '', studentNumber: '', section: '' });
+        setRosterVersion(v => v + 1);
+    };
+
+    const checkConcept = async (concept) => {
+        setConceptCheck({ concept, students: null });
+        if (!concept) return;
+        const { findStudentsBelow } = await import('../lib/masteryStore');
+        const students = await findStudentsBelow(concept, { level: 'proficient', classId });
+        setConceptCheck(prev => (prev.concept === concept ? { concept, students } : prev));
+    };
+
+    const toggleStudent = async (studentId) => {
+        setExpandedId(expandedId === studentId ? null : studentId);
+        if (history[studentId]) return;
+        const { getStudentTraces } = await import('../lib/storageLayer');
+        const traces = await getStudentTraces(studentId);
+        setHistory(prev => ({ ...prev, [studentId]: traces }));
+    };
+
+    return (
+        <motion.div
+            className="screen"
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0 }}
+            transition={{ duration: 0.5 }}
+            style={{ justifyContent: 'flex-start', padding: '0', minHeight: '100vh' }}
+        >
+            {/* Header */}
+            <div style={{ width: '100%', padding: '20px 20px 16px' }}>
+                <div style={{ maxWidth: 560, margin: '0 auto', display: 'flex', alignItems: 'center', gap: '12px' }}>
+                    <AdaptiveButton
+                        variant="ghost"
+                        onClick={() => navigate('/grade')}
+                        style={{ width: 36, height: 36, padding: 0, borderRadius: '50%' }}
+                    >
+                        <ArrowLeft size={18} color="var(--text-secondary)" />
+                    </AdaptiveButton>
+                    <div style={{ flex: 1 }}>
+                        <h1 className="text-heading" style={{ color: 'var(--text-primary)' }}>Roster</h1>
+                        <p style={{ color: 'var(--text-muted)', fontSize: '0.8rem' }}>
+                            {activeClass
+                                ? `${activeClass.name} · ${visibleStudents.length} student${visibleStudents.length !== 1 ? 's' : ''}`
+                                : 'Pick or create a class'}
+                        </p>
+                    </div>
+                </div>
+            </div>
+
+            <div style={{
+                maxWidth: 560, width: '100%', margin: '0 auto', padding: '0 20px 32px',
+                display: 'flex', flexDirection: 'column', gap: '10px',
+            }}>
+                {isLoading && (
+                    <div style={{ textAlign: 'center', padding: '40px 0', color: 'var(--text-muted)' }}>
+                        Loading classes...
+                    </div>
+                )}
+
+                {/* Class picker */}
+                {!isLoading && (
+                    <AdaptiveCard style={{ padding: '12px 14px', display: 'flex', flexDirection: 'column', gap: '8px' }}>
+                        {classes.length > 0 && (
+                            <select
+                                className="input-field"
+                                value={classId || ''}
+                                onChange={e => { setClassId(e.target.value); setExpandedId(null); }}
+                                aria-label="Class"
+                                style={inputStyle}
+                            >
+                                <option value="">Select a class…</option>
+                                {classes.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+                            </select>
+                        )}
+                        <div style={{ display: 'flex', gap: '8px' }}>
+                            <input
+                                className="input-field"
+                                value={newClassName}
+                                onChange={e => setNewClassName(e.target.value)}
+                                placeholder="New class, e.g. Algebra I"
+                                aria-label="New class name"
+                                style={inputStyle}
+                            />
+                            <AdaptiveButton variant="secondary" onClick={handleCreateClass} disabled={!newClassName.trim()} style={{ gap: '6px', fontSize: '0.85rem', padding: '8px 14px', flexShrink: 0 }}>
+                                <Plus size={14} /> Create
+                            </AdaptiveButton>
+                        </div>
+                    </AdaptiveCard>
+                )}
+
+                {activeClass && (
+                    <>
+                        {/* CSV import */}
+                        <label className="glass-card" style={{
+                            display: 'flex', alignItems: 'center', gap: '10px', padding: '12px 14px', cursor: 'pointer',
+                        }}>
+                            <Upload size={16} color="var(--lymbic-purple-light)" />
+                            <span style={{ color: 'var(--text-secondary)', fontSize: '0.85rem', flex: 1 }}>
+                                Import CSV — name (or first/last), student ID, section
+                            </span>
+                            <input type="file" accept=".csv,text/csv" onChange={handleImport} style={{ display: 'none' }} />
+                        </label>
+                        {importNote && (
+                            <div style={{ fontSize: '0.78rem', color: importNote.ok ? 'var(--logic-green)' : 'var(--grade-f)' }}>
+                                <p>{importNote.text}</p>
+                                {importNote.errors.slice(0, 5).map((err, i) => (
+                                    <p key={i} style={{ color: 'var(--text-muted)', display: 'flex', alignItems: 'center', gap: '6px' }}>
+                                        <AlertTriangle size={10} /> {err}
+                                    </p>
+                                ))}
+                            </div>
+                        )}
+
+                        {/* Single add */}
+                        <div style={{ display: 'flex', gap: '8px' }}>
+                            <input
+                                className="input-field"
+                                value={newStudent.displayName}
+                                onChange={e => setNewStudent({ ...newStudent, displayName: e.target.value })}
+                                placeholder="Student name"
+                                aria-label="Student name"
+                                style={inputStyle}
+                            />
+                            <input
+                                className="input-field"
+                                value={newStudent.studentNumber}
+                                onChange={e => setNewStudent({ ...newStudent, studentNumber: e.target.value })}
+                                placeholder="ID"
+                                aria-label="Student ID"
+                                style={{ ...inputStyle, width: 80, flexShrink: 0 }}
+                            />
+                            <input
+                                className="input-field"
+                                value={newStudent.section}
+                                onChange={e => setNewStudent({ ...newStudent, section: e.target.value })}
+                                placeholder="Section"
+                                aria-label="Section"
+                                style={{ ...inputStyle, width: 90, flexShrink: 0 }}
+                            />
+                            <AdaptiveButton
+                                variant="ghost"
+                                onClick={handleAddStudent}
+                                title="Add student"
+                                style={{ width: 36, height: 36, padding: 0, borderRadius: '50%', flexShrink: 0 }}
+                            >
+                                <Plus size={16} />
+                            </AdaptiveButton>
+                        </div>
+
+                        {visibleStudents.length === 0 && (
+                            <div style={{ textAlign: 'center', padding: '32px 0', display: 'flex', flexDirection: 'column', alignItems: 'center', gap: '12px' }}>
+                                <Users size={32} color="var(--lymbic-purple)" />
+                                <p style={{ color: 'var(--text-muted)', fontSize: '0.9rem', lineHeight: 1.5 }}>
+                                    No students yet. Import your roster or add students one at a time.
+                                </p>
+                            </div>
+                        )}
+
+                        {/* Students below proficient on a concept */}
+                        {concepts.length > 0 && (
+                            <AdaptiveCard style={{ padding: '12px 14px', display: 'flex', flexDirection: 'column', gap: '8px' }}>
+                                <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                                    <Target size={16} color="var(--lymbic-purple-light)" style={{ flexShrink: 0 }} />
+                                    <select
+                                        className="input-field"
+                                        value={conceptCheck.concept}
+                                        onChange={e => checkConcept(e.target.value)}
+                                        aria-label="Concept"
+                                        style={inputStyle}
+                                    >
+                                        <option value="">Who is below proficient on…</option>
+                                        {concepts.map(c => <option key={c} value={c}>{c}</option>)}
+                                    </select>
+                                </div>
+                                {conceptCheck.students?.length === 0 && (
+                                    <p style={{ color: 'var(--logic-green)', fontSize: '0.78rem' }}>Everyone assessed is proficient or better.</p>
+                                )}
+                                {conceptCheck.students?.map(m => (
+                                    <button
+                                        key={m.studentId}
+                                        type="button"
+                                        onClick={() => navigate(`/students/${m.studentId}`)}
+                                        style={{
+                                            display: 'flex', alignItems: 'center', gap: '8px', padding: '4px 0', cursor: 'pointer',
+                                            background: 'none', border: 'none', color: 'var(--text-secondary)', fontSize: '0.8rem', textAlign: 'left',
+                                        }}
+                                    >
+                                        <span style={{ flex: 1 }}>{m.displayName}</span>
+                                        <span style={{ color: m.level === 'needs_work' ? 'var(--grade-f)' : '#fbbf24', fontWeight: 600 }}>
+                                            {Math.round(m.mastery * 100)}%
+                                        </span>
+                                        {m.isStale && <span style={{ color: 'var(--text-muted)', fontSize: '0.7rem' }}>not seen lately</span>}
+                                    </button>
+                                ))}
+                            </AdaptiveCard>
+                        )}
+
+                        {/* Students + history */}
+                        {visibleStudents.map(student => (
+                            <AdaptiveCard
+                                key={student.id}
+                                onClick={() => toggleStudent(student.id)}
+                                style={{ padding: '0', cursor: 'pointer' }}
+                            >
+                                <div style={{ display: 'flex', alignItems: 'center', gap: '12px', padding: '12px 14px' }}>
+                                    <div style={{ flex: 1 }}>
+                                        <p style={{ fontWeight: 600, fontSize: '0.9rem' }}>{student.displayName}</p>
+                                        <p style={{ color: 'var(--text-muted)', fontSize: '0.75rem' }}>
+                                            {[student.studentNumber, student.sectionName].filter(Boolean).join(' · ') || 'No ID'}
+                                        </p>
+                                    </div>
+                                    {expandedId === student.id
+                                        ? <ChevronUp size={16} color="var(--text-muted)" />
+                                        : <ChevronDown size={16} color="var(--text-muted)" />
+                                    }
+                                </div>
+                                <AnimatePresence>
+                                    {expandedId === student.id && (
+                                        <motion.div
+                                            initial={{ opacity: 0, height: 0 }}
+                                            animate={{ opacity: 1, height: 'auto' }}
+                                            exit={{ opacity: 0, height: 0 }}
+                                            transition={{ duration: 0.3 }}
+                                            style={{ overflow: 'hidden' }}
+                                        >
+                                            <div style={{
+                                                padding: '10px 14px', borderTop: '1px solid var(--surface-glass-border)',
+                                                display: 'flex', flexDirection: 'column', gap: '4px',
+                                            }}>
+                                                {!history[student.id] && (
+                                                    <p style={{ color: 'var(--text-muted)', fontSize: '0.75rem' }}>Loading history...</p>
+                                                )}
+                                                {history[student.id]?.length === 0 && (
+                                                    <p style={{ color: 'var(--text-muted)', fontSize: '0.75rem' }}>No linked scans yet.</p>
+                                                )}
+                                                <button
+                                                    type="button"
+                                                    onClick={e => { e.stopPropagation(); navigate(`/students/${student.id}`); }}
+                                                    style={{
+                                                        display: 'flex', alignItems: 'center', gap: '6px', alignSelf: 'flex-start', marginBottom: '4px',
+                                                        padding: 0, background: 'none', border: 'none', cursor: 'pointer',
+                                                        color: 'var(--lymbic-purple-light)', fontSize: '0.78rem',
+                                                    }}
+                                                >
+                                                    <UserRound size={12} /> Concept mastery profile
+                                                </button>
+                                                {history[student.id]?.map(trace => (
+                                                    <div key={trace.id} style={{ display: 'flex', justifyContent: 'space-between', fontSize: '0.78rem' }}>
+                                                        <span style={{ color: 'var(--text-secondary)' }}>
+                                                            {new Date(trace.created_at).toLocaleDateString()}
+                                                        </span>
+                                                        <span style={{ fontWeight: 600 }}>{trace.score ?? 0}%</span>
+                                                    </div>
+                                                ))}
+                                            </div>
+                                        </motion.div>
+                                    )}
+                                </AnimatePresence>
+                            </AdaptiveCard>
+                        ))}
+                    </>
+                )}
+            </div>
+        </motion.div>
+    );
+}
@@ -1,19 +1,35 @@
-import { useState, useEffect, useRef, useCallback } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import { motion, AnimatePresence } from 'framer-motion';
 import { useOnboarding } from '../context/OnboardingContext';
 import { useAdaptiveUI } from '../hooks/useAdaptiveUI'; // [NEW]
 import AdaptiveButton from '../components/AdaptiveButton'; // [NEW]
 import ScanAnimation from '../components/ScanAnimation';
-import { Camera, X, ShieldAlert, RefreshCw, FlipHorizontal, Lightbulb, Loader2, ArrowRight, Check } from 'lucide-react';
+import { Camera, X, ShieldAlert, RefreshCw, FlipHorizontal, Lightbulb, Loader2, ArrowRight, Check, KeyRound, CloudOff, Layers } from 'lucide-react';
 import { normalizeAndStore } from '../lib/storageLayer';
+import { savePageImage } from '../lib/pageImageStore';
+import { createSubmission, addSubmissionPage, reorderSubmissionPages, previousPagesFrom } from '../lib/submissionStore';
 import useSmartScanner from '../hooks/useSmartScanner';
+import useAnswerKey from '../hooks/useAnswerKey';
+import useAssignment from '../hooks/useAssignment';
+import usePendingCaptures from '../hooks/usePendingCaptures';
+import { assignmentAnalysisOptions } from '../lib/assignmentStore';
+import { APP_MODE } from '../lib/appMode';
 import DocumentOverlay from '../components/DocumentOverlay';
+import PipelineTimeline from '../components/PipelineTimeline';
+import SubmissionPages from '../components/SubmissionPages';
+import { applyPipelineEvent, currentStage } from '../lib/pipelineEvents';
 
 export default function ScanScreen() {
     const navigate = useNavigate();
     const { data, setScanResult } = useOnboarding();
     const { setEmotion } = useAdaptiveUI(); // [NEW]
+    const [searchParams] = useSearchParams();
+    const isKeyMode = searchParams.get('mode') === 'key';
+    const { assignmentId, assignment } = useAssignment();
+    const { answerKey, setAnswerKey } = useAnswerKey(assignmentId);
+    const settings = assignmentAnalysisOptions(assignment);
+    const assignmentPath = `/assignments/${assignmentId}`;
     const videoRef = useRef(null);
     const canvasRef = useRef(null);
     const streamRef = useRef(null);
@@ -24,16 +40,48 @@ export default function ScanScreen() {
     const [cameraReady, setCameraReady] = useState(false);
     const [facingMode, setFacingMode] = useState('environment');
     const [qualityIssue, setQualityIssue] = useState(null); // { reason, suggestion }
-    const [analyzeStatus, setAnalyzeStatus] = useState(''); // progress message
-    const sessionIdRef = useRef(`session_${Date.now()} `);
+    const [analyzeStatus, setAnalyzeStatus] = useState(''); // outcome message once the pipeline is done
+    const [timeline, setTimeline] = useState([]);            // live pipeline progress (lib/pipelineEvents)
+    const sessionIdRef = useRef(`session_${Date.now()}`);
+    const handlePipelineEvent = useCallback((event) => {
+        setTimeline(prev => applyPipelineEvent(prev, event));
+    }, []);
 
     // Batch mode state
     const [isBatchMode, setIsBatchMode] = useState(false);
     const [scannedCount, setScannedCount] = useState(0);
     const [showSavedToast, setShowSavedToast] = useState(false);
+    const [savedToastText, setSavedToastText] = useState('Scan Saved');
+    const { pendingCount } = usePendingCaptures(assignmentId);
+
+    // Multi-page mode: every capture is the next page of one student's submission
+    // until the teacher finishes it (pages: { traceId, image, result }; pending: queued offline)
+    const [isMultiPage, setIsMultiPage] = useState(false);
+    const [submission, setSubmission] = useState(null); // { id, pages, pending }
+    const [isReviewingPages, setIsReviewingPages] = useState(false);
+    const [isSavingSubmission, setIsSavingSubmission] = useState(false);
+    const previousPages = useMemo(
+        () => previousPagesFrom((submission?.pages || []).map(p => p.result)),
+        [submission?.pages]
+    );
 
     // Adaptive intelligence pipeline — detection + quality + analysis
-    const scanner = useSmartScanner(videoRef, { autoCapture: false, analysisMode: 'full' });
+    // Answer-key mode extracts the reference answers; student mode grades against them
+    // using the assignment's analysis mode, rubric and feedback style
+    const scanner = useSmartScanner(videoRef, {
+        autoCapture: false,
+        analysisMode: isKeyMode ? 'answer_key' : settings.mode,
+        knownAnswers: isKeyMode ? null : answerKey?.items || null,
+        rubric: isKeyMode ? null : settings.rubric,
+        feedbackStyle: settings.feedbackStyle,
+        subject: settings.subject,
+        gradeLevel: settings.gradeLevel,
+        modelSettings: settings.modelSettings,
+        onEvent: handlePipelineEvent,
+        sessionId: sessionIdRef.current,
+        assignmentId,
+        previousPages,
+    });
     const detection = scanner.detection;
 
     // [NEW] Set initial focus mood
@@ -91,11 +139,11 @@ export default function ScanScreen() {
         if (phase === 'complete') {
             const timer = setTimeout(() => {
                 stopCamera();
-                navigate('/results');
+                navigate(`${assignmentPath}/results`);
             }, 2500);
             return () => clearTimeout(timer);
         }
-    }, [phase, navigate, stopCamera]);
+    }, [phase, navigate, stopCamera, assignmentPath]);
 
     // ═══════════════════════════════════════════
     //  EVENT HANDLERS
@@ -142,40 +190,84 @@ export default function ScanScreen() {
         sessionIdRef.captureData = { image: frameData, metadata: { qualityScore: scanner.qualityAnalysis?.overallScore ?? 1 } };
     };
 
+    // The submission this page belongs to, started by its first page
+    const ensureSubmission = async (studentToken) => {
+        if (submission) return submission.id;
+        const created = await createSubmission({ assignmentId, sessionId: sessionIdRef.current, studentToken });
+        if (!created.success) return null;
+        setSubmission({ id: created.submission.id, pages: [], pending: 0 });
+        return created.submission.id;
+    };
+    const nextPageNumber = () => (submission ? submission.pages.length + submission.pending : 0) + 1;
+
+    const resetForNextCapture = () => {
+        setPhase('preview');
+        setFreezeFrame(null);
+        setAnalyzeStatus('');
+        scanner.nextPage(); // Clear active page in tracker
+    };
+
     const handleScanComplete = async () => {
         // After animation finishes → run smart pipeline (quality + enhance + 3-pass analysis)
         setPhase('analyzing');
         const capture = sessionIdRef.captureData;
 
         try {
-            setAnalyzeStatus('Analyzing quality…');
+            setAnalyzeStatus('');
+            setTimeline([]);
             const result = await scanner.capture();
 
-            if (result?.success) {
-                setAnalyzeStatus('Tracing logic pathway…');
+            if (result?.success && isKeyMode) {
+                // Answer key: hand the draft to the review screen, nothing is graded
+                setAnswerKey({ ...result.result, assignmentId });
+                setEmotion('success');
+                stopCamera();
+                navigate(`${assignmentPath}/answer-key`);
+            } else if (result?.success) {
+                setAnalyzeStatus('Saving result…');
                 const stored = await normalizeAndStore(
                     result.result,
                     { qualityScore: scanner.qualityAnalysis?.overallScore ?? 1 },
-                    sessionIdRef.current
+                    sessionIdRef.current,
+                    assignmentId
                 );
-
-                if (isBatchMode) {
+                // Keep the page the grade came from, so the dashboard can point at the handwriting
+                if (stored.success) await savePageImage(stored.id, result.image, { assignmentId });
+
+                if (isMultiPage) {
+                    // Next page of the student's submission: stay on the camera for the page after it
+                    const pageNumber = nextPageNumber();
+                    const submissionId = stored.success ? await ensureSubmission(result.result?.studentToken || null) : null;
+                    const added = submissionId && (await addSubmissionPage(submissionId, stored.id, pageNumber)).success;
+                    if (added) {
+                        setSubmission(prev => ({
+                            ...prev,
+                            pages: [...prev.pages, { traceId: stored.id, image: result.image, result: stored.result }],
+                        }));
+                    }
+                    setSavedToastText(added ? `Page ${pageNumber} saved` : stored.simulated ? 'Demo result — not saved' : 'Could not save page');
+                    setShowSavedToast(true);
+                    setEmotion('success');
+                    setTimeout(() => setShowSavedToast(false), 2000);
+                    resetForNextCapture();
+                    if (navigator.vibrate) navigator.vibrate([50, 50, 50]);
+                } else if (isBatchMode) {
                     // Batch mode: Stay on screen, show toast, reset
-                    setScannedCount(prev => prev + 1);
+                    if (stored.success) setScannedCount(prev => prev + 1);
+                    setSavedToastText(stored.success ? 'Scan Saved' : stored.simulated ? 'Demo result — not saved' : 'Could not save scan');
                     setShowSavedToast(true);
                     setEmotion('success'); // [NEW] Batch success trigger
                     setTimeout(() => setShowSavedToast(false), 2000);
 
                     // Reset for next scan
-                    setPhase('preview');
-                    setFreezeFrame(null);
-                    setAnalyzeStatus('');
-                    scanner.nextPage(); // Clear active page in tracker
+                    resetForNextCapture();
 
                     if (navigator.vibrate) navigator.vibrate([50, 50, 50]);
                 } else {
                     // Single mode: Navigate immediately
-                    setScanResult(stored.success ? stored.result : result.result);
+                    setScanResult(stored.success
+                        ? { ...stored.result, id: stored.id, studentToken: result.result?.studentToken, assignmentId }
+                        : { ...result.result, assignmentId });
                     setPhase('complete');
                     setEmotion('success'); // [NEW] Success trigger
                 }
@@ -186,12 +278,39 @@ export default function ScanScreen() {
                 });
                 setPhase('quality_fail');
                 setEmotion('error'); // [NEW] Quality fail trigger
+            } else if (result?.reason === 'queued') {
+                // Offline, service down or over quota: keep the redacted capture for later, never grade it with an estimate
+                const { enqueueCapture } = await import('../lib/captureQueue');
+                // A page of a submission joins it, at its capture position, once analyzed
+                const pageNumber = nextPageNumber();
+                const submissionId = isMultiPage ? await ensureSubmission(result.pending.studentToken) : null;
+                await enqueueCapture({
+                    ...result.pending,
+                    sessionId: sessionIdRef.current,
+                    assignmentId,
+                    submission: submissionId ? { id: submissionId, pageNumber } : null,
+                });
+                if (submissionId) setSubmission(prev => ({ ...prev, pending: prev.pending + 1 }));
+                setAnalyzeStatus(result.error);
+                setSavedToastText(submissionId ? `Page ${pageNumber} saved — pending analysis` : 'Saved — pending analysis');
+                setShowSavedToast(true);
+                setTimeout(() => setShowSavedToast(false), 2000);
+                if (isBatchMode && !isMultiPage) setScannedCount(prev => prev + 1);
+                setTimeout(resetForNextCapture, 1500);
             } else if (result?.reason === 'duplicate') {
                 setAnalyzeStatus('Duplicate detected — try a different page');
                 setTimeout(() => {
                     setPhase('preview');
                     setFreezeFrame(null);
                 }, 1500);
+            } else if (isKeyMode || result?.reason === 'analysis_failed') {
+                // Typed analysis failure: say what went wrong, nothing is graded
+                setAnalyzeStatus(result?.error || (isKeyMode ? 'Could not read the answer key — try again' : 'Analysis failed — try again'));
+                setEmotion('error');
+                setTimeout(() => {
+                    setPhase('preview');
+                    setFreezeFrame(null);
+                }, 2000);
             } else {
                 setScanResult(null);
                 setPhase('complete');
@@ -212,9 +331,39 @@ export default function ScanScreen() {
         }
     };
 
+    const headline = analyzeStatus || currentStage(timeline)?.label || 'Initializing analysis…';
+
+    // Save the page order; the submission's combined score is recomputed from it
+    const saveSubmission = async (orderedTraceIds) => {
+        setIsSavingSubmission(true);
+        const saved = orderedTraceIds.length && !submission.pending
+            ? await reorderSubmissionPages(submission.id, orderedTraceIds)
+            : { success: true };
+        setIsSavingSubmission(false);
+        if (!saved.success) {
+            setSavedToastText('Could not save page order');
+            setShowSavedToast(true);
+            setTimeout(() => setShowSavedToast(false), 2000);
+            return;
+        }
+        setIsReviewingPages(false);
+        setSubmission(null);
+        setEmotion('success');
+
+        if (isBatchMode) {
+            setScannedCount(prev => prev + 1);
+            setSavedToastText(saved.combined ? `Submission saved — ${saved.combined.score}%` : 'Submission saved');
+            setShowSavedToast(true);
+            setTimeout(() => setShowSavedToast(false), 2000);
+        } else {
+            stopCamera();
+            navigate(orderedTraceIds.length ? `${assignmentPath}/results?trace=${encodeURIComponent(orderedTraceIds[0])}` : `${assignmentPath}/results`);
+        }
+    };
+
     const finishBatch = () => {
         stopCamera();
-        navigate('/results'); // In real app, this might go to a "Batch Summary" screen
+        navigate(`/batch/${sessionIdRef.current}`);
     };
 
     const handleRetry = () => {
@@ -280,14 +429,14 @@ export default function ScanScreen() {
                                     "Lymbic" Would Like to Access the Camera
                                 </p>
                                 <p style={{ color: 'var(--text-muted)', fontSize: '0.9rem', lineHeight: 1.5 }}>
-                                    We'll use the camera to scan worksheets. Names are blurred instantly — your students' privacy is our priority.
+                                    We'll use the camera to scan worksheets. Names are blacked out on this device before anything is uploaded — your students' privacy is our priority.
                                 </p>
                             </div>
                             <div style={{ display: 'flex', gap: '12px' }}>
                                 <AdaptiveButton
                                     variant="secondary"
                                     style={{ flex: 1, padding: '12px' }}
-                                    onClick={() => navigate('/grade')}
+                                    onClick={() => navigate(assignmentPath)}
                                 >
                                     Not Now
                                 </AdaptiveButton>
@@ -345,7 +494,7 @@ export default function ScanScreen() {
                                 <AdaptiveButton
                                     variant="secondary"
                                     style={{ flex: 1, padding: '12px' }}
-                                    onClick={() => navigate('/grade')}
+                                    onClick={() => navigate(assignmentPath)}
                                 >
                                     Go Back
                                 </AdaptiveButton>
@@ -382,7 +531,7 @@ export default function ScanScreen() {
                                 </p>
                             </div>
                             <div style={{ display: 'flex', gap: '12px' }}>
-                                <AdaptiveButton variant="secondary" style={{ flex: 1, padding: '12px' }} onClick={() => navigate('/grade')}>Cancel</AdaptiveButton>
+                                <AdaptiveButton variant="secondary" style={{ flex: 1, padding: '12px' }} onClick={() => navigate(assignmentPath)}>Cancel</AdaptiveButton>
                                 <AdaptiveButton variant="primary" style={{ flex: 1, padding: '12px', gap: '6px' }} onClick={handleRetryCapture}>
                                     <RefreshCw size={16} /> Try Again
                                 </AdaptiveButton>
@@ -409,12 +558,13 @@ export default function ScanScreen() {
                             </motion.div>
                             <div>
                                 <p style={{ fontWeight: 600, fontSize: '1.1rem', marginBottom: '6px' }}>Lymbic is thinking…</p>
-                                <motion.p key={analyzeStatus} initial={{ opacity: 0, y: 4 }} animate={{ opacity: 1, y: 0 }}
+                                <motion.p key={headline} initial={{ opacity: 0, y: 4 }} animate={{ opacity: 1, y: 0 }}
                                     style={{ color: 'var(--text-muted)', fontSize: '0.85rem' }}
                                 >
-                                    {analyzeStatus || 'Initializing analysis…'}
+                                    {headline}
                                 </motion.p>
                             </div>
+                            <PipelineTimeline timeline={timeline} />
                         </motion.div>
                     </motion.div>
                 )}
@@ -434,8 +584,77 @@ export default function ScanScreen() {
                     <X size={24} />
                 </AdaptiveButton>
 
+                {/* Answer Key Mode Label */}
+                {isKeyMode && phase !== 'requesting' && (
+                    <div style={{
+                        display: 'flex', alignItems: 'center', gap: 8,
+                        background: 'rgba(139,92,246,0.35)', padding: '6px 12px', borderRadius: 20,
+                        backdropFilter: 'blur(10px)', border: '1px solid rgba(255,255,255,0.1)'
+                    }}>
+                        <KeyRound size={14} color="white" />
+                        <span style={{ color: 'white', fontSize: '0.8rem', fontWeight: 500 }}>Answer Key</span>
+                    </div>
+                )}
+
+                {/* Demo watermark: results are simulated and never saved */}
+                {APP_MODE === 'demo' && phase !== 'requesting' && (
+                    <div
+                        title="Demo mode — grades are simulated and not saved"
+                        style={{
+                            display: 'flex', alignItems: 'center', gap: 6,
+                            background: 'rgba(239,68,68,0.3)', padding: '6px 10px', borderRadius: 20,
+                            backdropFilter: 'blur(10px)', border: '1px solid rgba(239,68,68,0.5)'
+                        }}
+                    >
+                        <span style={{ color: 'white', fontSize: '0.75rem', fontWeight: 700, letterSpacing: '0.06em' }}>DEMO</span>
+                    </div>
+                )}
+
+                {/* Offline queue counter */}
+                {pendingCount > 0 && phase !== 'requesting' && (
+                    <div
+                        title="Captures waiting for a connection to be analyzed"
+                        style={{
+                            display: 'flex', alignItems: 'center', gap: 6,
+                            background: 'rgba(251,191,36,0.25)', padding: '6px 10px', borderRadius: 20,
+                            backdropFilter: 'blur(10px)', border: '1px solid rgba(251,191,36,0.4)'
+                        }}
+                    >
+                        <CloudOff size={14} color="#fbbf24" />
+                        <span style={{ color: 'white', fontSize: '0.8rem', fontWeight: 500 }}>{pendingCount} pending</span>
+                    </div>
+                )}
+
+                {/* Multi-page Toggle — locked while a submission is open */}
+                {!isKeyMode && phase !== 'requesting' && (
+                    <div
+                        onClick={() => !submission && setIsMultiPage(!isMultiPage)}
+                        title={submission ? 'Finish this student first' : 'Scan several pages of one student as one submission'}
+                        style={{
+                            display: 'flex', alignItems: 'center', gap: 8,
+                            background: 'rgba(0,0,0,0.4)', padding: '6px 12px', borderRadius: 20,
+                            backdropFilter: 'blur(10px)', cursor: submission ? 'default' : 'pointer', border: '1px solid rgba(255,255,255,0.1)'
+                        }}
+                    >
+                        <span style={{ color: 'white', fontSize: '0.8rem', fontWeight: 500 }}>Multi-page</span>
+                        <div style={{
+                            width: 36, height: 20, borderRadius: 10,
+                            background: isMultiPage ? '#22c55e' : 'rgba(255,255,255,0.3)',
+                            position: 'relative', transition: 'background 0.2s'
+                        }}>
+                            <motion.div
+                                animate={{ x: isMultiPage ? 18 : 2 }}
+                                style={{
+                                    width: 16, height: 16, borderRadius: '50%', background: 'white',
+                                    position: 'absolute', top: 2, boxShadow: '0 1px 3px rgba(0,0,0,0.3)'
+                                }}
+                            />
+                        </div>
+                    </div>
+                )}
+
                 {/* Batch Mode Toggle */}
-                {phase !== 'requesting' && (
+                {!isKeyMode && phase !== 'requesting' && (
                     <div
                         onClick={() => setIsBatchMode(!isBatchMode)}
                         style={{
@@ -585,7 +804,7 @@ export default function ScanScreen() {
                     {phase === 'scanning' && (
                         <motion.p key="scanning" initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }}
                             style={{ color: 'var(--lymbic-purple-light)', fontSize: '0.85rem', fontWeight: 500 }}>
-                            Analyzing logic and anonymizing...
+                            {isKeyMode ? 'Reading answer key...' : 'Analyzing logic and anonymizing...'}
                         </motion.p>
                     )}
                     {phase === 'complete' && (
@@ -655,9 +874,38 @@ export default function ScanScreen() {
                 </motion.div>
             )}
 
+            {/* ─── SUBMISSION FAB ─── */}
+            {submission && phase !== 'scanning' && !isReviewingPages && (
+                <div style={{ position: 'absolute', bottom: 120, left: 30, zIndex: 30 }}>
+                    <AdaptiveButton
+                        variant="primary"
+                        onClick={() => setIsReviewingPages(true)}
+                        style={{
+                            borderRadius: 30, padding: '12px 20px',
+                            boxShadow: '0 4px 12px rgba(139, 92, 246, 0.4)',
+                            gap: 8
+                        }}
+                    >
+                        <Layers size={16} />
+                        <span>Finish Student ({submission.pages.length + submission.pending} page{submission.pages.length + submission.pending === 1 ? '' : 's'})</span>
+                    </AdaptiveButton>
+                </div>
+            )}
+
+            {/* ─── PAGE ORDER REVIEW ─── */}
+            {isReviewingPages && submission && (
+                <SubmissionPages
+                    pages={submission.pages}
+                    pendingCount={submission.pending}
+                    isSaving={isSavingSubmission}
+                    onSave={saveSubmission}
+                    onCancel={() => setIsReviewingPages(false)}
+                />
+            )}
+
             {/* ─── BATCH MODE FAB ─── */}
             <AnimatePresence>
-                {isBatchMode && scannedCount > 0 && phase !== 'scanning' && (
+                {isBatchMode && scannedCount > 0 && phase !== 'scanning' && !submission && (
                     <div style={{ position: 'absolute', bottom: 120, right: 30, zIndex: 30 }}>
                         <AdaptiveButton
                             variant="primary"
@@ -695,7 +943,7 @@ export default function ScanScreen() {
                         <div style={{ background: 'white', borderRadius: '50%', padding: 2 }}>
                             <Check size={12} color="#22c55e" />
                         </div>
-                        <span style={{ fontSize: '0.9rem', fontWeight: 600 }}>Scan Saved</span>
+                        <span style={{ fontSize: '0.9rem', fontWeight: 600 }}>{savedToastText}</span>
                     </motion.div>
                 )}
             </AnimatePresence>
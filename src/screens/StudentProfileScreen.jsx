@@ -0,0 +1,183 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import PageTransition from '../components/PageTransition';
+import AdaptiveCard from '../components/AdaptiveCard';
+import AdaptiveButton from '../components/AdaptiveButton';
+import { getStudent } from '../lib/rosterStore';
+import { getStudentMastery, refreshStudentMastery, MASTERY_LEVELS } from '../lib/masteryStore';
+import { ArrowLeft, RefreshCw, TrendingUp, TrendingDown, Clock } from 'lucide-react';
+
+const LEVEL_LABELS = { mastered: 'Mastered', proficient: 'Proficient', developing: 'Developing', needs_work: 'Needs work' };
+const LEVEL_COLORS = { mastered: 'var(--logic-green)', proficient: 'var(--grade-b)', developing: '#fbbf24', needs_work: 'var(--grade-f)' };
+
+const SPARK_WIDTH = 120;
+const SPARK_HEIGHT = 28;
+
+// Estimate after each graded submission, placed by date across the term
+function sparkline(history, color) {
+    if (history.length < 2) return null;
+    const times = history.map(h => new Date(h.at).getTime());
+    const span = Math.max(1, times[times.length - 1] - times[0]);
+    const points = history.map((h, i) => [
+        ((times[i] - times[0]) / span) * SPARK_WIDTH,
+        SPARK_HEIGHT - h.estimate * SPARK_HEIGHT,
+    ]);
+    return (
+        <svg width={SPARK_WIDTH} height={SPARK_HEIGHT} viewBox={`-2 -2 ${SPARK_WIDTH + 4} ${SPARK_HEIGHT + 4}`} aria-hidden="true">
+            <line x1={0} x2={SPARK_WIDTH} y1={SPARK_HEIGHT * 0.3} y2={SPARK_HEIGHT * 0.3} stroke="var(--surface-glass-border)" strokeDasharray="2 3" />
+            <polyline points={points.map(p => p.join(',')).join(' ')} fill="none" stroke={color} strokeWidth={1.5} strokeLinejoin="round" />
+            {points.map(([x, y], i) => <circle key={i} cx={x} cy={y} r={1.8} fill={color} />)}
+        </svg>
+    );
+}
+
+// ═══════════════════════════════════════════════════════════
+//  STUDENT PROFILE — Concept mastery across the term
+// ═══════════════════════════════════════════════════════════
+export default function StudentProfileScreen() {
+    const navigate = useNavigate();
+    const { studentId } = useParams();
+    const [student, setStudent] = useState(null);
+    const [mastery, setMastery] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [isRefreshing, setIsRefreshing] = useState(false);
+
+    const rebuild = useCallback(async () => {
+        setIsRefreshing(true);
+        try {
+            await refreshStudentMastery(studentId);
+            setMastery(await getStudentMastery(studentId));
+        } catch (e) {
+            console.warn('[Lymbic] Refresh mastery failed:', e);
+        } finally {
+            setIsRefreshing(false);
+        }
+    }, [studentId]);
+
+    useEffect(() => {
+        let cancelled = false;
+        (async () => {
+            try {
+                const [found, concepts] = await Promise.all([getStudent(studentId), getStudentMastery(studentId)]);
+                if (cancelled) return;
+                setStudent(found);
+                setMastery(concepts);
+                // Scans linked before mastery was tracked have no rows yet
+                if (found && !concepts.length) await rebuild();
+            } catch (e) {
+                console.warn('[Lymbic] Load student profile failed:', e);
+            } finally {
+                if (!cancelled) setIsLoading(false);
+            }
+        })();
+        return () => { cancelled = true; };
+    }, [studentId, rebuild]);
+
+    const counts = MASTERY_LEVELS.map(level => ({ level, count: mastery.filter(m => m.level === level).length }));
+    const total = Math.max(1, mastery.length);
+
+    return (
+        <PageTransition style={{ justifyContent: 'flex-start', padding: '0', minHeight: '100vh' }}>
+            {/* Header */}
+            <div style={{ width: '100%', padding: '20px 20px 16px' }}>
+                <div style={{ maxWidth: 560, margin: '0 auto', display: 'flex', alignItems: 'center', gap: '12px' }}>
+                    <AdaptiveButton
+                        variant="ghost"
+                        onClick={() => navigate('/roster')}
+                        style={{ width: 36, height: 36, padding: 0, borderRadius: '50%' }}
+                    >
+                        <ArrowLeft size={18} color="var(--text-secondary)" />
+                    </AdaptiveButton>
+                    <div style={{ flex: 1 }}>
+                        <h1 className="text-heading" style={{ color: 'var(--text-primary)' }}>
+                            {student?.displayName || (isLoading ? 'Loading…' : 'Student not found')}
+                        </h1>
+                        {student && (
+                            <p style={{ color: 'var(--text-muted)', fontSize: '0.8rem' }}>
+                                {[student.studentNumber, student.sectionName, `${mastery.length} concept${mastery.length === 1 ? '' : 's'}`]
+                                    .filter(Boolean).join(' · ')}
+                            </p>
+                        )}
+                    </div>
+                    {student && (
+                        <AdaptiveButton
+                            variant="ghost"
+                            onClick={rebuild}
+                            disabled={isRefreshing}
+                            title="Rebuild from linked scans"
+                            style={{ width: 36, height: 36, padding: 0, borderRadius: '50%' }}
+                        >
+                            <RefreshCw size={16} color="var(--text-secondary)" />
+                        </AdaptiveButton>
+                    )}
+                </div>
+            </div>
+
+            <div style={{
+                maxWidth: 560, width: '100%', margin: '0 auto', padding: '0 20px 32px',
+                display: 'flex', flexDirection: 'column', gap: '10px',
+            }}>
+                {isLoading && (
+                    <div style={{ textAlign: 'center', padding: '40px 0', color: 'var(--text-muted)' }}>
+                        Loading profile...
+                    </div>
+                )}
+
+                {!isLoading && student && mastery.length === 0 && (
+                    <div style={{ textAlign: 'center', padding: '32px 0', color: 'var(--text-muted)', fontSize: '0.9rem' }}>
+                        No graded concepts yet. Link this student&apos;s scans on the results screen to build their profile.
+                    </div>
+                )}
+
+                {/* Level overview */}
+                {mastery.length > 0 && (
+                    <AdaptiveCard style={{ padding: '12px 16px', display: 'flex', flexDirection: 'column', gap: '8px' }}>
+                        <div style={{ display: 'flex', height: 10, borderRadius: 5, overflow: 'hidden', background: 'var(--surface-glass)' }}>
+                            {counts.filter(c => c.count).map(c => (
+                                <div key={c.level} style={{ width: `${(c.count / total) * 100}%`, background: LEVEL_COLORS[c.level] }} />
+                            ))}
+                        </div>
+                        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px 14px', fontSize: '0.72rem', color: 'var(--text-secondary)' }}>
+                            {counts.map(c => (
+                                <span key={c.level} style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                                    <span style={{ width: 8, height: 8, borderRadius: '50%', background: LEVEL_COLORS[c.level] }} />
+                                    {LEVEL_LABELS[c.level]} {c.count}
+                                </span>
+                            ))}
+                        </div>
+                    </AdaptiveCard>
+                )}
+
+                {/* Concepts, weakest first */}
+                {mastery.map(m => {
+                    const first = m.history[0];
+                    const change = first ? Math.round((m.history[m.history.length - 1].estimate - first.estimate) * 100) : 0;
+                    const color = LEVEL_COLORS[m.level];
+                    return (
+                        <AdaptiveCard key={m.conceptKey} style={{ padding: '12px 16px', display: 'flex', alignItems: 'center', gap: '12px' }}>
+                            <div style={{ flex: 1, minWidth: 0, display: 'flex', flexDirection: 'column', gap: '4px' }}>
+                                <span style={{ fontWeight: 600, fontSize: '0.88rem', color: 'var(--text-primary)' }}>{m.concept}</span>
+                                <span style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '0.72rem', color: 'var(--text-muted)' }}>
+                                    <span style={{ color, fontWeight: 600 }}>{LEVEL_LABELS[m.level]} · {Math.round(m.mastery * 100)}%</span>
+                                    {m.history.length > 1 && change !== 0 && (
+                                        <span style={{ display: 'flex', alignItems: 'center', gap: '2px', color: change > 0 ? 'var(--logic-green)' : 'var(--grade-f)' }}>
+                                            {change > 0 ? <TrendingUp size={12} /> : <TrendingDown size={12} />}
+                                            {change > 0 ? '+' : ''}{change} since {new Date(first.at).toLocaleDateString()}
+                                        </span>
+                                    )}
+                                </span>
+                                <span style={{ display: 'flex', alignItems: 'center', gap: '4px', fontSize: '0.68rem', color: m.isStale ? '#fbbf24' : 'var(--text-muted)' }}>
+                                    {m.isStale && <Clock size={10} />}
+                                    {m.observations} question{m.observations === 1 ? '' : 's'}
+                                    {m.lastAssessedAt && ` · last seen ${new Date(m.lastAssessedAt).toLocaleDateString()}`}
+                                    {m.isStale && ' · due for a check'}
+                                </span>
+                            </div>
+                            {sparkline(m.history, color)}
+                        </AdaptiveCard>
+                    );
+                })}
+            </div>
+        </PageTransition>
+    );
+}
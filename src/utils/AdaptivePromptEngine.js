@@ -54,7 +54,9 @@ export class AdaptivePromptEngine {
         sections.push(this._qualitySection(imageAnalysis));
         sections.push(this._extractionSection(profile, knownAnswers));
         if (rubric) sections.push(this._rubricSection(rubric));
-        sections.push(this._outputSection(docType));
+        sections.push(this._mathSection());
+        sections.push(this._regionSection());
+        sections.push(this._outputSection(docType, rubric));
         sections.push(this._reasoningSection());
 
         const learned = this._learningSection(docType);
@@ -64,10 +66,10 @@ export class AdaptivePromptEngine {
         return { prompt, documentType: docType, profile, estimatedTokens: Math.ceil(prompt.length / 4) };
     }
 
-    recordCorrection(docType, original, corrected, description) {
+    recordCorrection(docType, original, corrected, description, timestamp = Date.now()) {
         if (!this.learningHistory.has(docType)) this.learningHistory.set(docType, []);
         const list = this.learningHistory.get(docType);
-        list.push({ timestamp: Date.now(), original, corrected, description });
+        list.push({ timestamp, original, corrected, description });
         if (list.length > 20) this.learningHistory.set(docType, list.slice(-20));
     }
 
@@ -96,11 +98,25 @@ You are analyzing a ${docType.toLowerCase()} submitted by a student. Your goal i
 
         const pattern = this._detectPatterns(previousPages);
 
+        // The last question of the previous page is the one most likely to continue here
+        const lastPage = previousPages.filter(p => p.analysisResult?.responses?.length).at(-1);
+        const lastResponse = lastPage?.analysisResult.responses.at(-1);
+        const questionIds = [...new Set(previousPages.flatMap(p => (p.analysisResult?.responses || []).map(r => r.questionId)))];
+
+        const context = [
+            `This is page ${previousPages.length + 1} of one student's submission.`,
+            `Previous pages:\n${summaries}`,
+            questionIds.length ? `Questions already seen: ${questionIds.join(', ')}` : null,
+            lastResponse ? `The previous page ended with question ${lastResponse.questionId}: "${(lastResponse.studentAnswer || '').slice(0, 200)}"` : null,
+            pattern ? `\nObserved pattern: ${pattern}` : null,
+        ].filter(Boolean).join('\n');
+
         return `# Multi-Page Context
-Previous pages:\n${summaries}
-${pattern ? `\nObserved pattern: ${pattern}` : ''}
+${context}
 
-Use this context to reference earlier answers and note improvement or consistency.`;
+If work at the top of this page continues a question from an earlier page, report it under that same questionId and
+grade the question as a whole, using the earlier answer above. Use this context to reference earlier answers and note
+improvement or consistency.`;
     }
 
     _qualitySection(analysis) {
@@ -121,34 +137,75 @@ Extract: ${profile.extractionPriority.map((p, i) => `${i + 1}. ${p}`).join('\n')
 Watch for: ${profile.commonErrors.join(', ')}`;
 
         if (knownAnswers) {
-            s += `\n\n## Answer Reference\n${JSON.stringify(knownAnswers, null, 2)}\nCompare student responses against these.`;
+            s += `\n\n## Answer Reference\n${JSON.stringify(knownAnswers, null, 2)}\nCompare student responses against these — the teacher's key is authoritative, do not substitute your own solution.
+Use each item's "points" as score.possible and count any "acceptedAlternatives" as correct.`;
         }
         return s;
     }
 
     _rubricSection(rubric) {
-        return `# Grading Rubric\n${typeof rubric === 'string' ? rubric : JSON.stringify(rubric, null, 2)}\nCite specific rubric points in your feedback.`;
+        if (!Array.isArray(rubric?.criteria)) {
+            return `# Grading Rubric\n${typeof rubric === 'string' ? rubric : JSON.stringify(rubric, null, 2)}\nCite specific rubric points in your feedback.`;
+        }
+        const criteria = rubric.criteria.map(c => {
+            const levels = c.levels.map(l => `- ${l.label} (${l.points} pts)${l.descriptor ? `: ${l.descriptor}` : ''}`).join('\n');
+            return `## ${c.id} — ${c.name}${c.description ? `\n${c.description}` : ''}\n${levels}`;
+        }).join('\n\n');
+        return `# Grading Rubric
+Score the whole response against every criterion below. For each criterion pick exactly one level by its label,
+and quote the student's own words (verbatim, short) as evidence for that level. If nothing on the page supports
+any level, use the lowest level and set evidence to null.
+
+${criteria}`;
     }
 
-    _outputSection(docType) {
+    _mathSection() {
+        return `# Math Notation
+When an answer or the work shown contains mathematics, transcribe it as LaTeX exactly as the student wrote it —
+including their mistakes and crossed-out steps — never corrected or simplified. The teacher compares the typeset
+version against the page to catch misreadings.
+- answerLatex: the final answer as LaTeX (no surrounding $), or null when it is not mathematical
+- workSteps: the work shown, one entry per written line, in order: { "text": plain-text reading, "latex": LaTeX or null for prose }
+Keep workShown as the plain-text fallback.`;
+    }
+
+    _regionSection() {
+        return `# Page Regions
+Locate everything you report on this image so the teacher can jump to the handwriting. A region is
+{ "x", "y", "width", "height" } as fractions (0-1) of the image width and height, measured from the top-left corner,
+drawn tightly around the ink.
+- questionRegion: the printed question (number and prompt)
+- answerRegion: the student's final answer
+- workSteps[].region: that written line
+Use null for anything you cannot place.`;
+    }
+
+    _outputSection(docType, rubric = null) {
+        const criterionLine = Array.isArray(rubric?.criteria)
+            ? `\n  "criterionScores": [{ "criterionId": "C1", "level": "string", "points": 0, "evidence": "verbatim quote", "rationale": "string" }],`
+            : '';
         return `# Required Output Format
 Respond with valid JSON only.
 
 {
   "documentType": "${docType}",
   "pageAnalysis": { "contentSummary": "string", "estimatedCompleteness": 0.0, "readabilityScore": 0.0 },
-  "studentInfo": { "name": null, "date": null, "period": null },
+  "studentInfo": { "date": null, "period": null, "studentNumber": null },
   "responses": [{
     "questionId": "string",
     "questionText": "string",
     "studentAnswer": "string",
     "workShown": "string",
+    "answerLatex": null,
+    "workSteps": [{ "text": "string", "latex": "string", "region": { "x": 0.0, "y": 0.0, "width": 0.0, "height": 0.0 } }],
+    "questionRegion": { "x": 0.0, "y": 0.0, "width": 0.0, "height": 0.0 },
+    "answerRegion": { "x": 0.0, "y": 0.0, "width": 0.0, "height": 0.0 },
     "isCorrect": true,
     "score": { "earned": 0, "possible": 10, "percentage": 0.0 },
     "feedback": "string",
     "conceptsAssessed": [],
     "errorType": null
-  }],
+  }],${criterionLine}
   "overallAssessment": {
     "score": 0,
     "grade": "A",
@@ -162,7 +219,11 @@ Respond with valid JSON only.
     }
 
     _reasoningSection() {
-        return `# Reasoning Process
+        return `# Privacy
+The page header has been redacted on-device. Never read, guess, or output a student's name.
+If a printed or bubbled student ID number is visible outside the redacted area, report it as studentInfo.studentNumber.
+
+# Reasoning Process
 Before outputting JSON, work through:
 1. SCAN: Identify all visible questions and responses
 2. READ: Carefully transcribe each student answer
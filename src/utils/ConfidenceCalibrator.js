@@ -35,9 +35,33 @@ export class ConfidenceCalibrator {
         };
     }
 
-    recordOutcome(result, wasCorrect, documentType) {
+    /**
+     * Fold the deterministic step check (lib/stepVerifier) into a calibration:
+     * each step where it contradicts the model lowers overall confidence, and
+     * the questions involved drop sharply so they surface for review.
+     */
+    applyStepCheck(calibration, { checked, disagreements, questionIds = [] }) {
+        if (!checked) return calibration;
+        const agreement = 1 - disagreements / checked;
+        const overall = Math.max(0.1, Math.min(0.95, calibration.overall * (0.7 + 0.3 * agreement)));
+        const perQuestion = { ...calibration.perQuestion };
+        for (const id of questionIds) {
+            if (id in perQuestion) perQuestion[id] = Math.max(0.1, perQuestion[id] * 0.6);
+        }
+        const factors = { ...calibration.factors, stepAgreement: agreement };
+        const explanation = this._explain(factors, overall);
+        if (disagreements) {
+            explanation.factors = [
+                ...explanation.factors.filter(f => f !== 'All factors within normal ranges'),
+                `Step checker disagrees with the model on ${disagreements} step${disagreements === 1 ? '' : 's'}`,
+            ];
+        }
+        return { ...calibration, overall, perQuestion, factors, explanation };
+    }
+
+    recordOutcome(result, wasCorrect, documentType, timestamp = Date.now()) {
         this.accuracyHistory.push({
-            timestamp: Date.now(), wasCorrect, documentType,
+            timestamp, wasCorrect, documentType,
             originalConfidence: result.confidence?.overall,
         });
         if (this.accuracyHistory.length > 100) this.accuracyHistory = this.accuracyHistory.slice(-100);
@@ -54,6 +78,11 @@ export class ConfidenceCalibrator {
         };
     }
 
+    /** Recent accuracy per document type, for calibration that runs server-side. */
+    getHistoricalAccuracy(documentTypes) {
+        return Object.fromEntries(documentTypes.map(t => [t, this._historicalAccuracy(t)]));
+    }
+
     // ─── Internal ────────────────────────────────────────────
     _consistency(responses) {
         if (!responses?.length) return 0.5;
@@ -10,12 +10,13 @@ export class CrossPageReasoner {
     synthesize(analyzedPages) {
         if (!analyzedPages?.length) return null;
 
+        const unifiedResponses = this._mergeResponses(analyzedPages);
         const synthesis = {
             pageCount: analyzedPages.length,
-            unifiedResponses: this._mergeResponses(analyzedPages),
+            unifiedResponses,
             progressionAnalysis: this._progression(analyzedPages),
             conceptMastery: this._conceptMastery(analyzedPages),
-            overallAssessment: this._overallAssessment(analyzedPages),
+            overallAssessment: this._overallAssessment(unifiedResponses),
             patterns: this._patterns(analyzedPages),
             recommendations: [],
         };
@@ -25,27 +26,31 @@ export class CrossPageReasoner {
     }
 
     // ─── Response merging ────────────────────────────────────
+    // Pages are in reading order. A question id seen on an earlier page is the
+    // same question continued: the later fragment's answer is appended, and its
+    // grade (made with the earlier pages as context) replaces the earlier one.
     _mergeResponses(pages) {
-        const merged = [];
-        const seen = new Set();
+        const merged = new Map();
 
-        for (const page of pages) {
+        pages.forEach((page, index) => {
             for (const r of page.analysisResult?.responses || []) {
-                const key = `${r.questionId}_${(r.questionText || '').slice(0, 30)}`;
-                if (seen.has(key)) {
-                    const existing = merged.find(m => m.questionId === r.questionId);
-                    if (existing) {
-                        existing.continuedFrom = existing.continuedFrom || [];
-                        existing.continuedFrom.push({ pageId: page.id, additionalAnswer: r.studentAnswer });
-                    }
-                } else {
-                    seen.add(key);
-                    merged.push({ ...r, sourcePageId: page.id, pageNumber: pages.indexOf(page) + 1 });
+                const existing = merged.get(r.questionId);
+                if (!existing) {
+                    merged.set(r.questionId, { ...r, sourcePageId: page.id, pageNumber: index + 1 });
+                    continue;
+                }
+                existing.continuedFrom = existing.continuedFrom || [];
+                existing.continuedFrom.push({ pageId: page.id, pageNumber: index + 1, additionalAnswer: r.studentAnswer });
+                if (r.score?.possible != null) {
+                    existing.score = r.score;
+                    existing.isCorrect = r.isCorrect;
+                    existing.errorType = r.errorType ?? null;
+                    existing.feedback = r.feedback ?? existing.feedback;
                 }
             }
-        }
+        });
 
-        return merged.sort((a, b) => {
+        return [...merged.values()].sort((a, b) => {
             const na = parseInt((a.questionId || '').replace(/\D/g, '')) || 0;
             const nb = parseInt((b.questionId || '').replace(/\D/g, '')) || 0;
             return na - nb;
@@ -113,10 +118,9 @@ export class CrossPageReasoner {
     }
 
     // ─── Overall assessment ──────────────────────────────────
-    _overallAssessment(pages) {
-        const responses = pages
-            .flatMap(p => p.analysisResult?.responses || [])
-            .filter(r => r.score?.earned != null && r.score?.possible != null);
+    // Over the merged responses, so a question continued across pages counts once
+    _overallAssessment(unifiedResponses) {
+        const responses = unifiedResponses.filter(r => r.score?.earned != null && r.score?.possible != null);
 
         if (!responses.length) return { score: null, grade: null, message: 'Unable to calculate' };
 
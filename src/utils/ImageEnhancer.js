@@ -1,6 +1,7 @@
 // ═══════════════════════════════════════════════════════════
 //  IMAGE ENHANCER — Auto-fix quality issues before AI analysis
 // ═══════════════════════════════════════════════════════════
+import { scaleQuad, rectifiedSize, warpPerspective } from '../lib/detectionUtils';
 
 export class ImageEnhancer {
     constructor() {
@@ -8,7 +9,35 @@ export class ImageEnhancer {
         this.ctx = this.canvas.getContext('2d');
     }
 
-    async enhance(imageSource, qualityAnalysis) {
+    /**
+     * Flatten the detected page: warp the quad (detection coords, scaled back
+     * to full res) onto a rectangle at a standard paper aspect. Everything
+     * outside the page — desk, hands — is dropped.
+     *
+     * @param {string|HTMLImageElement} imageSource — full-resolution frame
+     * @param {Array<{x,y}>} quad — [TL, TR, BR, BL] from findDocumentQuad
+     * @param {number} scale — detection/full-res (getFrameData)
+     * @returns {Promise<{ rectified: string, width, height, paper } | null>} null when the quad is unusable
+     */
+    async rectify(imageSource, quad, scale) {
+        if (!quad || quad.length !== 4) return null;
+        const img = await this._loadImage(imageSource);
+        this.canvas.width = img.width;
+        this.canvas.height = img.height;
+        this.ctx.drawImage(img, 0, 0);
+
+        const corners = scaleQuad(quad, scale);
+        const { width, height, paper } = rectifiedSize(corners);
+        const warped = warpPerspective(this.ctx.getImageData(0, 0, img.width, img.height), corners, width, height);
+        if (!warped) return null;
+
+        this.canvas.width = width;
+        this.canvas.height = height;
+        this.ctx.putImageData(warped, 0, 0);
+        return { rectified: this.canvas.toDataURL('image/jpeg', 0.92), width, height, paper };
+    }
+
+    async enhance(imageSource, qualityAnalysis, { rectified = false } = {}) {
         const img = await this._loadImage(imageSource);
         this.canvas.width = img.width;
         this.canvas.height = img.height;
@@ -28,7 +57,7 @@ export class ImageEnhancer {
                     appliedFixes.push('contrast_enhancement');
                     break;
                 case 'SKEWED':
-                    appliedFixes.push('skew_noted');
+                    appliedFixes.push(rectified ? 'perspective_corrected' : 'skew_noted');
                     break;
             }
         }
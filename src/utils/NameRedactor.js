@@ -0,0 +1,148 @@
+// ═══════════════════════════════════════════════════════════
+//  NAME REDACTOR — Black-box the header/name region on-device
+//  Runs before any image leaves the device for analysis.
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Locates the header band of a captured page (where name / date /
+ * period are written) using the detected document quad plus a
+ * row-ink layout heuristic, then paints it out on the canvas.
+ * A downscaled crop of the original header is returned so the
+ * identity vault can keep it on the device.
+ */
+export class NameRedactor {
+    constructor(config = {}) {
+        this.config = {
+            defaultHeaderRatio: 0.14,   // used when no text lines are found
+            minHeaderRatio: 0.08,
+            maxHeaderRatio: 0.22,       // never redact more than this much of the page
+            searchRatio: 0.3,           // how far down the page to look for header lines
+            paddingRatio: 0.015,
+            cropMaxWidth: 480,
+            ...config,
+        };
+        this.canvas = document.createElement('canvas');
+        this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
+    }
+
+    /**
+     * @param {string|HTMLImageElement} imageSource
+     * @param {{ quad?: Array<{x,y}>, scale?: number }} [geometry] — quad in detection coords, scale = detection/full-res
+     * @returns {Promise<{ redacted: string, region: {x,y,w,h}, method: string, headerCrop: string }>}
+     */
+    async redact(imageSource, { quad = null, scale = 1 } = {}) {
+        const img = await this._loadImage(imageSource);
+        this.canvas.width = img.width;
+        this.canvas.height = img.height;
+        this.ctx.drawImage(img, 0, 0);
+
+        const page = this._pageBounds(quad, scale, img.width, img.height);
+        const { band, method } = this._locateHeader(page);
+        const headerCrop = this._crop(band);
+
+        this.ctx.fillStyle = '#000';
+        this.ctx.fillRect(band.x, band.y, band.w, band.h);
+        this.ctx.fillStyle = '#fff';
+        this.ctx.font = `${Math.max(12, Math.round(band.h * 0.3))}px sans-serif`;
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillText('REDACTED', band.x + band.w * 0.04, band.y + band.h / 2);
+
+        return {
+            redacted: this.canvas.toDataURL('image/jpeg', 0.92),
+            region: {
+                x: band.x / img.width, y: band.y / img.height,
+                w: band.w / img.width, h: band.h / img.height,
+            },
+            method,
+            headerCrop,
+        };
+    }
+
+    // ─── Page bounds from quad (scaled back to full res) ──────
+    _pageBounds(quad, scale, width, height) {
+        if (!quad || quad.length !== 4 || !scale) return { x: 0, y: 0, w: width, h: height };
+        const xs = quad.map(p => p.x / scale);
+        const ys = quad.map(p => p.y / scale);
+        const x = Math.max(0, Math.floor(Math.min(...xs)));
+        const y = Math.max(0, Math.floor(Math.min(...ys)));
+        const x2 = Math.min(width, Math.ceil(Math.max(...xs)));
+        const y2 = Math.min(height, Math.ceil(Math.max(...ys)));
+        if (x2 - x < width * 0.2 || y2 - y < height * 0.2) return { x: 0, y: 0, w: width, h: height };
+        return { x, y, w: x2 - x, h: y2 - y };
+    }
+
+    // ─── Layout heuristic: first one or two ink runs ──────────
+    _locateHeader(page) {
+        const { defaultHeaderRatio, minHeaderRatio, maxHeaderRatio, searchRatio, paddingRatio } = this.config;
+        const searchH = Math.max(1, Math.round(page.h * searchRatio));
+        const { data } = this.ctx.getImageData(page.x, page.y, page.w, searchH);
+
+        // Row ink ratio against the page's own paper brightness
+        let sum = 0, n = 0;
+        for (let i = 0; i < data.length; i += 16) { sum += data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114; n++; }
+        const inkThreshold = (sum / n) - 60;
+
+        const rowInk = new Float32Array(searchH);
+        for (let y = 0; y < searchH; y++) {
+            let dark = 0, cols = 0;
+            for (let x = 0; x < page.w; x += 2) {
+                const i = (y * page.w + x) * 4;
+                if (data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114 < inkThreshold) dark++;
+                cols++;
+            }
+            rowInk[y] = dark / cols;
+        }
+
+        // Skip the top margin (page edge shadows), then collect ink runs
+        const runs = [];
+        let start = -1;
+        const gap = Math.max(2, Math.round(page.h * 0.01));
+        let quiet = 0;
+        for (let y = Math.round(page.h * 0.02); y < searchH; y++) {
+            if (rowInk[y] > 0.01) {
+                if (start < 0) start = y;
+                quiet = 0;
+            } else if (start >= 0 && ++quiet > gap) {
+                runs.push({ start, end: y - quiet });
+                start = -1;
+                quiet = 0;
+                if (runs.length === 2) break;
+            }
+        }
+        if (start >= 0 && runs.length < 2) runs.push({ start, end: searchH - 1 });
+
+        const clampRatio = (r) => Math.max(minHeaderRatio, Math.min(maxHeaderRatio, r));
+        let ratio = defaultHeaderRatio;
+        let method = 'default_band';
+        if (runs.length) {
+            const second = runs[1] && runs[1].end / page.h <= maxHeaderRatio ? runs[1] : null;
+            ratio = clampRatio(((second || runs[0]).end / page.h) + paddingRatio);
+            method = second ? 'ink_runs_2' : 'ink_runs_1';
+        }
+
+        return {
+            band: { x: page.x, y: page.y, w: page.w, h: Math.round(page.h * ratio) },
+            method,
+        };
+    }
+
+    // ─── Small local-only crop of the original header ─────────
+    _crop(band) {
+        const s = Math.min(1, this.config.cropMaxWidth / band.w);
+        const c = document.createElement('canvas');
+        c.width = Math.max(1, Math.round(band.w * s));
+        c.height = Math.max(1, Math.round(band.h * s));
+        c.getContext('2d').drawImage(this.canvas, band.x, band.y, band.w, band.h, 0, 0, c.width, c.height);
+        return c.toDataURL('image/jpeg', 0.6);
+    }
+
+    _loadImage(src) {
+        return new Promise((resolve, reject) => {
+            if (src instanceof HTMLImageElement) { resolve(src); return; }
+            const img = new Image();
+            img.onload = () => resolve(img);
+            img.onerror = reject;
+            img.src = src;
+        });
+    }
+}
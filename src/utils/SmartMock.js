@@ -104,7 +104,7 @@ export class SmartMock {
             analysis: {
                 documentType: 'WORKSHEET',
                 pageAnalysis: { contentSummary: 'Math worksheet with multiple question types', estimatedCompleteness: 0.85 + Math.random() * 0.15, readabilityScore: quality },
-                studentInfo: { name: Math.random() > 0.3 ? 'Sample Student' : null, date: Math.random() > 0.5 ? '2024-01-15' : null },
+                studentInfo: { date: Math.random() > 0.5 ? '2024-01-15' : null },
                 responses,
                 overallAssessment: {
                     score: pct,
@@ -0,0 +1,499 @@
+// Server-side multi-pass grading for grade-document. Mirrors the full-mode
+// pipeline in src/lib/analysisEngine.js (structure → extraction → verification
+// with schema repair, then result assembly and confidence calibration) and the
+// stored shape built by src/lib/storageLayer.js, so a trace written here reads
+// exactly like one the client stored itself.
+//
+// Prompts, pass schemas and the calibrator's history come from the client:
+// they depend on the teacher's correction history, which only the client holds.
+
+import {
+  callVisionModel,
+  InvalidModelOutputError,
+  type ModelSettings,
+} from "./modelProviders.ts";
+import { type SchemaIssue, validateAgainstSchema } from "./jsonSchema.ts";
+import { checkResponses, type StepCheckSummary } from "./stepVerifier.ts";
+
+export const DOCUMENT_TYPES = ["WORKSHEET", "ESSAY", "TEST", "MATH", "DRAWING"] as const;
+export const PASSES = ["structure", "extraction", "verification"] as const;
+export type PassName = typeof PASSES[number];
+
+const MAX_REPAIR_ATTEMPTS = 2; // re-prompts per pass after the first response fails validation
+const RESULT_SCHEMA_VERSION = 2;
+const LOW_CONFIDENCE = 0.6;
+// DivergencePointSchema's errorType enum; a type outside it is stored as NONE (undetermined)
+const DIVERGENCE_ERROR_TYPES = ["COMPUTATIONAL", "PROCEDURAL", "CONCEPTUAL", "TRANSCRIPTION", "NONE"];
+
+// deno-lint-ignore no-explicit-any
+type Json = Record<string, any>;
+
+export interface GradingRequest {
+  imageBase64: string;
+  settings: ModelSettings;
+  prompts: { structure: string; extraction: Record<string, string> };
+  schemas: Record<PassName, Json> & { stored?: Json }; // stored: StoredResultSchema, checked before a trace is persisted
+  imageQuality?: { overallScore?: number } | null;
+  historicalAccuracy?: Record<string, number> | null;
+  rubric?: Json | null;
+  onModelCall?: () => void; // for usage metering, once per model request (repairs included)
+}
+
+export interface PassEvent {
+  type: "pass";
+  pass: PassName;
+  status: "started" | "repairing" | "done" | "skipped" | "failed";
+  attempt?: number;
+}
+
+interface ValidationEntry {
+  pass: PassName;
+  attempts: number;
+  valid: boolean;
+  issues: number;
+}
+
+/** A pass still failed its schema after every repair attempt. */
+export class PassValidationError extends Error {
+  constructor(readonly pass: PassName, readonly issues: SchemaIssue[], readonly raw: string) {
+    const summary = issues.slice(0, 3).map((i) => `${i.path}: ${i.message}`).join("; ");
+    super(`The ${pass} pass returned invalid output: ${summary}`);
+  }
+}
+
+// ─── Passes ──────────────────────────────────────────────
+
+function repairPrompt(prompt: string, rawOutput: unknown, issues: SchemaIssue[]): string {
+  const previous = typeof rawOutput === "string" ? rawOutput : JSON.stringify(rawOutput, null, 2);
+  return `${prompt}
+
+# Repair
+Your previous response did not match the required JSON schema:
+${issues.map((i) => `- ${i.path}: ${i.message}`).join("\n")}
+
+Previous response:
+${previous.slice(0, 6000)}
+
+Return the corrected JSON only — same content, fixed to match the schema.`;
+}
+
+function verificationPrompt(lowItems: Json[]): string {
+  return `Re-examine these specific questions and provide your best interpretation:
+${lowItems.map((r) => `- Question ${r.questionId}: Current reading: "${r.studentAnswer}"`).join("\n")}
+
+Respond with JSON:
+{
+  "verifications": [
+    {"questionId": "...", "revisedAnswer": "...", "confidence": 0.0, "notes": "..."}
+  ]
+}`;
+}
+
+async function callPass(
+  req: GradingRequest,
+  pass: PassName,
+  prompt: string,
+  log: ValidationEntry[],
+  emit: (event: PassEvent) => void,
+): Promise<Json> {
+  const schema = req.schemas[pass];
+  let raw: unknown = null;
+  let issues: SchemaIssue[] = [];
+  let seenIssues = 0;
+
+  emit({ type: "pass", pass, status: "started" });
+  for (let attempt = 1; attempt <= MAX_REPAIR_ATTEMPTS + 1; attempt++) {
+    if (attempt > 1) emit({ type: "pass", pass, status: "repairing", attempt });
+    const request = attempt === 1 ? prompt : repairPrompt(prompt, raw, issues);
+    try {
+      req.onModelCall?.();
+      raw = await callVisionModel(req.settings, req.imageBase64, request, { name: pass, schema });
+      const validation = validateAgainstSchema(schema, raw);
+      if (validation.success) {
+        log.push({ pass, attempts: attempt, valid: true, issues: seenIssues });
+        emit({ type: "pass", pass, status: "done" });
+        return validation.data as Json;
+      }
+      issues = validation.issues;
+    } catch (e) {
+      if (!(e instanceof InvalidModelOutputError)) throw e;
+      raw = e.raw;
+      issues = [{ path: "(root)", message: "Response was not valid JSON" }];
+    }
+    seenIssues += issues.length;
+    console.warn(`[grade-document] ${pass} pass: invalid response (attempt ${attempt})`, issues);
+  }
+
+  log.push({ pass, attempts: MAX_REPAIR_ATTEMPTS + 1, valid: false, issues: seenIssues });
+  emit({ type: "pass", pass, status: "failed" });
+  throw new PassValidationError(pass, issues, typeof raw === "string" ? raw : JSON.stringify(raw));
+}
+
+// ─── Confidence calibration (mirrors src/utils/ConfidenceCalibrator.js) ───
+
+const CALIBRATION_WEIGHTS: Record<string, number> = {
+  imageQuality: 0.25,
+  responseConsistency: 0.20,
+  historicalAccuracy: 0.25,
+  contentComplexity: 0.15,
+  aiConfidence: 0.15,
+};
+
+const clampConfidence = (c: number) => Math.max(0.1, Math.min(0.95, c));
+
+function consistency(responses: Json[]): number {
+  if (!responses.length) return 0.5;
+  const confs = responses.map((r) => r.confidence?.individual ?? r.score?.percentage).filter((c) => c != null);
+  if (confs.length < 2) return 0.7;
+  const mean = confs.reduce((a, b) => a + b, 0) / confs.length;
+  const stdDev = Math.sqrt(confs.reduce((s, c) => s + (c - mean) ** 2, 0) / confs.length);
+  return Math.max(0.4, 1 - stdDev);
+}
+
+function complexity(responses: Json[]): number {
+  if (!responses.length) return 0.5;
+  let score = 0, n = 0;
+  for (const r of responses) {
+    const len = r.studentAnswer?.length || 0;
+    score += len > 200 ? 0.3 : len > 50 ? 0.6 : 0.9;
+    n++;
+    if (r.workShown?.length > 20) { score += 0.5; n++; }
+    if (r.isCorrect === "partial") { score += 0.4; n++; }
+  }
+  return n > 0 ? score / n : 0.7;
+}
+
+function adjustRaw(raw: number | null | undefined): number {
+  if (raw == null) return 0.5;
+  if (raw > 0.9) return 0.85 + (raw - 0.9) * 0.5;
+  if (raw > 0.7) return raw * 0.95;
+  return raw;
+}
+
+function calibrate(req: GradingRequest, rawAIConfidence: number | undefined, responses: Json[], docType: string) {
+  const factors: Record<string, number> = {
+    imageQuality: req.imageQuality?.overallScore ?? 0.7,
+    responseConsistency: consistency(responses),
+    historicalAccuracy: req.historicalAccuracy?.[docType] ?? 0.7,
+    contentComplexity: complexity(responses),
+    aiConfidence: adjustRaw(rawAIConfidence),
+  };
+
+  let calibrated = 0;
+  for (const [k, w] of Object.entries(CALIBRATION_WEIGHTS)) calibrated += (factors[k] || 0.5) * w;
+  calibrated = clampConfidence(calibrated);
+
+  const perQuestion: Record<string, number> = {};
+  for (const r of responses) {
+    let c = r.confidence?.individual ?? 0.7;
+    if (r.studentAnswer === "[ILLEGIBLE]") c = 0.1;
+    else if (r.isCorrect === "partial") c *= 0.85;
+    c *= factors.imageQuality;
+    perQuestion[r.questionId || "unknown"] = clampConfidence(c);
+  }
+
+  return { overall: calibrated, perQuestion, factors, explanation: explain(factors, calibrated) };
+}
+
+function explain(factors: Record<string, number>, overall: number) {
+  const notes: string[] = [];
+  if (factors.imageQuality < 0.5) notes.push("Low image quality reduces confidence");
+  if (factors.responseConsistency < 0.5) notes.push("Inconsistent response confidence");
+  if (factors.historicalAccuracy < 0.6) notes.push("Past corrections suggest this type is challenging");
+  if (factors.contentComplexity < 0.5) notes.push("Complex content adds uncertainty");
+  if (!notes.length) notes.push("All factors within normal ranges");
+  return { summary: `Calibrated: ${(overall * 100).toFixed(0)}%`, factors: notes };
+}
+
+type Calibration = ReturnType<typeof calibrate>;
+
+function applyStepCheck(calibration: Calibration, { checked, disagreements, questionIds }: StepCheckSummary): Calibration {
+  if (!checked) return calibration;
+  const agreement = 1 - disagreements / checked;
+  const overall = clampConfidence(calibration.overall * (0.7 + 0.3 * agreement));
+  const perQuestion = { ...calibration.perQuestion };
+  for (const id of questionIds) {
+    if (id in perQuestion) perQuestion[id] = Math.max(0.1, perQuestion[id] * 0.6);
+  }
+  const factors = { ...calibration.factors, stepAgreement: agreement };
+  const explanation = explain(factors, overall);
+  if (disagreements) {
+    explanation.factors = [
+      ...explanation.factors.filter((f) => f !== "All factors within normal ranges"),
+      `Step checker disagrees with the model on ${disagreements} step${disagreements === 1 ? "" : "s"}`,
+    ];
+  }
+  return { ...calibration, overall, perQuestion, factors, explanation };
+}
+
+// ─── Rubric criteria (mirrors normalizeCriterionScores in src/lib/rubric.js) ───
+
+function normalizeCriterionScores(raw: unknown, rubric: Json | null | undefined): Json[] {
+  if (!rubric || !Array.isArray(rubric.criteria) || !rubric.criteria.length) return [];
+  const reported: Json[] = Array.isArray(raw) ? raw : [];
+
+  return rubric.criteria.map((criterion: Json) => {
+    const levels: Json[] = criterion.levels || [];
+    const possible = Math.max(0, ...levels.map((l) => l.points));
+    const entry = reported.find((r) => String(r?.criterionId) === criterion.id) ||
+      reported.find((r) => r?.criterion && String(r.criterion).toLowerCase() === criterion.name.toLowerCase());
+
+    let level = levels.find((l) => entry?.level && l.label.toLowerCase() === String(entry.level).toLowerCase());
+    if (!level && typeof entry?.points === "number") {
+      level = [...levels].sort((a, b) => Math.abs(a.points - entry.points) - Math.abs(b.points - entry.points))[0];
+    }
+
+    return {
+      criterionId: criterion.id,
+      level: level?.label ?? null,
+      points: level ? level.points : 0,
+      possible,
+      evidence: typeof entry?.evidence === "string" && entry.evidence.trim() ? entry.evidence.trim() : null,
+      rationale: typeof entry?.rationale === "string" ? entry.rationale : null,
+      adjusted: false,
+    };
+  });
+}
+
+function stripIdentity(studentInfo: Json | null | undefined) {
+  if (!studentInfo) return studentInfo;
+  const { name: _name, studentName: _studentName, fullName: _fullName, ...rest } = studentInfo;
+  return rest;
+}
+
+// ─── Pipeline ────────────────────────────────────────────
+
+/**
+ * Structure → extraction (with the prompt for the detected document type) →
+ * verification of low-confidence answers, assembled into the same result
+ * shape analyzeWithLogicEngine returns in full mode. A failed verification
+ * pass is skipped, as on the client; other failures throw.
+ */
+export async function runGradingPipeline(req: GradingRequest, emit: (event: PassEvent) => void): Promise<Json> {
+  const validationLog: ValidationEntry[] = [];
+
+  const structure = await callPass(req, "structure", req.prompts.structure, validationLog, emit);
+  const docType: string = structure.documentType || "WORKSHEET";
+
+  const extractionPrompt = req.prompts.extraction[docType] ?? req.prompts.extraction.WORKSHEET;
+  const extraction = await callPass(req, "extraction", extractionPrompt, validationLog, emit);
+
+  let finalResponses: Json[] = extraction.responses || [];
+  const lowConf = finalResponses.filter((r) => (r.confidence?.individual ?? 1) < LOW_CONFIDENCE);
+  let verificationRan = false;
+
+  if (!lowConf.length) {
+    emit({ type: "pass", pass: "verification", status: "skipped" });
+  } else {
+    try {
+      const verification = await callPass(req, "verification", verificationPrompt(lowConf), validationLog, emit);
+      verificationRan = true;
+      finalResponses = finalResponses.map((r) => {
+        const v = verification.verifications.find((vv: Json) => vv.questionId === r.questionId);
+        if (!v) return r;
+        return {
+          ...r,
+          studentAnswer: v.revisedAnswer || r.studentAnswer,
+          // A revised reading makes the extracted LaTeX stale
+          answerLatex: v.revisedAnswer && v.revisedAnswer !== r.studentAnswer ? null : r.answerLatex,
+          confidence: { ...r.confidence, verified: v.confidence },
+          verificationNotes: v.notes,
+        };
+      });
+    } catch (e) {
+      console.warn("[grade-document] Verification pass failed, continuing:", (e as Error).message);
+    }
+  }
+
+  // Re-check the work shown deterministically, before any feedback reaches a student
+  const stepCheck = checkResponses(
+    finalResponses.map((r, i) => ({
+      step: i + 1,
+      content: `${r.questionId}: ${r.studentAnswer || "[no answer]"}`,
+      isValid: r.isCorrect === true,
+      note: r.feedback || null,
+      latex: r.answerLatex || null,
+      region: r.answerRegion || r.questionRegion || null,
+    })),
+    finalResponses,
+  );
+
+  const calibratedConfidence = applyStepCheck(
+    calibrate(req, extraction.confidence?.overall, finalResponses, docType),
+    stepCheck.summary,
+  );
+
+  const criterionScores = normalizeCriterionScores(extraction.criterionScores, req.rubric);
+  const rubricPossible = criterionScores.reduce((s, c) => s + c.possible, 0);
+  const rubricPercent = rubricPossible
+    ? Math.round((criterionScores.reduce((s, c) => s + c.points, 0) / rubricPossible) * 100)
+    : null;
+
+  const firstError = finalResponses.find((r) => r.isCorrect === false);
+
+  return {
+    score: extraction.overallAssessment?.score ?? extraction.score ?? rubricPercent ?? 0,
+    isCorrect: (extraction.overallAssessment?.score ?? 0) >= 70,
+    logicTrace: stepCheck.logicTrace,
+    divergencePoint: firstError
+      ? {
+        step: finalResponses.indexOf(firstError) + 1,
+        errorType: DIVERGENCE_ERROR_TYPES.includes(firstError.errorType) ? firstError.errorType : "NONE",
+        explanation: firstError.feedback || "Error detected",
+      }
+      : null,
+    remediation: extraction.overallAssessment?.suggestedNextSteps?.join(". ") ||
+      extraction.remediation || "Review your work and try again.",
+    confidence: calibratedConfidence.overall,
+
+    _structured: {
+      documentType: docType,
+      documentStructure: structure,
+      responses: stepCheck.responses,
+      criterionScores,
+      overallAssessment: extraction.overallAssessment,
+      calibratedConfidence,
+      pageAnalysis: extraction.pageAnalysis,
+      studentInfo: stripIdentity(extraction.studentInfo),
+      flags: [...(extraction.flags || []), ...stepCheck.flags],
+    },
+    _passes: { structure: true, extraction: true, verification: verificationRan },
+    _model: { provider: req.settings.provider, model: req.settings.model },
+    _validation: validationLog,
+    _recognition: { ...extraction, studentInfo: stripIdentity(extraction.studentInfo) },
+    timestamp: Date.now(),
+  };
+}
+
+// ─── Stored shape (mirrors toStoredResult / responseToRow in src/lib/storageLayer.js) ───
+
+export interface PersistContext {
+  sessionId?: string | null;
+  assignmentId?: string | null;
+  studentToken?: string | null;
+  captureQuality?: number | null;
+}
+
+const correctness = (isCorrect: unknown) =>
+  isCorrect === "partial" ? "partial" : isCorrect === true ? "correct" : isCorrect === false ? "incorrect" : null;
+
+const stringOrNull = (v: unknown) => (v != null ? String(v) : null);
+
+const mathSteps = (steps: unknown) =>
+  Array.isArray(steps)
+    ? steps.map((st: Json) => ({ text: String(st?.text ?? ""), latex: st?.latex || null, region: st?.region ?? null }))
+    : [];
+
+/** Pipeline result → the versioned stored shape (StoredResultSchema in src/lib/schema.js). */
+export function toStoredResult(result: Json): Json {
+  const s = result._structured;
+  const perQuestion = s.calibratedConfidence?.perQuestion || {};
+
+  return {
+    schemaVersion: RESULT_SCHEMA_VERSION,
+    score: result.score,
+    isCorrect: result.isCorrect,
+    logicTrace: result.logicTrace,
+    divergencePoint: result.divergencePoint,
+    remediation: result.remediation,
+    confidence: result.confidence,
+    responses: ((s.responses || []) as Json[]).map((r, i) => ({
+      questionId: String(r.questionId ?? `Q${i + 1}`),
+      questionText: r.questionText ?? null,
+      studentAnswer: r.studentAnswer ?? null,
+      workShown: r.workShown ?? null,
+      answerLatex: r.answerLatex || null,
+      workSteps: mathSteps(r.workSteps),
+      questionRegion: r.questionRegion ?? null,
+      answerRegion: r.answerRegion ?? null,
+      stepCheck: r.stepCheck ?? null,
+      isCorrect: r.isCorrect ?? null,
+      score: r.score?.earned != null && r.score?.possible != null
+        ? { earned: r.score.earned, possible: r.score.possible, percentage: r.score.percentage ?? null }
+        : null,
+      feedback: r.feedback ?? null,
+      conceptsAssessed: r.conceptsAssessed || [],
+      errorType: r.errorType || null,
+      confidence: perQuestion[r.questionId] ?? r.confidence?.verified ?? r.confidence?.individual ?? null,
+      verified: r.confidence?.verified != null,
+      verificationNotes: r.verificationNotes ?? null,
+    })),
+    criterionScores: s.criterionScores || [],
+    overallAssessment: s.overallAssessment || null,
+    page: {
+      documentType: s.documentType ?? null,
+      pageAnalysis: s.pageAnalysis ?? null,
+      studentInfo: s.studentInfo
+        ? {
+          date: stringOrNull(s.studentInfo.date),
+          period: stringOrNull(s.studentInfo.period),
+          studentNumber: stringOrNull(s.studentInfo.studentNumber),
+        }
+        : null,
+      calibration: s.calibratedConfidence
+        ? {
+          overall: s.calibratedConfidence.overall,
+          factors: s.calibratedConfidence.factors,
+          notes: s.calibratedConfidence.explanation?.factors || [],
+        }
+        : null,
+      flags: s.flags || [],
+      passes: result._passes || null,
+      validation: result._validation || null,
+    },
+  };
+}
+
+/**
+ * Stored result (validated) → `logic_traces` row and its `question_responses`
+ * rows for the signed-in teacher.
+ */
+export function toTraceRows(stored: Json, persist: PersistContext, userId: string) {
+  const id = `trace_${Date.now()}_${Math.random().toString(36).slice(2, 6)}`;
+
+  const trace = {
+    id,
+    user_id: userId,
+    session_id: persist.sessionId || `session_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+    assignment_id: persist.assignmentId ?? null,
+    score: stored.score,
+    is_correct: stored.isCorrect,
+    logic_trace: stored.logicTrace,
+    divergence_point: stored.divergencePoint,
+    remediation: stored.remediation,
+    confidence: stored.confidence,
+    schema_version: stored.schemaVersion,
+    criterion_scores: stored.criterionScores,
+    overall_assessment: stored.overallAssessment,
+    page_metadata: stored.page,
+    capture_quality: persist.captureQuality ?? 1,
+    student_token: persist.studentToken ?? null,
+    created_at: new Date().toISOString(),
+  };
+
+  const responses = (stored.responses as Json[]).map((r, i) => ({
+    trace_id: id,
+    user_id: userId,
+    position: i,
+    question_id: r.questionId,
+    question_text: r.questionText ?? null,
+    student_answer: r.studentAnswer ?? null,
+    work_shown: r.workShown ?? null,
+    answer_latex: r.answerLatex ?? null,
+    work_steps: r.workSteps || [],
+    question_region: r.questionRegion ?? null,
+    answer_region: r.answerRegion ?? null,
+    step_check: r.stepCheck ?? null,
+    correctness: correctness(r.isCorrect),
+    points_earned: r.score?.earned ?? null,
+    points_possible: r.score?.possible ?? null,
+    feedback: r.feedback ?? null,
+    concepts_assessed: r.conceptsAssessed || [],
+    error_type: r.errorType ?? null,
+    confidence: r.confidence ?? null,
+    verified: r.verified ?? false,
+    verification_notes: r.verificationNotes ?? null,
+  }));
+
+  return { trace, responses };
+}
@@ -0,0 +1,152 @@
+// Request guards for the model-calling Edge Functions: an authenticated user,
+// bounded request bodies, validated images, and per-user / per-school rate limits
+// and daily quotas metered in public.model_usage (see migration 20240219000012).
+//
+// Limits come from secrets, with defaults:
+//   MAX_IMAGE_BYTES (5 MB decoded), USER_REQUESTS_PER_MINUTE (20), SCHOOL_REQUESTS_PER_MINUTE (200),
+//   USER_DAILY_MODEL_CALLS (500), SCHOOL_DAILY_MODEL_CALLS (5000)
+
+import { createClient, type SupabaseClient, type User } from "npm:@supabase/supabase-js@2";
+import { HttpError } from "./http.ts";
+
+const ALLOWED_IMAGE_TYPES = ["image/jpeg", "image/png", "image/webp"];
+const BODY_OVERHEAD_BYTES = 512 * 1024; // prompts, schemas and assignment context next to the image
+
+function numberSecret(name: string, fallback: number): number {
+  const value = Number(Deno.env.get(name));
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+export const maxImageBytes = () => numberSecret("MAX_IMAGE_BYTES", 5 * 1024 * 1024);
+
+/**
+ * The caller must be a signed-in user: the anon key alone is rejected.
+ * Returns a client acting under the caller's JWT, so RLS applies to every query.
+ */
+export async function requireUser(req: Request): Promise<{ supabase: SupabaseClient; user: User }> {
+  const authHeader = req.headers.get("Authorization");
+  if (!authHeader?.startsWith("Bearer ")) {
+    throw new HttpError(401, "AUTH_REQUIRED", "Missing or invalid Authorization header");
+  }
+
+  const supabaseUrl = Deno.env.get("SUPABASE_URL");
+  const supabaseKey = Deno.env.get("SUPABASE_ANON_KEY");
+  if (!supabaseUrl || !supabaseKey) {
+    throw new HttpError(500, "SERVER_ERROR", "Server configuration error");
+  }
+
+  const supabase = createClient(supabaseUrl, supabaseKey, {
+    global: { headers: { Authorization: authHeader } },
+  });
+  const { data: { user } } = await supabase.auth.getUser();
+  if (!user) throw new HttpError(401, "AUTH_REQUIRED", "Sign in to use the analysis service");
+  return { supabase, user };
+}
+
+/** Parse a JSON body, refusing anything larger than an image at the size limit plus context. */
+export async function readJsonBody<T>(req: Request): Promise<T> {
+  const limit = Math.ceil(maxImageBytes() * 4 / 3) + BODY_OVERHEAD_BYTES;
+  const tooLarge = () =>
+    new HttpError(413, "PAYLOAD_TOO_LARGE", `Request body exceeds ${Math.round(limit / 1024)} KB`, { limitBytes: limit });
+
+  if (Number(req.headers.get("Content-Length") || 0) > limit) throw tooLarge();
+  const text = await req.text();
+  if (text.length > limit) throw tooLarge();
+  try {
+    return JSON.parse(text) as T;
+  } catch {
+    throw new HttpError(400, "INVALID_REQUEST", "Invalid JSON body");
+  }
+}
+
+function sniffImageType(bytes: Uint8Array): string | null {
+  if (bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff) return "image/jpeg";
+  if (bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4e && bytes[3] === 0x47) return "image/png";
+  const ascii = String.fromCharCode(...bytes.slice(0, 12));
+  if (ascii.startsWith("RIFF") && ascii.slice(8, 12) === "WEBP") return "image/webp";
+  return null;
+}
+
+/**
+ * A data URL or bare base64 image of an allowed type within the size limit.
+ * The declared MIME type must match the file's own signature.
+ * @returns decoded size in bytes, for metering
+ */
+export function validateImage(imageBase64: unknown): number {
+  if (typeof imageBase64 !== "string" || !imageBase64) {
+    throw new HttpError(400, "INVALID_REQUEST", "Missing imageBase64");
+  }
+  const match = imageBase64.match(/^data:([^;,]+);base64,/);
+  if (imageBase64.startsWith("data:") && !match) {
+    throw new HttpError(400, "INVALID_REQUEST", "imageBase64 must be a base64 data URL");
+  }
+  const data = match ? imageBase64.slice(match[0].length) : imageBase64;
+  if (!/^[A-Za-z0-9+/]+={0,2}$/.test(data.slice(0, 1024)) || data.length % 4 !== 0) {
+    throw new HttpError(400, "INVALID_REQUEST", "imageBase64 is not valid base64");
+  }
+
+  const bytes = Math.floor(data.length * 3 / 4) - (data.endsWith("==") ? 2 : data.endsWith("=") ? 1 : 0);
+  if (bytes > maxImageBytes()) {
+    throw new HttpError(413, "PAYLOAD_TOO_LARGE", `Image exceeds ${Math.round(maxImageBytes() / 1024)} KB`, {
+      limitBytes: maxImageBytes(),
+    });
+  }
+
+  const head = Uint8Array.from(atob(data.slice(0, 16)), (c) => c.charCodeAt(0));
+  const actual = sniffImageType(head);
+  const declared = match?.[1] ?? actual;
+  if (!actual || !declared || !ALLOWED_IMAGE_TYPES.includes(declared) || declared !== actual) {
+    throw new HttpError(415, "UNSUPPORTED_MEDIA_TYPE", `Images must be ${ALLOWED_IMAGE_TYPES.join(", ")}`);
+  }
+  return bytes;
+}
+
+/**
+ * Check the caller's rate limit and daily quota (and their school's) and reserve
+ * `calls` model calls. Throws 429 RATE_LIMITED / QUOTA_EXCEEDED with `scope`
+ * and `retryAfter` (seconds) when over a limit.
+ * @returns usage row id, for finishUsage
+ */
+export async function reserveQuota(supabase: SupabaseClient, fn: string, calls: number): Promise<number> {
+  const { data, error } = await supabase.rpc("consume_model_quota", {
+    p_function: fn,
+    p_calls: calls,
+    p_user_per_minute: numberSecret("USER_REQUESTS_PER_MINUTE", 20),
+    p_school_per_minute: numberSecret("SCHOOL_REQUESTS_PER_MINUTE", 200),
+    p_user_daily: numberSecret("USER_DAILY_MODEL_CALLS", 500),
+    p_school_daily: numberSecret("SCHOOL_DAILY_MODEL_CALLS", 5000),
+  });
+  if (error) {
+    console.error(`[${fn}] Quota check failed:`, error);
+    throw new HttpError(500, "SERVER_ERROR", "Could not check usage quota");
+  }
+  if (!data.allowed) {
+    const who = data.scope === "school" ? "Your school" : "You";
+    const message = data.code === "RATE_LIMITED"
+      ? `${who} sent too many requests in the last minute`
+      : data.code === "AUTH_REQUIRED"
+      ? "Sign in to use the analysis service"
+      : `${who} reached today's analysis quota`;
+    const status = data.code === "AUTH_REQUIRED" ? 401 : 429;
+    throw new HttpError(status, data.code, message, { scope: data.scope, retryAfter: data.retryAfter });
+  }
+  return data.usageId;
+}
+
+/** Record how a metered request ended. Metering failures are logged, never surfaced. */
+export async function finishUsage(
+  supabase: SupabaseClient,
+  usageId: number,
+  outcome: { ok: boolean; modelCalls: number; provider: string; model: string; imageBytes: number; errorCode?: string },
+): Promise<void> {
+  const { error } = await supabase.rpc("finish_model_usage", {
+    p_usage_id: usageId,
+    p_status: outcome.ok ? "ok" : "error",
+    p_model_calls: outcome.modelCalls,
+    p_provider: outcome.provider,
+    p_model: outcome.model,
+    p_image_bytes: outcome.imageBytes,
+    p_error_code: outcome.errorCode ?? null,
+  });
+  if (error) console.error("[usage] finish_model_usage failed:", error);
+}
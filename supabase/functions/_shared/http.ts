@@ -0,0 +1,113 @@
+// HTTP helpers shared by Edge Functions: CORS limited to the ALLOWED_ORIGINS secret
+// and JSON errors carrying a stable `code` the client maps to user-facing messages
+// (src/lib/analysisErrors.js).
+
+import { ProviderError } from "./modelProviders.ts";
+
+export type ErrorCode =
+  | "METHOD_NOT_ALLOWED"
+  | "ORIGIN_NOT_ALLOWED"
+  | "AUTH_REQUIRED"
+  | "INVALID_REQUEST"
+  | "PAYLOAD_TOO_LARGE"
+  | "UNSUPPORTED_MEDIA_TYPE"
+  | "RATE_LIMITED"
+  | "QUOTA_EXCEEDED"
+  | "PROVIDER_NOT_CONFIGURED"
+  | "PROVIDER_AUTH_FAILED"
+  | "PROVIDER_RATE_LIMITED"
+  | "PROVIDER_UNAVAILABLE"
+  | "PROVIDER_TIMEOUT"
+  | "MODEL_REJECTED_INPUT"
+  | "INVALID_MODEL_OUTPUT"
+  | "SCHEMA_VALIDATION_FAILED"
+  | "SERVER_ERROR";
+
+export class HttpError extends Error {
+  constructor(
+    readonly status: number,
+    readonly code: ErrorCode,
+    message: string,
+    readonly extra: Record<string, unknown> = {},
+  ) {
+    super(message);
+  }
+}
+
+// Vite dev and preview servers, used when ALLOWED_ORIGINS is not set
+const DEV_ORIGINS = ["http://localhost:5173", "http://127.0.0.1:5173", "http://localhost:4173"];
+
+function allowedOrigins(): string[] {
+  const configured = Deno.env.get("ALLOWED_ORIGINS");
+  if (!configured) return DEV_ORIGINS;
+  return configured.split(",").map((o) => o.trim().replace(/\/$/, "")).filter(Boolean);
+}
+
+/** Browsers always send Origin cross-site; requests without one (curl, servers) still need a JWT. */
+function isOriginAllowed(req: Request): boolean {
+  const origin = req.headers.get("Origin");
+  return !origin || allowedOrigins().includes(origin);
+}
+
+export function corsHeaders(req: Request): Record<string, string> {
+  const origin = req.headers.get("Origin");
+  return {
+    ...(origin && isOriginAllowed(req) ? { "Access-Control-Allow-Origin": origin } : {}),
+    "Vary": "Origin",
+    "Access-Control-Allow-Methods": "POST, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type, Authorization",
+  };
+}
+
+export function jsonResponse(req: Request, obj: object, status: number, headers: Record<string, string> = {}): Response {
+  return new Response(JSON.stringify(obj), {
+    status,
+    headers: { ...corsHeaders(req), "Content-Type": "application/json", ...headers },
+  });
+}
+
+/** `{ error, code, ...extra }` with Retry-After when the error carries one. */
+export function errorResponse(req: Request, err: HttpError): Response {
+  const retryAfter = err.extra.retryAfter;
+  return jsonResponse(
+    req,
+    { error: err.message, code: err.code, ...err.extra },
+    err.status,
+    typeof retryAfter === "number" ? { "Retry-After": String(retryAfter) } : {},
+  );
+}
+
+/**
+ * Origin check, CORS preflight and method check for a POST-only function.
+ * Returns the response to send, or null to carry on.
+ */
+export function handlePreflight(req: Request): Response | null {
+  if (!isOriginAllowed(req)) {
+    return errorResponse(req, new HttpError(403, "ORIGIN_NOT_ALLOWED", "Origin not allowed"));
+  }
+  if (req.method === "OPTIONS") {
+    return new Response(null, { status: 204, headers: corsHeaders(req) });
+  }
+  if (req.method !== "POST") {
+    return errorResponse(req, new HttpError(405, "METHOD_NOT_ALLOWED", "Method not allowed"));
+  }
+  return null;
+}
+
+/**
+ * Provider failure → HttpError. Rate limits stay 429 so the client queues and
+ * retries; a bad key or unknown model is a deployment problem (503), not the
+ * caller's; a rejected image is the caller's (422); the rest is the provider being down.
+ */
+export function providerHttpError(e: ProviderError, provider: string): HttpError {
+  const s = e.status;
+  if (s === 429) return new HttpError(429, "PROVIDER_RATE_LIMITED", `${provider} is rate limiting requests`, { retryAfter: 60 });
+  if (s === 504) return new HttpError(504, "PROVIDER_TIMEOUT", `${provider} did not answer in time`);
+  if (s === 401 || s === 403 || s === 404) {
+    return new HttpError(503, "PROVIDER_AUTH_FAILED", `${provider} rejected the deployment's credentials or model`);
+  }
+  if (s === 400 || s === 413 || s === 415) {
+    return new HttpError(422, "MODEL_REJECTED_INPUT", `${provider} could not process this image`);
+  }
+  return new HttpError(503, "PROVIDER_UNAVAILABLE", `${provider} is unavailable (${s})`);
+}
@@ -0,0 +1,109 @@
+// Minimal JSON Schema validator for model pass output on the server.
+// Covers the subset z.toJSONSchema emits for the pass and stored-result schemas in src/lib/schema.js
+// (type, properties, required, items, anyOf, const, enum, bounds, default), so the
+// server rejects and repairs the same responses the client's Zod check would.
+
+export interface SchemaIssue {
+  path: string;
+  message: string;
+}
+
+// deno-lint-ignore no-explicit-any
+type Schema = Record<string, any>;
+
+function typeOf(value: unknown): string {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number") return Number.isInteger(value) ? "integer" : "number";
+  return typeof value;
+}
+
+function matchesType(expected: string, actual: string): boolean {
+  return expected === actual || (expected === "number" && actual === "integer");
+}
+
+function walk(schema: Schema, value: unknown, path: string, issues: SchemaIssue[]): unknown {
+  if (!schema || typeof schema !== "object" || !Object.keys(schema).length) return value;
+  const at = path || "(root)";
+
+  if (Array.isArray(schema.anyOf)) {
+    for (const option of schema.anyOf) {
+      const optionIssues: SchemaIssue[] = [];
+      const filled = walk(option, value, path, optionIssues);
+      if (!optionIssues.length) return filled;
+    }
+    issues.push({ path: at, message: "Invalid input" });
+    return value;
+  }
+  if ("const" in schema && value !== schema.const) {
+    issues.push({ path: at, message: `Expected ${JSON.stringify(schema.const)}` });
+    return value;
+  }
+  if (Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+    issues.push({ path: at, message: `Expected one of ${schema.enum.join(", ")}` });
+    return value;
+  }
+
+  const actual = typeOf(value);
+  if (schema.type && !matchesType(schema.type, actual)) {
+    issues.push({ path: at, message: `Expected ${schema.type}, received ${actual}` });
+    return value;
+  }
+
+  switch (actual) {
+    case "object": {
+      const obj = { ...(value as Record<string, unknown>) };
+      for (const [key, child] of Object.entries(schema.properties || {}) as [string, Schema][]) {
+        const childPath = path ? `${path}.${key}` : key;
+        if (obj[key] === undefined) {
+          if ("default" in child) obj[key] = structuredClone(child.default);
+          else if ((schema.required || []).includes(key)) {
+            issues.push({ path: childPath, message: "Required" });
+          }
+          continue;
+        }
+        obj[key] = walk(child, obj[key], childPath, issues);
+      }
+      return obj;
+    }
+    case "array": {
+      const arr = value as unknown[];
+      if (schema.minItems !== undefined && arr.length < schema.minItems) {
+        issues.push({ path: at, message: `Expected at least ${schema.minItems} items` });
+      }
+      return arr.map((item, i) => walk(schema.items, item, path ? `${path}.${i}` : String(i), issues));
+    }
+    case "string":
+      if (schema.minLength !== undefined && (value as string).length < schema.minLength) {
+        issues.push({ path: at, message: `Expected at least ${schema.minLength} characters` });
+      }
+      return value;
+    case "number":
+    case "integer":
+      if (schema.minimum !== undefined && (value as number) < schema.minimum) {
+        issues.push({ path: at, message: `Expected >= ${schema.minimum}` });
+      }
+      if (schema.maximum !== undefined && (value as number) > schema.maximum) {
+        issues.push({ path: at, message: `Expected <= ${schema.maximum}` });
+      }
+      if (schema.exclusiveMinimum !== undefined && (value as number) <= schema.exclusiveMinimum) {
+        issues.push({ path: at, message: `Expected > ${schema.exclusiveMinimum}` });
+      }
+      return value;
+    default:
+      return value;
+  }
+}
+
+/**
+ * Validate `value` against `schema`, filling in declared defaults.
+ * Returns { success: true, data } or { success: false, issues }.
+ */
+export function validateAgainstSchema(
+  schema: Schema,
+  value: unknown,
+): { success: true; data: unknown } | { success: false; issues: SchemaIssue[] } {
+  const issues: SchemaIssue[] = [];
+  const data = walk(schema, value, "", issues);
+  return issues.length ? { success: false, issues } : { success: true, data };
+}
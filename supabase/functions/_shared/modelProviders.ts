@@ -0,0 +1,275 @@
+// Vision-model adapters shared by Edge Functions. Mirrors src/lib/modelProviders.js:
+// Gemini, any OpenAI-compatible chat/vision endpoint, and a local
+// OpenAI-compatible server (llama.cpp, Ollama). Credentials come from secrets only.
+
+export const MODEL_PROVIDERS = ["gemini", "openai", "local"] as const;
+export type ModelProvider = typeof MODEL_PROVIDERS[number];
+
+export const DEFAULT_MODELS: Record<ModelProvider, string> = {
+  gemini: "gemini-1.5-flash",
+  openai: "gpt-4o-mini",
+  local: "llava",
+};
+
+export interface ModelSettings {
+  provider: ModelProvider;
+  model: string;
+  temperature: number;
+  maxTokens: number;
+}
+
+interface Endpoint {
+  baseUrl: string;
+  apiKey: string | null;
+}
+
+export class ProviderNotConfiguredError extends Error {}
+
+const isProvider = (p: unknown): p is ModelProvider =>
+  MODEL_PROVIDERS.includes(p as ModelProvider);
+
+/**
+ * Request settings over the deployment default (MODEL_PROVIDER / MODEL_NAME secrets).
+ * Throws ProviderNotConfiguredError for an unknown provider.
+ */
+export function resolveModelSettings(req: {
+  provider?: string | null;
+  model?: string | null;
+  generation?: { temperature?: number | null; maxTokens?: number | null };
+}): ModelSettings {
+  const envProvider = Deno.env.get("MODEL_PROVIDER") || "gemini";
+  if (!isProvider(envProvider)) {
+    throw new ProviderNotConfiguredError(`Unknown MODEL_PROVIDER "${envProvider}"`);
+  }
+  const requested = req.provider ?? envProvider;
+  if (!isProvider(requested)) {
+    throw new ProviderNotConfiguredError(`Unknown model provider "${requested}"`);
+  }
+  const envModel = requested === envProvider ? Deno.env.get("MODEL_NAME") : null;
+  const temperature = Number(req.generation?.temperature ?? 0.1);
+  const maxTokens = Number(req.generation?.maxTokens ?? 4096);
+  return {
+    provider: requested,
+    model: req.model || envModel || DEFAULT_MODELS[requested],
+    temperature: Math.min(2, Math.max(0, Number.isFinite(temperature) ? temperature : 0.1)),
+    maxTokens: Math.min(16384, Math.max(256, Number.isFinite(maxTokens) ? maxTokens : 4096)),
+  };
+}
+
+function endpointFor(provider: ModelProvider): Endpoint {
+  switch (provider) {
+    case "gemini": {
+      const apiKey = Deno.env.get("GEMINI_API_KEY");
+      if (!apiKey) throw new ProviderNotConfiguredError("GEMINI_API_KEY not set");
+      return { baseUrl: "https://generativelanguage.googleapis.com/v1beta", apiKey };
+    }
+    case "openai": {
+      const apiKey = Deno.env.get("OPENAI_API_KEY");
+      if (!apiKey) throw new ProviderNotConfiguredError("OPENAI_API_KEY not set");
+      return { baseUrl: Deno.env.get("OPENAI_BASE_URL") || "https://api.openai.com/v1", apiKey };
+    }
+    case "local": {
+      const baseUrl = Deno.env.get("LOCAL_MODEL_BASE_URL");
+      if (!baseUrl) throw new ProviderNotConfiguredError("LOCAL_MODEL_BASE_URL not set");
+      return { baseUrl, apiKey: Deno.env.get("LOCAL_MODEL_API_KEY") || null };
+    }
+  }
+}
+
+/** Throws ProviderNotConfiguredError when the provider's secrets are missing. */
+export function assertConfigured(provider: ModelProvider): void {
+  endpointFor(provider);
+}
+
+export interface ResponseSchema {
+  name: string;
+  schema: Record<string, unknown>;
+}
+
+// JSON Schema → Gemini responseSchema (OpenAPI subset). Parts it cannot
+// express are left out; the client still validates the full schema.
+// deno-lint-ignore no-explicit-any
+function toGeminiSchema(node: any): Record<string, unknown> | null {
+  if (!node || typeof node !== "object") return null;
+  if (Array.isArray(node.anyOf)) {
+    // deno-lint-ignore no-explicit-any
+    const options = node.anyOf.filter((o: any) => o.type !== "null").map(toGeminiSchema).filter(Boolean);
+    if (!options.length) return null;
+    const base = options.length === 1 ? options[0] : { anyOf: options };
+    // deno-lint-ignore no-explicit-any
+    return node.anyOf.some((o: any) => o.type === "null") ? { ...base, nullable: true } : base;
+  }
+  if (typeof node.const === "string") return { type: "STRING", enum: [node.const] };
+
+  const bounds = {
+    ...(node.minimum !== undefined ? { minimum: node.minimum } : {}),
+    ...(node.maximum !== undefined ? { maximum: node.maximum } : {}),
+  };
+  switch (node.type) {
+    case "object": {
+      const properties: Record<string, unknown> = {};
+      for (const [key, value] of Object.entries(node.properties || {})) {
+        const converted = toGeminiSchema(value);
+        if (converted) properties[key] = converted;
+      }
+      if (!Object.keys(properties).length) return null;
+      const required = (node.required || []).filter((key: string) => key in properties);
+      return { type: "OBJECT", properties, ...(required.length ? { required } : {}) };
+    }
+    case "array": {
+      const items = toGeminiSchema(node.items);
+      if (!items) return null;
+      return { type: "ARRAY", items, ...(node.minItems ? { minItems: node.minItems } : {}) };
+    }
+    case "string":
+      return node.enum ? { type: "STRING", enum: node.enum } : { type: "STRING" };
+    case "number":
+      return { type: "NUMBER", ...bounds };
+    case "integer":
+      return { type: "INTEGER", ...bounds };
+    case "boolean":
+      return { type: "BOOLEAN" };
+    default:
+      return null;
+  }
+}
+
+/** A pass's JSON Schema in the provider's response-schema format. */
+export function toProviderSchema(
+  provider: ModelProvider,
+  responseSchema: ResponseSchema | null | undefined,
+): Record<string, unknown> | null {
+  if (!responseSchema?.schema) return null;
+  if (provider === "gemini") return toGeminiSchema(responseSchema.schema);
+  return {
+    type: "json_schema",
+    json_schema: { name: responseSchema.name || "response", schema: responseSchema.schema, strict: false },
+  };
+}
+
+function splitDataUrl(imageBase64: string) {
+  return {
+    mimeType: imageBase64.match(/^data:([^;]+);/)?.[1] || "image/jpeg",
+    data: imageBase64.includes(",") ? imageBase64.split(",")[1] : imageBase64,
+  };
+}
+
+function buildRequest(
+  settings: ModelSettings,
+  endpoint: Endpoint,
+  imageBase64: string,
+  prompt: string,
+  responseSchema: ResponseSchema | null,
+): { url: string; headers: Record<string, string>; body: unknown } {
+  const { mimeType, data } = splitDataUrl(imageBase64);
+  const schema = toProviderSchema(settings.provider, responseSchema);
+  if (settings.provider === "gemini") {
+    return {
+      url: `${endpoint.baseUrl}/models/${settings.model}:generateContent?key=${endpoint.apiKey}`,
+      headers: { "Content-Type": "application/json" },
+      body: {
+        contents: [{ parts: [{ inline_data: { mime_type: mimeType, data } }, { text: prompt }] }],
+        generationConfig: {
+          temperature: settings.temperature,
+          maxOutputTokens: settings.maxTokens,
+          responseMimeType: "application/json",
+          ...(schema ? { responseSchema: schema } : {}),
+        },
+      },
+    };
+  }
+  // OpenAI-compatible chat completions (OpenAI, llama.cpp server, Ollama)
+  return {
+    url: `${endpoint.baseUrl.replace(/\/$/, "")}/chat/completions`,
+    headers: {
+      "Content-Type": "application/json",
+      ...(endpoint.apiKey ? { Authorization: `Bearer ${endpoint.apiKey}` } : {}),
+    },
+    body: {
+      model: settings.model,
+      temperature: settings.temperature,
+      max_tokens: settings.maxTokens,
+      response_format: schema || { type: "json_object" },
+      messages: [{
+        role: "user",
+        content: [
+          { type: "text", text: prompt },
+          { type: "image_url", image_url: { url: `data:${mimeType};base64,${data}` } },
+        ],
+      }],
+    },
+  };
+}
+
+// deno-lint-ignore no-explicit-any
+function extractText(provider: ModelProvider, data: any): string | null {
+  if (provider === "gemini") {
+    // deno-lint-ignore no-explicit-any
+    return data.candidates?.[0]?.content?.parts?.map((p: any) => p.text || "").join("") || null;
+  }
+  const content = data.choices?.[0]?.message?.content;
+  // deno-lint-ignore no-explicit-any
+  return Array.isArray(content) ? content.map((c: any) => c.text || "").join("") : content || null;
+}
+
+/** Model output → JSON object; tolerates code fences and prose around it. */
+export function parseModelJSON(text: string): unknown {
+  const unfenced = text.replace(/```(?:json)?/gi, "");
+  const start = unfenced.indexOf("{");
+  const end = unfenced.lastIndexOf("}");
+  if (start === -1 || end <= start) throw new Error("No JSON found in response");
+  return JSON.parse(unfenced.slice(start, end + 1));
+}
+
+export class ProviderError extends Error {
+  constructor(message: string, readonly status: number) {
+    super(message);
+  }
+}
+
+/** The model answered, but not with parseable JSON; `raw` goes back to the client for repair. */
+export class InvalidModelOutputError extends Error {
+  constructor(message: string, readonly raw: string) {
+    super(message);
+  }
+}
+
+/**
+ * One vision call: image + prompt → parsed JSON.
+ * Throws ProviderError with the upstream status on API failures (504 on
+ * timeout, MODEL_TIMEOUT_MS, default 60 s) and InvalidModelOutputError when
+ * the response is not JSON.
+ */
+export async function callVisionModel(
+  settings: ModelSettings,
+  imageBase64: string,
+  prompt: string,
+  responseSchema: ResponseSchema | null = null,
+): Promise<unknown> {
+  const endpoint = endpointFor(settings.provider);
+  const { url, headers, body } = buildRequest(settings, endpoint, imageBase64, prompt, responseSchema);
+  let res: Response;
+  try {
+    res = await fetch(url, {
+      method: "POST",
+      headers,
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(Number(Deno.env.get("MODEL_TIMEOUT_MS")) || 60_000),
+    });
+  } catch (e) {
+    if ((e as Error).name === "TimeoutError") throw new ProviderError(`${settings.provider} timed out`, 504);
+    throw new ProviderError(`Could not reach ${settings.provider}: ${(e as Error).message}`, 503);
+  }
+  if (!res.ok) {
+    const err = await res.text();
+    console.error(`[model:${settings.provider}] error:`, res.status, err);
+    throw new ProviderError(`${settings.provider} API error ${res.status}`, res.status);
+  }
+  const text = extractText(settings.provider, await res.json());
+  if (!text) throw new ProviderError(`Empty response from ${settings.provider}`, 502);
+  try {
+    return parseModelJSON(text);
+  } catch (e) {
+    throw new InvalidModelOutputError(`Invalid JSON from ${settings.provider}: ${(e as Error).message}`, text);
+  }
+}
@@ -0,0 +1,508 @@
+// Deterministic check of transcribed math for grade-document. Mirrors
+// src/lib/stepVerifier.js (keep the two in step): each written line is checked on
+// its own (arithmetic, units) and against the line before it (equivalent
+// equation, or a solution that satisfies it). A line that cannot be parsed is
+// "unverified", never wrong.
+
+// deno-lint-ignore no-explicit-any
+type Json = Record<string, any>;
+type Dim = number[];
+type Verdict = "valid" | "invalid" | "unverified";
+export interface StepVerdict {
+  verdict: Verdict;
+  detail: string | null;
+}
+interface Node {
+  type: string;
+  value?: number;
+  decimals?: number | null;
+  pi?: boolean;
+  name?: string;
+  unit?: { scale: number; dim: Dim };
+  op?: string;
+  a?: Node;
+  b?: Node;
+}
+interface Line {
+  sides: Node[];
+  approx: boolean;
+  vars: Set<string>;
+}
+
+const SAMPLES = [1.37, 2.71, 0.61, 3.89, 1.93];
+const EPSILON = 1e-9;
+
+const UNITS: Record<string, [number, Dim]> = {
+  mm: [1e-3, [1, 0, 0]], cm: [1e-2, [1, 0, 0]], m: [1, [1, 0, 0]], km: [1e3, [1, 0, 0]],
+  g: [1e-3, [0, 1, 0]], kg: [1, [0, 1, 0]],
+  ms: [1e-3, [0, 0, 1]], s: [1, [0, 0, 1]], min: [60, [0, 0, 1]], h: [3600, [0, 0, 1]],
+  N: [1, [1, 1, -2]], J: [1, [2, 1, -2]], W: [1, [2, 1, -3]], Pa: [1, [-1, 1, -2]], Hz: [1, [0, 0, -1]],
+  deg: [Math.PI / 180, [0, 0, 0]], rad: [1, [0, 0, 0]], // angles: dimensionless, in radians
+};
+const BASE_UNITS = ["m", "kg", "s"];
+
+const FUNCTIONS: Record<string, (x: number) => number> = {
+  sqrt: Math.sqrt, sin: Math.sin, cos: Math.cos, tan: Math.tan, ln: Math.log, log: Math.log10,
+};
+const TRIG = new Set(["sin", "cos", "tan"]);
+
+class ParseError extends Error {}
+class UnitMismatch extends Error {
+  constructor(a: Dim, b: Dim) {
+    super(`units do not match (${formatDim(a)} vs ${formatDim(b)})`);
+  }
+}
+
+function parseUnit(text: string): { scale: number; dim: Dim } | null {
+  const [num, ...den] = text.replace(/²/g, "^2").replace(/³/g, "^3").split("/");
+  let scale = 1;
+  const dim = [0, 0, 0];
+  const parts: [string, number][] = [[num, 1], ...den.map((d): [string, number] => [d, -1])];
+  for (const [part, sign] of parts) {
+    for (const factor of part.split(/[\s*·]+/).filter(Boolean)) {
+      const match = factor.match(/^([a-zA-Z]+)(?:\^(-?\d+))?$/);
+      const unit = match && UNITS[match[1]];
+      if (!match || !unit) return null;
+      const power = sign * Number(match[2] ?? 1);
+      scale *= unit[0] ** power;
+      unit[1].forEach((d, i) => { dim[i] += d * power; });
+    }
+  }
+  return { scale, dim };
+}
+
+function formatDim(dim: Dim): string {
+  const parts = dim
+    .map((p, i) => (p === 0 ? null : p === 1 ? BASE_UNITS[i] : `${BASE_UNITS[i]}^${p}`))
+    .filter(Boolean);
+  return parts.length ? parts.join("·") : "no unit";
+}
+
+const sameDim = (a: Dim, b: Dim) => a.every((d, i) => d === b[i]);
+
+// ─── Normalization ───
+
+function replaceCommand(s: string, name: string, arity: number, fn: (args: string[]) => string): string {
+  const open = `\\${name}{`;
+  let at = s.indexOf(open);
+  while (at !== -1) {
+    const args: string[] = [];
+    let i = at + name.length + 1;
+    for (let n = 0; n < arity; n++) {
+      if (s[i] !== "{") throw new ParseError(`\\${name} needs ${arity} arguments`);
+      let depth = 0;
+      let j = i;
+      for (; j < s.length; j++) {
+        if (s[j] === "{") depth++;
+        else if (s[j] === "}" && --depth === 0) break;
+      }
+      if (depth !== 0) throw new ParseError("Unbalanced braces");
+      args.push(s.slice(i + 1, j));
+      i = j + 1;
+    }
+    s = s.slice(0, at) + fn(args) + s.slice(i);
+    at = s.indexOf(open);
+  }
+  return s;
+}
+
+function normalize(line: string): string {
+  let s = String(line).replace(/\$/g, "").trim();
+  for (const frac of ["frac", "dfrac", "tfrac"]) s = replaceCommand(s, frac, 2, ([a, b]) => `((${a})/(${b}))`);
+  s = replaceCommand(s, "sqrt", 1, ([a]) => `sqrt(${a})`);
+  for (const text of ["mathrm", "text", "textrm"]) s = replaceCommand(s, text, 1, ([a]) => `[${a.trim()}]`);
+  s = s
+    .replace(/\\left|\\right|\\[,;:! ]|\\quad/g, " ")
+    .replace(/\\(?:times|cdot)|[×·∙⋅]/g, "*")
+    .replace(/\\div|÷/g, "/")
+    .replace(/[−–]/g, "-")
+    .replace(/\\approx|≈/g, "~")
+    .replace(/\^\s*\{?\s*\\circ\s*\}?|\\degree|°/g, "[deg]")
+    .replace(/\\pi|π/g, "pi")
+    .replace(/\\(sin|cos|tan|ln|log)\b/g, "$1")
+    .replace(/²/g, "^2").replace(/³/g, "^3")
+    .replace(/_\{(\w+)\}/g, "_$1")
+    .replace(/(\d),(\d{3})(?!\d)/g, "$1$2")
+    .replace(/\{/g, "(").replace(/\}/g, ")");
+  return s.replace(
+    /(\d)\s+([a-zA-Z]+(?:\^-?\d+)?(?:\s*[/*]\s*[a-zA-Z]+(?:\^-?\d+)?)*)(?=\s*(?:$|[=~)+-]))/g,
+    (whole, digit, unit) => (parseUnit(unit) ? `${digit}[${unit}]` : whole),
+  );
+}
+
+// ─── Parser ───
+
+const TOKEN = /\s*(?:(\d+\.?\d*|\.\d+)|\[([^\]]+)\]|(sqrt|sin|cos|tan|ln|log|pi)|([a-zA-Z](?:_\w+)?)|([-+*/^()=~]))/y;
+
+function tokenize(s: string): Node[] {
+  const tokens: Node[] = [];
+  TOKEN.lastIndex = 0;
+  while (TOKEN.lastIndex < s.length) {
+    if (/^\s*$/.test(s.slice(TOKEN.lastIndex))) break;
+    const m = TOKEN.exec(s);
+    if (!m) throw new ParseError(`Unexpected "${s.slice(TOKEN.lastIndex).trim().slice(0, 10)}"`);
+    if (m[1]) tokens.push({ type: "num", value: Number(m[1]), decimals: (m[1].split(".")[1] || "").length });
+    else if (m[2]) {
+      const unit = parseUnit(m[2]);
+      if (!unit) throw new ParseError(`Unknown unit ${m[2]}`);
+      tokens.push({ type: "unit", unit });
+    } else if (m[3]) tokens.push(m[3] === "pi" ? { type: "num", value: Math.PI, decimals: null, pi: true } : { type: "fn", name: m[3] });
+    else if (m[4]) tokens.push({ type: "var", name: m[4] });
+    else tokens.push({ type: "op", op: m[5] });
+  }
+  return tokens;
+}
+
+function parseExpression(tokens: Node[]): Node {
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const isOp = (op: string) => peek()?.type === "op" && peek().op === op;
+  const startsAtom = (t: Node | undefined) => t && (t.type !== "op" || t.op === "(");
+
+  function expr(): Node {
+    let node = term();
+    while (isOp("+") || isOp("-")) {
+      const op = tokens[pos++].op!;
+      node = { type: op, a: node, b: term() };
+    }
+    return node;
+  }
+  function term(): Node {
+    let node = unary();
+    for (;;) {
+      if (isOp("*") || isOp("/")) {
+        const op = tokens[pos++].op!;
+        node = { type: op, a: node, b: unary() };
+      } else if (startsAtom(peek())) {
+        node = { type: "*", a: node, b: power() };
+      } else {
+        return node;
+      }
+    }
+  }
+  function unary(): Node {
+    if (isOp("-")) { pos++; return { type: "neg", a: unary() }; }
+    if (isOp("+")) { pos++; return unary(); }
+    return power();
+  }
+  function power(): Node {
+    const base = atom();
+    if (isOp("^")) { pos++; return { type: "^", a: base, b: unary() }; }
+    return base;
+  }
+  function atom(): Node {
+    const t = tokens[pos++];
+    if (!t) throw new ParseError("Unexpected end of expression");
+    if (t.type === "num" || t.type === "var" || t.type === "unit") return t;
+    if (t.type === "fn") return { type: "fn", name: t.name, a: atom() };
+    if (t.type === "op" && t.op === "(") {
+      const inner = expr();
+      if (!isOp(")")) throw new ParseError("Missing )");
+      pos++;
+      return inner;
+    }
+    throw new ParseError(`Unexpected "${t.op}"`);
+  }
+
+  const tree = expr();
+  if (pos < tokens.length) throw new ParseError(`Unexpected "${tokens[pos].op ?? tokens[pos].name}"`);
+  return tree;
+}
+
+function variablesOf(node: Node | undefined, out = new Set<string>()): Set<string> {
+  if (!node) return out;
+  if (node.type === "var") out.add(node.name!);
+  variablesOf(node.a, out);
+  variablesOf(node.b, out);
+  return out;
+}
+
+// sin(30°) is a plain number, whatever its angle is written in
+const hasUnit = (node: Node | undefined): boolean =>
+  Boolean(node) && (node!.type === "unit" ||
+    (!(node!.type === "fn" && TRIG.has(node!.name!)) && (hasUnit(node!.a) || hasUnit(node!.b))));
+
+// Degrees or radians written out, or a multiple of π: cos(60) could be either
+const isExplicitAngle = (node: Node | undefined): boolean =>
+  Boolean(node) && (Boolean(node!.pi) || (node!.type === "unit" && sameDim(node!.unit!.dim, [0, 0, 0])) ||
+    isExplicitAngle(node!.a) || isExplicitAngle(node!.b));
+
+// ─── Evaluation ───
+
+function evaluate(node: Node, env: Record<string, number>): { v: number; d: Dim | null } {
+  switch (node.type) {
+    case "num":
+      return { v: node.value!, d: null };
+    case "unit":
+      return { v: node.unit!.scale, d: node.unit!.dim };
+    case "var":
+      if (!(node.name! in env)) throw new ParseError(`Unbound ${node.name}`);
+      return { v: env[node.name!], d: null };
+    case "neg": {
+      const a = evaluate(node.a!, env);
+      return { v: -a.v, d: a.d };
+    }
+    case "+":
+    case "-": {
+      const a = evaluate(node.a!, env);
+      const b = evaluate(node.b!, env);
+      if (a.d && b.d && !sameDim(a.d, b.d)) throw new UnitMismatch(a.d, b.d);
+      return { v: node.type === "+" ? a.v + b.v : a.v - b.v, d: a.d ?? b.d };
+    }
+    case "*":
+    case "/": {
+      const a = evaluate(node.a!, env);
+      const b = evaluate(node.b!, env);
+      const sign = node.type === "*" ? 1 : -1;
+      const d = a.d || b.d ? [0, 1, 2].map((i) => (a.d?.[i] ?? 0) + sign * (b.d?.[i] ?? 0)) : null;
+      return { v: node.type === "*" ? a.v * b.v : a.v / b.v, d };
+    }
+    case "^": {
+      const a = evaluate(node.a!, env);
+      const b = evaluate(node.b!, env);
+      return { v: a.v ** b.v, d: a.d ? a.d.map((x) => x * b.v) : null };
+    }
+    case "fn": {
+      const a = evaluate(node.a!, env);
+      if (node.name === "sqrt") return { v: Math.sqrt(a.v), d: a.d ? a.d.map((x) => x / 2) : null };
+      if (TRIG.has(node.name!) && !isExplicitAngle(node.a)) throw new ParseError("Angle without degrees or radians");
+      return { v: FUNCTIONS[node.name!](a.v), d: null };
+    }
+    default:
+      throw new ParseError("Unknown node");
+  }
+}
+
+const formatNumber = (n: number) => String(Number(n.toPrecision(6)));
+
+function writtenTolerance(node: Node): number {
+  const literal = node.type === "num"
+    ? node
+    : node.type === "*" && node.a!.type === "num" && node.b!.type === "unit"
+    ? node.a!
+    : null;
+  if (!literal || literal.decimals == null) return 0;
+  const scale = node.type === "*" ? node.b!.unit!.scale : 1;
+  return 0.5 * 10 ** -literal.decimals * scale;
+}
+
+function closeEnough(a: number, b: number, tolerance: number, approx: boolean): boolean {
+  const tol = Math.max(tolerance, EPSILON * Math.max(1, Math.abs(a), Math.abs(b)), approx ? 0.01 * Math.abs(b) : 0);
+  return Math.abs(a - b) <= tol * 1.0001;
+}
+
+// ─── Lines ───
+
+function parseLine(line: unknown): Line | null {
+  if (!line || typeof line !== "string") return null;
+  try {
+    const tokens = tokenize(normalize(line));
+    if (!tokens.length) return null;
+    const sides: Node[][] = [[]];
+    let approx = false;
+    for (const t of tokens) {
+      if (t.type === "op" && (t.op === "=" || t.op === "~")) {
+        approx ||= t.op === "~";
+        sides.push([]);
+      } else {
+        sides[sides.length - 1].push(t);
+      }
+    }
+    if (sides.some((s) => !s.length)) return null;
+    const trees = sides.map(parseExpression);
+    const vars = new Set(trees.flatMap((t) => [...variablesOf(t)]));
+    return { sides: trees, approx, vars };
+  } catch (e) {
+    if (e instanceof ParseError) return null;
+    throw e;
+  }
+}
+
+function checkWithinLine(line: Line): StepVerdict | null {
+  let compared = false;
+  try {
+    const constant = line.sides.map((side) => (variablesOf(side).size ? null : evaluate(side, {})));
+    for (let i = 1; i < line.sides.length; i++) {
+      const [a, b] = [constant[i - 1], constant[i]];
+      if (!a || !b) continue;
+      // A unit on one side only (2 · 3 = 6 cm²) may be the student's shorthand, not an error
+      if (hasUnit(line.sides[i - 1]) !== hasUnit(line.sides[i])) continue;
+      if (a.d && b.d && !sameDim(a.d, b.d)) return { verdict: "invalid", detail: new UnitMismatch(a.d, b.d).message };
+      if (!Number.isFinite(a.v) || !Number.isFinite(b.v)) {
+        // 10 / 0 = 5: an undefined side cannot equal a number
+        if (Number.isFinite(a.v) === Number.isFinite(b.v)) continue;
+        return { verdict: "invalid", detail: "one side is undefined (division by zero?)" };
+      }
+      const tolerance = Math.max(writtenTolerance(line.sides[i - 1]), writtenTolerance(line.sides[i]));
+      if (!closeEnough(a.v, b.v, tolerance, line.approx)) {
+        return { verdict: "invalid", detail: `${formatNumber(a.v)} ≠ ${formatNumber(b.v)}` };
+      }
+      compared = true;
+    }
+    for (const side of line.sides) evaluate(side, Object.fromEntries([...line.vars].map((v) => [v, 1])));
+  } catch (e) {
+    if (e instanceof UnitMismatch) return { verdict: "invalid", detail: e.message };
+    if (!(e instanceof ParseError)) throw e;
+  }
+  return compared ? { verdict: "valid", detail: null } : null;
+}
+
+function residual(line: Line, env: Record<string, number>): number {
+  const first = evaluate(line.sides[0], env).v;
+  return line.sides.length > 1 ? first - evaluate(line.sides[line.sides.length - 1], env).v : first;
+}
+
+const envFor = (vars: Set<string>, k: number) =>
+  Object.fromEntries([...vars].map((v, i) => [v, SAMPLES[(k + i) % SAMPLES.length] + i]));
+
+function checkAgainstPrevious(prev: Line, line: Line): StepVerdict | null {
+  const isEquation = (l: Line) => l.sides.length > 1;
+  if (isEquation(prev) !== isEquation(line)) return null;
+  if (prev.sides.some(hasUnit) !== line.sides.some(hasUnit)) return null;
+
+  try {
+    const vars = new Set([...prev.vars, ...line.vars]);
+    const ratios: number[] = [];
+    for (let k = 0; k < SAMPLES.length; k++) {
+      const env = envFor(vars, k);
+      const p = residual(prev, env);
+      const c = residual(line, env);
+      if (!Number.isFinite(p) || !Number.isFinite(c)) return null;
+      if (Math.abs(p) < EPSILON && Math.abs(c) < EPSILON) continue;
+      ratios.push(isEquation(line) ? p / c : p - c);
+    }
+    const target = isEquation(line) ? ratios[0] : 0;
+    const usable = isEquation(line) ? Number.isFinite(target) && target !== 0 : true;
+    if (ratios.length && usable && ratios.every((r) => Math.abs(r - target) <= 1e-6 * Math.max(1, Math.abs(target)))) {
+      return { verdict: "valid", detail: null };
+    }
+
+    const solved = solvedValue(line) ?? linearRoot(line);
+    if (solved && Number.isFinite(solved.value) && prev.vars.size === 1 && prev.vars.has(solved.name)) {
+      const f = (x: number) => residual(prev, { [solved.name]: x });
+      const h = Math.max(1e-6, Math.abs(solved.value) * 1e-6);
+      const slope = Math.abs((f(solved.value + h) - f(solved.value - h)) / (2 * h));
+      const tolerance = Math.max(
+        EPSILON,
+        solved.tolerance * slope,
+        line.approx ? 0.01 * Math.abs(solved.value) * slope : 0,
+      );
+      if (Math.abs(f(solved.value)) <= tolerance * 1.0001) return { verdict: "valid", detail: null };
+      return {
+        verdict: "invalid",
+        detail: `this step gives ${solved.name} = ${formatNumber(solved.value)}, which does not satisfy the previous step`,
+      };
+    }
+
+    if (!isEquation(line) && !vars.size) {
+      return { verdict: "invalid", detail: `${formatNumber(residual(prev, {}))} ≠ ${formatNumber(residual(line, {}))}` };
+    }
+  } catch (e) {
+    if (e instanceof ParseError || e instanceof UnitMismatch) return null;
+    throw e;
+  }
+  return null;
+}
+
+function solvedValue(line: Line): { name: string; value: number; tolerance: number } | null {
+  if (line.sides.length < 2 || line.vars.size !== 1) return null;
+  const first = line.sides[0];
+  const last = line.sides[line.sides.length - 1];
+  const [named, value] = first.type === "var" && !variablesOf(last).size
+    ? [first, last]
+    : last.type === "var" && !variablesOf(first).size
+    ? [last, first]
+    : [null, null];
+  if (!named || !value) return null;
+  return { name: named.name!, value: evaluate(value, {}).v, tolerance: writtenTolerance(value) };
+}
+
+function linearRoot(line: Line): { name: string; value: number; tolerance: number } | null {
+  if (line.sides.length < 2 || line.vars.size !== 1) return null;
+  const [name] = line.vars;
+  const f = (x: number) => residual(line, { [name]: x });
+  const b = f(0);
+  const a = f(1) - b;
+  if (!Number.isFinite(a) || Math.abs(a) < EPSILON) return null;
+  const linear = SAMPLES.every((x) => Math.abs(f(x) - (a * x + b)) <= 1e-9 * Math.max(1, Math.abs(f(x))));
+  return linear ? { name, value: -b / a, tolerance: 0 } : null;
+}
+
+// ─── Public API ───
+
+// Regression cases, as in src/lib/stepVerifier.js: keep these verdicts when changing the checker
+//   \cos(60) = 0.5              unverified (degrees or radians?)
+//   \sin(30^\circ) = 0.5        valid
+//   \sin(\pi/6) = 0.5           valid (a multiple of π is radians)
+//   2 \cdot 3 = 6 \text{ cm}^2  unverified (unit on one side only)
+//   10 / 0 = 5                  invalid (one side is undefined)
+export function verifySteps(lines: (string | null)[]): StepVerdict[] {
+  const parsed = lines.map(parseLine);
+  return parsed.map((line, i) => {
+    if (!line) return { verdict: "unverified", detail: null };
+    const within = checkWithinLine(line);
+    if (within?.verdict === "invalid") return within;
+    const link = parsed[i - 1] ? checkAgainstPrevious(parsed[i - 1]!, line) : null;
+    if (link?.verdict === "invalid") return link;
+    return within || link || { verdict: "unverified", detail: null };
+  });
+}
+
+export interface StepCheckSummary {
+  checked: number;
+  invalid: number;
+  disagreements: number;
+  questionIds: string[];
+}
+
+/**
+ * Check each response's work shown and compare with the model's grading
+ * (full mode only — quick mode does not run server-side). Annotates the
+ * responses and the matching logic-trace rows and returns flags for the page.
+ */
+export function checkResponses(logicTrace: Json[], responses: Json[]) {
+  const summary: StepCheckSummary = { checked: 0, invalid: 0, disagreements: 0, questionIds: [] };
+  const flags: Json[] = [];
+
+  const checkedResponses = responses.map((r) => {
+    const steps = verifySteps((r.workSteps || []).map((st: Json) => st?.latex || st?.text || null));
+    for (const s of steps) {
+      if (s.verdict !== "unverified") summary.checked++;
+      if (s.verdict === "invalid") summary.invalid++;
+    }
+    if (!steps.some((s) => s.verdict !== "unverified")) return r;
+
+    const firstInvalid = steps.find((s) => s.verdict === "invalid");
+    const onlyGivenUnverified = steps.slice(1).every((s) => s.verdict === "valid");
+    let detail: string | null = null;
+    if (firstInvalid && r.isCorrect === true) detail = `Marked correct, but ${firstInvalid.detail}`;
+    else if (!firstInvalid && onlyGivenUnverified && r.errorType === "COMPUTATIONAL") {
+      detail = "Marked as a computational error, but every step checks out";
+    }
+    if (detail) {
+      summary.disagreements++;
+      summary.questionIds.push(String(r.questionId));
+      flags.push({ type: "STEP_CHECK_DISAGREEMENT", questionId: String(r.questionId), detail });
+    }
+    return {
+      ...r,
+      stepCheck: {
+        verdict: firstInvalid ? "invalid" : "valid",
+        disagrees: Boolean(detail),
+        detail: detail || firstInvalid?.detail || null,
+        steps,
+      },
+    };
+  });
+
+  const byQuestion = new Map(checkedResponses.map((r) => [String(r.questionId), r.stepCheck]));
+  return {
+    responses: checkedResponses,
+    logicTrace: logicTrace.map((step, i) => {
+      const check = byQuestion.get(String(responses[i]?.questionId));
+      return check ? { ...step, check: { verdict: check.verdict, disagrees: check.disagrees, detail: check.detail } } : step;
+    }),
+    flags,
+    summary,
+  };
+}
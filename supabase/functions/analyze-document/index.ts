@@ -1,106 +1,74 @@
-// Supabase Edge Function: proxy for Gemini vision API.
-// Keeps GEMINI_API_KEY server-side. Accepts { imageBase64, prompt }, returns Gemini JSON.
+// Supabase Edge Function: proxy for the vision model.
+// Keeps provider keys server-side. Accepts { imageBase64, prompt, provider?, model?, generation?, responseSchema? },
+// returns the model's JSON. Provider defaults to the MODEL_PROVIDER secret (gemini).
+// Requires a signed-in user; each call is checked against the caller's (and school's) rate limit
+// and daily quota and metered in model_usage. Errors are { error, code } (see _shared/http.ts).
+// Non-JSON model output returns 422 INVALID_MODEL_OUTPUT with the raw text so the client can re-prompt for a repair.
 
-const GEMINI_BASE = "https://generativelanguage.googleapis.com/v1beta";
-
-function parseJSON(text: string): unknown {
-  const match = text.match(/\{[\s\S]*\}/);
-  if (!match) throw new Error("No JSON found in response");
-  return JSON.parse(match[0]);
-}
+import {
+  assertConfigured,
+  callVisionModel,
+  InvalidModelOutputError,
+  ProviderError,
+  ProviderNotConfiguredError,
+  resolveModelSettings,
+  type ResponseSchema,
+} from "../_shared/modelProviders.ts";
+import { errorResponse, handlePreflight, HttpError, jsonResponse, providerHttpError } from "../_shared/http.ts";
+import { finishUsage, readJsonBody, requireUser, reserveQuota, validateImage } from "../_shared/guard.ts";
 
 Deno.serve(async (req: Request) => {
-  if (req.method === "OPTIONS") {
-    return new Response(null, { status: 204, headers: corsHeaders() });
-  }
-  if (req.method !== "POST") {
-    return jsonResponse({ error: "Method not allowed" }, 405);
-  }
+  const early = handlePreflight(req);
+  if (early) return early;
 
-  const apiKey = Deno.env.get("GEMINI_API_KEY");
-  if (!apiKey) {
-    console.error("[analyze-document] GEMINI_API_KEY not set");
-    return jsonResponse({ error: "Server configuration error" }, 500);
-  }
-
-  let body: { imageBase64?: string; prompt?: string };
   try {
-    body = await req.json();
-  } catch {
-    return jsonResponse({ error: "Invalid JSON body" }, 400);
-  }
-  const { imageBase64, prompt } = body;
-  if (!imageBase64 || !prompt) {
-    return jsonResponse(
-      { error: "Missing imageBase64 or prompt" },
-      400
-    );
-  }
+    const { supabase } = await requireUser(req);
 
-  const base64Data = imageBase64.includes(",")
-    ? imageBase64.split(",")[1]
-    : imageBase64;
+    const body = await readJsonBody<{
+      imageBase64?: string;
+      prompt?: string;
+      provider?: string | null;
+      model?: string | null;
+      generation?: { temperature?: number | null; maxTokens?: number | null };
+      responseSchema?: ResponseSchema | null;
+    }>(req);
+    const imageBytes = validateImage(body.imageBase64);
+    if (!body.prompt || typeof body.prompt !== "string") {
+      throw new HttpError(400, "INVALID_REQUEST", "Missing prompt");
+    }
 
-  const geminiBody = {
-    contents: [
-      {
-        parts: [
-          { inline_data: { mime_type: "image/jpeg", data: base64Data } },
-          { text: prompt },
-        ],
-      },
-    ],
-    generationConfig: {
-      temperature: 0.1,
-      responseMimeType: "application/json",
-    },
-  };
+    let settings;
+    try {
+      settings = resolveModelSettings(body);
+      assertConfigured(settings.provider);
+    } catch (e) {
+      if (e instanceof ProviderNotConfiguredError) {
+        console.error("[analyze-document]", e.message);
+        throw new HttpError(400, "PROVIDER_NOT_CONFIGURED", `Model provider not configured: ${e.message}`);
+      }
+      throw e;
+    }
 
-  const url = `${GEMINI_BASE}/models/gemini-1.5-flash:generateContent?key=${apiKey}`;
-  const res = await fetch(url, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify(geminiBody),
-  });
+    const usageId = await reserveQuota(supabase, "analyze-document", 1);
+    const meter = (ok: boolean, errorCode?: string) =>
+      finishUsage(supabase, usageId, { ok, modelCalls: 1, provider: settings.provider, model: settings.model, imageBytes, errorCode });
 
-  if (!res.ok) {
-    const err = await res.text();
-    console.error("[analyze-document] Gemini error:", res.status, err);
-    return jsonResponse(
-      { error: `Gemini API error ${res.status}` },
-      res.status === 401 ? 502 : 502
-    );
-  }
-
-  const data = await res.json();
-  const text = data.candidates?.[0]?.content?.parts?.[0]?.text;
-  if (!text) {
-    return jsonResponse({ error: "Empty response from Gemini" }, 502);
-  }
-
-  try {
-    const parsed = parseJSON(text);
-    return new Response(JSON.stringify(parsed), {
-      status: 200,
-      headers: { ...corsHeaders(), "Content-Type": "application/json" },
-    });
+    try {
+      const parsed = await callVisionModel(settings, body.imageBase64!, body.prompt, body.responseSchema ?? null);
+      await meter(true);
+      return jsonResponse(req, parsed as object, 200);
+    } catch (e) {
+      if (e instanceof InvalidModelOutputError) {
+        await meter(false, "INVALID_MODEL_OUTPUT");
+        return jsonResponse(req, { error: e.message, code: "INVALID_MODEL_OUTPUT", raw: e.raw.slice(0, 20000) }, 422);
+      }
+      const err = e instanceof ProviderError ? providerHttpError(e, settings.provider) : e;
+      await meter(false, err instanceof HttpError ? err.code : "SERVER_ERROR");
+      throw err;
+    }
   } catch (e) {
-    console.error("[analyze-document] Parse error:", e);
-    return jsonResponse({ error: "Invalid response from Gemini" }, 502);
+    if (e instanceof HttpError) return errorResponse(req, e);
+    console.error("[analyze-document] Unexpected failure:", e);
+    return errorResponse(req, new HttpError(500, "SERVER_ERROR", "Analysis failed"));
   }
 });
-
-function corsHeaders(): Record<string, string> {
-  return {
-    "Access-Control-Allow-Origin": "*",
-    "Access-Control-Allow-Methods": "POST, OPTIONS",
-    "Access-Control-Allow-Headers": "Content-Type, Authorization",
-  };
-}
-
-function jsonResponse(obj: object, status: number): Response {
-  return new Response(JSON.stringify(obj), {
-    status,
-    headers: { ...corsHeaders(), "Content-Type": "application/json" },
-  });
-}
@@ -0,0 +1,203 @@
+// Supabase Edge Function: grade a document server-side in one request.
+// Accepts the redacted image once, with the client-rendered prompts, the pass JSON Schemas
+// and the assignment context, and runs structure → extraction → verification (with schema
+// repair) here. Progress streams back as NDJSON:
+//   { type: "pass", pass, status: "started" | "repairing" | "done" | "skipped" | "failed", attempt? }
+//   { type: "result", result, traceId, persistError? }   — last line on success
+//   { type: "error", status, code, error, pass?, issues? } — last line on failure
+// Requires a signed-in user and is metered like analyze-document: the request reserves two
+// model calls against the caller's rate limit and daily quota, and repairs are added when it
+// finishes. Errors before the stream starts are { error, code } JSON (see _shared/http.ts).
+// With `persist`, the trace and its question responses are written under the caller's JWT
+// (RLS applies) and `traceId` is set; otherwise traceId is null. A persisted result must
+// first pass `schemas.stored` (the client's StoredResultSchema), or persistError is set.
+
+import type { SupabaseClient } from "npm:@supabase/supabase-js@2";
+import {
+  assertConfigured,
+  ProviderError,
+  ProviderNotConfiguredError,
+  resolveModelSettings,
+} from "../_shared/modelProviders.ts";
+import {
+  type GradingRequest,
+  PASSES,
+  PassValidationError,
+  type PersistContext,
+  runGradingPipeline,
+  toStoredResult,
+  toTraceRows,
+} from "../_shared/gradingPipeline.ts";
+import { validateAgainstSchema } from "../_shared/jsonSchema.ts";
+import { corsHeaders, errorResponse, handlePreflight, HttpError, providerHttpError } from "../_shared/http.ts";
+import { finishUsage, readJsonBody, requireUser, reserveQuota, validateImage } from "../_shared/guard.ts";
+
+// structure + extraction; verification and repairs are counted when the request finishes
+const RESERVED_MODEL_CALLS = 2;
+
+Deno.serve(async (req: Request) => {
+  const early = handlePreflight(req);
+  if (early) return early;
+
+  try {
+    return await grade(req);
+  } catch (e) {
+    if (e instanceof HttpError) return errorResponse(req, e);
+    console.error("[grade-document] Unexpected failure:", e);
+    return errorResponse(req, new HttpError(500, "SERVER_ERROR", "Grading failed"));
+  }
+});
+
+async function grade(req: Request): Promise<Response> {
+  const { supabase, user } = await requireUser(req);
+
+  const body = await readJsonBody<{
+    imageBase64?: string;
+    provider?: string | null;
+    model?: string | null;
+    generation?: { temperature?: number | null; maxTokens?: number | null };
+    prompts?: GradingRequest["prompts"];
+    schemas?: GradingRequest["schemas"];
+    imageQuality?: GradingRequest["imageQuality"];
+    historicalAccuracy?: GradingRequest["historicalAccuracy"];
+    rubric?: GradingRequest["rubric"];
+    persist?: PersistContext | null;
+  }>(req);
+
+  const imageBytes = validateImage(body.imageBase64);
+  const { prompts, schemas } = body;
+  if (typeof prompts?.structure !== "string" || typeof prompts?.extraction !== "object") {
+    throw new HttpError(400, "INVALID_REQUEST", "Missing prompts");
+  }
+  if (!schemas || PASSES.some((pass) => typeof schemas[pass] !== "object")) {
+    throw new HttpError(400, "INVALID_REQUEST", `Missing pass schemas (expected ${PASSES.join(", ")})`);
+  }
+
+  let settings;
+  try {
+    settings = resolveModelSettings(body);
+    assertConfigured(settings.provider);
+  } catch (e) {
+    if (e instanceof ProviderNotConfiguredError) {
+      console.error("[grade-document]", e.message);
+      throw new HttpError(400, "PROVIDER_NOT_CONFIGURED", `Model provider not configured: ${e.message}`);
+    }
+    throw e;
+  }
+
+  const usageId = await reserveQuota(supabase, "grade-document", RESERVED_MODEL_CALLS);
+  let modelCalls = 0;
+
+  const grading: GradingRequest = {
+    imageBase64: body.imageBase64!,
+    settings,
+    prompts,
+    schemas,
+    imageQuality: body.imageQuality ?? null,
+    historicalAccuracy: body.historicalAccuracy ?? null,
+    rubric: body.rubric ?? null,
+    onModelCall: () => modelCalls++,
+  };
+
+  const encoder = new TextEncoder();
+  const stream = new ReadableStream({
+    async start(controller) {
+      const send = (event: object) => controller.enqueue(encoder.encode(`${JSON.stringify(event)}\n`));
+      let errorCode: string | undefined;
+      try {
+        const result = await runGradingPipeline(grading, send);
+        let traceId: string | null = null;
+        let persistError: string | undefined;
+        if (body.persist) {
+          try {
+            traceId = await persistTrace(supabase, result, schemas.stored, body.persist, user.id);
+          } catch (e) {
+            // The grade is still good — the client falls back to storing it itself
+            console.error("[grade-document] Persist failed:", e);
+            persistError = (e as Error).message;
+          }
+        }
+        send({ type: "result", result, traceId, ...(persistError ? { persistError } : {}) });
+      } catch (e) {
+        const event = errorEvent(e, settings.provider);
+        errorCode = event.code;
+        send(event);
+        if (e instanceof PassValidationError) {
+          await logAnalysisError(supabase, user.id, e, settings).catch((logErr) =>
+            console.error("[grade-document] analysis_errors insert failed:", logErr)
+          );
+        }
+      } finally {
+        await finishUsage(supabase, usageId, {
+          ok: !errorCode,
+          modelCalls,
+          provider: settings.provider,
+          model: settings.model,
+          imageBytes,
+          errorCode,
+        });
+        controller.close();
+      }
+    },
+  });
+
+  return new Response(stream, {
+    status: 200,
+    headers: { ...corsHeaders(req), "Content-Type": "application/x-ndjson", "Cache-Control": "no-store" },
+  });
+}
+
+// Only a result that passes the client's StoredResultSchema is written, so every stored
+// trace reads back on the client; otherwise the client validates and stores it itself.
+async function persistTrace(
+  supabase: SupabaseClient,
+  // deno-lint-ignore no-explicit-any
+  result: any,
+  storedSchema: GradingRequest["schemas"]["stored"],
+  persist: PersistContext,
+  userId: string,
+) {
+  if (typeof storedSchema !== "object") throw new Error("Missing stored result schema");
+  const validation = validateAgainstSchema(storedSchema, toStoredResult(result));
+  if (!validation.success) {
+    const issues = validation.issues.slice(0, 3).map((i) => `${i.path}: ${i.message}`).join("; ");
+    throw new Error(`Stored result failed validation: ${issues}`);
+  }
+  const { trace, responses } = toTraceRows(validation.data as Record<string, unknown>, persist, userId);
+  const { error } = await supabase.from("logic_traces").insert(trace);
+  if (error) throw new Error(`logic_traces insert failed: ${error.message}`);
+  if (responses.length) {
+    const { error: respError } = await supabase.from("question_responses").insert(responses);
+    if (respError) console.error("[grade-document] question_responses insert failed:", respError);
+  }
+  return trace.id;
+}
+
+async function logAnalysisError(
+  supabase: SupabaseClient,
+  userId: string,
+  e: PassValidationError,
+  settings: { provider: string; model: string },
+) {
+  const { error } = await supabase.from("analysis_errors").insert({
+    user_id: userId,
+    raw_response: e.raw,
+    error: e.message,
+    capture_metadata: { pass: e.pass, issues: e.issues, model: settings, source: "grade-document" },
+    created_at: new Date().toISOString(),
+  });
+  if (error) throw error;
+}
+
+// Same codes as analyze-document's JSON errors, carried in the stream's last line
+function errorEvent(e: unknown, provider: string) {
+  if (e instanceof PassValidationError) {
+    return { type: "error", status: 422, code: "SCHEMA_VALIDATION_FAILED", error: e.message, pass: e.pass, issues: e.issues };
+  }
+  if (e instanceof ProviderError) {
+    const err = providerHttpError(e, provider);
+    return { type: "error", status: err.status, code: err.code, error: err.message, ...err.extra };
+  }
+  console.error("[grade-document] Grading failed:", e);
+  return { type: "error", status: 500, code: "SERVER_ERROR", error: "Grading failed" };
+}
@@ -0,0 +1,57 @@
+// Supabase Edge Function: purge captured pages past their retention period.
+// Run on a schedule (see supabase/README.md). Deletes expired objects from the
+// page-images bucket and clears logic_traces.page_image_path; the grades stay.
+// Only callable with the service role key, since it acts on every teacher's pages.
+// Returns { purged, remaining } — remaining is true when a batch limit was hit.
+
+import { createClient } from "npm:@supabase/supabase-js@2";
+import { errorResponse, HttpError, jsonResponse } from "../_shared/http.ts";
+
+const BUCKET = "page-images";
+const BATCH_SIZE = 500;
+const MAX_BATCHES = 10;
+
+Deno.serve(async (req: Request) => {
+  try {
+    const supabaseUrl = Deno.env.get("SUPABASE_URL");
+    const serviceKey = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY");
+    if (!supabaseUrl || !serviceKey) {
+      throw new HttpError(500, "SERVER_ERROR", "Server configuration error");
+    }
+    if (req.headers.get("Authorization") !== `Bearer ${serviceKey}`) {
+      throw new HttpError(401, "AUTH_REQUIRED", "Purging requires the service role key");
+    }
+
+    const admin = createClient(supabaseUrl, serviceKey, { auth: { persistSession: false } });
+    let purged = 0;
+
+    for (let batch = 0; batch < MAX_BATCHES; batch++) {
+      const { data: expired, error } = await admin
+        .from("logic_traces")
+        .select("id, page_image_path")
+        .not("page_image_path", "is", null)
+        .lt("page_image_expires_at", new Date().toISOString())
+        .limit(BATCH_SIZE);
+      if (error) throw error;
+      if (!expired.length) return jsonResponse(req, { purged, remaining: false }, 200);
+
+      // Objects first: a cleared link with a surviving object would never be purged
+      const { error: removeError } = await admin.storage.from(BUCKET).remove(expired.map((t) => t.page_image_path));
+      if (removeError) throw removeError;
+
+      const { error: updateError } = await admin
+        .from("logic_traces")
+        .update({ page_image_path: null })
+        .in("id", expired.map((t) => t.id));
+      if (updateError) throw updateError;
+
+      purged += expired.length;
+      if (expired.length < BATCH_SIZE) return jsonResponse(req, { purged, remaining: false }, 200);
+    }
+    return jsonResponse(req, { purged, remaining: true }, 200);
+  } catch (e) {
+    if (e instanceof HttpError) return errorResponse(req, e);
+    console.error("[purge-page-images] Unexpected failure:", e);
+    return errorResponse(req, new HttpError(500, "SERVER_ERROR", "Purge failed"));
+  }
+});
@@ -1,49 +1,65 @@
 // Supabase Edge Function: submit teacher correction.
 // Validates payload and inserts into corrections table with user_id from JWT.
+// When the payload carries a teacher override, it also becomes the trace's
+// displayed grade (logic_traces.teacher_override, own traces only). Both writes
+// happen in the submit_correction database function, so either both land or neither.
+// CORS and auth are shared with the analysis functions (_shared/http.ts, _shared/guard.ts).
 
-import { createClient } from "npm:@supabase/supabase-js@2";
+import { errorResponse, handlePreflight, HttpError, jsonResponse } from "../_shared/http.ts";
+import { requireUser } from "../_shared/guard.ts";
 
-function corsHeaders(): Record<string, string> {
-  return {
-    "Access-Control-Allow-Origin": "*",
-    "Access-Control-Allow-Methods": "POST, OPTIONS",
-    "Access-Control-Allow-Headers": "Content-Type, Authorization",
-  };
-}
+type TeacherOverride = {
+  score: number;
+  isCorrect: boolean;
+  errorType: string;
+  divergenceStep: number | null;
+  remediation: string;
+  steps?: { step: number; isValid: boolean }[];
+  questions?: { questionId: string; isCorrect: boolean | "partial" | null }[];
+  correctedAt?: string;
+};
 
-function jsonResponse(obj: object, status: number): Response {
-  return new Response(JSON.stringify(obj), {
-    status,
-    headers: { ...corsHeaders(), "Content-Type": "application/json" },
-  });
-}
+const ERROR_TYPES = ["COMPUTATIONAL", "PROCEDURAL", "CONCEPTUAL", "TRANSCRIPTION", "NONE"];
 
-Deno.serve(async (req: Request) => {
-  if (req.method === "OPTIONS") {
-    return new Response(null, { status: 204, headers: corsHeaders() });
+// Mirrors TeacherOverrideSchema in src/lib/schema.js. Returns an error message or null.
+function validateOverride(o: TeacherOverride): string | null {
+  if (typeof o !== "object" || o === null) return "expected an object";
+  if (typeof o.score !== "number" || o.score < 0 || o.score > 100) return "score must be 0-100";
+  if (typeof o.isCorrect !== "boolean") return "isCorrect must be a boolean";
+  if (!ERROR_TYPES.includes(o.errorType)) return "unknown errorType";
+  if (o.divergenceStep !== null && !(Number.isInteger(o.divergenceStep) && o.divergenceStep > 0)) {
+    return "divergenceStep must be a positive integer or null";
   }
-  if (req.method !== "POST") {
-    return jsonResponse({ error: "Method not allowed" }, 405);
+  if (typeof o.remediation !== "string") return "remediation must be a string";
+  if (o.steps != null) {
+    if (!Array.isArray(o.steps)) return "steps must be an array";
+    const bad = o.steps.findIndex((s) =>
+      typeof s !== "object" || s === null || !(Number.isInteger(s.step) && s.step > 0) || typeof s.isValid !== "boolean"
+    );
+    if (bad >= 0) return `steps[${bad}] needs a positive integer step and a boolean isValid`;
   }
-
-  const authHeader = req.headers.get("Authorization");
-  if (!authHeader?.startsWith("Bearer ")) {
-    return jsonResponse({ error: "Missing or invalid Authorization header" }, 401);
-  }
-
-  const supabaseUrl = Deno.env.get("SUPABASE_URL");
-  const supabaseKey = Deno.env.get("SUPABASE_ANON_KEY");
-  if (!supabaseUrl || !supabaseKey) {
-    return jsonResponse({ error: "Server configuration error" }, 500);
+  if (o.questions != null) {
+    if (!Array.isArray(o.questions)) return "questions must be an array";
+    const bad = o.questions.findIndex((q) =>
+      typeof q !== "object" || q === null || typeof q.questionId !== "string" || !q.questionId ||
+      !(typeof q.isCorrect === "boolean" || q.isCorrect === "partial" || q.isCorrect === null)
+    );
+    if (bad >= 0) return `questions[${bad}] needs a questionId and an isCorrect of true, false, "partial" or null`;
   }
+  if (o.correctedAt !== undefined && typeof o.correctedAt !== "string") return "correctedAt must be a string";
+  return null;
+}
 
-  const supabase = createClient(supabaseUrl, supabaseKey, {
-    global: { headers: { Authorization: authHeader } },
-  });
+Deno.serve(async (req: Request) => {
+  const early = handlePreflight(req);
+  if (early) return early;
 
-  const { data: { user } } = await supabase.auth.getUser();
-  if (!user) {
-    return jsonResponse({ error: "Unauthorized" }, 401);
+  let supabase;
+  try {
+    ({ supabase } = await requireUser(req));
+  } catch (e) {
+    if (e instanceof HttpError) return errorResponse(req, e);
+    throw e;
   }
 
   let body: {
@@ -51,31 +67,45 @@ Deno.serve(async (req: Request) => {
     original_error_type?: string;
     actual_error_type?: string;
     notes?: string;
+    document_type?: string;
+    original_confidence?: number;
+    override?: TeacherOverride;
+    diff?: unknown[];
   };
   try {
     body = await req.json();
   } catch {
-    return jsonResponse({ error: "Invalid JSON body" }, 400);
+    return jsonResponse(req, { error: "Invalid JSON body" }, 400);
   }
 
-  const { trace_id, original_error_type, actual_error_type, notes } = body;
+  const { trace_id, original_error_type, actual_error_type, notes, document_type, original_confidence, override, diff } = body;
   if (!trace_id) {
-    return jsonResponse({ error: "Missing trace_id" }, 400);
+    return jsonResponse(req, { error: "Missing trace_id" }, 400);
+  }
+  const overrideError = override != null ? validateOverride(override) : null;
+  if (overrideError) {
+    return jsonResponse(req, { error: `Invalid override: ${overrideError}` }, 400);
+  }
+  if (diff != null && !Array.isArray(diff)) {
+    return jsonResponse(req, { error: "Invalid diff: expected an array" }, 400);
   }
 
-  const record = {
-    trace_id,
-    original_error_type: original_error_type || null,
-    actual_error_type: actual_error_type || null,
-    notes: notes || null,
-    user_id: user.id,
-  };
-
-  const { error } = await supabase.from("corrections").insert(record);
+  // One transaction: the correction is only stored if the override is too (migration 20240219000019)
+  const { error } = await supabase.rpc("submit_correction", {
+    p_trace_id: trace_id,
+    p_original_error_type: original_error_type || null,
+    p_actual_error_type: actual_error_type || null,
+    p_notes: notes || null,
+    p_document_type: document_type || null,
+    p_original_confidence: typeof original_confidence === "number" ? original_confidence : null,
+    p_override: override ?? null,
+    p_diff: diff ?? null,
+  });
   if (error) {
-    console.error("[submit-correction] Insert failed:", error);
-    return jsonResponse({ error: "Failed to save correction" }, 500);
+    if (error.code === "P0002") return jsonResponse(req, { error: "Trace not found" }, 404);
+    console.error("[submit-correction] Save failed:", error);
+    return jsonResponse(req, { error: "Failed to save correction" }, 500);
   }
 
-  return jsonResponse({ success: true }, 200);
+  return jsonResponse(req, { success: true }, 200);
 });
@@ -0,0 +1,23 @@
+-- Answer keys: teacher-scanned reference answers, one per assignment per teacher.
+-- items is an array of { questionId, expectedAnswer, points, acceptedAlternatives }.
+
+CREATE TABLE IF NOT EXISTS public.answer_keys (
+  id bigserial PRIMARY KEY,
+  user_id uuid NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  assignment_id text NOT NULL,
+  items jsonb NOT NULL,
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (user_id, assignment_id)
+);
+
+ALTER TABLE public.answer_keys ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "auth_select_own_answer_keys" ON public.answer_keys
+  FOR SELECT TO authenticated USING (user_id = auth.uid());
+
+CREATE POLICY "auth_insert_own_answer_keys" ON public.answer_keys
+  FOR INSERT TO authenticated WITH CHECK (user_id = auth.uid());
+
+-- Re-scanning or editing a key upserts over the existing row.
+CREATE POLICY "auth_update_own_answer_keys" ON public.answer_keys
+  FOR UPDATE TO authenticated USING (user_id = auth.uid()) WITH CHECK (user_id = auth.uid());
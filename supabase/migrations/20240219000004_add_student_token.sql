@@ -0,0 +1,9 @@
+-- Pseudonymous student token for each trace.
+-- Tokens are minted on-device after the name region is redacted; the token ↔ name
+-- mapping lives only in the teacher's browser and is never written here.
+
+ALTER TABLE public.logic_traces
+  ADD COLUMN IF NOT EXISTS student_token text;
+
+CREATE INDEX IF NOT EXISTS logic_traces_student_token_idx
+  ON public.logic_traces (user_id, student_token);
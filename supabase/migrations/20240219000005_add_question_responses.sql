@@ -0,0 +1,38 @@
+-- Versioned result storage: per-question responses, overall assessment and page metadata.
+-- Rows written before this migration keep schema_version 1 and have no question_responses.
+
+ALTER TABLE public.logic_traces
+  ADD COLUMN IF NOT EXISTS schema_version smallint NOT NULL DEFAULT 1,
+  ADD COLUMN IF NOT EXISTS overall_assessment jsonb,
+  ADD COLUMN IF NOT EXISTS page_metadata jsonb;
+
+CREATE TABLE IF NOT EXISTS public.question_responses (
+  id bigserial PRIMARY KEY,
+  trace_id text NOT NULL REFERENCES public.logic_traces(id) ON DELETE CASCADE,
+  user_id uuid REFERENCES auth.users(id) ON DELETE SET NULL,
+  position smallint NOT NULL DEFAULT 0,
+  question_id text NOT NULL,
+  question_text text,
+  student_answer text,
+  work_shown text,
+  correctness text CHECK (correctness IN ('correct', 'partial', 'incorrect')),
+  points_earned real,
+  points_possible real,
+  feedback text,
+  concepts_assessed text[] NOT NULL DEFAULT '{}',
+  error_type text,
+  confidence real,
+  verified boolean NOT NULL DEFAULT false,
+  verification_notes text,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS question_responses_trace_idx ON public.question_responses (trace_id, position);
+CREATE INDEX IF NOT EXISTS question_responses_user_idx ON public.question_responses (user_id);
+
+ALTER TABLE public.question_responses ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "auth_select_own_question_responses" ON public.question_responses
+  FOR SELECT TO authenticated USING (user_id = auth.uid());
+CREATE POLICY "auth_insert_own_question_responses" ON public.question_responses
+  FOR INSERT TO authenticated WITH CHECK (user_id = auth.uid());
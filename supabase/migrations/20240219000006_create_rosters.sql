@@ -0,0 +1,72 @@
+-- Class rosters: classes → sections → students, owned by the teacher who created them.
+-- Traces link to a roster student by id. The model never sees roster data; names are
+-- only matched on-device against the locally de-anonymized header.
+
+CREATE TABLE IF NOT EXISTS public.classes (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid REFERENCES auth.users(id) ON DELETE SET NULL,
+  name text NOT NULL,
+  subject text,
+  grade_level text,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS public.sections (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid REFERENCES auth.users(id) ON DELETE SET NULL,
+  class_id uuid NOT NULL REFERENCES public.classes(id) ON DELETE CASCADE,
+  name text NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (class_id, name)
+);
+
+CREATE TABLE IF NOT EXISTS public.students (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid REFERENCES auth.users(id) ON DELETE SET NULL,
+  class_id uuid NOT NULL REFERENCES public.classes(id) ON DELETE CASCADE,
+  section_id uuid REFERENCES public.sections(id) ON DELETE SET NULL,
+  display_name text NOT NULL,
+  student_number text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (class_id, student_number)
+);
+
+CREATE INDEX IF NOT EXISTS students_class_idx ON public.students (class_id);
+
+ALTER TABLE public.logic_traces
+  ADD COLUMN IF NOT EXISTS student_id uuid REFERENCES public.students(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS logic_traces_student_id_idx ON public.logic_traces (student_id);
+
+ALTER TABLE public.classes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.sections ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.students ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "auth_select_own_classes" ON public.classes
+  FOR SELECT TO authenticated USING (user_id = auth.uid());
+CREATE POLICY "auth_insert_own_classes" ON public.classes
+  FOR INSERT TO authenticated WITH CHECK (user_id = auth.uid());
+CREATE POLICY "auth_update_own_classes" ON public.classes
+  FOR UPDATE TO authenticated USING (user_id = auth.uid()) WITH CHECK (user_id = auth.uid());
+CREATE POLICY "auth_delete_own_classes" ON public.classes
+  FOR DELETE TO authenticated USING (user_id = auth.uid());
+
+CREATE POLICY "auth_select_own_sections" ON public.sections
+  FOR SELECT TO authenticated USING (user_id = auth.uid());
+CREATE POLICY "auth_insert_own_sections" ON public.sections
+  FOR INSERT TO authenticated WITH CHECK (user_id = auth.uid());
+CREATE POLICY "auth_delete_own_sections" ON public.sections
+  FOR DELETE TO authenticated USING (user_id = auth.uid());
+
+CREATE POLICY "auth_select_own_students" ON public.students
+  FOR SELECT TO authenticated USING (user_id = auth.uid());
+CREATE POLICY "auth_insert_own_students" ON public.students
+  FOR INSERT TO authenticated WITH CHECK (user_id = auth.uid());
+CREATE POLICY "auth_update_own_students" ON public.students
+  FOR UPDATE TO authenticated USING (user_id = auth.uid()) WITH CHECK (user_id = auth.uid());
+CREATE POLICY "auth_delete_own_students" ON public.students
+  FOR DELETE TO authenticated USING (user_id = auth.uid());
+
+-- Linking a scan to a student updates the teacher's own trace
+CREATE POLICY "auth_update_own_logic_traces" ON public.logic_traces
+  FOR UPDATE TO authenticated USING (user_id = auth.uid()) WITH CHECK (user_id = auth.uid());
@@ -0,0 +1,39 @@
+-- Assignments: the grading container. Each owns its settings (rubric, feedback style,
+-- analysis mode, points, due date); the answer key lives in answer_keys keyed by the
+-- assignment id, and every trace records the assignment it was graded under.
+
+CREATE TABLE IF NOT EXISTS public.assignments (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid REFERENCES auth.users(id) ON DELETE SET NULL,
+  class_id uuid REFERENCES public.classes(id) ON DELETE SET NULL,
+  title text NOT NULL,
+  subject text,
+  grade_level text,
+  rubric text,
+  feedback_style text NOT NULL DEFAULT 'constructive'
+    CHECK (feedback_style IN ('constructive', 'strict', 'encouraging')),
+  analysis_mode text NOT NULL DEFAULT 'full'
+    CHECK (analysis_mode IN ('full', 'quick')),
+  points_possible real,
+  due_date date,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS assignments_user_idx ON public.assignments (user_id, updated_at DESC);
+
+ALTER TABLE public.logic_traces
+  ADD COLUMN IF NOT EXISTS assignment_id uuid REFERENCES public.assignments(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS logic_traces_assignment_idx ON public.logic_traces (assignment_id, created_at DESC);
+
+ALTER TABLE public.assignments ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "auth_select_own_assignments" ON public.assignments
+  FOR SELECT TO authenticated USING (user_id = auth.uid());
+CREATE POLICY "auth_insert_own_assignments" ON public.assignments
+  FOR INSERT TO authenticated WITH CHECK (user_id = auth.uid());
+CREATE POLICY "auth_update_own_assignments" ON public.assignments
+  FOR UPDATE TO authenticated USING (user_id = auth.uid()) WITH CHECK (user_id = auth.uid());
+CREATE POLICY "auth_delete_own_assignments" ON public.assignments
+  FOR DELETE TO authenticated USING (user_id = auth.uid());
@@ -0,0 +1,9 @@
+-- Structured rubrics: assignments.rubric becomes jsonb ({ criteria: [...] }, or a JSON string
+-- for rubrics written as free text before this migration), and each trace stores one score
+-- per rubric criterion with the evidence quote the model cited.
+
+ALTER TABLE public.assignments
+  ALTER COLUMN rubric TYPE jsonb USING CASE WHEN rubric IS NULL THEN NULL ELSE to_jsonb(rubric) END;
+
+ALTER TABLE public.logic_traces
+  ADD COLUMN IF NOT EXISTS criterion_scores jsonb NOT NULL DEFAULT '[]'::jsonb;
@@ -0,0 +1,8 @@
+-- Corrections are replayed into the prompt engine and confidence calibrator on startup,
+-- which needs the document type and the confidence the result was reported with.
+
+ALTER TABLE public.corrections
+  ADD COLUMN IF NOT EXISTS document_type text,
+  ADD COLUMN IF NOT EXISTS original_confidence real;
+
+CREATE INDEX IF NOT EXISTS corrections_user_created_idx ON public.corrections (user_id, created_at);
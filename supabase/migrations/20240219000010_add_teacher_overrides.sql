@@ -0,0 +1,10 @@
+-- Teacher corrections from the correction editor: the full override and its
+-- field-level diff against the AI result. The override becomes the trace's
+-- displayed grade (logic_traces.teacher_override), written by submit-correction.
+
+ALTER TABLE public.corrections
+  ADD COLUMN IF NOT EXISTS override jsonb,
+  ADD COLUMN IF NOT EXISTS diff jsonb;
+
+ALTER TABLE public.logic_traces
+  ADD COLUMN IF NOT EXISTS teacher_override jsonb;
@@ -0,0 +1,13 @@
+-- Per-assignment vision model: { provider, model, temperature }.
+-- NULL means the deployment default (MODEL_PROVIDER / MODEL_NAME secrets
+-- on analyze-document). The provider's credentials always stay server-side.
+
+ALTER TABLE public.assignments
+  ADD COLUMN IF NOT EXISTS model_settings jsonb;
+
+ALTER TABLE public.assignments
+  DROP CONSTRAINT IF EXISTS assignments_model_provider_check;
+
+ALTER TABLE public.assignments
+  ADD CONSTRAINT assignments_model_provider_check
+    CHECK (model_settings IS NULL OR model_settings->>'provider' IN ('gemini', 'openai', 'local'));
@@ -0,0 +1,132 @@
+-- Model usage metering for the analysis Edge Functions. One row per request that
+-- reached a model: who made it (user, and school from the JWT's app_metadata.school_id,
+-- which only the service role can set), which function and model, how many model
+-- calls it took and how it ended. Rate limits and daily quotas are counted from here.
+--
+-- Teachers can read their own usage but never write it: rows are only created and
+-- finished through the SECURITY DEFINER functions below, so deleting rows to reset a
+-- quota is not possible.
+
+CREATE TABLE IF NOT EXISTS public.model_usage (
+  id bigserial PRIMARY KEY,
+  user_id uuid NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  school_id text,
+  function_name text NOT NULL,
+  provider text,
+  model text,
+  model_calls integer NOT NULL DEFAULT 1 CHECK (model_calls >= 0),
+  image_bytes integer,
+  status text NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'ok', 'error')),
+  error_code text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  finished_at timestamptz
+);
+
+CREATE INDEX IF NOT EXISTS model_usage_user_idx ON public.model_usage (user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS model_usage_school_idx ON public.model_usage (school_id, created_at DESC)
+  WHERE school_id IS NOT NULL;
+
+ALTER TABLE public.model_usage ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "auth_select_own_model_usage" ON public.model_usage
+  FOR SELECT TO authenticated USING (user_id = auth.uid());
+
+-- Check the caller's per-minute rate and daily quota (and their school's, when the JWT
+-- carries one) and reserve p_calls model calls. Requests are serialized per school (or
+-- per user without one) so concurrent calls cannot both slip under a limit.
+-- Returns { allowed: true, usageId } or { allowed: false, code, scope, retryAfter }.
+CREATE OR REPLACE FUNCTION public.consume_model_quota(
+  p_function text,
+  p_calls integer,
+  p_user_per_minute integer,
+  p_school_per_minute integer,
+  p_user_daily integer,
+  p_school_daily integer
+) RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_user uuid := auth.uid();
+  v_school text := nullif(auth.jwt() -> 'app_metadata' ->> 'school_id', '');
+  v_day_start timestamptz := date_trunc('day', now() AT TIME ZONE 'utc') AT TIME ZONE 'utc';
+  v_until_tomorrow integer := ceil(extract(epoch FROM (v_day_start + interval '1 day' - now())));
+  v_minute integer;
+  v_today integer;
+  v_id bigint;
+BEGIN
+  IF v_user IS NULL THEN
+    RETURN jsonb_build_object('allowed', false, 'code', 'AUTH_REQUIRED', 'scope', 'user');
+  END IF;
+
+  PERFORM pg_advisory_xact_lock(hashtext('model_usage:' || coalesce(v_school, v_user::text)));
+
+  SELECT count(*) FILTER (WHERE created_at > now() - interval '1 minute'),
+         coalesce(sum(model_calls) FILTER (WHERE created_at >= v_day_start), 0)
+    INTO v_minute, v_today
+    FROM public.model_usage
+   WHERE user_id = v_user AND created_at >= least(v_day_start, now() - interval '1 minute');
+
+  IF v_minute >= p_user_per_minute THEN
+    RETURN jsonb_build_object('allowed', false, 'code', 'RATE_LIMITED', 'scope', 'user', 'retryAfter', 60);
+  END IF;
+  IF v_today + p_calls > p_user_daily THEN
+    RETURN jsonb_build_object('allowed', false, 'code', 'QUOTA_EXCEEDED', 'scope', 'user', 'retryAfter', v_until_tomorrow);
+  END IF;
+
+  IF v_school IS NOT NULL THEN
+    SELECT count(*) FILTER (WHERE created_at > now() - interval '1 minute'),
+           coalesce(sum(model_calls) FILTER (WHERE created_at >= v_day_start), 0)
+      INTO v_minute, v_today
+      FROM public.model_usage
+     WHERE school_id = v_school AND created_at >= least(v_day_start, now() - interval '1 minute');
+
+    IF v_minute >= p_school_per_minute THEN
+      RETURN jsonb_build_object('allowed', false, 'code', 'RATE_LIMITED', 'scope', 'school', 'retryAfter', 60);
+    END IF;
+    IF v_today + p_calls > p_school_daily THEN
+      RETURN jsonb_build_object('allowed', false, 'code', 'QUOTA_EXCEEDED', 'scope', 'school', 'retryAfter', v_until_tomorrow);
+    END IF;
+  END IF;
+
+  INSERT INTO public.model_usage (user_id, school_id, function_name, model_calls)
+  VALUES (v_user, v_school, p_function, p_calls)
+  RETURNING id INTO v_id;
+
+  RETURN jsonb_build_object('allowed', true, 'usageId', v_id);
+END;
+$$;
+
+-- Record how a metered request ended. The model calls it really made (repairs
+-- included) can raise the reservation but never lower it, so calling this directly
+-- cannot hand quota back. Only the caller's own pending rows.
+CREATE OR REPLACE FUNCTION public.finish_model_usage(
+  p_usage_id bigint,
+  p_status text,
+  p_model_calls integer,
+  p_provider text,
+  p_model text,
+  p_image_bytes integer,
+  p_error_code text DEFAULT NULL
+) RETURNS void
+LANGUAGE sql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  UPDATE public.model_usage
+     SET status = CASE WHEN p_status IN ('ok', 'error') THEN p_status ELSE 'error' END,
+         model_calls = greatest(p_model_calls, model_calls),
+         provider = p_provider,
+         model = p_model,
+         image_bytes = p_image_bytes,
+         error_code = p_error_code,
+         finished_at = now()
+   WHERE id = p_usage_id AND user_id = auth.uid() AND status = 'pending';
+$$;
+
+REVOKE ALL ON FUNCTION public.consume_model_quota(text, integer, integer, integer, integer, integer) FROM PUBLIC, anon;
+REVOKE ALL ON FUNCTION public.finish_model_usage(bigint, text, integer, text, text, integer, text) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.consume_model_quota(text, integer, integer, integer, integer, integer) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.finish_model_usage(bigint, text, integer, text, text, integer, text) TO authenticated;
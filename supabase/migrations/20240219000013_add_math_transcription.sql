@@ -0,0 +1,8 @@
+-- Handwritten math transcribed as LaTeX, so the dashboard can typeset it next to the
+-- plain-text reading: the final answer, and the work shown as ordered
+-- [{ text, latex }] lines (latex is null for prose). Logic-trace steps carry their
+-- LaTeX inside logic_traces.logic_trace and need no column.
+
+ALTER TABLE public.question_responses
+  ADD COLUMN IF NOT EXISTS answer_latex text,
+  ADD COLUMN IF NOT EXISTS work_steps jsonb NOT NULL DEFAULT '[]'::jsonb;
@@ -0,0 +1,7 @@
+-- Deterministic re-check of the work shown (src/lib/stepVerifier.js):
+-- { verdict, disagrees, detail, steps: [{ verdict, detail }] }. `disagrees` marks
+-- a response where the checker contradicts the model's grading. Logic-trace steps
+-- carry their check inside logic_traces.logic_trace.
+
+ALTER TABLE public.question_responses
+  ADD COLUMN IF NOT EXISTS step_check jsonb;
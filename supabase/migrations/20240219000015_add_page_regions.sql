@@ -0,0 +1,8 @@
+-- Where each question and answer sits on the captured page, so the dashboard can
+-- highlight the handwriting: { x, y, width, height } as fractions of the page
+-- image, origin top-left. Work-step regions live inside work_steps and
+-- logic-trace step regions inside logic_traces.logic_trace.
+
+ALTER TABLE public.question_responses
+  ADD COLUMN IF NOT EXISTS question_region jsonb,
+  ADD COLUMN IF NOT EXISTS answer_region jsonb;
@@ -0,0 +1,120 @@
+-- Captured pages in a private Storage bucket, so a grade can be disputed or re-graded
+-- against the page it came from. Only the redacted, rectified image the model saw is
+-- uploaded, one object per trace at {user_id}/{assignment_id or "unassigned"}/{trace_id}.jpg;
+-- the first path segment is what the storage policies check against auth.uid().
+--
+-- Each trace links to its object (logic_traces.page_image_path) and expires after the
+-- shorter of the teacher's and their school's retention period (365 days when neither
+-- is set). The purge-page-images Edge Function, run on a schedule, deletes expired
+-- objects and clears the link; the grade itself is kept.
+
+INSERT INTO storage.buckets (id, name, public, file_size_limit, allowed_mime_types)
+VALUES ('page-images', 'page-images', false, 10485760, ARRAY['image/jpeg', 'image/png', 'image/webp'])
+ON CONFLICT (id) DO NOTHING;
+
+CREATE POLICY "auth_select_own_page_images" ON storage.objects
+  FOR SELECT TO authenticated
+  USING (bucket_id = 'page-images' AND (storage.foldername(name))[1] = auth.uid()::text);
+CREATE POLICY "auth_insert_own_page_images" ON storage.objects
+  FOR INSERT TO authenticated
+  WITH CHECK (bucket_id = 'page-images' AND (storage.foldername(name))[1] = auth.uid()::text);
+CREATE POLICY "auth_update_own_page_images" ON storage.objects
+  FOR UPDATE TO authenticated
+  USING (bucket_id = 'page-images' AND (storage.foldername(name))[1] = auth.uid()::text)
+  WITH CHECK (bucket_id = 'page-images' AND (storage.foldername(name))[1] = auth.uid()::text);
+CREATE POLICY "auth_delete_own_page_images" ON storage.objects
+  FOR DELETE TO authenticated
+  USING (bucket_id = 'page-images' AND (storage.foldername(name))[1] = auth.uid()::text);
+
+ALTER TABLE public.logic_traces
+  ADD COLUMN IF NOT EXISTS page_image_path text,
+  ADD COLUMN IF NOT EXISTS page_image_expires_at timestamptz;
+
+CREATE INDEX IF NOT EXISTS logic_traces_page_image_expiry_idx ON public.logic_traces (page_image_expires_at)
+  WHERE page_image_path IS NOT NULL;
+
+-- Retention periods. Teachers set their own; a school's (set by the service role)
+-- caps every teacher whose JWT carries that app_metadata.school_id.
+CREATE TABLE IF NOT EXISTS public.page_image_retention (
+  user_id uuid PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+  retention_days integer NOT NULL CHECK (retention_days BETWEEN 1 AND 3650),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS public.school_page_image_retention (
+  school_id text PRIMARY KEY,
+  retention_days integer NOT NULL CHECK (retention_days BETWEEN 1 AND 3650),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+ALTER TABLE public.page_image_retention ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.school_page_image_retention ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "auth_select_own_page_image_retention" ON public.page_image_retention
+  FOR SELECT TO authenticated USING (user_id = auth.uid());
+CREATE POLICY "auth_select_school_page_image_retention" ON public.school_page_image_retention
+  FOR SELECT TO authenticated
+  USING (school_id = nullif(auth.jwt() -> 'app_metadata' ->> 'school_id', ''));
+
+-- The caller's effective retention in days.
+CREATE OR REPLACE FUNCTION public.page_image_retention_days() RETURNS integer
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT least(
+    coalesce((SELECT retention_days FROM public.page_image_retention WHERE user_id = auth.uid()), 365),
+    coalesce((SELECT retention_days FROM public.school_page_image_retention
+               WHERE school_id = nullif(auth.jwt() -> 'app_metadata' ->> 'school_id', '')), 365)
+  );
+$$;
+
+-- Expiry is always derived, never written by the client: a teacher cannot keep a page
+-- past their school's limit by editing the row. Service-role writes (the purge) are left alone.
+CREATE OR REPLACE FUNCTION public.set_page_image_expiry() RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF NEW.page_image_path IS NULL THEN
+    NEW.page_image_expires_at := NULL;
+  ELSIF auth.uid() IS NOT NULL THEN
+    NEW.page_image_expires_at := NEW.created_at + make_interval(days => public.page_image_retention_days());
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS logic_traces_page_image_expiry ON public.logic_traces;
+CREATE TRIGGER logic_traces_page_image_expiry
+  BEFORE INSERT OR UPDATE ON public.logic_traces
+  FOR EACH ROW EXECUTE FUNCTION public.set_page_image_expiry();
+
+-- Set the caller's retention and re-date the pages they already stored.
+-- Returns the effective retention, which a school limit may hold below p_days.
+CREATE OR REPLACE FUNCTION public.set_page_image_retention(p_days integer) RETURNS integer
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Sign in to set a retention period';
+  END IF;
+
+  INSERT INTO public.page_image_retention (user_id, retention_days, updated_at)
+  VALUES (auth.uid(), p_days, now())
+  ON CONFLICT (user_id) DO UPDATE SET retention_days = excluded.retention_days, updated_at = now();
+
+  UPDATE public.logic_traces
+     SET page_image_path = page_image_path   -- the trigger recomputes the expiry
+   WHERE user_id = auth.uid() AND page_image_path IS NOT NULL;
+
+  RETURN public.page_image_retention_days();
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.page_image_retention_days() FROM PUBLIC, anon;
+REVOKE ALL ON FUNCTION public.set_page_image_retention(integer) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.page_image_retention_days() TO authenticated;
+GRANT EXECUTE ON FUNCTION public.set_page_image_retention(integer) TO authenticated;
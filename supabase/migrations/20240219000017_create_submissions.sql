@@ -0,0 +1,39 @@
+-- Submissions: one student's multi-page work, graded as one document. Each page is
+-- still a logic_traces row (its own image, regions, corrections); the page rows point
+-- at their submission in reading order, and the submission holds the combined score
+-- over the merged questions (a question continued onto the next page counts once).
+
+CREATE TABLE IF NOT EXISTS public.submissions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid REFERENCES auth.users(id) ON DELETE SET NULL,
+  assignment_id uuid REFERENCES public.assignments(id) ON DELETE SET NULL,
+  session_id text,
+  student_token text,
+  page_count smallint NOT NULL DEFAULT 0,
+  score real,
+  points_earned real,
+  points_possible real,
+  is_correct boolean,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS submissions_assignment_idx ON public.submissions (assignment_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS submissions_user_idx ON public.submissions (user_id, created_at DESC);
+
+ALTER TABLE public.logic_traces
+  ADD COLUMN IF NOT EXISTS submission_id uuid REFERENCES public.submissions(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS page_number smallint CHECK (page_number IS NULL OR page_number >= 1);
+
+CREATE INDEX IF NOT EXISTS logic_traces_submission_idx ON public.logic_traces (submission_id, page_number);
+
+ALTER TABLE public.submissions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "auth_select_own_submissions" ON public.submissions
+  FOR SELECT TO authenticated USING (user_id = auth.uid());
+CREATE POLICY "auth_insert_own_submissions" ON public.submissions
+  FOR INSERT TO authenticated WITH CHECK (user_id = auth.uid());
+CREATE POLICY "auth_update_own_submissions" ON public.submissions
+  FOR UPDATE TO authenticated USING (user_id = auth.uid()) WITH CHECK (user_id = auth.uid());
+CREATE POLICY "auth_delete_own_submissions" ON public.submissions
+  FOR DELETE TO authenticated USING (user_id = auth.uid());
@@ -0,0 +1,34 @@
+-- Concept mastery: one row per roster student and concept, rebuilt from the student's
+-- graded work whenever a scan is linked to them or a linked grade changes. `mastery` and
+-- `evidence` are the recency-weighted estimate as of `last_assessed_at`; the app decays
+-- the evidence toward today when it reads them. `history` holds one point per graded
+-- submission for the term trend.
+
+CREATE TABLE IF NOT EXISTS public.student_concept_mastery (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid REFERENCES auth.users(id) ON DELETE SET NULL,
+  student_id uuid NOT NULL REFERENCES public.students(id) ON DELETE CASCADE,
+  concept_key text NOT NULL,
+  concept text NOT NULL,
+  mastery real NOT NULL CHECK (mastery >= 0 AND mastery <= 1),
+  evidence real NOT NULL DEFAULT 0,
+  observations integer NOT NULL DEFAULT 0,
+  last_assessed_at timestamptz,
+  history jsonb NOT NULL DEFAULT '[]'::jsonb,
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (student_id, concept_key)
+);
+
+CREATE INDEX IF NOT EXISTS student_concept_mastery_concept_idx
+  ON public.student_concept_mastery (user_id, concept_key, mastery);
+
+ALTER TABLE public.student_concept_mastery ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "auth_select_own_concept_mastery" ON public.student_concept_mastery
+  FOR SELECT TO authenticated USING (user_id = auth.uid());
+CREATE POLICY "auth_insert_own_concept_mastery" ON public.student_concept_mastery
+  FOR INSERT TO authenticated WITH CHECK (user_id = auth.uid());
+CREATE POLICY "auth_update_own_concept_mastery" ON public.student_concept_mastery
+  FOR UPDATE TO authenticated USING (user_id = auth.uid()) WITH CHECK (user_id = auth.uid());
+CREATE POLICY "auth_delete_own_concept_mastery" ON public.student_concept_mastery
+  FOR DELETE TO authenticated USING (user_id = auth.uid());
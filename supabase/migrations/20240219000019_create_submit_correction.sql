@@ -0,0 +1,59 @@
+-- A teacher correction and the override it carries are saved together: one call
+-- inserts the corrections row and writes logic_traces.teacher_override in the same
+-- transaction, so a correction is never stored for a grade that did not change.
+--
+-- The two writes need one transaction, which the client cannot hold across two
+-- requests; that is why this is a function. It runs as the definer but only touches
+-- the caller's own traces.
+
+-- Returns the new correction's id. Raises TRACE_NOT_FOUND (P0002) when the trace is
+-- missing or not the caller's; nothing is written then.
+CREATE OR REPLACE FUNCTION public.submit_correction(
+  p_trace_id text,
+  p_original_error_type text,
+  p_actual_error_type text,
+  p_notes text,
+  p_document_type text,
+  p_original_confidence real,
+  p_override jsonb,
+  p_diff jsonb
+) RETURNS bigint
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_user uuid := auth.uid();
+  v_id bigint;
+BEGIN
+  IF v_user IS NULL THEN
+    RAISE EXCEPTION 'Sign in to submit a correction';
+  END IF;
+
+  PERFORM 1 FROM public.logic_traces WHERE id = p_trace_id AND user_id = v_user FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'TRACE_NOT_FOUND' USING ERRCODE = 'P0002';
+  END IF;
+
+  INSERT INTO public.corrections (
+    trace_id, original_error_type, actual_error_type, notes,
+    document_type, original_confidence, override, diff, user_id
+  )
+  VALUES (
+    p_trace_id, p_original_error_type, p_actual_error_type, p_notes,
+    p_document_type, p_original_confidence, p_override, p_diff, v_user
+  )
+  RETURNING id INTO v_id;
+
+  IF p_override IS NOT NULL THEN
+    UPDATE public.logic_traces
+       SET teacher_override = p_override
+     WHERE id = p_trace_id AND user_id = v_user;
+  END IF;
+
+  RETURN v_id;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.submit_correction(text, text, text, text, text, real, jsonb, jsonb) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.submit_correction(text, text, text, text, text, real, jsonb, jsonb) TO authenticated;
@@ -0,0 +1,46 @@
+-- A school's retention limit (school_page_image_retention, migration 20240219000016) is
+-- set by the service role, which the logic_traces expiry trigger leaves alone. Changing
+-- or removing a school's limit now re-dates the stored pages of every teacher whose
+-- app_metadata.school_id names that school, so a shorter limit takes effect at the next
+-- purge and a longer one stops pages from being deleted early.
+
+-- Re-date one school's stored pages: created_at plus the shorter of each teacher's own
+-- retention and the school's (365 days when either is not set).
+CREATE OR REPLACE FUNCTION public.redate_school_page_images(p_school_id text) RETURNS void
+LANGUAGE sql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  UPDATE public.logic_traces t
+     SET page_image_expires_at = t.created_at + make_interval(days => least(
+           coalesce((SELECT r.retention_days FROM public.page_image_retention r WHERE r.user_id = t.user_id), 365),
+           coalesce((SELECT s.retention_days FROM public.school_page_image_retention s WHERE s.school_id = p_school_id), 365)
+         ))
+    FROM auth.users u
+   WHERE u.id = t.user_id
+     AND u.raw_app_meta_data ->> 'school_id' = p_school_id
+     AND t.page_image_path IS NOT NULL;
+$$;
+
+CREATE OR REPLACE FUNCTION public.school_page_image_retention_changed() RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF TG_OP <> 'INSERT' THEN
+    PERFORM public.redate_school_page_images(OLD.school_id);
+  END IF;
+  IF TG_OP <> 'DELETE' AND (TG_OP = 'INSERT' OR NEW.school_id IS DISTINCT FROM OLD.school_id) THEN
+    PERFORM public.redate_school_page_images(NEW.school_id);
+  END IF;
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS school_page_image_retention_redate ON public.school_page_image_retention;
+CREATE TRIGGER school_page_image_retention_redate
+  AFTER INSERT OR UPDATE OR DELETE ON public.school_page_image_retention
+  FOR EACH ROW EXECUTE FUNCTION public.school_page_image_retention_changed();
+
+REVOKE ALL ON FUNCTION public.redate_school_page_images(text) FROM PUBLIC, anon, authenticated;
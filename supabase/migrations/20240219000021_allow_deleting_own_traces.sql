@@ -0,0 +1,8 @@
+-- A trace saved from the device is two inserts: the logic_traces row, then its
+-- question_responses. When the second one fails the client deletes the trace again
+-- (its responses go with it, ON DELETE CASCADE) and keeps the scan on the device
+-- instead, so a grade is never stored without its questions.
+
+DROP POLICY IF EXISTS "auth_delete_own_logic_traces" ON public.logic_traces;
+CREATE POLICY "auth_delete_own_logic_traces" ON public.logic_traces
+  FOR DELETE TO authenticated USING (user_id = auth.uid());
@@ -0,0 +1,24 @@
+-- logic_traces.teacher_override is only written by submit_correction (migration
+-- 20240219000019), together with the corrections row that explains it. Teachers keep
+-- their UPDATE policy for linking scans and rescoring submissions, so this trigger
+-- refuses a client (anon or authenticated) that sets or changes the override directly.
+-- submit_correction runs as its definer and the service role is trusted; both pass.
+
+CREATE OR REPLACE FUNCTION public.guard_teacher_override() RETURNS trigger
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+BEGIN
+  IF current_user IN ('anon', 'authenticated')
+     AND NEW.teacher_override IS DISTINCT FROM (CASE WHEN TG_OP = 'UPDATE' THEN OLD.teacher_override END) THEN
+    RAISE EXCEPTION 'teacher_override is written through submit_correction'
+      USING ERRCODE = '42501';
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS logic_traces_guard_teacher_override ON public.logic_traces;
+CREATE TRIGGER logic_traces_guard_teacher_override
+  BEFORE INSERT OR UPDATE OF teacher_override ON public.logic_traces
+  FOR EACH ROW EXECUTE FUNCTION public.guard_teacher_override();